@@ -2,276 +2,1860 @@
 
 import * as validator from './validator.js';
 import * as config from './config.js';
+import * as instruments from './instruments.js';
+import * as ledgerStorage from './ledgerStorage.js';
+import * as ledgerImporter from './ledgerImporter.js';
+import * as ledgerExporters from './ledgerExporters.js';
+import * as ledgers from './ledgers.js';
+import { decimal, sum, min } from './decimal.js';
+import * as liveCalculation from './liveCalculation.js';
+import * as calculationHistory from './calculationHistory.js';
+import { t, addLocaleListener, formatDateTime } from './i18n.js';
 
-// 存储开仓记录
-let positions = [];
+// 记录类型
+export const EntryAction = {
+    OPEN: 'open',   // 开仓/加仓
+    CLOSE: 'close'  // 减仓/平仓
+};
+
+// 记录备注最大长度
+export const MAX_NOTE_LENGTH = ledgerStorage.MAX_NOTE_LENGTH;
+
+// 订单类型的字段规则（记录与加仓求解共用页面上的订单类型选择）
+const ORDER_TYPE_FIELD = { label: '订单类型', input: 'avgOrderType', options: Object.values(config.OrderType) };
+
+// 记录的字段规则（输入框为添加记录表单，行内编辑时按 data-field 定位）
+const ENTRY_FIELDS = {
+    quantity: { label: '数量', input: 'avgQuantity', positive: true },
+    price: { label: '价格', input: 'avgPrice', positive: true },
+    orderType: ORDER_TYPE_FIELD,
+    // 手续费可为负数（返佣），为空时按账本费率计算
+    fee: { label: '手续费', input: 'avgFee', required: false }
+};
+
+/**
+ * 获取账本对应订单类型的手续费率
+ * @param {Object} ledger - 账本
+ * @param {string} orderType - 订单类型
+ * @returns {number}
+ */
+function getLedgerFeeRate(ledger, orderType) {
+    return orderType === config.OrderType.TAKER ? ledger.takerFeeRate : ledger.makerFeeRate;
+}
+
+/**
+ * 判断记录是否有手动记录的手续费
+ * @param {Object} record - 记录
+ * @returns {boolean}
+ */
+function hasRecordedFee(record) {
+    return record.fee !== undefined && record.fee !== null && record.fee !== '';
+}
+
+/**
+ * 根据记录输入计算含手续费的成本（使用账本的交易方向、手续费率与合约类型）
+ * 手续费总是让持仓更不利：做多开仓抬高成本价、减仓压低成交价；做空开仓压低开仓价、减仓抬高买回价
+ * @param {Object} record - {id, action, quantity, price, orderType, timestamp, fee}，fee 为手动记录的整笔手续费（可选）
+ * @param {Object} ledger - 记录所属账本
+ * @returns {Object} 完整的记录，fee 为整笔成交的手续费（结算币种）
+ */
+function buildPosition(record, ledger) {
+    const action = record.action === EntryAction.CLOSE ? EntryAction.CLOSE : EntryAction.OPEN;
+    const quantity = parseFloat(record.quantity);
+    const price = parseFloat(record.price);
+    const value = config.getPositionValueDecimal(quantity, price, ledger);
+    const feeRecorded = hasRecordedFee(record);
+    
+    // 未手动记录手续费时按账本费率计算
+    const fee = feeRecorded ? decimal(parseFloat(record.fee)) : value.times(getLedgerFeeRate(ledger, record.orderType));
+    const feeRate = value.isPositive() ? fee.div(value) : decimal(0);
+    
+    // 做多开仓与做空减仓时手续费增加成本，其余情况减少
+    const isLong = ledger.direction !== config.Direction.SHORT;
+    const signedRate = (action === EntryAction.OPEN) === isLong ? feeRate : feeRate.neg();
+    
+    // U本位：实际成本价 = 价格 × (1 ± 费率)；币本位：实际成本价 = 价格 / (1 ∓ 费率)
+    const actualCost = config.isInverse(ledger)
+        ? decimal(price).div(decimal(1).minus(signedRate))
+        : decimal(price).times(decimal(1).plus(signedRate));
+    
+    return {
+        id: record.id,
+        action: action,
+        quantity: quantity,
+        price: price,
+        orderType: record.orderType,
+        timestamp: record.timestamp,
+        fee: fee.toNumber(),
+        feeRecorded: feeRecorded,
+        note: record.note || '',
+        actualCost: actualCost.toNumber(),
+        // 币本位的总成本为按实际成本价折算的币数量
+        totalCost: config.getPositionValueDecimal(quantity, actualCost, ledger).toNumber()
+    };
+}
+
+/**
+ * 获取账本的全部记录（按账本设置计算成本）
+ * @param {Object} ledger - 账本
+ * @returns {Array}
+ */
+function getLedgerPositions(ledger) {
+    return ledger.positions.map(record => buildPosition(record, ledger));
+}
+
+/**
+ * 获取当前账本，不存在时报错
+ * @returns {Object}
+ */
+function requireActiveLedger() {
+    const ledger = ledgers.getActiveLedger();
+    if (!ledger) {
+        throw new Error(t('请先选择账本'));
+    }
+    return ledger;
+}
+
+/**
+ * 判断保存的记录是否有效（数量、价格为正数且订单类型有效）
+ * @param {Object} record - 记录
+ * @returns {boolean}
+ */
+function isValidRecord(record) {
+    return validator.isPositive(record.quantity) && validator.isPositive(record.price) && config.isValidOrderType(record.orderType);
+}
+
+/**
+ * 判断账本能否正常回放（记录均有效且减仓不超过持仓）
+ * @param {Object} ledger - 账本
+ * @returns {boolean}
+ */
+function isLedgerReplayable(ledger) {
+    if (!ledger.positions.every(isValidRecord)) return false;
+    try {
+        replayLedger(getLedgerPositions(ledger), ledger);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 获取无法回放的账本（本地数据损坏时出现，不自动修改，由用户选择修复或清空）
+ * @returns {Array} 账本列表
+ */
+export function getDamagedLedgers() {
+    return ledgers.getLedgers(true).filter(ledger => !isLedgerReplayable(ledger));
+}
+
+/**
+ * 修复无法回放的账本：按顺序保留可以回放的记录，移除无效记录与超过持仓的减仓记录（可撤销）
+ * @returns {number} 移除的记录数
+ */
+export function repairDamagedLedgers() {
+    let removed = 0;
+    getDamagedLedgers().forEach(ledger => {
+        const kept = [];
+        ledger.positions.filter(isValidRecord).forEach(record => {
+            try {
+                replayLedger([...kept, record].map(entry => buildPosition(entry, ledger)), ledger);
+                kept.push(record);
+            } catch (error) {
+                // 超过持仓的减仓记录，跳过
+            }
+        });
+        removed += ledger.positions.length - kept.length;
+        ledgers.setLedgerEntries(ledger.id, kept, t('修复账本'));
+    });
+    return removed;
+}
+
+/**
+ * 清空无法回放的账本中的全部记录（可撤销）
+ */
+export function clearDamagedLedgers() {
+    getDamagedLedgers().forEach(ledger => {
+        ledgers.setLedgerEntries(ledger.id, [], t('清空账本'));
+    });
+}
+
+/**
+ * 验证记录输入（数量、价格、订单类型与手动记录的手续费）
+ * @param {Object} values - {quantity, price, orderType, fee}
+ * @returns {Object} validateSchema 的返回值
+ */
+function validateEntryInput(values) {
+    return validator.validateSchema(ENTRY_FIELDS, values);
+}
+
+/**
+ * 向当前账本追加一条记录（回放校验通过后保存）
+ * @param {string} action - 记录类型
+ * @param {number} quantity - 数量
+ * @param {number} price - 价格
+ * @param {string} orderType - 订单类型
+ * @param {number|null} fee - 整笔手续费（结算币种，为空时按账本费率计算）
+ * @returns {Object} 新增的记录
+ */
+function appendEntry(action, quantity, price, orderType, fee) {
+    const { errors, values } = validateEntryInput({ quantity, price, orderType, fee });
+    validator.throwIfInvalid(errors);
+    
+    const ledger = requireActiveLedger();
+    const record = {
+        id: ledgerStorage.createRecordId(ledger.positions.map(p => p.id)),
+        action: action,
+        quantity: values.quantity,
+        price: values.price,
+        orderType: orderType,
+        timestamp: Date.now(),
+        fee: values.fee
+    };
+    const entries = [...ledger.positions, record];
+    
+    // 回放校验减仓数量不超过持仓
+    replayLedger(entries.map(entry => buildPosition(entry, ledger)), ledger);
+    
+    ledgers.setLedgerEntries(ledger.id, entries, t('添加{action}记录', { action: getActionLabel(action) }));
+    return buildPosition(record, ledger);
+}
+
+/**
+ * 向当前账本添加开仓记录
+ * @param {number} quantity - 数量
+ * @param {number} price - 价格
+ * @param {string} orderType - 订单类型（默认限价Maker）
+ * @param {number|null} fee - 实际手续费（整笔，结算币种；为空时按账本费率计算）
+ * @returns {Object} 新增的记录
+ */
+export function addPosition(quantity, price, orderType = config.OrderType.MAKER, fee = null) {
+    return appendEntry(EntryAction.OPEN, quantity, price, orderType, fee);
+}
+
+/**
+ * 向当前账本添加减仓记录（按当前持仓均价结转已实现盈亏，剩余持仓均价不变）
+ * @param {number} quantity - 减仓数量
+ * @param {number} price - 减仓价格
+ * @param {string} orderType - 订单类型（默认市价Taker）
+ * @param {number|null} fee - 实际手续费（整笔，结算币种；为空时按账本费率计算）
+ * @returns {Object} 新增的记录
+ */
+export function closePosition(quantity, price, orderType = config.OrderType.TAKER, fee = null) {
+    return appendEntry(EntryAction.CLOSE, quantity, price, orderType, fee);
+}
+
+/**
+ * 为导入的记录补全时间与ID（按时间排序）
+ * @param {Array} entries - 已验证的记录 [{action, quantity, price, orderType, timestamp}]
+ * @param {Array} existing - 目标账本的现有记录
+ * @returns {Array}
+ */
+function prepareImportedEntries(entries, existing) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error(t('没有可导入的记录'));
+    }
+    
+    const ids = existing.map(p => p.id);
+    const now = Date.now();
+    return entries
+        .map((entry, index) => ({ ...entry, timestamp: entry.timestamp === null ? now + index : entry.timestamp }))
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(entry => {
+            const id = ledgerStorage.createRecordId(ids);
+            ids.push(id);
+            return { ...entry, id: id };
+        });
+}
+
+/**
+ * 将导入的记录合并到当前账本（按时间排序后追加到现有记录之后）
+ * @param {Array} entries - 已验证的记录 [{action, quantity, price, orderType, timestamp}]
+ * @returns {number} 导入的记录数
+ */
+export function importEntries(entries) {
+    const ledger = requireActiveLedger();
+    const imported = prepareImportedEntries(entries, ledger.positions);
+    
+    // 回放校验，减仓超过持仓时整体放弃导入
+    const merged = [...ledger.positions, ...imported];
+    replayLedger(merged.map(entry => buildPosition(entry, ledger)), ledger);
+    
+    ledgers.setLedgerEntries(ledger.id, merged, t('导入 {count} 条记录', { count: imported.length }));
+    return imported.length;
+}
+
+/**
+ * 按导出文件中的账本设置新建账本并导入记录（名称已存在时加序号）
+ * @param {Object} source - 账本设置 {name, symbol, direction, makerFeeRate, takerFeeRate, contractType, contractFaceValue}
+ * @param {Array} entries - 已验证的记录 [{action, quantity, price, orderType, timestamp}]
+ * @returns {Object} 新建的账本
+ */
+export function importLedger(source, entries) {
+    const imported = prepareImportedEntries(entries, []);
+    const settings = {
+        ...source,
+        direction: source.direction || config.getDirection(),
+        makerFeeRate: source.makerFeeRate !== undefined ? source.makerFeeRate : config.getMakerFeeRate(),
+        takerFeeRate: source.takerFeeRate !== undefined ? source.takerFeeRate : config.getTakerFeeRate(),
+        contractType: source.contractType || config.getContractType(),
+        contractFaceValue: source.contractFaceValue !== undefined ? source.contractFaceValue : config.getContractFaceValue()
+    };
+    
+    // 先按新账本的设置回放校验，失败时不创建账本
+    replayLedger(imported.map(entry => buildPosition(entry, settings)), settings);
+    
+    const names = ledgers.getLedgers(true).map(ledger => ledger.name);
+    let name = source.name;
+    for (let index = 2; names.includes(name); index++) {
+        name = `${source.name} (${index})`;
+    }
+    
+    const ledger = ledgers.createLedger(name, settings);
+    ledgers.setLedgerEntries(ledger.id, imported, t('导入 {count} 条记录', { count: imported.length }));
+    return ledger;
+}
+
+/**
+ * 回放校验后保存当前账本的记录
+ * @param {Object} ledger - 账本
+ * @param {Array} entries - 新的记录列表
+ * @param {string} label - 操作描述
+ */
+function commitEntries(ledger, entries, label) {
+    // 删除、修改或调整顺序都可能导致后续减仓超过持仓
+    replayLedger(entries.map(entry => buildPosition(entry, ledger)), ledger);
+    ledgers.setLedgerEntries(ledger.id, entries, label);
+}
+
+/**
+ * 删除当前账本中的记录
+ * @param {string} id - 记录ID
+ */
+export function removePosition(id) {
+    const ledger = requireActiveLedger();
+    commitEntries(ledger, ledger.positions.filter(p => p.id !== id), t('删除记录'));
+}
+
+/**
+ * 修改当前账本中的记录
+ * @param {string} id - 记录ID
+ * @param {Object} changes - 要修改的字段 {quantity, price, fee, timestamp, note}，fee 为空时改为按费率计算
+ * @returns {Object} 修改后的记录
+ */
+export function updatePosition(id, changes) {
+    const ledger = requireActiveLedger();
+    const index = ledger.positions.findIndex(p => p.id === id);
+    if (index < 0) {
+        throw new Error(t('记录不存在'));
+    }
+    
+    const current = ledger.positions[index];
+    const { errors, values } = validateEntryInput({
+        quantity: changes.quantity !== undefined ? changes.quantity : current.quantity,
+        price: changes.price !== undefined ? changes.price : current.price,
+        orderType: current.orderType,
+        fee: changes.fee !== undefined ? changes.fee : current.fee
+    });
+    
+    const record = { ...current, quantity: values.quantity, price: values.price, fee: values.fee };
+    
+    if (changes.timestamp !== undefined) {
+        const timestamp = Number(changes.timestamp);
+        if (!Number.isFinite(timestamp) || timestamp <= 0) {
+            errors.push(validator.createFieldError('timestamp', validator.ErrorCode.INVALID_NUMBER, t('时间无效')));
+        }
+        record.timestamp = timestamp;
+    }
+    if (changes.note !== undefined) {
+        const note = String(changes.note || '').trim();
+        if (note.length > MAX_NOTE_LENGTH) {
+            errors.push(validator.createFieldError('note', validator.ErrorCode.OUT_OF_RANGE, t('备注不能超过{max}个字符', { max: MAX_NOTE_LENGTH })));
+        }
+        record.note = note;
+    }
+    validator.throwIfInvalid(errors);
+    
+    const entries = [...ledger.positions];
+    entries[index] = record;
+    commitEntries(ledger, entries, t('修改记录'));
+    return buildPosition(record, ledger);
+}
+
+/**
+ * 调整当前账本中记录的顺序（记录按顺序回放）
+ * @param {string} id - 记录ID
+ * @param {number} offset - 移动的位置数，负数为上移
+ */
+export function movePosition(id, offset) {
+    const ledger = requireActiveLedger();
+    const index = ledger.positions.findIndex(p => p.id === id);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= ledger.positions.length) return;
+    
+    const entries = [...ledger.positions];
+    const [record] = entries.splice(index, 1);
+    entries.splice(target, 0, record);
+    commitEntries(ledger, entries, t('调整记录顺序'));
+}
+
+/**
+ * 获取当前账本的所有记录
+ * @returns {Array}
+ */
+export function getAllPositions() {
+    const ledger = ledgers.getActiveLedger();
+    return ledger ? getLedgerPositions(ledger) : [];
+}
+
+/**
+ * 清空当前账本的所有记录
+ */
+export function clearPositions() {
+    const ledger = requireActiveLedger();
+    if (ledger.positions.length === 0) return;
+    ledgers.setLedgerEntries(ledger.id, [], t('清空记录'));
+}
+
+/**
+ * 撤销最近一次记录变更（可能切换到被修改的账本）
+ * @returns {string|null} 被撤销的操作描述
+ */
+export function undoLedgerChange() {
+    return ledgers.undo();
+}
+
+/**
+ * 重做最近一次撤销的记录变更
+ * @returns {string|null} 被重做的操作描述
+ */
+export function redoLedgerChange() {
+    return ledgers.redo();
+}
+
+/**
+ * 计算平仓剩余持仓的保本价（含已实现盈亏与市价平仓手续费）
+ * @param {Decimal} quantity - 剩余持仓数量
+ * @param {Decimal} openValue - 剩余持仓按开仓价计算的价值
+ * @param {Decimal} openFee - 剩余持仓分摊的开仓手续费
+ * @param {Decimal} realizedPnl - 已实现盈亏
+ * @param {Object} ledger - 账本（决定交易方向、Taker费率与合约类型）
+ * @returns {number|null} 无剩余持仓或任意价格均可保本时返回 null
+ */
+function calculateLedgerBreakEven(quantity, openValue, openFee, realizedPnl, ledger) {
+    if (!quantity.isPositive()) return null;
+    
+    const rate = ledger.takerFeeRate;
+    const faceValue = ledger.contractFaceValue;
+    const isLong = ledger.direction === config.Direction.LONG;
+    let price;
+    
+    if (config.isInverse(ledger)) {
+        // 币本位：平仓价值 = 张数 × 面值 / 价格
+        const denominator = isLong
+            ? openValue.minus(openFee).plus(realizedPnl)
+            : openValue.plus(openFee).minus(realizedPnl);
+        if (!denominator.isPositive()) return null;
+        const numerator = quantity.times(faceValue).times(isLong ? decimal(1).plus(rate) : decimal(1).minus(rate));
+        price = numerator.div(denominator);
+    } else {
+        price = isLong
+            ? openValue.plus(openFee).minus(realizedPnl).div(quantity.times(decimal(1).minus(rate)))
+            : openValue.minus(openFee).plus(realizedPnl).div(quantity.times(decimal(1).plus(rate)));
+    }
+    
+    return price.isPositive() ? price.toNumber() : null;
+}
+
+/**
+ * 按顺序回放记录，计算持仓均价与已实现盈亏（根据账本的交易方向与合约类型）
+ * 减仓按比例结转持仓成本与开仓手续费，剩余持仓均价保持不变
+ * @param {Array} entries - 记录列表
+ * @param {Object} ledger - 记录所属账本
+ * @returns {Object}
+ */
+function replayLedger(entries, ledger) {
+    const isLong = ledger.direction === config.Direction.LONG;
+    const zero = decimal(0);
+    let openQuantity = zero;   // 剩余持仓数量
+    let openValue = zero;      // 剩余持仓按开仓价计算的价值
+    let openFee = zero;        // 剩余持仓分摊的开仓手续费
+    let openCost = zero;       // 剩余持仓的含手续费总成本
+    let averagePrice = zero;
+    let totalQuantity = zero;
+    let closedQuantity = zero;
+    let realizedPnl = zero;
+    const realizedByEntry = {};
+    
+    entries.forEach(entry => {
+        if (entry.action === EntryAction.CLOSE) {
+            // 允许微小的误差（数量可能经过步长取整）
+            if (decimal(entry.quantity).gt(openQuantity.times('1.000000001'))) {
+                throw new Error(t('减仓数量超过当前持仓数量'));
+            }
+            
+            const ratio = min(decimal(entry.quantity).div(openQuantity), 1);
+            const entryValue = openValue.times(ratio);
+            const allocatedFee = openFee.times(ratio);
+            const exitValue = config.getPositionValueDecimal(entry.quantity, entry.price, ledger);
+            const closeFee = entry.fee;
+            
+            // U本位价格上涨时价值增加，币本位相反
+            const priceGain = config.isInverse(ledger) ? entryValue.minus(exitValue) : exitValue.minus(entryValue);
+            const pnl = (isLong ? priceGain : priceGain.neg()).minus(allocatedFee).minus(closeFee);
+            
+            realizedByEntry[entry.id] = pnl.toNumber();
+            realizedPnl = realizedPnl.plus(pnl);
+            closedQuantity = closedQuantity.plus(entry.quantity);
+            
+            if (ratio.gte('0.999999999')) {
+                openQuantity = zero;
+                openValue = zero;
+                openFee = zero;
+                openCost = zero;
+            } else {
+                openQuantity = openQuantity.minus(entry.quantity);
+                openValue = openValue.minus(entryValue);
+                openFee = openFee.minus(allocatedFee);
+                openCost = openCost.minus(openCost.times(ratio));
+            }
+        } else {
+            openQuantity = openQuantity.plus(entry.quantity);
+            openValue = openValue.plus(config.getPositionValueDecimal(entry.quantity, entry.price, ledger));
+            openFee = openFee.plus(entry.fee);
+            openCost = openCost.plus(entry.totalCost);
+            totalQuantity = totalQuantity.plus(entry.quantity);
+            
+            // 币本位使用调和平均：均价 = Σ(张数 × 面值) / Σ(张数 × 面值 / 实际成本价)
+            averagePrice = config.isInverse(ledger)
+                ? openQuantity.times(ledger.contractFaceValue).div(openCost)
+                : openCost.div(openQuantity);
+        }
+    });
+    
+    return {
+        averagePrice: averagePrice.toNumber(),
+        totalQuantity: totalQuantity.toNumber(),
+        totalCost: openCost.toNumber(),
+        remainingQuantity: openQuantity.toNumber(),
+        closedQuantity: closedQuantity.toNumber(),
+        realizedPnl: realizedPnl.toNumber(),
+        breakEvenPrice: calculateLedgerBreakEven(openQuantity, openValue, openFee, realizedPnl, ledger),
+        realizedByEntry: realizedByEntry
+    };
+}
+
+/**
+ * 计算账本的开仓均价
+ * @param {string} ledgerId - 账本ID（默认当前账本）
+ * @returns {Object} {averagePrice, totalQuantity, totalCost, remainingQuantity, closedQuantity, realizedPnl, breakEvenPrice, realizedByEntry}
+ */
+export function calculateAveragePrice(ledgerId = null) {
+    const ledger = ledgerId ? ledgers.getLedger(ledgerId) : ledgers.getActiveLedger();
+    if (!ledger) {
+        throw new Error(t('账本不存在'));
+    }
+    if (ledger.positions.length === 0) {
+        throw new Error(t('暂无开仓记录'));
+    }
+    
+    return replayLedger(getLedgerPositions(ledger), ledger);
+}
+
+/**
+ * 汇总所有账本的持仓概览
+ * @param {boolean} includeArchived - 是否包含已归档账本
+ * @returns {Object} {rows: [{id, name, symbol, direction, currency, archived, entryCount, remainingQuantity, averagePrice, realizedPnl, breakEvenPrice}], totals: [{currency, realizedPnl}]}
+ */
+export function calculateLedgerOverview(includeArchived = false) {
+    const rows = ledgers.getLedgers(includeArchived).map(ledger => {
+        // 无法回放的账本按无持仓汇总，由存储提示引导修复
+        const result = ledger.positions.length > 0 && isLedgerReplayable(ledger) ? replayLedger(getLedgerPositions(ledger), ledger) : null;
+        return {
+            id: ledger.id,
+            name: ledger.name,
+            symbol: ledger.symbol,
+            direction: ledger.direction,
+            currency: config.getSettlementCurrency(ledger),
+            archived: ledger.archived,
+            entryCount: ledger.positions.length,
+            remainingQuantity: result ? result.remainingQuantity : 0,
+            averagePrice: result && result.remainingQuantity > 0 ? result.averagePrice : null,
+            realizedPnl: result ? result.realizedPnl : 0,
+            breakEvenPrice: result ? result.breakEvenPrice : null
+        };
+    });
+    
+    // 账本的结算币种可能不同，已实现盈亏按币种分别合计
+    const currencies = [...new Set(rows.map(row => row.currency))];
+    return {
+        rows: rows,
+        totals: currencies.map(currency => ({
+            currency: currency,
+            realizedPnl: sum(rows.filter(row => row.currency === currency).map(row => row.realizedPnl)).toNumber()
+        }))
+    };
+}
+
+// 加仓求解模式
+export const SolverMode = {
+    TARGET: 'target',   // 达到目标均价所需数量
+    BUDGET: 'budget',   // 按预算计算加仓后均价
+    PLAN: 'plan'        // 价格区间分批加仓计划
+};
+
+// 当前加仓求解模式
+let solverMode = SolverMode.TARGET;
+
+// 分批加仓计划的资金分配方式
+export const PlanWeighting = {
+    EQUAL: 'equal',         // 每档资金相同
+    LINEAR: 'linear',       // 资金按 1、2、3… 递增
+    DOUBLE: 'double'        // 资金逐档翻倍（倍投）
+};
+
+// 目标均价求解的字段规则
+const TARGET_SOLVER_FIELDS = {
+    targetAverage: { label: '目标均价', input: 'solverTargetAverage', positive: true },
+    addPrice: { label: '加仓价格', input: 'solverTargetPrice', positive: true },
+    orderType: ORDER_TYPE_FIELD
+};
+
+// 按预算加仓的字段规则
+const BUDGET_SOLVER_FIELDS = {
+    budget: { label: '预算', input: 'solverBudget', positive: true },
+    addPrice: { label: '加仓价格', input: 'solverBudgetPrice', positive: true },
+    leverage: { label: '杠杆倍数', input: 'solverBudgetLeverage', positive: true },
+    orderType: ORDER_TYPE_FIELD
+};
+
+// 分批加仓计划的字段规则
+const PLAN_FIELDS = {
+    startPrice: { label: '起始价格', input: 'planStartPrice', positive: true },
+    endPrice: { label: '结束价格', input: 'planEndPrice', positive: true },
+    levelCount: {
+        label: '档数',
+        input: 'planLevels',
+        integer: true,
+        min: 2,
+        max: 20,
+        messages: {
+            [validator.ErrorCode.NOT_INTEGER]: '档数必须是2到20之间的整数',
+            [validator.ErrorCode.OUT_OF_RANGE]: '档数必须是2到20之间的整数'
+        }
+    },
+    budget: { label: '预算', input: 'planBudget', positive: true },
+    leverage: { label: '杠杆倍数', input: 'planLeverage', positive: true },
+    weighting: {
+        label: '资金分配方式',
+        input: 'planWeighting',
+        options: Object.values(PlanWeighting),
+        messages: { [validator.ErrorCode.INVALID_OPTION]: '资金分配方式无效' }
+    },
+    orderType: ORDER_TYPE_FIELD
+};
+
+// 各求解模式的字段规则
+const SOLVER_SCHEMAS = {
+    [SolverMode.TARGET]: TARGET_SOLVER_FIELDS,
+    [SolverMode.BUDGET]: BUDGET_SOLVER_FIELDS,
+    [SolverMode.PLAN]: PLAN_FIELDS
+};
+
+// 各求解模式记录到计算历史的结果 {结果元素ID: 名称}
+const SOLVER_HISTORY_RESULTS = {
+    [SolverMode.TARGET]: {
+        solverQuantity: '加仓数量',
+        solverAverage: '加仓后均价',
+        solverBreakEven: '加仓后保本价'
+    },
+    [SolverMode.BUDGET]: {
+        solverQuantity: '加仓数量',
+        solverAverage: '加仓后均价',
+        solverBreakEven: '加仓后保本价'
+    },
+    [SolverMode.PLAN]: {
+        planTotalQuantity: '合计加仓数量',
+        planAverage: '全部成交后均价'
+    }
+};
+
+// 各求解模式的名称
+const SOLVER_MODE_LABELS = {
+    [SolverMode.TARGET]: '目标均价',
+    [SolverMode.BUDGET]: '按预算',
+    [SolverMode.PLAN]: '分批计划'
+};
+
+/**
+ * 模拟在当前账本上追加开仓记录后的结果（不修改账本）
+ * @param {Object} ledger - 账本
+ * @param {Array} adds - 计划加仓 [{quantity, price}]
+ * @param {string} orderType - 订单类型
+ * @returns {Array} 每次加仓后的回放结果
+ */
+function simulateAdds(ledger, adds, orderType) {
+    const entries = getLedgerPositions(ledger);
+    return adds.map((add, index) => {
+        entries.push(buildPosition({
+            id: `plan-${index}`,
+            action: EntryAction.OPEN,
+            quantity: add.quantity,
+            price: add.price,
+            orderType: orderType,
+            timestamp: null
+        }, ledger));
+        return replayLedger(entries, ledger);
+    });
+}
+
+/**
+ * 按保证金预算计算可加仓数量（预算包含开仓手续费）
+ * 数量 = 预算 / (单位价值 × (1 / 杠杆 + 费率))
+ * @param {number} budget - 预算（结算币种）
+ * @param {number} price - 加仓价格
+ * @param {number} leverage - 杠杆倍数
+ * @param {number} feeRate - 手续费率
+ * @param {Object} ledger - 加仓的账本（决定合约类型）
+ * @returns {number}
+ */
+function getQuantityForBudget(budget, price, leverage, feeRate, ledger) {
+    const unitCost = config.getPositionValueDecimal(1, price, ledger).times(decimal(1).div(leverage).plus(feeRate));
+    return decimal(budget).div(unitCost).toNumber();
+}
+
+/**
+ * 按字段规则验证加仓求解的输入，存在错误时抛出 ValidationError
+ * @param {Object} schema - 字段规则
+ * @param {Object} values - 字段值
+ * @returns {Object} 解析后的字段值
+ */
+function validateSolverInput(schema, values) {
+    const validation = validator.validateSchema(schema, values);
+    validator.throwIfInvalid(validation.errors);
+    return validation.values;
+}
+    
+/**
+ * 创建单个字段的验证错误（用于求解结果与输入不匹配的情况）
+ * @param {Object} schema - 字段规则
+ * @param {string} field - 字段名
+ * @param {string} message - 错误消息
+ * @returns {ValidationError}
+ */
+function createSolverError(schema, field, message) {
+    return new validator.ValidationError([
+        validator.createSchemaError(schema, field, validator.ErrorCode.CONFLICT, message)
+    ]);
+}
+
+/**
+ * 计算在指定价格加仓多少可使当前账本的持仓均价达到目标均价
+ * 按单位成本求解：数量 = (持仓成本 - 持仓数量 × u(目标均价)) / (u(目标均价) - u(加仓实际成本))，u 为单位价值
+ * @param {number} targetAverage - 目标均价
+ * @param {number} addPrice - 计划加仓价格
+ * @param {string} orderType - 订单类型（默认限价Maker）
+ * @returns {Object} {quantity, rawQuantity, addValue, fee, averagePrice, breakEvenPrice, remainingQuantity, orderIssues}
+ */
+export function solveAddForTargetAverage(targetAverage, addPrice, orderType = config.OrderType.MAKER) {
+    const values = validateSolverInput(TARGET_SOLVER_FIELDS, { targetAverage, addPrice, orderType });
+    
+    const ledger = requireActiveLedger();
+    const current = ledger.positions.length > 0 ? replayLedger(getLedgerPositions(ledger), ledger) : null;
+    if (!current || current.remainingQuantity <= 0) {
+        throw new Error(t('当前账本没有持仓，无法计算目标均价'));
+    }
+    
+    const target = values.targetAverage;
+    const addCost = buildPosition({ action: EntryAction.OPEN, quantity: 1, price: addPrice, orderType: orderType }, ledger).actualCost;
+    const low = Math.min(current.averagePrice, addCost);
+    const high = Math.max(current.averagePrice, addCost);
+    
+    // 加仓后的均价只能落在当前均价与加仓实际成本之间
+    if (target <= low || target >= high) {
+        throw createSolverError(TARGET_SOLVER_FIELDS, 'targetAverage',
+            t('目标均价必须介于当前均价 {average} 与加仓成本 {cost} 之间', {
+                average: validator.formatPrice(current.averagePrice, 4),
+                cost: validator.formatPrice(addCost, 4)
+            }));
+    }
+    
+    const targetUnit = config.getPositionValueDecimal(1, target, ledger);
+    const addUnit = config.getPositionValueDecimal(1, addCost, ledger);
+    const rawQuantity = decimal(current.totalCost).minus(targetUnit.times(current.remainingQuantity))
+        .div(targetUnit.minus(addUnit))
+        .toNumber();
+    
+    // 按交易品种步长取整后重新回放，结果为实际可下单数量对应的均价
+    const quantity = instruments.adjustQuantity(rawQuantity);
+    if (!(quantity > 0)) {
+        throw new Error(t('按交易品种步长取整后加仓数量为0'));
+    }
+    
+    const result = simulateAdds(ledger, [{ quantity: quantity, price: values.addPrice }], orderType)[0];
+    const addValue = config.getPositionValueDecimal(quantity, values.addPrice, ledger);
+    
+    return {
+        quantity: quantity,
+        rawQuantity: rawQuantity,
+        addValue: addValue.toNumber(),
+        fee: addValue.times(getLedgerFeeRate(ledger, orderType)).toNumber(),
+        averagePrice: result.averagePrice,
+        breakEvenPrice: result.breakEvenPrice,
+        remainingQuantity: result.remainingQuantity,
+        orderIssues: instruments.checkActiveOrder(quantity, values.addPrice)
+    };
+}
+
+/**
+ * 计算按预算在指定价格加仓后的持仓均价
+ * @param {number} budget - 保证金预算（结算币种，含开仓手续费）
+ * @param {number} addPrice - 计划加仓价格
+ * @param {number} leverage - 杠杆倍数（默认1倍）
+ * @param {string} orderType - 订单类型（默认限价Maker）
+ * @returns {Object} {quantity, margin, addValue, fee, averagePrice, breakEvenPrice, remainingQuantity, orderIssues}
+ */
+export function solveAverageForBudget(budget, addPrice, leverage = 1, orderType = config.OrderType.MAKER) {
+    const values = validateSolverInput(BUDGET_SOLVER_FIELDS, { budget, addPrice, leverage, orderType });
+    
+    const ledger = requireActiveLedger();
+    const price = values.addPrice;
+    const leverageValue = values.leverage;
+    const feeRate = getLedgerFeeRate(ledger, orderType);
+    const quantity = instruments.adjustQuantity(getQuantityForBudget(values.budget, price, leverageValue, feeRate, ledger));
+    if (!(quantity > 0)) {
+        throw createSolverError(BUDGET_SOLVER_FIELDS, 'budget', t('预算不足以加仓最小数量'));
+    }
+    
+    const addValue = config.getPositionValueDecimal(quantity, price, ledger);
+    const result = simulateAdds(ledger, [{ quantity: quantity, price: price }], orderType)[0];
+    
+    return {
+        quantity: quantity,
+        margin: addValue.div(leverageValue).toNumber(),
+        addValue: addValue.toNumber(),
+        fee: addValue.times(feeRate).toNumber(),
+        averagePrice: result.averagePrice,
+        breakEvenPrice: result.breakEvenPrice,
+        remainingQuantity: result.remainingQuantity,
+        orderIssues: instruments.checkActiveOrder(quantity, price, leverageValue)
+    };
+}
+
+/**
+ * 在价格区间内规划分批加仓（价格等距分档，按资金分配方式分配预算）
+ * @param {number} startPrice - 起始价格（第一档）
+ * @param {number} endPrice - 结束价格（最后一档）
+ * @param {number} levelCount - 档数（2-20）
+ * @param {number} budget - 总保证金预算（结算币种，含开仓手续费）
+ * @param {number} leverage - 杠杆倍数（默认1倍）
+ * @param {string} weighting - 资金分配方式（默认等额）
+ * @param {string} orderType - 订单类型（默认限价Maker）
+ * @returns {Object} {levels: [{price, budget, quantity, cumulativeQuantity, averagePrice, breakEvenPrice, orderIssues}], totalQuantity, totalMargin, totalFee, averagePrice, breakEvenPrice}
+ */
+export function planAddsAcrossRange(startPrice, endPrice, levelCount, budget, leverage = 1, weighting = PlanWeighting.EQUAL, orderType = config.OrderType.MAKER) {
+    const values = validateSolverInput(PLAN_FIELDS, { startPrice, endPrice, levelCount, budget, leverage, weighting, orderType });
+    
+    const ledger = requireActiveLedger();
+    const count = values.levelCount;
+    const start = values.startPrice;
+    const end = values.endPrice;
+    const leverageValue = values.leverage;
+    const feeRate = getLedgerFeeRate(ledger, orderType);
+    
+    const weights = Array.from({ length: count }, (_, index) => {
+        if (weighting === PlanWeighting.LINEAR) return index + 1;
+        if (weighting === PlanWeighting.DOUBLE) return Math.pow(2, index);
+        return 1;
+    });
+    const weightSum = sum(weights);
+    
+    const adds = weights.map((weight, index) => {
+        const levelPrice = decimal(end).minus(start).times(index).div(count - 1).plus(start);
+        const price = instruments.adjustPrice(levelPrice.toNumber(), 'nearest');
+        const levelBudget = decimal(values.budget).times(weight).div(weightSum).toNumber();
+        return {
+            price: price,
+            budget: levelBudget,
+            quantity: instruments.adjustQuantity(getQuantityForBudget(levelBudget, price, leverageValue, feeRate, ledger))
+        };
+    });
+    
+    if (adds.some(add => !(add.quantity > 0))) {
+        throw createSolverError(PLAN_FIELDS, 'budget', t('部分档位预算不足以加仓最小数量，请增加预算或减少档数'));
+    }
+    
+    const results = simulateAdds(ledger, adds, orderType);
+    let cumulativeQuantity = decimal(0);
+    
+    const levels = adds.map((add, index) => {
+        cumulativeQuantity = cumulativeQuantity.plus(add.quantity);
+        return {
+            price: add.price,
+            budget: add.budget,
+            quantity: add.quantity,
+            cumulativeQuantity: cumulativeQuantity.toNumber(),
+            averagePrice: results[index].averagePrice,
+            breakEvenPrice: results[index].breakEvenPrice,
+            orderIssues: instruments.checkActiveOrder(add.quantity, add.price, leverageValue)
+        };
+    });
+    
+    const totalValue = sum(adds.map(add => config.getPositionValueDecimal(add.quantity, add.price, ledger)));
+    const final = results[results.length - 1];
+    
+    return {
+        levels: levels,
+        totalQuantity: cumulativeQuantity.toNumber(),
+        totalMargin: totalValue.div(leverageValue).toNumber(),
+        totalFee: totalValue.times(feeRate).toNumber(),
+        averagePrice: final.averagePrice,
+        breakEvenPrice: final.breakEvenPrice
+    };
+}
+
+// 正在编辑的记录ID
+let editingPositionId = null;
+
+/**
+ * 将时间戳转换为 datetime-local 输入框的值（本地时间）
+ * @param {number} timestamp - 毫秒时间戳
+ * @returns {string}
+ */
+function toDateTimeInputValue(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp - new Date(timestamp).getTimezoneOffset() * 60000);
+    return date.toISOString().slice(0, 19);
+}
+
+/**
+ * 生成记录的展示行
+ * @param {Object} position - 记录
+ * @param {number} realized - 减仓记录的已实现盈亏
+ * @param {number} index - 序号
+ * @param {number} count - 记录总数
+ * @param {string} currency - 账本的结算币种
+ * @returns {string}
+ */
+function renderPositionRow(position, realized, index, count, currency) {
+    return `
+        <div class="flex items-center justify-between py-4 border-b border-gray-200" data-id="${position.id}">
+            <div class="flex-1">
+                <div class="flex items-center justify-between mb-1">
+                    <span class="text-xs text-gray-500 uppercase tracking-wider">${t('操作')}</span>
+                    <span class="text-sm font-medium ${position.action === EntryAction.CLOSE ? 'text-orange-500' : 'text-blue-600'}">${getActionLabel(position.action)}</span>
+                </div>
+                <div class="flex items-center justify-between mb-1">
+                    <span class="text-xs text-gray-500 uppercase tracking-wider">${t('数量')}</span>
+                    <span class="text-base font-light text-gray-900">${validator.formatQuantity(position.quantity, 4)}</span>
+                </div>
+                <div class="flex items-center justify-between mb-1">
+                    <span class="text-xs text-gray-500 uppercase tracking-wider">${t('价格')}</span>
+                    <span class="text-base font-light text-gray-900">${validator.formatPrice(position.price, 4)}</span>
+                </div>
+                <div class="flex items-center justify-between mb-1">
+                    <span class="text-xs text-gray-400">${t('类型')}</span>
+                    <span class="text-xs text-gray-500">${getOrderTypeLabel(position.orderType)}</span>
+                </div>
+                <div class="flex items-center justify-between mb-1">
+                    <span class="text-xs text-gray-400">${position.feeRecorded ? t('手续费（实际）') : t('手续费')}</span>
+                    <span class="text-xs text-gray-500">${validator.formatNumber(position.fee, 4)} ${currency}</span>
+                </div>
+                <div class="flex items-center justify-between">
+                    <span class="text-xs text-gray-400">${t('含手续费')}</span>
+                    <span class="text-xs text-gray-500">${validator.formatPrice(position.actualCost, 4)}</span>
+                </div>
+                ${position.action === EntryAction.CLOSE ? `
+                <div class="flex items-center justify-between mt-1">
+                    <span class="text-xs text-gray-400">${t('已实现盈亏')}</span>
+                    <span class="text-sm ${realized >= 0 ? 'text-green-600' : 'text-red-600'}">${validator.formatNumber(realized, 4)}</span>
+                </div>` : ''}
+                <div class="flex items-center justify-between mt-1">
+                    <span class="text-xs text-gray-400">${t('时间')}</span>
+                    <span class="text-xs text-gray-500">${position.timestamp ? formatDateTime(position.timestamp) : '-'}</span>
+                </div>
+                ${position.note ? `
+                <div class="flex items-center justify-between mt-1">
+                    <span class="text-xs text-gray-400">${t('备注')}</span>
+                    <span class="text-xs text-gray-500">${validator.escapeHtml(position.note)}</span>
+                </div>` : ''}
+            </div>
+            <div class="flex flex-col items-center ml-6 space-y-1">
+                <button class="move-position text-gray-400 hover:text-gray-700 text-sm transition-colors ${index === 0 ? 'invisible' : ''}" data-id="${position.id}" data-offset="-1" title="${t('上移')}">↑</button>
+                <button class="edit-position text-blue-400 hover:text-blue-600 text-xs transition-colors" data-id="${position.id}">${t('编辑')}</button>
+                <button class="move-position text-gray-400 hover:text-gray-700 text-sm transition-colors ${index === count - 1 ? 'invisible' : ''}" data-id="${position.id}" data-offset="1" title="${t('下移')}">↓</button>
+            </div>
+            <button class="delete-position ml-4 text-red-400 hover:text-red-600 text-xl transition-colors" data-id="${position.id}">
+                ×
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * 生成记录的编辑行
+ * @param {Object} position - 记录
+ * @returns {string}
+ */
+function renderPositionEditor(position) {
+    const inputClass = 'w-full px-2 py-1 border-0 border-b-2 border-gray-200 bg-transparent text-sm focus:outline-none focus:border-blue-500';
+    return `
+        <div class="py-4 border-b border-gray-200 position-editor" data-id="${position.id}">
+            <div class="text-xs text-gray-500 mb-2">${t('编辑{action}记录（{orderType}）', { action: getActionLabel(position.action), orderType: getOrderTypeLabel(position.orderType) })}</div>
+            <div class="grid grid-cols-2 gap-3">
+                <label class="text-xs text-gray-400">${t('数量')}
+                    <input type="text" data-numeric step="any" min="0" class="${inputClass}" data-field="quantity" value="${position.quantity}">
+                </label>
+                <label class="text-xs text-gray-400">${t('价格')}
+                    <input type="text" data-numeric step="any" min="0" class="${inputClass}" data-field="price" value="${position.price}">
+                </label>
+                <label class="text-xs text-gray-400">${t('实际手续费（留空按费率）')}
+                    <input type="text" data-numeric step="any" class="${inputClass}" data-field="fee" value="${position.feeRecorded ? position.fee : ''}">
+                </label>
+                <label class="text-xs text-gray-400">${t('时间')}
+                    <input type="datetime-local" step="1" class="${inputClass}" data-field="timestamp" value="${toDateTimeInputValue(position.timestamp)}">
+                </label>
+            </div>
+            <label class="block text-xs text-gray-400 mt-3">${t('备注')}
+                <input type="text" maxlength="${MAX_NOTE_LENGTH}" class="${inputClass}" data-field="note" value="${validator.escapeHtml(position.note)}">
+            </label>
+            <div class="flex justify-end space-x-3 mt-3">
+                <button class="cancel-edit px-4 py-1 text-sm text-gray-500 hover:text-gray-700">${t('取消')}</button>
+                <button class="save-edit px-4 py-1 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600">${t('保存')}</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * 保存编辑行中的修改
+ * @param {HTMLElement} editor - 编辑行元素
+ */
+function saveEditedPosition(editor) {
+    const read = field => editor.querySelector(`[data-field="${field}"]`).value;
+    const timeValue = read('timestamp');
+    
+    updatePosition(editor.dataset.id, {
+        quantity: read('quantity'),
+        price: read('price'),
+        fee: read('fee').trim() || null,
+        timestamp: timeValue ? new Date(timeValue).getTime() : NaN,
+        note: read('note')
+    });
+}
+
+/**
+ * 渲染开仓记录列表
+ */
+function renderPositionList() {
+    const listDiv = document.getElementById('positionList');
+    if (!listDiv) return;
+    
+    const ledger = ledgers.getActiveLedger();
+    const positions = getAllPositions();
+    if (positions.length === 0) {
+        editingPositionId = null;
+        listDiv.innerHTML = `<p class="text-sm text-gray-400 text-center py-8">${t('暂无开仓记录')}</p>`;
+        return;
+    }
+    
+    // 无法回放的账本（见存储提示）只列出记录，不显示已实现盈亏
+    const realizedByEntry = isLedgerReplayable(ledger) ? replayLedger(positions, ledger).realizedByEntry : {};
+    
+    listDiv.innerHTML = positions.map((position, index) => (position.id === editingPositionId
+        ? renderPositionEditor(position)
+        : renderPositionRow(position, realizedByEntry[position.id], index, positions.length, config.getSettlementCurrency(ledger))
+    )).join('');
+    
+    /**
+     * 执行记录操作，成功后重新渲染
+     * @param {Function} action - 记录操作
+     * @param {HTMLElement} editor - 正在编辑的行（可选，用于标记行内出错的输入框）
+     */
+    const runEntryAction = (action, editor = null) => {
+        try {
+            validator.hideError('averageError');
+            action();
+            renderLedgerView();
+        } catch (error) {
+            validator.showValidationError('averageError', error,
+                editor ? fieldError => editor.querySelector(`[data-field="${fieldError.field}"]`) : null);
+        }
+    };
+    
+    // 绑定删除按钮事件
+    listDiv.querySelectorAll('.delete-position').forEach(btn => {
+        btn.addEventListener('click', (e) => runEntryAction(() => removePosition(e.target.dataset.id)));
+    });
+    
+    // 调整顺序
+    listDiv.querySelectorAll('.move-position').forEach(btn => {
+        btn.addEventListener('click', (e) => runEntryAction(() => movePosition(e.target.dataset.id, parseInt(e.target.dataset.offset, 10))));
+    });
+    
+    // 进入编辑（同一时间只编辑一行）
+    listDiv.querySelectorAll('.edit-position').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            editingPositionId = e.target.dataset.id;
+            renderPositionList();
+        });
+    });
+    
+    listDiv.querySelectorAll('.position-editor').forEach(editor => {
+        editor.querySelector('.save-edit').addEventListener('click', () => runEntryAction(() => {
+            saveEditedPosition(editor);
+            editingPositionId = null;
+        }, editor));
+        editor.querySelector('.cancel-edit').addEventListener('click', () => {
+            editingPositionId = null;
+            validator.hideError('averageError');
+            renderPositionList();
+        });
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                editor.querySelector('.save-edit').click();
+            } else if (e.key === 'Escape') {
+                editor.querySelector('.cancel-edit').click();
+            }
+        });
+    });
+}
+
+/**
+ * 更新撤销/重做按钮状态
+ */
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undoLedger');
+    const redoBtn = document.getElementById('redoLedger');
+    if (!undoBtn || !redoBtn) return;
+    
+    const history = ledgers.getHistoryState();
+    undoBtn.disabled = !history.undo;
+    redoBtn.disabled = !history.redo;
+    undoBtn.title = history.undo ? t('撤销：{label}', { label: history.undo }) : t('没有可撤销的操作');
+    redoBtn.title = history.redo ? t('重做：{label}', { label: history.redo }) : t('没有可重做的操作');
+}
+
+/**
+ * 撤销或重做记录变更并重新渲染
+ * @param {boolean} isRedo - 是否为重做
+ */
+function applyHistoryStep(isRedo) {
+    const label = isRedo ? redoLedgerChange() : undoLedgerChange();
+    if (!label) return;
+    
+    editingPositionId = null;
+    renderLedgerView();
+    
+    const status = document.getElementById('ledgerHistoryStatus');
+    if (status) {
+        status.textContent = isRedo ? t('已重做：{label}', { label }) : t('已撤销：{label}', { label });
+    }
+}
+
+/**
+ * 初始化撤销/重做与清空按钮及快捷键
+ */
+function initLedgerHistory() {
+    const undoBtn = document.getElementById('undoLedger');
+    const redoBtn = document.getElementById('redoLedger');
+    const clearBtn = document.getElementById('clearPositions');
+    
+    if (!undoBtn || !redoBtn) return;
+    
+    undoBtn.addEventListener('click', () => applyHistoryStep(false));
+    redoBtn.addEventListener('click', () => applyHistoryStep(true));
+    
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            try {
+                validator.hideError('averageError');
+                clearPositions();
+                editingPositionId = null;
+                renderLedgerView();
+                
+                const status = document.getElementById('ledgerHistoryStatus');
+                if (status) {
+                    status.textContent = t('已清空记录，可撤销恢复');
+                }
+            } catch (error) {
+                validator.showError('averageError', error.message);
+            }
+        });
+    }
+    
+    // Ctrl/Cmd + Z 撤销，Ctrl/Cmd + Shift + Z 或 Ctrl + Y 重做
+    // 仅在开仓均价页面生效，输入框内保留浏览器自身的撤销
+    document.addEventListener('keydown', (e) => {
+        const calculator = document.getElementById('averagePriceCalculator');
+        if (!calculator || !calculator.classList.contains('active')) return;
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        
+        const target = e.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            applyHistoryStep(false);
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            applyHistoryStep(true);
+        }
+    });
+}
+
+/**
+ * 更新均价计算结果
+ */
+function updateAverageResult() {
+    const resultDiv = document.getElementById('averageResult');
+    const errorP = document.getElementById('averageError');
+    
+    if (!resultDiv) return;
+    
+    try {
+        validator.hideError('averageError');
+        
+        if (getAllPositions().length === 0) {
+            resultDiv.classList.add('hidden');
+            return;
+        }
+        
+        const result = calculateAveragePrice();
+        
+        document.getElementById('avgResultPrice').textContent = validator.formatPrice(result.averagePrice, 4);
+        document.getElementById('avgTotalPosition').textContent = validator.formatQuantity(result.totalQuantity, 4);
+        document.getElementById('avgTotalCost').textContent = validator.formatNumber(result.totalCost, 4);
+        document.getElementById('avgRemainingPosition').textContent = validator.formatQuantity(result.remainingQuantity, 4);
+        
+        const realizedEl = document.getElementById('avgRealizedPnl');
+        realizedEl.className = `text-base font-light ${result.realizedPnl >= 0 ? 'text-green-600' : 'text-red-600'}`;
+        realizedEl.textContent = validator.formatNumber(result.realizedPnl, 4);
+        document.getElementById('avgBreakEven').textContent =
+            result.breakEvenPrice === null ? '-' : validator.formatPrice(result.breakEvenPrice, 4);
+        
+        resultDiv.classList.remove('hidden');
+        resultDiv.classList.add('fade-in');
+        
+    } catch (error) {
+        validator.showError('averageError', error.message);
+        resultDiv.classList.add('hidden');
+    }
+}
+
+/**
+ * 渲染账本选择与当前账本设置
+ */
+function renderLedgerControls() {
+    const select = document.getElementById('ledgerSelect');
+    const showArchived = document.getElementById('ledgerShowArchived');
+    const active = ledgers.getActiveLedger();
+    if (!select || !active) return;
+    
+    // 已归档的当前账本（如撤销操作切换到该账本）始终显示
+    select.innerHTML = ledgers.getLedgers(true)
+        .filter(ledger => (showArchived && showArchived.checked) || !ledger.archived || ledger.id === active.id)
+        .map(ledger => `<option value="${ledger.id}">${validator.escapeHtml(ledger.name)}${ledger.archived ? t('（已归档）') : ''}</option>`)
+        .join('');
+    select.value = active.id;
+    
+    document.getElementById('ledgerDirection').value = active.direction;
+    document.getElementById('ledgerMakerFee').value = decimal(active.makerFeeRate).times(100).toNumber();
+    document.getElementById('ledgerTakerFee').value = decimal(active.takerFeeRate).times(100).toNumber();
+    document.getElementById('ledgerContractType').value = active.contractType;
+    
+    // 面值仅对币本位合约有效
+    const faceValueInput = document.getElementById('ledgerFaceValue');
+    faceValueInput.value = active.contractFaceValue;
+    faceValueInput.disabled = !config.isInverse(active);
+    
+    // 记录、求解与概览中的金额按当前账本的结算币种显示
+    document.querySelectorAll('.ledger-currency').forEach(el => {
+        el.textContent = config.getSettlementCurrency(active);
+    });
+    document.getElementById('archiveLedger').textContent = active.archived ? t('取消归档') : t('归档');
+}
+
+/**
+ * 渲染账本概览表
+ */
+function renderLedgerOverview() {
+    const body = document.getElementById('ledgerOverviewBody');
+    const showArchived = document.getElementById('ledgerShowArchived');
+    if (!body) return;
+    
+    const activeId = ledgers.getActiveLedger() ? ledgers.getActiveLedger().id : null;
+    const overview = calculateLedgerOverview(showArchived && showArchived.checked);
+    
+    body.innerHTML = overview.rows.map(row => `
+        <tr class="border-t border-gray-200 ${row.id === activeId ? 'font-medium' : ''} ${row.archived ? 'opacity-60' : ''}">
+            <td class="py-1 pr-2">${validator.escapeHtml(row.name)}${row.symbol ? ` <span class="text-xs text-gray-400">${validator.escapeHtml(row.symbol)}</span>` : ''}</td>
+            <td class="py-1 pr-2">${getDirectionLabel(row.direction)}</td>
+            <td class="py-1 pr-2">${row.entryCount}</td>
+            <td class="py-1 pr-2">${validator.formatQuantity(row.remainingQuantity, 4)}</td>
+            <td class="py-1 pr-2">${row.averagePrice === null ? '-' : validator.formatPrice(row.averagePrice, 4)}</td>
+            <td class="py-1 pr-2 ${row.realizedPnl >= 0 ? 'text-green-600' : 'text-red-600'}">${validator.formatNumber(row.realizedPnl, 4)} <span class="text-xs text-gray-400">${validator.escapeHtml(row.currency)}</span></td>
+            <td class="py-1">${row.breakEvenPrice === null ? '-' : validator.formatPrice(row.breakEvenPrice, 4)}</td>
+        </tr>
+    `).join('');
+    
+    const totalEl = document.getElementById('ledgerOverviewTotal');
+    totalEl.innerHTML = overview.totals
+        .map(total => `<span class="${total.realizedPnl >= 0 ? 'text-green-600' : 'text-red-600'}">${validator.formatNumber(total.realizedPnl, 4)} ${validator.escapeHtml(total.currency)}</span>`)
+        .join(' / ');
+}
+
+/**
+ * 重新渲染当前账本的全部内容（账本设置、记录列表、计算结果与概览）
+ */
+function renderLedgerView() {
+    renderLedgerStorageNotice();
+    renderLedgerControls();
+    renderPositionList();
+    updateAverageResult();
+    renderLedgerOverview();
+    refreshSolverResult();
+    updateHistoryButtons();
+}
+
+/**
+ * 本地账本无法读取（此时新的修改不会保存）或有账本无法回放时显示提示
+ */
+function renderLedgerStorageNotice() {
+    const notice = document.getElementById('ledgerStorageNotice');
+    if (!notice) return;
+    
+    const failure = ledgers.getLoadFailure();
+    const damaged = failure ? [] : getDamagedLedgers();
+    notice.classList.toggle('hidden', !failure && damaged.length === 0);
+    document.getElementById('resetLedgerStorage').classList.toggle('hidden', !failure);
+    document.getElementById('repairLedgers').classList.toggle('hidden', damaged.length === 0);
+    document.getElementById('clearDamagedLedgers').classList.toggle('hidden', damaged.length === 0);
+    
+    if (damaged.length > 0) {
+        document.getElementById('ledgerStorageMessage').textContent =
+            t('以下账本的记录无法回放（记录无效或减仓超过持仓）：{names}。建议先下载备份，再修复或清空这些账本。', {
+                names: damaged.map(ledger => ledger.name).join('、')
+            });
+    }
+    if (!failure) return;
+    
+    document.getElementById('ledgerStorageMessage').textContent = failure.reason === ledgerStorage.LoadFailure.UNSUPPORTED_VERSION
+        ? t('本地保存的开仓记录版本 {version} 高于当前支持的版本 {supported}，可能由更新版本的页面保存。为避免覆盖，本页的修改不会保存；请使用更新版本打开，或下载备份后重置。', {
+            version: failure.version,
+            supported: ledgerStorage.SCHEMA_VERSION
+        })
+        : t('本地保存的开仓记录已损坏，无法读取。本页的修改不会保存，请下载备份后重置。');
+}
+
+/**
+ * 下载本地保存的原始账本数据
+ */
+function downloadLedgerBackup() {
+    const content = ledgers.getStoredLedgerBackup();
+    if (!content) {
+        throw new Error(t('没有可备份的开仓记录'));
+    }
+    
+    const time = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    const stamp = `${time.getFullYear()}${pad(time.getMonth() + 1)}${pad(time.getDate())}-${pad(time.getHours())}${pad(time.getMinutes())}`;
+    const url = URL.createObjectURL(new Blob([content], { type: 'application/json;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ledger-backup-${stamp}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 切换加仓求解模式
+ * @param {string} mode - 求解模式
+ */
+function setSolverMode(mode) {
+    solverMode = mode;
+    
+    const buttons = {
+        [SolverMode.TARGET]: document.getElementById('solverModeTarget'),
+        [SolverMode.BUDGET]: document.getElementById('solverModeBudget'),
+        [SolverMode.PLAN]: document.getElementById('solverModePlan')
+    };
+    const panels = {
+        [SolverMode.TARGET]: document.getElementById('solverTargetPanel'),
+        [SolverMode.BUDGET]: document.getElementById('solverBudgetPanel'),
+        [SolverMode.PLAN]: document.getElementById('solverPlanPanel')
+    };
+    
+    const activeClass = 'px-5 py-2 rounded-full font-medium text-sm transition-all bg-blue-500 text-white';
+    const inactiveClass = 'px-5 py-2 rounded-full font-medium text-sm transition-all bg-white text-gray-700 border border-gray-200';
+    
+    Object.values(SolverMode).forEach(key => {
+        if (!buttons[key] || !panels[key]) return;
+        buttons[key].className = key === mode ? activeClass : inactiveClass;
+        panels[key].classList.toggle('hidden', key !== mode);
+    });
+    
+    // 切换模式时隐藏上一模式的结果和错误，实时计算时按新模式的输入重新计算
+    document.getElementById('solverResult').classList.add('hidden');
+    document.getElementById('planResult').classList.add('hidden');
+    validator.hideError('solverError');
+    instruments.showOrderIssues('solverOrderNotice', []);
+    if (config.isLiveCalculation()) {
+        recalculateAddSolver({ live: true });
+    }
+}
+
+/**
+ * 显示单次加仓的求解结果
+ * @param {Object} result - solveAddForTargetAverage 或 solveAverageForBudget 的结果
+ */
+function showSolverResult(result) {
+    const ledger = requireActiveLedger();
+    
+    // 做多加仓为买入，做空加仓为卖出
+    document.getElementById('solverSideLabel').textContent =
+        ledger.direction === config.Direction.SHORT ? t('需卖出数量') : t('需买入数量');
+    document.getElementById('solverQuantity').textContent = validator.formatQuantity(result.quantity, 4);
+    document.getElementById('solverValue').textContent = validator.formatNumber(result.addValue, 4);
+    document.getElementById('solverFee').textContent = validator.formatNumber(result.fee, 4);
+    document.getElementById('solverAverage').textContent = validator.formatPrice(result.averagePrice, 4);
+    document.getElementById('solverBreakEven').textContent =
+        result.breakEvenPrice === null ? '-' : validator.formatPrice(result.breakEvenPrice, 4);
+    
+    document.getElementById('solverResult').classList.remove('hidden');
+    instruments.showOrderIssues('solverOrderNotice', result.orderIssues);
+}
+
+/**
+ * 显示分批加仓计划
+ * @param {Object} plan - planAddsAcrossRange 的结果
+ */
+function showPlanResult(plan) {
+    document.getElementById('planResultBody').innerHTML = plan.levels.map((level, index) => `
+        <tr class="border-t border-gray-200">
+            <td class="py-1 pr-2 text-gray-500">${index + 1}</td>
+            <td class="py-1 pr-2">${validator.formatPrice(level.price, 4)}</td>
+            <td class="py-1 pr-2">${validator.formatQuantity(level.quantity, 4)}</td>
+            <td class="py-1 pr-2">${validator.formatQuantity(level.cumulativeQuantity, 4)}</td>
+            <td class="py-1 pr-2">${validator.formatPrice(level.averagePrice, 4)}</td>
+            <td class="py-1">${level.breakEvenPrice === null ? '-' : validator.formatPrice(level.breakEvenPrice, 4)}</td>
+        </tr>
+    `).join('');
+    
+    document.getElementById('planTotalQuantity').textContent = validator.formatQuantity(plan.totalQuantity, 4);
+    document.getElementById('planTotalMargin').textContent =
+        `${validator.formatNumber(plan.totalMargin, 4)} / ${validator.formatNumber(plan.totalFee, 4)}`;
+    document.getElementById('planAverage').textContent = validator.formatPrice(plan.averagePrice, 4);
+    
+    document.getElementById('planResult').classList.remove('hidden');
+    
+    // 汇总各档不符合下单限制的问题
+    const issues = [];
+    plan.levels.forEach((level, index) => {
+        level.orderIssues.forEach(issue => issues.push(t('{label}：{issue}', { label: t('第{level}档', { level: index + 1 }), issue })));
+    });
+    instruments.showOrderIssues('solverOrderNotice', issues);
+}
+
+/**
+ * 将当前求解模式成功的计算记录到计算历史（输入取自字段规则，结果取自已显示的结果，并记录所用的账本）
+ * @param {boolean} live - 是否由实时计算触发
+ */
+function recordSolverHistory(live) {
+    const fields = {};
+    Object.values(SOLVER_SCHEMAS[solverMode]).forEach(rule => {
+        fields[rule.input] = rule.label;
+    });
+    
+    const form = calculationHistory.readFormFields(fields);
+    calculationHistory.recordCalculation({
+        calculator: calculationHistory.HistoryCalculator.AVERAGE_PRICE,
+        type: solverMode,
+        title: SOLVER_MODE_LABELS[solverMode],
+        form: { fields: form.fields },
+        inputs: form.inputs,
+        results: Object.entries(SOLVER_HISTORY_RESULTS[solverMode]).map(([id, label]) => ({
+            label,
+            value: document.getElementById(id).textContent
+        })),
+        // 加仓求解按当前账本的交易方向与手续费率计算
+        ledger: requireActiveLedger()
+    }, { live });
+}
+
+/**
+ * 按当前求解模式与输入重新求解加仓
+ * @param {Object} options - {live} 是否由实时计算触发，见 liveCalculation.showCalculationError
+ */
+export function recalculateAddSolver({ live = false } = {}) {
+    const activeResultDiv = document.getElementById(solverMode === SolverMode.PLAN ? 'planResult' : 'solverResult');
+    const orderTypeSelect = document.getElementById('avgOrderType');
+    if (!activeResultDiv) return;
+    
+    const value = id => document.getElementById(id).value;
+    const orderType = orderTypeSelect ? orderTypeSelect.value : config.OrderType.MAKER;
+    
+    try {
+        validator.hideError('solverError');
+        
+        if (solverMode === SolverMode.PLAN) {
+            showPlanResult(planAddsAcrossRange(
+                value('planStartPrice'),
+                value('planEndPrice'),
+                value('planLevels'),
+                value('planBudget'),
+                value('planLeverage'),
+                value('planWeighting'),
+                orderType
+            ));
+        } else if (solverMode === SolverMode.BUDGET) {
+            showSolverResult(solveAverageForBudget(value('solverBudget'), value('solverBudgetPrice'), value('solverBudgetLeverage'), orderType));
+        } else {
+            showSolverResult(solveAddForTargetAverage(value('solverTargetAverage'), value('solverTargetPrice'), orderType));
+        }
+        recordSolverHistory(live);
+        liveCalculation.markResultCurrent(activeResultDiv);
+    } catch (error) {
+        liveCalculation.showCalculationError('solverError', error, activeResultDiv, { live });
+        // 结果被隐藏时一并清除下单提示（实时计算保留上次结果与提示）
+        if (activeResultDiv.classList.contains('hidden')) {
+            instruments.showOrderIssues('solverOrderNotice', []);
+        }
+    }
+}
 
 /**
- * 添加开仓记录
- * @param {number} quantity - 数量
- * @param {number} price - 价格
- * @returns {Object} 新增的记录
+ * 切换到计算历史记录所用的账本，账本的交易方向、手续费率或合约类型已修改时恢复为记录时的设置
+ * @param {Object} entry - 计算历史记录
  */
-export function addPosition(quantity, price) {
-    // 验证输入
-    const validation = validator.validateRequiredFields({
-        '数量': quantity,
-        '价格': price
-    });
-    
-    if (!validation.isValid) {
-        throw new Error(validation.message);
+function restoreSolverLedger(entry) {
+    const ledger = ledgers.getLedger(entry.ledger.id);
+    if (!ledger) {
+        throw new Error(t('记录所用的账本“{name}”已不存在', { name: entry.ledger.name }));
     }
     
-    // 验证正数
-    if (!validator.isPositive(quantity)) {
-        throw new Error('数量必须大于0');
+    ledgers.switchLedger(ledger.id);
+    if (ledger.direction !== entry.direction || ledger.makerFeeRate !== entry.makerFeeRate || ledger.takerFeeRate !== entry.takerFeeRate) {
+        ledgers.updateLedgerSettings(ledger.id, {
+            direction: entry.direction,
+            makerFeeRate: decimal(entry.makerFeeRate).times(100).toNumber(),
+            takerFeeRate: decimal(entry.takerFeeRate).times(100).toNumber()
+        });
     }
-    if (!validator.isPositive(price)) {
-        throw new Error('价格必须大于0');
+    // 早期的记录未保存合约设置
+    const contract = entry.contract;
+    if (contract && (ledger.contractType !== contract.contractType || ledger.contractFaceValue !== contract.contractFaceValue)) {
+        ledgers.updateLedgerSettings(ledger.id, {
+            contractType: contract.contractType,
+            contractFaceValue: contract.contractFaceValue
+        });
     }
+    renderLedgerView();
+}
+
+/**
+ * 初始化加仓求解
+ */
+function initAddSolver() {
+    const calculateBtn = document.getElementById('calculateSolver');
     
-    // 检查极端值
-    if (validator.isExtremeValue(quantity) || validator.isExtremeValue(price)) {
-        throw new Error('输入值超出合理范围');
-    }
+    if (!calculateBtn) return;
     
-    // 计算含手续费的实际成本
-    const makerRate = config.getMakerFeeRate();
-    const fee = parseFloat(price) * makerRate;
-    const actualCost = parseFloat(price) + fee;
+    document.getElementById('solverModeTarget').addEventListener('click', () => setSolverMode(SolverMode.TARGET));
+    document.getElementById('solverModeBudget').addEventListener('click', () => setSolverMode(SolverMode.BUDGET));
+    document.getElementById('solverModePlan').addEventListener('click', () => setSolverMode(SolverMode.PLAN));
     
-    const position = {
-        id: Date.now(),
-        quantity: parseFloat(quantity),
-        price: parseFloat(price),
-        fee: fee,
-        actualCost: actualCost,
-        totalCost: parseFloat(quantity) * actualCost
-    };
+    calculateBtn.addEventListener('click', () => recalculateAddSolver());
     
-    positions.push(position);
-    return position;
+    // 恢复计算历史：切换到记录的账本并恢复其交易方向与手续费率，填写记录的输入，切换到记录的求解模式后重新求解
+    calculationHistory.registerHistoryRestorer(calculationHistory.HistoryCalculator.AVERAGE_PRICE, (form, entry) => {
+        if (entry.ledger) {
+            restoreSolverLedger(entry);
+        }
+        calculationHistory.fillFormFields(form.fields);
+        setSolverMode(SOLVER_SCHEMAS[entry.type] ? entry.type : SolverMode.TARGET);
+        recalculateAddSolver();
+    });
+        
+    // 修改求解输入或订单类型后实时重新求解
+    liveCalculation.bindLiveCalculation(document.getElementById('avgSolverPanel'), recalculateAddSolver);
+    liveCalculation.bindLiveCalculation(document.getElementById('avgOrderType'), recalculateAddSolver);
 }
 
 /**
- * 删除开仓记录
- * @param {number} id - 记录ID
+ * 账本内容变化后，如已显示求解结果（实时计算时包括出错）则重新计算
  */
-export function removePosition(id) {
-    positions = positions.filter(p => p.id !== id);
+function refreshSolverResult() {
+    const solverResult = document.getElementById('solverResult');
+    const planResult = document.getElementById('planResult');
+    const errorP = document.getElementById('solverError');
+    if (!solverResult || !planResult) return;
+    
+    const errorVisible = config.isLiveCalculation() && errorP && !errorP.classList.contains('hidden');
+    if (errorVisible || !solverResult.classList.contains('hidden') || !planResult.classList.contains('hidden')) {
+        recalculateAddSolver({ live: config.isLiveCalculation() });
+    }
 }
 
 /**
- * 获取所有开仓记录
- * @returns {Array}
+ * 初始化账本管理
  */
-export function getAllPositions() {
-    return [...positions];
+function initLedgerManager() {
+    const select = document.getElementById('ledgerSelect');
+    const showArchived = document.getElementById('ledgerShowArchived');
+    const nameInput = document.getElementById('ledgerName');
+    
+    if (!select || !nameInput) return;
+    
+    /**
+     * 执行账本操作，成功后重新渲染，失败时显示错误
+     * @param {Function} action - 账本操作
+     */
+    const runLedgerAction = (action) => {
+        try {
+            validator.hideError('ledgerError');
+            validator.hideError('averageError');
+            action();
+            renderLedgerView();
+        } catch (error) {
+            validator.showError('ledgerError', error.message);
+        }
+    };
+    
+    select.addEventListener('change', () => runLedgerAction(() => ledgers.switchLedger(select.value)));
+    showArchived.addEventListener('change', () => runLedgerAction(() => {
+        // 隐藏已归档账本时，当前账本若已归档则切换到未归档账本
+        const active = ledgers.getActiveLedger();
+        if (!showArchived.checked && active && active.archived) {
+            ledgers.switchLedger(ledgers.getLedgers()[0].id);
+        }
+    }));
+    
+    document.getElementById('createLedger').addEventListener('click', () => runLedgerAction(() => {
+        ledgers.createLedger(nameInput.value);
+        nameInput.value = '';
+    }));
+    
+    document.getElementById('renameLedger').addEventListener('click', () => runLedgerAction(() => {
+        ledgers.renameLedger(requireActiveLedger().id, nameInput.value);
+        nameInput.value = '';
+    }));
+    
+    document.getElementById('duplicateLedger').addEventListener('click', () => runLedgerAction(() => {
+        const source = requireActiveLedger();
+        ledgers.duplicateLedger(source.id, nameInput.value.trim() || t('{name} 副本', { name: source.name }));
+        nameInput.value = '';
+    }));
+    
+    document.getElementById('archiveLedger').addEventListener('click', () => runLedgerAction(() => {
+        const ledger = requireActiveLedger();
+        ledgers.setLedgerArchived(ledger.id, !ledger.archived);
+    }));
+    
+    document.getElementById('deleteLedger').addEventListener('click', () => {
+        const ledger = ledgers.getActiveLedger();
+        if (!ledger || !confirm(t('确定删除账本“{name}”及其全部记录吗？', { name: ledger.name }))) return;
+        runLedgerAction(() => ledgers.deleteLedger(ledger.id));
+    });
+    
+    // 账本设置变更后按新的方向、费率与合约类型重新计算
+    const updateSettings = (settings) => runLedgerAction(() => ledgers.updateLedgerSettings(requireActiveLedger().id, settings));
+    document.getElementById('ledgerDirection').addEventListener('change', (e) => updateSettings({ direction: e.target.value }));
+    document.getElementById('ledgerMakerFee').addEventListener('change', (e) => updateSettings({ makerFeeRate: validator.parseNumberInput(e.target.value, { percent: true }) }));
+    document.getElementById('ledgerTakerFee').addEventListener('change', (e) => updateSettings({ takerFeeRate: validator.parseNumberInput(e.target.value, { percent: true }) }));
+    document.getElementById('ledgerContractType').addEventListener('change', (e) => updateSettings({ contractType: e.target.value }));
+    document.getElementById('ledgerFaceValue').addEventListener('change', (e) => updateSettings({ contractFaceValue: validator.parseNumberInput(e.target.value) }));
+    
+    // 本地账本无法读取时：下载原始数据备份，或以当前页面的账本覆盖并恢复保存
+    const backupBtn = document.getElementById('downloadLedgerBackup');
+    const resetBtn = document.getElementById('resetLedgerStorage');
+    if (backupBtn && resetBtn) {
+        backupBtn.addEventListener('click', () => runLedgerAction(downloadLedgerBackup));
+        resetBtn.addEventListener('click', () => {
+            if (!confirm(t('重置后本地无法读取的开仓记录将被当前页面的账本覆盖，建议先下载备份。确定重置吗？'))) return;
+            runLedgerAction(ledgers.resetLedgerStorage);
+        });
+    }
+    
+    const repairBtn = document.getElementById('repairLedgers');
+    const clearDamagedBtn = document.getElementById('clearDamagedLedgers');
+    if (repairBtn && clearDamagedBtn) {
+        repairBtn.addEventListener('click', () => {
+            if (!confirm(t('修复将移除无效记录与超过持仓的减仓记录，可撤销。确定修复吗？'))) return;
+            runLedgerAction(repairDamagedLedgers);
+        });
+        clearDamagedBtn.addEventListener('click', () => {
+            if (!confirm(t('将清空无法回放的账本中的全部记录，可撤销。确定清空吗？'))) return;
+            runLedgerAction(clearDamagedLedgers);
+        });
+    }
 }
 
 /**
- * 清空所有开仓记录
+ * 获取订单类型描述
+ * @param {string} orderType - 订单类型
+ * @returns {string}
  */
-export function clearPositions() {
-    positions = [];
+function getOrderTypeLabel(orderType) {
+    return orderType === config.OrderType.TAKER ? t('市价 (Taker)') : t('限价 (Maker)');
 }
 
 /**
- * 计算开仓均价
- * @returns {Object} {averagePrice, totalQuantity, totalCost}
+ * 获取记录类型描述
+ * @param {string} action - 记录类型
+ * @returns {string}
  */
-export function calculateAveragePrice() {
-    if (positions.length === 0) {
-        throw new Error('暂无开仓记录');
-    }
-    
-    let totalQuantity = 0;
-    let totalCost = 0;
-    
-    positions.forEach(position => {
-        totalQuantity += position.quantity;
-        totalCost += position.totalCost;
-    });
-    
-    const averagePrice = totalQuantity > 0 ? totalCost / totalQuantity : 0;
-    
-    return {
-        averagePrice: averagePrice,
-        totalQuantity: totalQuantity,
-        totalCost: totalCost
-    };
+function getActionLabel(action) {
+    return action === EntryAction.CLOSE ? t('减仓') : t('开仓');
 }
 
 /**
- * 渲染开仓记录列表
+ * 获取账本的合约类型描述
+ * @param {Object} ledger - 账本
+ * @returns {string}
  */
-function renderPositionList() {
-    const listDiv = document.getElementById('positionList');
-    if (!listDiv) return;
-    
-    if (positions.length === 0) {
-        listDiv.innerHTML = '<p class="text-sm text-gray-400 text-center py-8">暂无开仓记录</p>';
-        return;
+function getContractTypeLabel(ledger) {
+    if (config.isInverse(ledger)) {
+        return t('币本位（面值 {faceValue} USD，保证金 {currency}）', { faceValue: ledger.contractFaceValue, currency: config.getBaseCurrency() });
     }
-    
-    listDiv.innerHTML = positions.map(position => `
-        <div class="flex items-center justify-between py-4 border-b border-gray-200" data-id="${position.id}">
-            <div class="flex-1">
-                <div class="flex items-center justify-between mb-1">
-                    <span class="text-xs text-gray-500 uppercase tracking-wider">数量</span>
-                    <span class="text-base font-light text-gray-900">${validator.formatNumber(position.quantity, 4)}</span>
-                </div>
-                <div class="flex items-center justify-between mb-1">
-                    <span class="text-xs text-gray-500 uppercase tracking-wider">价格</span>
-                    <span class="text-base font-light text-gray-900">${validator.formatNumber(position.price, 4)}</span>
-                </div>
-                <div class="flex items-center justify-between">
-                    <span class="text-xs text-gray-400">含手续费</span>
-                    <span class="text-xs text-gray-500">${validator.formatNumber(position.actualCost, 4)}</span>
-                </div>
-            </div>
-            <button class="delete-position ml-6 text-red-400 hover:text-red-600 text-xl transition-colors" data-id="${position.id}">
-                ×
-            </button>
-        </div>
-    `).join('');
-    
-    // 绑定删除按钮事件
-    listDiv.querySelectorAll('.delete-position').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const id = parseInt(e.target.dataset.id);
-            removePosition(id);
-            renderPositionList();
-            updateAverageResult();
-        });
-    });
+    return t('U本位');
 }
 
 /**
- * 更新均价计算结果
+ * 获取交易方向描述
+ * @param {string} direction - 交易方向
+ * @returns {string}
  */
-function updateAverageResult() {
-    const resultDiv = document.getElementById('averageResult');
-    const errorP = document.getElementById('averageError');
+function getDirectionLabel(direction) {
+    return direction === config.Direction.SHORT ? t('做空') : t('做多');
+}
+
+/**
+ * 生成账本的导出数据（供各导出格式使用）
+ * @param {string} ledgerId - 账本ID（默认当前账本）
+ * @returns {Object} {ledger, contractType, contractTypeLabel, currency, entries, rows, summary, exportedAt}，无记录时 summary 为 null
+ */
+export function getLedgerExportData(ledgerId = null) {
+    const ledger = ledgerId ? ledgers.getLedger(ledgerId) : requireActiveLedger();
+    if (!ledger) {
+        throw new Error(t('账本不存在'));
+    }
     
-    if (!resultDiv) return;
+    const positions = getLedgerPositions(ledger);
+    const result = positions.length > 0 ? replayLedger(positions, ledger) : null;
     
-    try {
-        validator.hideError('averageError');
-        
-        if (positions.length === 0) {
-            resultDiv.classList.add('hidden');
-            return;
-        }
-        
-        const result = calculateAveragePrice();
-        
-        document.getElementById('avgResultPrice').textContent = validator.formatNumber(result.averagePrice, 4);
-        document.getElementById('avgTotalPosition').textContent = validator.formatNumber(result.totalQuantity, 4);
-        document.getElementById('avgTotalCost').textContent = validator.formatNumber(result.totalCost, 4);
-        
-        resultDiv.classList.remove('hidden');
-        resultDiv.classList.add('fade-in');
-        
-    } catch (error) {
-        validator.showError('averageError', error.message);
-        resultDiv.classList.add('hidden');
-    }
+    return {
+        ledger: {
+            id: ledger.id,
+            name: ledger.name,
+            symbol: ledger.symbol,
+            direction: ledger.direction,
+            directionLabel: getDirectionLabel(ledger.direction),
+            makerFeeRate: ledger.makerFeeRate,
+            takerFeeRate: ledger.takerFeeRate,
+            contractType: ledger.contractType,
+            contractFaceValue: ledger.contractFaceValue
+        },
+        contractType: ledger.contractType,
+        contractTypeLabel: getContractTypeLabel(ledger),
+        currency: config.getSettlementCurrency(ledger),
+        // 原始记录（结构化导出后可重新导入）
+        entries: ledger.positions.map(record => ({ ...record })),
+        rows: positions.map((pos, index) => ({
+            index: index + 1,
+            action: pos.action,
+            actionLabel: getActionLabel(pos.action),
+            orderType: pos.orderType,
+            orderTypeLabel: getOrderTypeLabel(pos.orderType),
+            quantity: pos.quantity,
+            price: pos.price,
+            fee: pos.fee,
+            feeRecorded: pos.feeRecorded,
+            actualCost: pos.actualCost,
+            totalCost: pos.totalCost,
+            realizedPnl: pos.action === EntryAction.CLOSE ? result.realizedByEntry[pos.id] : null,
+            timestamp: pos.timestamp,
+            note: pos.note
+        })),
+        summary: result ? {
+            averagePrice: result.averagePrice,
+            totalQuantity: result.totalQuantity,
+            remainingQuantity: result.remainingQuantity,
+            totalCost: result.totalCost,
+            realizedPnl: result.realizedPnl,
+            breakEvenPrice: result.breakEvenPrice
+        } : null,
+        exportedAt: Date.now()
+    };
 }
 
 /**
  * 生成Markdown格式的数据
+ * @param {string} ledgerId - 账本ID（默认当前账本）
  * @returns {string}
  */
-export function exportToMarkdown() {
-    if (positions.length === 0) {
-        return '# 开仓记录\n\n暂无开仓记录';
-    }
-    
-    const result = calculateAveragePrice();
-    const direction = config.isLong() ? '做多' : '做空';
-    const makerRate = (config.getMakerFeeRate() * 100).toFixed(4);
-    
-    let markdown = '# 开仓记录\n\n';
-    markdown += `**交易方向**: ${direction}\n\n`;
-    markdown += `**Maker手续费率**: ${makerRate}%\n\n`;
-    markdown += '## 开仓明细\n\n';
-    markdown += '| 序号 | 数量 | 价格 | 手续费 | 实际成本 | 总成本 |\n';
-    markdown += '|------|------|------|--------|----------|--------|\n';
-    
-    positions.forEach((pos, index) => {
-        markdown += `| ${index + 1} | ${validator.formatNumber(pos.quantity, 4)} | ${validator.formatNumber(pos.price, 4)} | ${validator.formatNumber(pos.fee, 4)} | ${validator.formatNumber(pos.actualCost, 4)} | ${validator.formatNumber(pos.totalCost, 4)} |\n`;
-    });
-    
-    markdown += '\n## 汇总信息\n\n';
-    markdown += `- **开仓均价**: ${validator.formatNumber(result.averagePrice, 4)} USDT\n`;
-    markdown += `- **总持仓数量**: ${validator.formatNumber(result.totalQuantity, 4)}\n`;
-    markdown += `- **总成本**: ${validator.formatNumber(result.totalCost, 4)} USDT\n`;
-    markdown += `\n---\n\n`;
-    markdown += `*导出时间: ${new Date().toLocaleString('zh-CN')}*\n`;
-    
-    return markdown;
+export function exportToMarkdown(ledgerId = null) {
+    return ledgerExporters.getExporter('markdown').build(getLedgerExportData(ledgerId));
 }
 
 /**
  * 生成CSV格式的数据
+ * @param {string} ledgerId - 账本ID（默认当前账本）
  * @returns {string}
  */
-export function exportToCSV() {
-    if (positions.length === 0) {
-        return '暂无开仓记录';
-    }
-    
-    const result = calculateAveragePrice();
-    const direction = config.isLong() ? '做多' : '做空';
-    const makerRate = (config.getMakerFeeRate() * 100).toFixed(4);
-    
-    let csv = '开仓记录导出\n';
-    csv += `交易方向,${direction}\n`;
-    csv += `Maker手续费率,${makerRate}%\n`;
-    csv += `导出时间,${new Date().toLocaleString('zh-CN')}\n`;
-    csv += '\n';
-    csv += '序号,数量,价格,手续费,实际成本,总成本\n';
-    
-    positions.forEach((pos, index) => {
-        csv += `${index + 1},${pos.quantity},${pos.price},${pos.fee},${pos.actualCost},${pos.totalCost}\n`;
-    });
-    
-    csv += '\n';
-    csv += '汇总信息\n';
-    csv += `开仓均价,${result.averagePrice}\n`;
-    csv += `总持仓数量,${result.totalQuantity}\n`;
-    csv += `总成本,${result.totalCost}\n`;
-    
-    return csv;
+export function exportToCSV(ledgerId = null) {
+    return ledgerExporters.getExporter('csv').build(getLedgerExportData(ledgerId));
 }
 
+// 当前导出弹窗中的内容 {exporter, content, fileName}
+let currentExport = null;
+
 /**
  * 显示导出弹窗
- * @param {string} format - 导出格式 ('markdown' 或 'csv')
+ * @param {string} format - 导出格式ID（见 ledgerExporters 注册表）
  */
 function showExportModal(format) {
-    if (positions.length === 0) {
-        validator.showError('averageError', '暂无开仓记录可导出');
+    if (getAllPositions().length === 0) {
+        validator.showError('averageError', t('暂无开仓记录可导出'));
         return;
     }
     
-    const data = format === 'markdown' ? exportToMarkdown() : exportToCSV();
     const modal = document.getElementById('exportModal');
     const dataContent = document.getElementById('exportDataContent');
+    const imagePreview = document.getElementById('exportImagePreview');
     const formatTitle = document.getElementById('exportFormatTitle');
     
     if (!modal || !dataContent || !formatTitle) return;
     
-    formatTitle.textContent = format === 'markdown' ? 'Markdown' : 'CSV';
-    dataContent.textContent = data;
-    modal.classList.remove('hidden');
+    validator.hideError('averageError');
     
-    // 自动选中文本
-    setTimeout(() => {
-        dataContent.select();
-    }, 100);
+    ledgerExporters.exportLedger(format, getLedgerExportData()).then(result => {
+        currentExport = result;
+        validator.hideError('exportError');
+        formatTitle.textContent = t(result.exporter.name);
+        
+        // 图片显示预览，文本显示在文本框中
+        dataContent.classList.toggle('hidden', result.exporter.binary);
+        imagePreview.classList.toggle('hidden', !result.exporter.binary);
+        if (result.exporter.binary) {
+            if (imagePreview.src) URL.revokeObjectURL(imagePreview.src);
+            imagePreview.src = URL.createObjectURL(result.content);
+        } else {
+            dataContent.value = result.content;
+        }
+        modal.classList.remove('hidden');
+        
+        // 自动选中文本
+        if (!result.exporter.binary) {
+            setTimeout(() => {
+                dataContent.select();
+            }, 100);
+        }
+    }).catch(error => {
+        validator.showError('averageError', error.message);
+    });
 }
 
 /**
@@ -282,34 +1866,281 @@ function closeExportModal() {
     if (modal) {
         modal.classList.add('hidden');
     }
+    currentExport = null;
+}
+
+/**
+ * 显示操作成功提示
+ * @param {HTMLElement} button - 按钮元素
+ * @param {string} text - 提示文字
+ */
+function flashButton(button, text) {
+    const originalText = button.textContent;
+    button.textContent = text;
+    
+    setTimeout(() => {
+        button.textContent = originalText;
+    }, 2000);
 }
 
 /**
- * 复制导出数据到剪贴板
+ * 复制导出数据到剪贴板（图片需浏览器支持 ClipboardItem）
  */
 function copyExportData() {
     const dataContent = document.getElementById('exportDataContent');
-    if (!dataContent) return;
+    const copyBtn = document.getElementById('copyExportBtn');
+    if (!dataContent || !currentExport) return;
+    
+    validator.hideError('exportError');
+    
+    if (currentExport.exporter.binary) {
+        if (!navigator.clipboard || typeof ClipboardItem === 'undefined') {
+            validator.showError('exportError', t('当前浏览器不支持复制图片，请下载后分享'));
+            return;
+        }
+        navigator.clipboard.write([new ClipboardItem({ [currentExport.exporter.mimeType]: currentExport.content })])
+            .then(() => flashButton(copyBtn, t('已复制!')))
+            .catch(error => validator.showError('exportError', t('复制失败：{message}', { message: error.message })));
+        return;
+    }
     
     dataContent.select();
     document.execCommand('copy');
     
     // 显示复制成功提示
-    const copyBtn = document.getElementById('copyExportBtn');
     if (copyBtn) {
-        const originalText = copyBtn.textContent;
-        copyBtn.textContent = '已复制!';
         copyBtn.classList.add('bg-green-500');
         copyBtn.classList.remove('bg-blue-500');
+        flashButton(copyBtn, t('已复制!'));
         
         setTimeout(() => {
-            copyBtn.textContent = originalText;
             copyBtn.classList.remove('bg-green-500');
             copyBtn.classList.add('bg-blue-500');
         }, 2000);
     }
 }
 
+/**
+ * 下载导出文件
+ */
+function downloadExportData() {
+    if (!currentExport) return;
+    
+    const { exporter, content, fileName } = currentExport;
+    const blob = exporter.binary ? content : new Blob([content], { type: `${exporter.mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 按导出格式注册表生成导出按钮
+ */
+function renderExportButtons() {
+    const container = document.getElementById('exportButtons');
+    if (!container) return;
+    
+    container.innerHTML = ledgerExporters.getExporters().map(exporter => `
+        <button class="export-format px-4 py-3 bg-white border-2 border-gray-300 text-gray-700 rounded-xl text-sm font-medium hover:bg-gray-50 transition-all" data-format="${exporter.id}">
+            ${t('导出 {name}', { name: t(exporter.name) })}
+        </button>
+    `).join('');
+    
+    container.querySelectorAll('.export-format').forEach(btn => {
+        btn.addEventListener('click', () => showExportModal(btn.dataset.format));
+    });
+}
+
+// 最近一次预览的导入结果
+let pendingImport = null;
+
+/**
+ * 读取导入弹窗中的列映射
+ * @returns {Object}
+ */
+function readImportColumns() {
+    const columns = {};
+    Object.keys(ledgerImporter.IMPORT_FIELDS).forEach(field => {
+        const input = document.getElementById(`importCol-${field}`);
+        columns[field] = input ? input.value.trim() : '';
+    });
+    return columns;
+}
+
+/**
+ * 将列映射方案填入导入弹窗
+ * @param {string} presetId - 方案ID
+ */
+function applyImportPreset(presetId) {
+    const preset = ledgerImporter.getImportPreset(presetId);
+    if (!preset) return;
+    
+    // 本工具导出的CSV表头随语言变化，列名按当前语言翻译（交易所的英文列名不在消息目录中，保持不变）
+    Object.entries(preset.columns).forEach(([field, column]) => {
+        const input = document.getElementById(`importCol-${field}`);
+        if (input) input.value = t(column);
+    });
+}
+
+/**
+ * 渲染导入预览
+ * @param {Object} result - {accepted, rejected}
+ */
+function renderImportPreview(result) {
+    const acceptedBody = document.getElementById('importAcceptedBody');
+    const rejectedBody = document.getElementById('importRejectedBody');
+    const confirmBtn = document.getElementById('confirmImport');
+    
+    const counts = { accepted: result.accepted.length, rejected: result.rejected.length };
+    document.getElementById('importSummary').textContent = result.ledger
+        ? t('可导入 {accepted} 条，已拒绝 {rejected} 条，将按文件中的设置新建账本“{name}”', { ...counts, name: result.ledger.name })
+        : t('可导入 {accepted} 条，已拒绝 {rejected} 条', counts);
+    
+    acceptedBody.innerHTML = result.accepted.map(entry => `
+        <tr class="border-t border-gray-200">
+            <td class="py-1 pr-2 text-gray-500">${entry.rowNumber}</td>
+            <td class="py-1 pr-2">${getActionLabel(entry.action)}</td>
+            <td class="py-1 pr-2">${getOrderTypeLabel(entry.orderType)}</td>
+            <td class="py-1 pr-2">${validator.formatQuantity(entry.quantity, 4)}</td>
+            <td class="py-1 pr-2">${validator.formatPrice(entry.price, 4)}</td>
+            <td class="py-1">${entry.timestamp === null ? '-' : formatDateTime(entry.timestamp)}</td>
+        </tr>
+    `).join('');
+    
+    rejectedBody.innerHTML = result.rejected.map(entry => `
+        <tr class="border-t border-gray-200">
+            <td class="py-1 pr-2 text-gray-500">${entry.rowNumber}</td>
+            <td class="py-1 text-red-500">${validator.escapeHtml(entry.reason)}</td>
+        </tr>
+    `).join('');
+    
+    document.getElementById('importPreview').classList.remove('hidden');
+    document.getElementById('importRejectedSection').classList.toggle('hidden', result.rejected.length === 0);
+    confirmBtn.disabled = result.accepted.length === 0;
+}
+
+/**
+ * 打开导入弹窗
+ */
+function showImportModal() {
+    const modal = document.getElementById('importModal');
+    if (!modal) return;
+    
+    pendingImport = null;
+    validator.hideError('importError');
+    document.getElementById('importPreview').classList.add('hidden');
+    document.getElementById('confirmImport').disabled = true;
+    modal.classList.remove('hidden');
+}
+
+/**
+ * 关闭导入弹窗
+ */
+function closeImportModal() {
+    const modal = document.getElementById('importModal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+    pendingImport = null;
+}
+
+/**
+ * 初始化导入弹窗
+ */
+function initImportModal() {
+    const openBtn = document.getElementById('openImport');
+    const modal = document.getElementById('importModal');
+    const fileInput = document.getElementById('importFile');
+    const presetSelect = document.getElementById('importPreset');
+    const previewBtn = document.getElementById('previewImport');
+    const confirmBtn = document.getElementById('confirmImport');
+    const closeBtn = document.getElementById('closeImportModal');
+    
+    if (!openBtn || !modal || !fileInput || !presetSelect) return;
+    
+    const renderPresetOptions = () => {
+        const selected = presetSelect.value;
+        presetSelect.innerHTML = ledgerImporter.IMPORT_PRESETS
+            .map(preset => `<option value="${preset.id}">${t(preset.name)}</option>`)
+            .join('');
+        if (selected) presetSelect.value = selected;
+    };
+    renderPresetOptions();
+    applyImportPreset(presetSelect.value);
+    
+    // 切换语言后只更新方案名称，不覆盖已填写的列映射
+    addLocaleListener(renderPresetOptions);
+    
+    openBtn.addEventListener('click', showImportModal);
+    closeBtn.addEventListener('click', closeImportModal);
+    presetSelect.addEventListener('change', () => applyImportPreset(presetSelect.value));
+    
+    // 点击弹窗外部关闭
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeImportModal();
+        }
+    });
+    
+    // 解析文件并预览
+    previewBtn.addEventListener('click', () => {
+        validator.hideError('importError');
+        pendingImport = null;
+        confirmBtn.disabled = true;
+        
+        const file = fileInput.files[0];
+        if (!file) {
+            validator.showError('importError', t('请选择要导入的文件'));
+            return;
+        }
+        
+        const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+        file.text().then(text => {
+            try {
+                pendingImport = ledgerImporter.parseImport(
+                    text,
+                    format,
+                    readImportColumns(),
+                    document.getElementById('importDefaultOrderType').value,
+                    requireActiveLedger().direction
+                );
+                renderImportPreview(pendingImport);
+            } catch (error) {
+                validator.showError('importError', error.message);
+                document.getElementById('importPreview').classList.add('hidden');
+            }
+        }).catch(error => {
+            validator.showError('importError', t('读取文件失败：{message}', { message: error.message }));
+        });
+    });
+    
+    // 确认后合并已接受的记录
+    confirmBtn.addEventListener('click', () => {
+        if (!pendingImport) return;
+        
+        try {
+            validator.hideError('importError');
+            // 导出文件包含账本设置时新建账本，否则合并到当前账本
+            if (pendingImport.ledger) {
+                importLedger(pendingImport.ledger, pendingImport.accepted);
+            } else {
+                importEntries(pendingImport.accepted);
+            }
+            closeImportModal();
+            fileInput.value = '';
+            
+            renderLedgerView();
+        } catch (error) {
+            validator.showError('importError', error.message);
+        }
+    });
+}
+
 /**
  * 初始化开仓均价计算器UI
  */
@@ -317,31 +2148,51 @@ export function initAveragePriceCalculator() {
     const addBtn = document.getElementById('addPosition');
     const quantityInput = document.getElementById('avgQuantity');
     const priceInput = document.getElementById('avgPrice');
+    const orderTypeSelect = document.getElementById('avgOrderType');
+    const feeInput = document.getElementById('avgFee');
+    const reduceBtn = document.getElementById('reducePosition');
     
     if (!addBtn) return;
     
-    addBtn.addEventListener('click', () => {
+    /**
+     * 按输入添加开仓或减仓记录
+     * @param {string} action - 记录类型
+     */
+    const submitEntry = (action) => {
         try {
             const quantity = quantityInput.value;
             const price = priceInput.value;
+            const orderType = orderTypeSelect ? orderTypeSelect.value : config.OrderType.MAKER;
+            const fee = feeInput ? feeInput.value.trim() : '';
             
             validator.hideError('averageError');
             
-            // 添加记录
-            addPosition(quantity, price);
+            // 添加记录（未填写实际手续费时按账本费率计算）
+            const entry = action === EntryAction.CLOSE
+                ? closePosition(quantity, price, orderType, fee || null)
+                : addPosition(quantity, price, orderType, fee || null);
+            
+            // 记录仍会保存，仅提示不符合交易品种下单限制的成交
+            instruments.showOrderIssues('avgOrderNotice',
+                instruments.checkActiveOrder(entry.quantity, entry.price));
             
             // 清空输入
             quantityInput.value = '';
             priceInput.value = '';
+            if (feeInput) feeInput.value = '';
             
             // 更新显示
-            renderPositionList();
-            updateAverageResult();
+            renderLedgerView();
             
         } catch (error) {
-            validator.showError('averageError', error.message);
+            validator.showValidationError('averageError', error);
         }
-    });
+    };
+    
+    addBtn.addEventListener('click', () => submitEntry(EntryAction.OPEN));
+    if (reduceBtn) {
+        reduceBtn.addEventListener('click', () => submitEntry(EntryAction.CLOSE));
+    }
     
     // 支持回车键添加
     [quantityInput, priceInput].forEach(input => {
@@ -355,22 +2206,11 @@ export function initAveragePriceCalculator() {
     });
     
     // 导出按钮事件
-    const exportMarkdownBtn = document.getElementById('exportMarkdown');
-    const exportCSVBtn = document.getElementById('exportCSV');
     const closeModalBtn = document.getElementById('closeExportModal');
     const copyExportBtn = document.getElementById('copyExportBtn');
+    const downloadExportBtn = document.getElementById('downloadExportBtn');
     
-    if (exportMarkdownBtn) {
-        exportMarkdownBtn.addEventListener('click', () => {
-            showExportModal('markdown');
-        });
-    }
-    
-    if (exportCSVBtn) {
-        exportCSVBtn.addEventListener('click', () => {
-            showExportModal('csv');
-        });
-    }
+    renderExportButtons();
     
     if (closeModalBtn) {
         closeModalBtn.addEventListener('click', closeExportModal);
@@ -380,6 +2220,15 @@ export function initAveragePriceCalculator() {
         copyExportBtn.addEventListener('click', copyExportData);
     }
     
+    if (downloadExportBtn) {
+        downloadExportBtn.addEventListener('click', downloadExportData);
+    }
+    
+    initImportModal();
+    initLedgerManager();
+    initAddSolver();
+    initLedgerHistory();
+    
     // 点击弹窗外部关闭
     const modal = document.getElementById('exportModal');
     if (modal) {
@@ -391,36 +2240,50 @@ export function initAveragePriceCalculator() {
     }
     
     // 监听配置变更，自动重新计算
+    // 交易方向、手续费率与合约类型由各账本独立设置，只有舍入方式与币种名称变更时需要重新渲染
     config.addConfigListener((key, value) => {
-        // 手续费率变更时，需要重新计算所有记录的成本
-        if (key === 'makerFeeRate') {
-            // 重新计算所有记录
-            const oldPositions = [...positions];
-            positions = [];
-            
-            oldPositions.forEach(pos => {
-                try {
-                    addPosition(pos.quantity, pos.price);
-                } catch (error) {
-                    console.error('Error recalculating position:', error);
-                }
-            });
-            
-            renderPositionList();
-            updateAverageResult();
+        if (key === 'roundingModes' || key === 'baseCurrency' || key === 'quoteCurrency') {
+            renderLedgerView();
         }
     });
     
-    // 初始渲染
-    renderPositionList();
+    // 切换语言后重新渲染账本、记录与导出按钮
+    addLocaleListener(() => {
+        renderExportButtons();
+        renderLedgerView();
+    });
+    
+    // 恢复本地保存的账本并初始渲染
+    ledgers.restoreLedgers();
+    renderLedgerView();
 }
 
 export default {
+    EntryAction,
+    MAX_NOTE_LENGTH,
     addPosition,
+    closePosition,
+    importEntries,
+    importLedger,
+    getDamagedLedgers,
+    repairDamagedLedgers,
+    clearDamagedLedgers,
     removePosition,
+    updatePosition,
+    movePosition,
     getAllPositions,
     clearPositions,
+    undoLedgerChange,
+    redoLedgerChange,
     calculateAveragePrice,
+    calculateLedgerOverview,
+    SolverMode,
+    PlanWeighting,
+    solveAddForTargetAverage,
+    solveAverageForBudget,
+    planAddsAcrossRange,
+    recalculateAddSolver,
+    getLedgerExportData,
     exportToMarkdown,
     exportToCSV,
     initAveragePriceCalculator
@@ -0,0 +1,683 @@
+// 计算历史模块（记录每次成功的计算，可搜索、按计算器筛选、置顶、删除、导出，并可一键恢复到表单）
+
+import * as config from './config.js';
+import * as validator from './validator.js';
+import * as instruments from './instruments.js';
+import { createRecordId } from './ledgerStorage.js';
+import { decimal } from './decimal.js';
+import { t, addLocaleListener, formatDateTime } from './i18n.js';
+
+const HISTORY_KEY = 'contract-calculator-history';
+
+// 导出历史的格式标识
+export const HISTORY_EXPORT_FORMAT = 'contract-calculator-history';
+
+// 最多保留的未置顶记录数（超出时删除最早的记录，置顶的记录始终保留）
+export const MAX_HISTORY_ENTRIES = 200;
+
+// 实时计算时，同一计算在该时间（毫秒）内的连续修改合并为一条记录
+const LIVE_MERGE_WINDOW = 60 * 1000;
+
+// 计算器（与页面导航的 data-calculator 一致）
+export const HistoryCalculator = {
+    PROFIT: 'profit',
+    LIQUIDATION: 'liquidation',
+    AVERAGE_PRICE: 'averagePrice',
+    POSITION: 'position'
+};
+
+// 计算器名称（中文原文，显示时按当前语言翻译）
+const CALCULATOR_LABELS = {
+    [HistoryCalculator.PROFIT]: '收益额计算',
+    [HistoryCalculator.LIQUIDATION]: '强平价格计算',
+    [HistoryCalculator.AVERAGE_PRICE]: '开仓均价计算',
+    [HistoryCalculator.POSITION]: '仓位计算'
+};
+
+// 导出CSV的列（中文原文，导出时按当前语言翻译）
+const CSV_COLUMNS = ['时间', '计算器', '计算类型', '账本', '合约类型', '交易方向', 'Maker费率', 'Taker费率', '输入', '结果', '置顶'];
+
+// 历史记录（按时间从新到旧），首次使用时从本地存储读取
+let entries = null;
+
+// 本次打开页面后各计算由实时计算写入的记录ID {计算器:计算类型: id}
+const liveEntryIds = {};
+
+// 恢复记录时重新计算的结果不再记录
+let restoring = false;
+
+// 各计算器的恢复函数 {计算器: (form, entry) => void}
+const restorers = {};
+
+const listeners = [];
+
+/**
+ * 检查存储的记录结构是否完整
+ * @param {*} entry - 存储的记录
+ * @returns {boolean}
+ */
+function isValidEntry(entry) {
+    return Boolean(entry) &&
+        typeof entry.id === 'string' &&
+        Object.values(HistoryCalculator).includes(entry.calculator) &&
+        typeof entry.timestamp === 'number' &&
+        Boolean(entry.form) &&
+        Array.isArray(entry.inputs) &&
+        Array.isArray(entry.results);
+}
+
+/**
+ * 读取本地保存的历史记录（无法读取时返回空列表）
+ * @returns {Array}
+ */
+function loadHistory() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(isValidEntry) : [];
+    } catch (error) {
+        console.error('Error loading calculation history:', error);
+        return [];
+    }
+}
+
+/**
+ * 保存历史记录到本地存储
+ */
+function saveHistory() {
+    try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(entries));
+    } catch (error) {
+        console.error('Error saving calculation history:', error);
+    }
+}
+
+/**
+ * 获取历史记录列表（首次调用时从本地存储读取）
+ * @returns {Array}
+ */
+function getEntries() {
+    if (!entries) {
+        entries = loadHistory();
+    }
+    return entries;
+}
+
+/**
+ * 保存并通知监听器
+ */
+function commitHistory() {
+    saveHistory();
+    listeners.forEach(listener => listener(getEntries()));
+}
+
+/**
+ * 删除超出上限的最早的未置顶记录
+ */
+function trimHistory() {
+    let unpinned = 0;
+    entries = getEntries().filter(entry => entry.pinned || ++unpinned <= MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * 生成比较用的计算签名（计算器、表单与手续费等条件相同即为同一计算）
+ * @param {Object} entry - 记录
+ * @returns {string}
+ */
+function getSignature(entry) {
+    return JSON.stringify([
+        entry.calculator, entry.type, entry.form, entry.direction, entry.makerFeeRate, entry.takerFeeRate,
+        entry.ledger ? entry.ledger.id : null, entry.contract, entry.results
+    ]);
+}
+
+/**
+ * 读取当前的合约设置（合约类型、面值、币种与交易品种）
+ * @param {Object|null} ledger - 按账本计算时使用的账本（合约类型与面值取自账本）
+ * @returns {Object} {contractType, contractFaceValue, baseCurrency, quoteCurrency, instrumentSymbol}
+ */
+function getContractSettings(ledger = null) {
+    return {
+        contractType: ledger ? ledger.contractType : config.getContractType(),
+        contractFaceValue: ledger ? ledger.contractFaceValue : config.getContractFaceValue(),
+        baseCurrency: config.getBaseCurrency(),
+        quoteCurrency: config.getQuoteCurrency(),
+        instrumentSymbol: config.getInstrumentSymbol()
+    };
+}
+
+/**
+ * 恢复记录时的合约设置（品种已删除时不指定品种，最后设置品种以便监听器按同步后的参数重新计算）
+ * @param {Object} contract - getContractSettings 的返回值
+ * @param {boolean} includeContractType - 是否恢复全局的合约类型与面值（按账本计算的记录由账本恢复）
+ */
+function applyContractSettings(contract, includeContractType = true) {
+    if (includeContractType) {
+        config.setContractType(contract.contractType);
+        config.setContractFaceValue(contract.contractFaceValue);
+    }
+    config.setBaseCurrency(contract.baseCurrency);
+    config.setQuoteCurrency(contract.quoteCurrency);
+    config.setInstrumentSymbol(instruments.getInstrument(contract.instrumentSymbol) ? contract.instrumentSymbol : '');
+}
+
+/**
+ * 读取表单输入框的值
+ * @param {Object} fields - {输入框ID: 名称（中文原文）}
+ * @returns {Object} {fields, inputs} fields 为恢复用的 {输入框ID: 值}，inputs 为显示用的非空输入 [{label, value}]
+ */
+export function readFormFields(fields) {
+    const values = {};
+    const inputs = [];
+    
+    Object.entries(fields).forEach(([id, label]) => {
+        const element = document.getElementById(id);
+        if (!element) return;
+        
+        values[id] = element.value;
+        if (!element.value.trim()) return;
+        
+        // 下拉框显示选项文字
+        const option = element.tagName === 'SELECT' ? element.options[element.selectedIndex] : null;
+        inputs.push({ label, value: option ? option.text.trim() : element.value.trim() });
+    });
+    
+    return { fields: values, inputs };
+}
+
+/**
+ * 将记录的值填回表单输入框
+ * @param {Object} fields - {输入框ID: 值}
+ */
+export function fillFormFields(fields) {
+    Object.entries(fields || {}).forEach(([id, value]) => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.value = value;
+        }
+    });
+}
+
+/**
+ * 记录一次成功的计算
+ * 与上次记录完全相同时不重复记录；实时计算时同一计算的连续修改合并为一条记录
+ * @param {Object} record - {calculator, type, title, form, inputs, results, ledger}
+ *                          title 为计算名称（中文原文）；form 为恢复表单所需的数据（由计算器的恢复函数解释）；
+ *                          inputs 与 results 为显示用的 [{label, params, value}]，label 为中文原文，params 为占位符的值（可选）；
+ *                          ledger 为按账本计算时使用的账本 {id, name, direction, makerFeeRate, takerFeeRate, contractType, contractFaceValue}（可选），
+ *                          此时记录账本的交易方向、手续费率与合约类型而不是全局配置
+ * @param {Object} options - {live} 是否由实时计算触发
+ * @returns {Object|null} 写入或合并的记录，恢复记录时返回 null
+ */
+export function recordCalculation(record, { live = false } = {}) {
+    if (restoring) return null;
+    
+    const list = getEntries();
+    const key = `${record.calculator}:${record.type}`;
+    const ledger = record.ledger || null;
+    const entry = {
+        id: null,
+        calculator: record.calculator,
+        type: record.type,
+        title: record.title,
+        form: record.form,
+        inputs: record.inputs,
+        results: record.results,
+        direction: ledger ? ledger.direction : config.getDirection(),
+        makerFeeRate: ledger ? ledger.makerFeeRate : config.getMakerFeeRate(),
+        takerFeeRate: ledger ? ledger.takerFeeRate : config.getTakerFeeRate(),
+        ledger: ledger ? { id: ledger.id, name: ledger.name } : null,
+        contract: getContractSettings(ledger),
+        timestamp: Date.now(),
+        pinned: false
+    };
+    
+    // 与同一计算的上一条记录相同时不重复记录
+    const previous = list.find(item => item.calculator === entry.calculator && item.type === entry.type);
+    if (previous && getSignature(previous) === getSignature(entry)) {
+        return previous;
+    }
+    
+    // 实时计算的连续修改合并到本次打开页面后写入的记录（置顶的记录不再修改）
+    const merged = live ? list.find(item => item.id === liveEntryIds[key]) : null;
+    if (merged && !merged.pinned && entry.timestamp - merged.timestamp <= LIVE_MERGE_WINDOW) {
+        list.splice(list.indexOf(merged), 1);
+        entry.id = merged.id;
+    } else {
+        entry.id = createRecordId(list.map(item => item.id));
+    }
+    
+    list.unshift(entry);
+    if (live) {
+        liveEntryIds[key] = entry.id;
+    } else {
+        delete liveEntryIds[key];
+    }
+    trimHistory();
+    commitHistory();
+    return entry;
+}
+
+/**
+ * 获取历史记录（置顶的记录在前，其余按时间从新到旧）
+ * @param {Object} filter - {calculator, query} 按计算器筛选（空为全部）与按关键词搜索（空格分隔，需全部匹配）
+ * @returns {Array}
+ */
+export function getHistory({ calculator = '', query = '' } = {}) {
+    const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    
+    return getEntries()
+        .filter(entry => !calculator || entry.calculator === calculator)
+        .filter(entry => {
+            if (terms.length === 0) return true;
+            const text = getSearchText(entry).toLowerCase();
+            return terms.every(term => text.includes(term));
+        })
+        .sort((a, b) => (Number(b.pinned) - Number(a.pinned)) || (b.timestamp - a.timestamp));
+}
+
+/**
+ * 根据ID获取历史记录
+ * @param {string} id - 记录ID
+ * @returns {Object|null}
+ */
+export function getHistoryEntry(id) {
+    return getEntries().find(entry => entry.id === id) || null;
+}
+
+/**
+ * 切换记录的置顶状态
+ * @param {string} id - 记录ID
+ * @returns {Object} 修改后的记录
+ */
+export function toggleHistoryPin(id) {
+    const entry = getHistoryEntry(id);
+    if (!entry) {
+        throw new Error(t('计算历史记录不存在'));
+    }
+    
+    entry.pinned = !entry.pinned;
+    trimHistory();
+    commitHistory();
+    return entry;
+}
+
+/**
+ * 删除记录
+ * @param {string} id - 记录ID
+ */
+export function removeHistoryEntry(id) {
+    if (!getHistoryEntry(id)) {
+        throw new Error(t('计算历史记录不存在'));
+    }
+    
+    entries = getEntries().filter(entry => entry.id !== id);
+    commitHistory();
+}
+
+/**
+ * 清空未置顶的记录
+ * @returns {number} 删除的记录数
+ */
+export function clearHistory() {
+    const count = getEntries().filter(entry => !entry.pinned).length;
+    entries = getEntries().filter(entry => entry.pinned);
+    commitHistory();
+    return count;
+}
+
+/**
+ * 注册计算器的恢复函数（恢复记录时由该函数填写表单并重新计算）
+ * @param {string} calculator - 计算器
+ * @param {Function} restore - (form, entry) => void
+ */
+export function registerHistoryRestorer(calculator, restore) {
+    if (typeof restore === 'function') {
+        restorers[calculator] = restore;
+    }
+}
+
+/**
+ * 将记录恢复到表单：恢复记录时的合约设置、交易方向与手续费率，再由计算器填写输入并重新计算
+ * 按账本计算的记录不修改全局的交易方向与手续费率，由计算器切换到记录的账本并恢复其设置
+ * @param {string} id - 记录ID
+ * @returns {Object} 恢复的记录
+ */
+export function restoreHistoryEntry(id) {
+    const entry = getHistoryEntry(id);
+    if (!entry) {
+        throw new Error(t('计算历史记录不存在'));
+    }
+    const restore = restorers[entry.calculator];
+    if (!restore) {
+        throw new Error(t('无法恢复{calculator}的记录', { calculator: t(CALCULATOR_LABELS[entry.calculator]) }));
+    }
+    
+    restoring = true;
+    try {
+        // 早期的记录未保存合约设置
+        if (entry.contract) {
+            applyContractSettings(entry.contract, !entry.ledger);
+        }
+        if (!entry.ledger) {
+            config.setDirection(entry.direction);
+            config.setMakerFeeRate(decimal(entry.makerFeeRate).times(100).toNumber());
+            config.setTakerFeeRate(decimal(entry.takerFeeRate).times(100).toNumber());
+        }
+        restore(entry.form, entry);
+    } finally {
+        restoring = false;
+    }
+    return entry;
+}
+
+/**
+ * 添加历史变更监听器
+ * @param {Function} listener - 回调函数 (entries) => void
+ */
+export function addHistoryListener(listener) {
+    if (typeof listener === 'function') {
+        listeners.push(listener);
+    }
+}
+
+/**
+ * 格式化显示用的输入或结果项
+ * @param {Object} item - {label, params, value}
+ * @returns {string}
+ */
+function formatItem(item) {
+    return `${t(item.label, item.params || null)}: ${item.value}`;
+}
+
+/**
+ * 获取记录的合约说明（交易品种或合约类型）
+ * @param {Object} entry - 记录
+ * @returns {string}
+ */
+function formatContract(entry) {
+    const contract = entry.contract;
+    if (!contract) return '';
+    if (contract.instrumentSymbol) return contract.instrumentSymbol;
+    return contract.contractType === config.ContractType.INVERSE
+        ? t('币本位（面值 {faceValue} USD，保证金 {currency}）', { faceValue: contract.contractFaceValue, currency: contract.baseCurrency })
+        : t('U本位');
+}
+
+/**
+ * 获取记录的合约、交易方向与手续费率说明（按账本计算的记录前加账本名称）
+ * @param {Object} entry - 记录
+ * @returns {string}
+ */
+function formatConditions(entry) {
+    const conditions = [
+        entry.ledger ? `${t('账本')}: ${entry.ledger.name}` : '',
+        formatContract(entry),
+        t('{direction} · Maker {maker} · Taker {taker}', {
+            direction: entry.direction === config.Direction.SHORT ? t('做空') : t('做多'),
+            maker: validator.formatPercentage(entry.makerFeeRate, 4),
+            taker: validator.formatPercentage(entry.takerFeeRate, 4)
+        })
+    ];
+    return conditions.filter(Boolean).join(' · ');
+}
+
+/**
+ * 生成记录的搜索文本（计算器、计算名称、输入与结果，按当前语言）
+ * @param {Object} entry - 记录
+ * @returns {string}
+ */
+function getSearchText(entry) {
+    return [
+        t(CALCULATOR_LABELS[entry.calculator]),
+        t(entry.title),
+        formatConditions(entry),
+        ...entry.inputs.map(formatItem),
+        ...entry.results.map(formatItem)
+    ].join(' ');
+}
+
+/**
+ * 转义CSV单元格（包含逗号、引号或换行时加引号）
+ * @param {*} value - 单元格的值
+ * @returns {string}
+ */
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 导出历史记录
+ * @param {string} format - 'json' 或 'csv'
+ * @param {Array} list - 要导出的记录（默认全部）
+ * @returns {Object} {content, fileName, mimeType}
+ */
+export function exportHistory(format, list = getHistory()) {
+    const time = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    const stamp = `${time.getFullYear()}${pad(time.getMonth() + 1)}${pad(time.getDate())}-${pad(time.getHours())}${pad(time.getMinutes())}`;
+    
+    if (format === 'json') {
+        return {
+            content: JSON.stringify({ format: HISTORY_EXPORT_FORMAT, version: 1, exportedAt: time.getTime(), entries: list }, null, 2),
+            fileName: `calculation-history-${stamp}.json`,
+            mimeType: 'application/json'
+        };
+    }
+    if (format !== 'csv') {
+        throw new Error(t('不支持的导出格式“{id}”', { id: format }));
+    }
+    
+    const lines = [CSV_COLUMNS.map(column => csvCell(t(column))).join(',')];
+    list.forEach(entry => {
+        lines.push([
+            formatDateTime(entry.timestamp),
+            t(CALCULATOR_LABELS[entry.calculator]),
+            t(entry.title),
+            entry.ledger ? entry.ledger.name : '',
+            formatContract(entry),
+            entry.direction === config.Direction.SHORT ? t('做空') : t('做多'),
+            validator.formatPercentage(entry.makerFeeRate, 4),
+            validator.formatPercentage(entry.takerFeeRate, 4),
+            entry.inputs.map(formatItem).join('; '),
+            entry.results.map(formatItem).join('; '),
+            entry.pinned ? t('是') : ''
+        ].map(csvCell).join(','));
+    });
+    
+    return {
+        content: `${lines.join('\n')}\n`,
+        fileName: `calculation-history-${stamp}.csv`,
+        mimeType: 'text/csv'
+    };
+}
+
+/**
+ * 读取历史面板当前的筛选条件
+ * @returns {Object} {calculator, query}
+ */
+function readHistoryFilter() {
+    const calculatorSelect = document.getElementById('historyCalculator');
+    const searchInput = document.getElementById('historySearch');
+    return {
+        calculator: calculatorSelect ? calculatorSelect.value : '',
+        query: searchInput ? searchInput.value : ''
+    };
+}
+
+/**
+ * 渲染计算器筛选下拉框
+ */
+function renderCalculatorOptions() {
+    const select = document.getElementById('historyCalculator');
+    if (!select) return;
+    
+    const selected = select.value;
+    select.innerHTML = [
+        `<option value="">${t('全部计算器')}</option>`,
+        ...Object.entries(CALCULATOR_LABELS).map(([calculator, label]) => `<option value="${calculator}">${t(label)}</option>`)
+    ].join('');
+    select.value = selected;
+}
+
+/**
+ * 渲染历史记录列表
+ */
+function renderHistoryList() {
+    const list = document.getElementById('historyList');
+    const emptyMessage = document.getElementById('historyEmpty');
+    if (!list) return;
+    
+    const history = getHistory(readHistoryFilter());
+    const formatItems = items => items.map(item => `<span class="mr-3">${validator.escapeHtml(formatItem(item))}</span>`).join('');
+    
+    list.innerHTML = history.map(entry => `
+        <div class="bg-gray-50 rounded-xl p-4 ${entry.pinned ? 'border-2 border-yellow-300' : ''}">
+            <div class="flex items-center justify-between">
+                <div>
+                    <span class="text-sm font-medium text-gray-700">${t(CALCULATOR_LABELS[entry.calculator])} · ${t(entry.title)}</span>
+                    <span class="text-xs text-gray-400 ml-2">${formatDateTime(entry.timestamp)}</span>
+                </div>
+                <div class="flex items-center space-x-3">
+                    <button class="history-restore text-sm text-blue-500 hover:text-blue-700" data-id="${entry.id}">${t('恢复')}</button>
+                    <button class="history-pin text-lg ${entry.pinned ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-500'}" data-id="${entry.id}" title="${entry.pinned ? t('取消置顶') : t('置顶')}">★</button>
+                    <button class="history-delete text-xl text-red-400 hover:text-red-600" data-id="${entry.id}" title="${t('删除')}">×</button>
+                </div>
+            </div>
+            <p class="text-xs text-gray-500 mt-2">${formatItems(entry.inputs)}</p>
+            <p class="text-sm text-gray-800 mt-1">${formatItems(entry.results)}</p>
+            <p class="text-xs text-gray-400 mt-1">${validator.escapeHtml(formatConditions(entry))}</p>
+        </div>
+    `).join('');
+    
+    if (emptyMessage) {
+        emptyMessage.textContent = getEntries().length === 0 ? t('暂无计算历史，成功计算后会自动记录') : t('没有匹配的计算历史');
+        emptyMessage.classList.toggle('hidden', history.length > 0);
+    }
+}
+
+/**
+ * 切换到记录所属的计算器并滚动到表单
+ * @param {string} calculator - 计算器
+ */
+function showCalculator(calculator) {
+    // 标签页切换由页面导航负责
+    const tab = document.querySelector(`.nav-tab[data-calculator="${calculator}"]`);
+    if (tab) tab.click();
+    
+    const content = document.getElementById(`${calculator}Calculator`);
+    if (content) {
+        content.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * 下载导出的历史记录
+ * @param {string} format - 'json' 或 'csv'
+ */
+function downloadHistory(format) {
+    const { content, fileName, mimeType } = exportHistory(format, getHistory(readHistoryFilter()));
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 初始化计算历史面板
+ */
+export function initCalculationHistory() {
+    const list = document.getElementById('historyList');
+    if (!list) return;
+    
+    /**
+     * 执行历史操作，失败时显示错误
+     * @param {Function} action - 操作函数
+     */
+    const runHistoryAction = (action) => {
+        try {
+            validator.hideError('historyError');
+            action();
+        } catch (error) {
+            validator.showError('historyError', error.message);
+        }
+    };
+    
+    renderCalculatorOptions();
+    
+    const searchInput = document.getElementById('historySearch');
+    const calculatorSelect = document.getElementById('historyCalculator');
+    if (searchInput) {
+        searchInput.addEventListener('input', renderHistoryList);
+    }
+    if (calculatorSelect) {
+        calculatorSelect.addEventListener('change', renderHistoryList);
+    }
+    
+    // 记录的恢复、置顶与删除按钮（列表重新渲染，使用事件委托）
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-id]');
+        if (!button) return;
+        const id = button.dataset.id;
+        
+        if (button.classList.contains('history-restore')) {
+            runHistoryAction(() => {
+                const entry = restoreHistoryEntry(id);
+                showCalculator(entry.calculator);
+            });
+        } else if (button.classList.contains('history-pin')) {
+            runHistoryAction(() => toggleHistoryPin(id));
+        } else if (button.classList.contains('history-delete')) {
+            runHistoryAction(() => removeHistoryEntry(id));
+        }
+    });
+    
+    ['json', 'csv'].forEach(format => {
+        const button = document.getElementById(format === 'json' ? 'exportHistoryJson' : 'exportHistoryCsv');
+        if (button) {
+            button.addEventListener('click', () => runHistoryAction(() => downloadHistory(format)));
+        }
+    });
+    
+    const clearBtn = document.getElementById('clearHistory');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            if (confirm(t('确定要清空未置顶的计算历史吗？'))) {
+                runHistoryAction(clearHistory);
+            }
+        });
+    }
+    
+    addHistoryListener(renderHistoryList);
+    
+    // 切换语言后重新渲染筛选选项与记录（记录中的名称按当前语言显示）
+    addLocaleListener(() => {
+        renderCalculatorOptions();
+        renderHistoryList();
+    });
+    
+    renderHistoryList();
+}
+
+export default {
+    HISTORY_EXPORT_FORMAT,
+    MAX_HISTORY_ENTRIES,
+    HistoryCalculator,
+    readFormFields,
+    fillFormFields,
+    recordCalculation,
+    getHistory,
+    getHistoryEntry,
+    toggleHistoryPin,
+    removeHistoryEntry,
+    clearHistory,
+    registerHistoryRestorer,
+    restoreHistoryEntry,
+    addHistoryListener,
+    exportHistory,
+    initCalculationHistory
+};
\ No newline at end of file
@@ -1,16 +1,82 @@
 // 全局配置模块
 
+import { RoundingMode, isValidRoundingMode, decimal } from './decimal.js';
+
 // 交易方向枚举
 export const Direction = {
     LONG: 'long',   // 做多
     SHORT: 'short'  // 做空
 };
 
+// 订单类型枚举（决定适用的手续费率）
+export const OrderType = {
+    MAKER: 'maker', // 限价单（Maker）
+    TAKER: 'taker'  // 市价单（Taker）
+};
+
+// 合约类型枚举
+export const ContractType = {
+    LINEAR: 'linear',   // U本位（正向）合约
+    INVERSE: 'inverse'  // 币本位（反向）合约
+};
+
+// 默认维持保证金档位（按持仓名义价值分档，参考主流交易所 BTCUSDT 永续）
+// maxNotional: 档位名义价值上限（USDT），maintenanceMarginRate: 维持保证金率，maintenanceAmount: 维持保证金速算额
+export const DEFAULT_MAINTENANCE_TIERS = [
+    { maxNotional: 50000, maintenanceMarginRate: 0.004, maintenanceAmount: 0 },
+    { maxNotional: 500000, maintenanceMarginRate: 0.005, maintenanceAmount: 50 },
+    { maxNotional: 8000000, maintenanceMarginRate: 0.01, maintenanceAmount: 2550 },
+    { maxNotional: 50000000, maintenanceMarginRate: 0.025, maintenanceAmount: 122550 },
+    { maxNotional: 80000000, maintenanceMarginRate: 0.05, maintenanceAmount: 1372550 },
+    { maxNotional: 100000000, maintenanceMarginRate: 0.1, maintenanceAmount: 5372550 },
+    { maxNotional: 120000000, maintenanceMarginRate: 0.125, maintenanceAmount: 7872550 },
+    { maxNotional: 200000000, maintenanceMarginRate: 0.15, maintenanceAmount: 10872550 },
+    { maxNotional: 300000000, maintenanceMarginRate: 0.25, maintenanceAmount: 30872550 },
+    { maxNotional: Infinity, maintenanceMarginRate: 0.5, maintenanceAmount: 105872550 }
+];
+
+// 输出数值类型（各类型可分别设置显示时的舍入方式）
+export const OutputType = {
+    PRICE: 'price',       // 价格
+    QUANTITY: 'quantity', // 数量
+    AMOUNT: 'amount',     // 金额（价值、保证金、盈亏、手续费）
+    PERCENT: 'percent'    // 百分比
+};
+
+// 默认舍入方式（与原先 toFixed 的显示结果一致）
+export const DEFAULT_ROUNDING_MODES = {
+    [OutputType.PRICE]: RoundingMode.HALF_UP,
+    [OutputType.QUANTITY]: RoundingMode.HALF_UP,
+    [OutputType.AMOUNT]: RoundingMode.HALF_UP,
+    [OutputType.PERCENT]: RoundingMode.HALF_UP
+};
+
+// 计算方式枚举
+export const CalculationMode = {
+    LIVE: 'live',     // 实时计算（修改输入后自动更新结果）
+    MANUAL: 'manual'  // 手动计算（点击计算按钮后更新结果）
+};
+
+// Maker手续费率下限（小数形式，负数为返佣，-1%）
+export const MIN_MAKER_FEE_RATE = -0.01;
+
+// 用户设置的本地存储键
+const MAINTENANCE_TIERS_KEY = 'contract-calculator-maintenance-tiers';
+const CALCULATION_MODE_KEY = 'contract-calculator-calculation-mode';
+
 // 全局配置状态
 const config = {
     direction: Direction.LONG,  // 默认做多
     makerFeeRate: 0.0002,       // Maker手续费率 (0.02%)
     takerFeeRate: 0.0005,       // Taker手续费率 (0.05%)
+    maintenanceTiers: loadMaintenanceTiers(), // 维持保证金档位（用户编辑过则使用保存的档位）
+    contractType: ContractType.LINEAR, // 默认U本位合约
+    contractFaceValue: 100,     // 反向合约面值（USD/张）
+    baseCurrency: 'BTC',        // 反向合约保证金币种
+    quoteCurrency: 'USDT',      // U本位合约计价币种
+    instrumentSymbol: '',       // 当前交易品种（空表示不指定）
+    roundingModes: { ...DEFAULT_ROUNDING_MODES }, // 各输出类型的舍入方式
+    calculationMode: loadCalculationMode(), // 默认实时计算
     listeners: []               // 配置变更监听器
 };
 
@@ -61,16 +127,16 @@ export function getMakerFeeRate() {
 
 /**
  * 设置Maker手续费率
- * @param {number} rate - 手续费率（百分比形式，如0.02表示0.02%）
+ * @param {number} rate - 手续费率（百分比形式，如0.02表示0.02%，负数表示Maker返佣）
  */
 export function setMakerFeeRate(rate) {
     const rateValue = parseFloat(rate);
-    if (isNaN(rateValue) || rateValue < 0) {
+    if (isNaN(rateValue) || rateValue / 100 < MIN_MAKER_FEE_RATE) {
         console.error('Invalid maker fee rate:', rate);
         return;
     }
     // 将百分比转换为小数
-    config.makerFeeRate = rateValue / 100;
+    config.makerFeeRate = decimal(rateValue).div(100).toNumber();
     notifyListeners('makerFeeRate', config.makerFeeRate);
 }
 
@@ -93,16 +159,34 @@ export function setTakerFeeRate(rate) {
         return;
     }
     // 将百分比转换为小数
-    config.takerFeeRate = rateValue / 100;
+    config.takerFeeRate = decimal(rateValue).div(100).toNumber();
     notifyListeners('takerFeeRate', config.takerFeeRate);
 }
 
+/**
+ * 根据订单类型获取手续费率
+ * @param {string} orderType - 订单类型 (maker/taker)
+ * @returns {number}
+ */
+export function getFeeRate(orderType) {
+    return orderType === OrderType.TAKER ? config.takerFeeRate : config.makerFeeRate;
+}
+
+/**
+ * 判断订单类型是否有效
+ * @param {string} orderType - 订单类型
+ * @returns {boolean}
+ */
+export function isValidOrderType(orderType) {
+    return orderType === OrderType.MAKER || orderType === OrderType.TAKER;
+}
+
 /**
  * 获取总手续费率（Maker + Taker）
  * @returns {number}
  */
 export function getTotalFeeRate() {
-    return config.makerFeeRate + config.takerFeeRate;
+    return decimal(config.makerFeeRate).plus(config.takerFeeRate).toNumber();
 }
 
 /**
@@ -114,6 +198,324 @@ export function isFeeRateTooHigh(rate) {
     return rate > 0.01; // 超过1%视为过高
 }
 
+/**
+ * 获取合约类型
+ * @returns {string}
+ */
+export function getContractType() {
+    return config.contractType;
+}
+
+/**
+ * 设置合约类型
+ * @param {string} type - 合约类型 (linear/inverse)
+ */
+export function setContractType(type) {
+    if (type !== ContractType.LINEAR && type !== ContractType.INVERSE) {
+        console.error('Invalid contract type:', type);
+        return;
+    }
+    config.contractType = type;
+    notifyListeners('contractType', type);
+}
+
+/**
+ * 判断是否为币本位（反向）合约
+ * @param {Object} contract - 合约设置 {contractType, contractFaceValue}（可选，默认全局配置，账本使用各自的设置）
+ * @returns {boolean}
+ */
+export function isInverse(contract = config) {
+    return contract.contractType === ContractType.INVERSE;
+}
+
+/**
+ * 获取反向合约面值
+ * @returns {number}
+ */
+export function getContractFaceValue() {
+    return config.contractFaceValue;
+}
+
+/**
+ * 设置反向合约面值
+ * @param {number} value - 每张合约的面值（USD）
+ */
+export function setContractFaceValue(value) {
+    const faceValue = parseFloat(value);
+    if (isNaN(faceValue) || faceValue <= 0) {
+        console.error('Invalid contract face value:', value);
+        return;
+    }
+    config.contractFaceValue = faceValue;
+    notifyListeners('contractFaceValue', faceValue);
+}
+
+/**
+ * 获取反向合约保证金币种
+ * @returns {string}
+ */
+export function getBaseCurrency() {
+    return config.baseCurrency;
+}
+
+/**
+ * 设置反向合约保证金币种
+ * @param {string} currency - 币种代码，如 BTC
+ */
+export function setBaseCurrency(currency) {
+    const code = String(currency || '').trim().toUpperCase();
+    if (!code) {
+        console.error('Invalid base currency:', currency);
+        return;
+    }
+    config.baseCurrency = code;
+    notifyListeners('baseCurrency', code);
+}
+
+/**
+ * 获取U本位合约计价币种
+ * @returns {string}
+ */
+export function getQuoteCurrency() {
+    return config.quoteCurrency;
+}
+
+/**
+ * 设置U本位合约计价币种
+ * @param {string} currency - 币种代码，如 USDT、USDC
+ */
+export function setQuoteCurrency(currency) {
+    const code = String(currency || '').trim().toUpperCase();
+    if (!code) {
+        console.error('Invalid quote currency:', currency);
+        return;
+    }
+    config.quoteCurrency = code;
+    notifyListeners('quoteCurrency', code);
+}
+
+/**
+ * 获取保证金与盈亏的结算币种
+ * @param {Object} contract - 合约设置（可选，默认全局配置）
+ * @returns {string} U本位为计价币种，币本位为保证金币种
+ */
+export function getSettlementCurrency(contract = config) {
+    return isInverse(contract) ? config.baseCurrency : config.quoteCurrency;
+}
+
+/**
+ * 获取当前交易品种代码
+ * @returns {string} 空字符串表示不指定品种
+ */
+export function getInstrumentSymbol() {
+    return config.instrumentSymbol;
+}
+
+/**
+ * 设置当前交易品种代码
+ * @param {string} symbol - 品种代码，空字符串表示不指定
+ */
+export function setInstrumentSymbol(symbol) {
+    config.instrumentSymbol = String(symbol || '').trim().toUpperCase();
+    notifyListeners('instrumentSymbol', config.instrumentSymbol);
+}
+
+/**
+ * 获取输出类型的舍入方式
+ * @param {string} outputType - 输出类型 (price/quantity/amount/percent)
+ * @returns {string}
+ */
+export function getRoundingMode(outputType) {
+    return config.roundingModes[outputType] || RoundingMode.HALF_UP;
+}
+
+/**
+ * 获取全部输出类型的舍入方式
+ * @returns {Object} {price, quantity, amount, percent}
+ */
+export function getRoundingModes() {
+    return { ...config.roundingModes };
+}
+
+/**
+ * 设置输出类型的舍入方式
+ * @param {string} outputType - 输出类型 (price/quantity/amount/percent)
+ * @param {string} mode - 舍入方式（见 decimal.RoundingMode）
+ */
+export function setRoundingMode(outputType, mode) {
+    if (!Object.values(OutputType).includes(outputType) || !isValidRoundingMode(mode)) {
+        console.error('Invalid rounding mode:', outputType, mode);
+        return;
+    }
+    config.roundingModes[outputType] = mode;
+    notifyListeners('roundingModes', getRoundingModes());
+}
+
+/**
+ * 获取当前计算方式
+ * @returns {string} 'live' 或 'manual'
+ */
+export function getCalculationMode() {
+    return config.calculationMode;
+}
+
+/**
+ * 设置计算方式
+ * @param {string} mode - CalculationMode
+ */
+export function setCalculationMode(mode) {
+    if (!Object.values(CalculationMode).includes(mode)) {
+        console.error('Invalid calculation mode:', mode);
+        return;
+    }
+    config.calculationMode = mode;
+    localStorage.setItem(CALCULATION_MODE_KEY, mode);
+    notifyListeners('calculationMode', mode);
+}
+
+/**
+ * 读取保存的计算方式（未保存或无效时为实时计算）
+ * @returns {string}
+ */
+function loadCalculationMode() {
+    const saved = localStorage.getItem(CALCULATION_MODE_KEY);
+    return Object.values(CalculationMode).includes(saved) ? saved : CalculationMode.LIVE;
+}
+
+/**
+ * 判断是否为实时计算
+ * @returns {boolean}
+ */
+export function isLiveCalculation() {
+    return config.calculationMode === CalculationMode.LIVE;
+}
+
+/**
+ * 精确计算持仓价值（以结算币种计）
+ * U本位：数量 × 价格；币本位：张数 × 面值 / 价格
+ * @param {number|Decimal} quantity - 数量（币本位为张数）
+ * @param {number|Decimal} price - 价格
+ * @param {Object} contract - 合约设置 {contractType, contractFaceValue}（可选，默认全局配置）
+ * @returns {Decimal}
+ */
+export function getPositionValueDecimal(quantity, price, contract = config) {
+    if (isInverse(contract)) {
+        return decimal(quantity).times(contract.contractFaceValue).div(price);
+    }
+    return decimal(quantity).times(price);
+}
+
+/**
+ * 计算持仓价值（以结算币种计）
+ * @param {number} quantity - 数量（币本位为张数）
+ * @param {number} price - 价格
+ * @returns {number}
+ */
+export function getPositionValue(quantity, price) {
+    return getPositionValueDecimal(quantity, price).toNumber();
+}
+
+/**
+ * 复制档位列表，避免外部修改内部状态
+ * @param {Array} tiers - 档位列表
+ * @returns {Array}
+ */
+function cloneTiers(tiers) {
+    return tiers.map(tier => ({ ...tier }));
+}
+
+/**
+ * 获取维持保证金档位列表
+ * @returns {Array} [{maxNotional, maintenanceMarginRate, maintenanceAmount}]
+ */
+export function getMaintenanceTiers() {
+    return cloneTiers(config.maintenanceTiers);
+}
+
+/**
+ * 验证并规范化档位列表
+ * 档位需按名义价值上限升序排列，最后一档的上限会被视为无穷大
+ * @param {Array} tiers - 档位列表 [{maxNotional, maintenanceMarginRate(小数), maintenanceAmount}]
+ * @returns {Array|null} 规范化后的档位，无效时返回 null
+ */
+function normalizeTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        console.error('Invalid maintenance tiers:', tiers);
+        return null;
+    }
+    
+    const normalized = [];
+    for (let i = 0; i < tiers.length; i++) {
+        const isLast = i === tiers.length - 1;
+        const maxNotional = isLast ? Infinity : parseFloat(tiers[i].maxNotional);
+        const rate = parseFloat(tiers[i].maintenanceMarginRate);
+        const amount = parseFloat(tiers[i].maintenanceAmount) || 0;
+        const prevMax = i > 0 ? normalized[i - 1].maxNotional : 0;
+        
+        if (isNaN(maxNotional) || maxNotional <= prevMax ||
+            isNaN(rate) || rate < 0 || rate >= 1 || amount < 0) {
+            console.error('Invalid maintenance tier:', tiers[i]);
+            return null;
+        }
+        normalized.push({ maxNotional, maintenanceMarginRate: rate, maintenanceAmount: amount });
+    }
+    return normalized;
+}
+
+/**
+ * 读取保存的维持保证金档位（未保存或无效时使用默认档位）
+ * @returns {Array}
+ */
+function loadMaintenanceTiers() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(MAINTENANCE_TIERS_KEY) || 'null');
+        const tiers = saved ? normalizeTiers(saved) : null;
+        if (tiers) {
+            return tiers;
+        }
+    } catch (error) {
+        console.error('Error loading maintenance tiers:', error);
+    }
+    return cloneTiers(DEFAULT_MAINTENANCE_TIERS);
+}
+
+/**
+ * 设置维持保证金档位并保存
+ * @param {Array} tiers - 档位列表 [{maxNotional, maintenanceMarginRate(小数), maintenanceAmount}]，最后一档的上限视为无穷大
+ * @returns {boolean} 是否设置成功
+ */
+export function setMaintenanceTiers(tiers) {
+    const normalized = normalizeTiers(tiers);
+    if (!normalized) {
+        return false;
+    }
+    
+    // 最后一档的上限为无穷大，JSON 中保存为 null，读取时按最后一档处理
+    config.maintenanceTiers = normalized;
+    localStorage.setItem(MAINTENANCE_TIERS_KEY, JSON.stringify(normalized));
+    notifyListeners('maintenanceTiers', getMaintenanceTiers());
+    return true;
+}
+
+/**
+ * 根据持仓名义价值查找维持保证金档位
+ * @param {number} notional - 持仓名义价值
+ * @returns {Object} {level, minNotional, maxNotional, maintenanceMarginRate, maintenanceAmount}
+ */
+export function getMaintenanceTier(notional) {
+    const tiers = config.maintenanceTiers;
+    let index = tiers.findIndex(tier => notional <= tier.maxNotional);
+    if (index === -1) {
+        index = tiers.length - 1;
+    }
+    
+    return {
+        level: index + 1,
+        minNotional: index > 0 ? tiers[index - 1].maxNotional : 0,
+        ...tiers[index]
+    };
+}
+
 /**
  * 添加配置变更监听器
  * @param {Function} listener - 监听器函数 (key, value) => void
@@ -159,7 +561,15 @@ export function getAllConfig() {
         direction: config.direction,
         makerFeeRate: config.makerFeeRate,
         takerFeeRate: config.takerFeeRate,
-        totalFeeRate: getTotalFeeRate()
+        totalFeeRate: getTotalFeeRate(),
+        maintenanceTiers: getMaintenanceTiers(),
+        contractType: config.contractType,
+        contractFaceValue: config.contractFaceValue,
+        baseCurrency: config.baseCurrency,
+        quoteCurrency: config.quoteCurrency,
+        instrumentSymbol: config.instrumentSymbol,
+        roundingModes: getRoundingModes(),
+        calculationMode: config.calculationMode
     };
 }
 
@@ -170,6 +580,16 @@ export function resetConfig() {
     config.direction = Direction.LONG;
     config.makerFeeRate = 0.0002;
     config.takerFeeRate = 0.0005;
+    config.maintenanceTiers = cloneTiers(DEFAULT_MAINTENANCE_TIERS);
+    config.contractType = ContractType.LINEAR;
+    config.contractFaceValue = 100;
+    config.baseCurrency = 'BTC';
+    config.quoteCurrency = 'USDT';
+    config.instrumentSymbol = '';
+    config.roundingModes = { ...DEFAULT_ROUNDING_MODES };
+    config.calculationMode = CalculationMode.LIVE;
+    localStorage.removeItem(MAINTENANCE_TIERS_KEY);
+    localStorage.removeItem(CALCULATION_MODE_KEY);
     notifyListeners('reset', getAllConfig());
 }
 
@@ -179,12 +599,44 @@ export default {
     setDirection,
     isLong,
     isShort,
+    MIN_MAKER_FEE_RATE,
     getMakerFeeRate,
     setMakerFeeRate,
     getTakerFeeRate,
     setTakerFeeRate,
     getTotalFeeRate,
+    OrderType,
+    getFeeRate,
+    isValidOrderType,
     isFeeRateTooHigh,
+    ContractType,
+    getContractType,
+    setContractType,
+    isInverse,
+    getContractFaceValue,
+    setContractFaceValue,
+    getBaseCurrency,
+    setBaseCurrency,
+    getQuoteCurrency,
+    setQuoteCurrency,
+    getSettlementCurrency,
+    getInstrumentSymbol,
+    setInstrumentSymbol,
+    OutputType,
+    DEFAULT_ROUNDING_MODES,
+    getRoundingMode,
+    getRoundingModes,
+    setRoundingMode,
+    CalculationMode,
+    getCalculationMode,
+    setCalculationMode,
+    isLiveCalculation,
+    getPositionValueDecimal,
+    getPositionValue,
+    DEFAULT_MAINTENANCE_TIERS,
+    getMaintenanceTiers,
+    setMaintenanceTiers,
+    getMaintenanceTier,
     addConfigListener,
     removeConfigListener,
     getAllConfig,
@@ -0,0 +1,425 @@
+// 十进制精确运算模块（基于 BigInt，避免浮点运算的舍入误差）
+
+import { t } from './i18n.js';
+
+// 舍入方式
+export const RoundingMode = {
+    HALF_UP: 'halfUp',     // 四舍五入（0.5 远离零）
+    HALF_EVEN: 'halfEven', // 银行家舍入（四舍六入五成双）
+    HALF_DOWN: 'halfDown', // 五舍六入（0.5 趋向零）
+    UP: 'up',              // 远离零进位
+    DOWN: 'down',          // 趋向零截断
+    CEIL: 'ceil',          // 向正无穷取整
+    FLOOR: 'floor'         // 向负无穷取整
+};
+
+// 舍入方式的中文名称
+export const ROUNDING_MODE_LABELS = {
+    [RoundingMode.HALF_UP]: '四舍五入',
+    [RoundingMode.HALF_EVEN]: '银行家舍入（五成双）',
+    [RoundingMode.HALF_DOWN]: '五舍六入',
+    [RoundingMode.UP]: '远离零进位',
+    [RoundingMode.DOWN]: '截断（趋向零）',
+    [RoundingMode.CEIL]: '向上取整',
+    [RoundingMode.FLOOR]: '向下取整'
+};
+
+// 除法结果及中间结果保留的最大小数位数
+export const MAX_SCALE = 40;
+
+// 数字字符串格式（支持正负号、省略整数部分和科学计数法）
+const NUMBER_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+// 解析时允许的最大数量级（按指数换算后的小数位数绝对值），超出视为无效数值，
+// 避免为过大的指数构造巨大的 BigInt（如 1e50000000 会长时间阻塞页面）
+export const MAX_EXPONENT = 400;
+
+/**
+ * 计算10的n次方
+ * @param {number} n - 指数（非负整数）
+ * @returns {bigint}
+ */
+function pow10(n) {
+    return 10n ** BigInt(n);
+}
+
+/**
+ * 判断舍入方式是否有效
+ * @param {string} mode - 舍入方式
+ * @returns {boolean}
+ */
+export function isValidRoundingMode(mode) {
+    return Object.values(RoundingMode).includes(mode);
+}
+
+/**
+ * 整数除法并按舍入方式处理余数
+ * @param {bigint} numerator - 被除数
+ * @param {bigint} denominator - 除数（不为0）
+ * @param {string} mode - 舍入方式
+ * @returns {bigint}
+ */
+function divideRounded(numerator, denominator, mode) {
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder === 0n) return quotient;
+    
+    const negative = (numerator < 0n) !== (denominator < 0n);
+    const doubleRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+    const absDenominator = denominator < 0n ? -denominator : denominator;
+    
+    // 是否向远离零的方向进位（BigInt 除法默认趋向零截断）
+    let awayFromZero;
+    switch (mode) {
+        case RoundingMode.UP:
+            awayFromZero = true;
+            break;
+        case RoundingMode.DOWN:
+            awayFromZero = false;
+            break;
+        case RoundingMode.CEIL:
+            awayFromZero = !negative;
+            break;
+        case RoundingMode.FLOOR:
+            awayFromZero = negative;
+            break;
+        case RoundingMode.HALF_DOWN:
+            awayFromZero = doubleRemainder > absDenominator;
+            break;
+        case RoundingMode.HALF_EVEN:
+            awayFromZero = doubleRemainder > absDenominator ||
+                (doubleRemainder === absDenominator && quotient % 2n !== 0n);
+            break;
+        default:
+            awayFromZero = doubleRemainder >= absDenominator;
+    }
+    
+    if (!awayFromZero) return quotient;
+    return negative ? quotient - 1n : quotient + 1n;
+}
+
+/**
+ * 由系数和小数位数创建十进制数（去除末尾的0，超出最大小数位数时按银行家舍入）
+ * @param {bigint} coefficient - 系数
+ * @param {number} scale - 小数位数
+ * @returns {Decimal}
+ */
+function fromParts(coefficient, scale) {
+    let value = coefficient;
+    let digits = scale;
+    
+    if (digits > MAX_SCALE) {
+        value = divideRounded(value, pow10(digits - MAX_SCALE), RoundingMode.HALF_EVEN);
+        digits = MAX_SCALE;
+    }
+    while (digits > 0 && value % 10n === 0n) {
+        value /= 10n;
+        digits--;
+    }
+    
+    const result = Object.create(Decimal.prototype);
+    result.coefficient = value;
+    result.scale = digits;
+    return result;
+}
+
+/**
+ * 解析数值
+ * @param {*} value - 数字、数字字符串、BigInt 或 Decimal
+ * @returns {Decimal}
+ */
+function parse(value) {
+    if (value instanceof Decimal) return value;
+    if (typeof value === 'bigint') return fromParts(value, 0);
+    
+    if (typeof value === 'number' && !isFinite(value)) {
+        throw new Error(t('无效的数值“{value}”', { value }));
+    }
+    
+    // 数字按最短表示转换，与显示的值一致（如 0.1 而不是其二进制近似值）
+    const text = typeof value === 'number' || typeof value === 'string' ? String(value).trim() : '';
+    const match = text.match(NUMBER_PATTERN);
+    if (!match || (!match[2] && !match[3])) {
+        throw new Error(t('无效的数值“{value}”', { value }));
+    }
+    
+    const [, sign, integer, fraction = '', exponent = '0'] = match;
+    const scale = fraction.length - parseInt(exponent, 10);
+    if (Math.abs(scale) > MAX_EXPONENT) {
+        throw new Error(t('无效的数值“{value}”', { value }));
+    }
+    const coefficient = BigInt(`${sign}${integer || '0'}${fraction}`);
+    
+    return scale < 0
+        ? fromParts(coefficient * pow10(-scale), 0)
+        : fromParts(coefficient, scale);
+}
+
+/**
+ * 将两个数调整为相同的小数位数
+ * @param {Decimal} a - 数值
+ * @param {Decimal} b - 数值
+ * @returns {Array} [a系数, b系数, 小数位数]
+ */
+function align(a, b) {
+    const scale = Math.max(a.scale, b.scale);
+    return [
+        a.coefficient * pow10(scale - a.scale),
+        b.coefficient * pow10(scale - b.scale),
+        scale
+    ];
+}
+
+/**
+ * 不可变的十进制数：值 = 系数 / 10^小数位数
+ */
+export class Decimal {
+    /**
+     * @param {*} value - 数字、数字字符串、BigInt 或 Decimal
+     */
+    constructor(value) {
+        const parsed = parse(value);
+        this.coefficient = parsed.coefficient;
+        this.scale = parsed.scale;
+    }
+    
+    /**
+     * 加法
+     * @param {*} other - 加数
+     * @returns {Decimal}
+     */
+    plus(other) {
+        const [a, b, scale] = align(this, parse(other));
+        return fromParts(a + b, scale);
+    }
+    
+    /**
+     * 减法
+     * @param {*} other - 减数
+     * @returns {Decimal}
+     */
+    minus(other) {
+        const [a, b, scale] = align(this, parse(other));
+        return fromParts(a - b, scale);
+    }
+    
+    /**
+     * 乘法
+     * @param {*} other - 乘数
+     * @returns {Decimal}
+     */
+    times(other) {
+        const value = parse(other);
+        return fromParts(this.coefficient * value.coefficient, this.scale + value.scale);
+    }
+    
+    /**
+     * 除法
+     * @param {*} other - 除数
+     * @param {number} scale - 结果保留的小数位数（默认 MAX_SCALE）
+     * @param {string} mode - 舍入方式（默认四舍五入）
+     * @returns {Decimal}
+     */
+    div(other, scale = MAX_SCALE, mode = RoundingMode.HALF_UP) {
+        const value = parse(other);
+        if (value.coefficient === 0n) {
+            throw new Error(t('除数不能为0'));
+        }
+        const numerator = this.coefficient * pow10(value.scale + scale);
+        const denominator = value.coefficient * pow10(this.scale);
+        return fromParts(divideRounded(numerator, denominator, mode), scale);
+    }
+    
+    /**
+     * 取相反数
+     * @returns {Decimal}
+     */
+    neg() {
+        return fromParts(-this.coefficient, this.scale);
+    }
+    
+    /**
+     * 取绝对值
+     * @returns {Decimal}
+     */
+    abs() {
+        return this.coefficient < 0n ? this.neg() : this;
+    }
+    
+    /**
+     * 比较大小
+     * @param {*} other - 比较的数
+     * @returns {number} 小于返回-1，等于返回0，大于返回1
+     */
+    cmp(other) {
+        const [a, b] = align(this, parse(other));
+        return a === b ? 0 : (a < b ? -1 : 1);
+    }
+    
+    /**
+     * 是否等于
+     * @param {*} other - 比较的数
+     * @returns {boolean}
+     */
+    eq(other) {
+        return this.cmp(other) === 0;
+    }
+    
+    /**
+     * 是否大于
+     * @param {*} other - 比较的数
+     * @returns {boolean}
+     */
+    gt(other) {
+        return this.cmp(other) > 0;
+    }
+    
+    /**
+     * 是否大于等于
+     * @param {*} other - 比较的数
+     * @returns {boolean}
+     */
+    gte(other) {
+        return this.cmp(other) >= 0;
+    }
+    
+    /**
+     * 是否小于
+     * @param {*} other - 比较的数
+     * @returns {boolean}
+     */
+    lt(other) {
+        return this.cmp(other) < 0;
+    }
+    
+    /**
+     * 是否小于等于
+     * @param {*} other - 比较的数
+     * @returns {boolean}
+     */
+    lte(other) {
+        return this.cmp(other) <= 0;
+    }
+    
+    /**
+     * 是否为0
+     * @returns {boolean}
+     */
+    isZero() {
+        return this.coefficient === 0n;
+    }
+    
+    /**
+     * 是否为负数
+     * @returns {boolean}
+     */
+    isNegative() {
+        return this.coefficient < 0n;
+    }
+    
+    /**
+     * 是否为正数
+     * @returns {boolean}
+     */
+    isPositive() {
+        return this.coefficient > 0n;
+    }
+    
+    /**
+     * 按舍入方式保留指定小数位数
+     * @param {number} decimals - 小数位数（默认0，即取整）
+     * @param {string} mode - 舍入方式（默认四舍五入）
+     * @returns {Decimal}
+     */
+    round(decimals = 0, mode = RoundingMode.HALF_UP) {
+        if (this.scale <= decimals) return this;
+        return fromParts(divideRounded(this.coefficient, pow10(this.scale - decimals), mode), decimals);
+    }
+    
+    /**
+     * 格式化为固定小数位数的字符串
+     * @param {number} decimals - 小数位数
+     * @param {string} mode - 舍入方式（默认四舍五入）
+     * @returns {string}
+     */
+    toFixed(decimals, mode = RoundingMode.HALF_UP) {
+        const rounded = this.round(decimals, mode);
+        const negative = rounded.coefficient < 0n;
+        const coefficient = (negative ? -rounded.coefficient : rounded.coefficient) * pow10(decimals - rounded.scale);
+        const digits = coefficient.toString().padStart(decimals + 1, '0');
+        const integer = digits.slice(0, digits.length - decimals);
+        const fraction = digits.slice(digits.length - decimals);
+        return `${negative ? '-' : ''}${integer}${decimals > 0 ? `.${fraction}` : ''}`;
+    }
+    
+    /**
+     * 转换为普通数字（可能损失精度，仅用于输出）
+     * @returns {number}
+     */
+    toNumber() {
+        return Number(this.toString());
+    }
+    
+    /**
+     * 转换为不带科学计数法的字符串
+     * @returns {string}
+     */
+    toString() {
+        return this.toFixed(this.scale);
+    }
+}
+
+/**
+ * 创建十进制数
+ * @param {*} value - 数字、数字字符串、BigInt 或 Decimal
+ * @returns {Decimal}
+ */
+export function decimal(value) {
+    return parse(value);
+}
+
+/**
+ * 求和
+ * @param {Array} values - 数值列表
+ * @returns {Decimal}
+ */
+export function sum(values) {
+    return values.reduce((total, value) => total.plus(value), fromParts(0n, 0));
+}
+
+/**
+ * 取较大值
+ * @param {*} a - 数值
+ * @param {*} b - 数值
+ * @returns {Decimal}
+ */
+export function max(a, b) {
+    const x = parse(a);
+    const y = parse(b);
+    return x.gte(y) ? x : y;
+}
+
+/**
+ * 取较小值
+ * @param {*} a - 数值
+ * @param {*} b - 数值
+ * @returns {Decimal}
+ */
+export function min(a, b) {
+    const x = parse(a);
+    const y = parse(b);
+    return x.lte(y) ? x : y;
+}
+
+export default {
+    RoundingMode,
+    ROUNDING_MODE_LABELS,
+    MAX_SCALE,
+    MAX_EXPONENT,
+    isValidRoundingMode,
+    Decimal,
+    decimal,
+    sum,
+    max,
+    min
+};
\ No newline at end of file
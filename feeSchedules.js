@@ -0,0 +1,191 @@
+// 交易所手续费方案模块
+
+import { decimal } from './decimal.js';
+import { t } from './i18n.js';
+
+const CUSTOM_SCHEDULES_KEY = 'contract-calculator-fee-schedules';
+
+// 自定义方案ID前缀
+export const CUSTOM_PREFIX = 'custom:';
+
+// 内置交易所永续合约手续费方案（离线数据，费率为百分比形式，仅供参考，以交易所官网为准）
+// maker 为负数表示返佣
+export const FEE_SCHEDULES = [
+    {
+        id: 'binance',
+        name: 'Binance U本位',
+        tokenDiscount: { token: 'BNB', rate: 0.1 },
+        tiers: [
+            { name: 'VIP 0', maker: 0.02, taker: 0.05 },
+            { name: 'VIP 1', maker: 0.016, taker: 0.04 },
+            { name: 'VIP 2', maker: 0.014, taker: 0.035 },
+            { name: 'VIP 3', maker: 0.012, taker: 0.032 },
+            { name: 'VIP 4', maker: 0.01, taker: 0.03 },
+            { name: 'VIP 5', maker: 0.008, taker: 0.027 },
+            { name: 'VIP 6', maker: 0.006, taker: 0.025 },
+            { name: 'VIP 7', maker: 0.004, taker: 0.022 },
+            { name: 'VIP 8', maker: 0.002, taker: 0.02 },
+            { name: 'VIP 9', maker: 0, taker: 0.017 }
+        ]
+    },
+    {
+        id: 'okx',
+        name: 'OKX 永续',
+        tokenDiscount: null,
+        tiers: [
+            { name: 'Lv1', maker: 0.02, taker: 0.05 },
+            { name: 'VIP 1', maker: 0.016, taker: 0.045 },
+            { name: 'VIP 2', maker: 0.014, taker: 0.04 },
+            { name: 'VIP 3', maker: 0.01, taker: 0.035 },
+            { name: 'VIP 4', maker: 0.006, taker: 0.03 },
+            { name: 'VIP 5', maker: 0, taker: 0.03 },
+            { name: 'VIP 6', maker: -0.002, taker: 0.025 },
+            { name: 'VIP 7', maker: -0.004, taker: 0.022 },
+            { name: 'VIP 8', maker: -0.005, taker: 0.02 }
+        ]
+    },
+    {
+        id: 'bybit',
+        name: 'Bybit 永续',
+        tokenDiscount: null,
+        tiers: [
+            { name: 'VIP 0', maker: 0.02, taker: 0.055 },
+            { name: 'VIP 1', maker: 0.018, taker: 0.04 },
+            { name: 'VIP 2', maker: 0.016, taker: 0.0375 },
+            { name: 'VIP 3', maker: 0.014, taker: 0.035 },
+            { name: 'VIP 4', maker: 0.012, taker: 0.032 },
+            { name: 'VIP 5', maker: 0.01, taker: 0.032 },
+            { name: 'Supreme VIP', maker: 0, taker: 0.03 },
+            { name: '做市商 Lv1', maker: -0.005, taker: 0.025 }
+        ]
+    },
+    {
+        id: 'bitget',
+        name: 'Bitget U本位',
+        tokenDiscount: { token: 'BGB', rate: 0.2 },
+        tiers: [
+            { name: 'VIP 0', maker: 0.02, taker: 0.06 },
+            { name: 'VIP 1', maker: 0.018, taker: 0.05 },
+            { name: 'VIP 2', maker: 0.016, taker: 0.045 },
+            { name: 'VIP 3', maker: 0.014, taker: 0.04 },
+            { name: 'VIP 4', maker: 0.012, taker: 0.035 },
+            { name: 'VIP 5', maker: 0.01, taker: 0.032 },
+            { name: 'VIP 6', maker: 0, taker: 0.03 }
+        ]
+    }
+];
+
+/**
+ * 根据ID查找内置方案
+ * @param {string} id - 方案ID
+ * @returns {Object|null}
+ */
+export function getFeeSchedule(id) {
+    return FEE_SCHEDULES.find(schedule => schedule.id === id) || null;
+}
+
+/**
+ * 获取用户保存的自定义方案
+ * @returns {Array} [{id, name, maker, taker}]
+ */
+export function getCustomSchedules() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CUSTOM_SCHEDULES_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error('Error loading custom fee schedules:', error);
+        return [];
+    }
+}
+
+/**
+ * 保存自定义方案列表
+ * @param {Array} schedules - 自定义方案列表
+ */
+function writeCustomSchedules(schedules) {
+    localStorage.setItem(CUSTOM_SCHEDULES_KEY, JSON.stringify(schedules));
+}
+
+/**
+ * 保存自定义方案（同名方案会被覆盖）
+ * @param {string} name - 方案名称
+ * @param {number} maker - Maker费率（百分比形式，可为负数）
+ * @param {number} taker - Taker费率（百分比形式）
+ * @returns {Object} 保存的方案
+ */
+export function saveCustomSchedule(name, maker, taker) {
+    const scheduleName = String(name || '').trim();
+    if (!scheduleName) {
+        throw new Error(t('请输入方案名称'));
+    }
+    
+    const makerValue = parseFloat(maker);
+    const takerValue = parseFloat(taker);
+    if (isNaN(makerValue) || isNaN(takerValue)) {
+        throw new Error(t('手续费率必须是有效数字'));
+    }
+    
+    const schedules = getCustomSchedules();
+    const existing = schedules.find(schedule => schedule.name === scheduleName);
+    const schedule = {
+        id: existing ? existing.id : `${CUSTOM_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: scheduleName,
+        maker: makerValue,
+        taker: takerValue
+    };
+    
+    if (existing) {
+        schedules[schedules.indexOf(existing)] = schedule;
+    } else {
+        schedules.push(schedule);
+    }
+    writeCustomSchedules(schedules);
+    return schedule;
+}
+
+/**
+ * 删除自定义方案
+ * @param {string} id - 方案ID
+ */
+export function removeCustomSchedule(id) {
+    writeCustomSchedules(getCustomSchedules().filter(schedule => schedule.id !== id));
+}
+
+/**
+ * 计算方案的实际费率（百分比形式）
+ * 平台币抵扣只对正费率生效，Maker返佣不打折
+ * @param {string} scheduleId - 方案ID（内置或自定义）
+ * @param {number} tierIndex - 等级序号（自定义方案忽略）
+ * @param {boolean} useTokenDiscount - 是否使用平台币抵扣
+ * @returns {Object|null} {maker, taker}
+ */
+export function resolveFeeRates(scheduleId, tierIndex = 0, useTokenDiscount = false) {
+    if (scheduleId.startsWith(CUSTOM_PREFIX)) {
+        const custom = getCustomSchedules().find(schedule => schedule.id === scheduleId);
+        return custom ? { maker: custom.maker, taker: custom.taker } : null;
+    }
+    
+    const schedule = getFeeSchedule(scheduleId);
+    const tier = schedule ? schedule.tiers[tierIndex] : null;
+    if (!tier) {
+        return null;
+    }
+    
+    const discount = useTokenDiscount && schedule.tokenDiscount ? schedule.tokenDiscount.rate : 0;
+    const applyDiscount = rate => (rate > 0 ? decimal(rate).times(decimal(1).minus(discount)).toNumber() : rate);
+    
+    return {
+        maker: applyDiscount(tier.maker),
+        taker: applyDiscount(tier.taker)
+    };
+}
+
+export default {
+    CUSTOM_PREFIX,
+    FEE_SCHEDULES,
+    getFeeSchedule,
+    getCustomSchedules,
+    saveCustomSchedule,
+    removeCustomSchedule,
+    resolveFeeRates
+};
\ No newline at end of file
@@ -0,0 +1,258 @@
+// 多语言模块（中文原文即为消息键，其他语言从消息目录中查找译文）
+
+import { EN_US_MESSAGES } from './translations.js';
+
+const LOCALE_KEY = 'contract-calculator-locale';
+
+// 支持的语言
+export const Locale = {
+    ZH_CN: 'zh-CN', // 简体中文（原文）
+    EN_US: 'en-US'  // 英文
+};
+
+// 各语言的消息目录（中文原文 → 译文），中文不需要目录
+const CATALOGUES = {
+    [Locale.EN_US]: EN_US_MESSAGES
+};
+
+// 页面中需要翻译的属性
+const TRANSLATABLE_ATTRIBUTES = ['placeholder', 'title', 'aria-label', 'alt'];
+
+// 页面原文记录：文本节点 → {source, rendered}，元素 → {属性名: {source, rendered}}
+const translatedTexts = new WeakMap();
+const translatedAttributes = new WeakMap();
+
+// 译文到中文原文的反查表（用于识别已按其他语言渲染的动态内容）
+let sourceLookup = null;
+
+const listeners = [];
+let currentLocale = null;
+let originalTitle = null;
+
+/**
+ * 判断是否为支持的语言
+ * @param {string} locale - 语言代码
+ * @returns {boolean}
+ */
+function isSupportedLocale(locale) {
+    return Object.values(Locale).includes(locale);
+}
+
+/**
+ * 获取浏览器首选语言（中文以外的语言均使用英文）
+ * @returns {string}
+ */
+function getBrowserLocale() {
+    const language = typeof navigator !== 'undefined' ? navigator.language || '' : '';
+    return !language || language.toLowerCase().startsWith('zh') ? Locale.ZH_CN : Locale.EN_US;
+}
+
+/**
+ * 获取当前语言
+ * @returns {string} 'zh-CN' 或 'en-US'
+ */
+export function getCurrentLocale() {
+    if (!currentLocale) {
+        const saved = localStorage.getItem(LOCALE_KEY);
+        currentLocale = isSupportedLocale(saved) ? saved : getBrowserLocale();
+    }
+    return currentLocale;
+}
+
+/**
+ * 设置语言，更新页面文本并通知监听器
+ * @param {string} locale - 'zh-CN' 或 'en-US'
+ */
+export function setLocale(locale) {
+    if (!isSupportedLocale(locale)) {
+        throw new Error(t('不支持的语言“{locale}”', { locale }));
+    }
+    
+    localStorage.setItem(LOCALE_KEY, locale);
+    currentLocale = locale;
+    applyLocale();
+    listeners.forEach(listener => listener(locale));
+}
+
+/**
+ * 切换中英文
+ */
+export function toggleLocale() {
+    setLocale(getCurrentLocale() === Locale.ZH_CN ? Locale.EN_US : Locale.ZH_CN);
+}
+
+/**
+ * 添加语言变更监听器（用于重新渲染动态生成的内容）
+ * @param {Function} listener - 回调函数 (locale) => void
+ */
+export function addLocaleListener(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * 翻译消息
+ * @param {string} text - 中文原文（消息键），可包含 {name} 形式的占位符
+ * @param {Object} params - 占位符的值（可选）
+ * @returns {string} 当前语言的译文，目录中没有时返回原文
+ */
+export function t(text, params = null) {
+    const catalogue = CATALOGUES[getCurrentLocale()];
+    const message = catalogue && Object.prototype.hasOwnProperty.call(catalogue, text) ? catalogue[text] : text;
+    if (!params) return message;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder));
+}
+
+/**
+ * 按当前语言格式化数字（千分位分隔等）
+ * @param {number} value - 数值
+ * @param {Object} options - Intl.NumberFormat 选项（可选）
+ * @returns {string}
+ */
+export function formatLocaleNumber(value, options = {}) {
+    return new Intl.NumberFormat(getCurrentLocale(), options).format(value);
+}
+
+/**
+ * 按当前语言格式化日期时间
+ * @param {number} timestamp - 毫秒时间戳
+ * @returns {string}
+ */
+export function formatDateTime(timestamp) {
+    return new Date(timestamp).toLocaleString(getCurrentLocale());
+}
+
+/**
+ * 查找页面文本对应的中文原文
+ * @param {string} text - 去除首尾空白后的文本
+ * @returns {string|null} 不是可翻译的文本时返回 null
+ */
+function findSource(text) {
+    if (Object.values(CATALOGUES).some(catalogue => Object.prototype.hasOwnProperty.call(catalogue, text))) {
+        return text;
+    }
+    
+    if (!sourceLookup) {
+        sourceLookup = new Map();
+        Object.values(CATALOGUES).forEach(catalogue => {
+            Object.entries(catalogue).forEach(([source, message]) => {
+                if (!message.includes('{') && !sourceLookup.has(message)) {
+                    sourceLookup.set(message, source);
+                }
+            });
+        });
+    }
+    return sourceLookup.get(text) || null;
+}
+
+/**
+ * 翻译一段页面文本（保留首尾空白）
+ * @param {string} value - 当前文本
+ * @param {Object|undefined} record - 上次翻译的记录 {source, rendered}
+ * @returns {Object|null} 新的记录，不需要翻译时返回 null
+ */
+function translateValue(value, record) {
+    // 文本未被脚本修改时沿用记录的原文
+    let source = record && record.rendered === value ? record.source : null;
+    if (!source) {
+        const found = findSource(value.trim().replace(/\s+/g, ' '));
+        if (!found) return null;
+        source = found;
+    }
+    
+    const leading = value.match(/^\s*/)[0];
+    const trailing = value.trim() ? value.match(/\s*$/)[0] : '';
+    return { source, rendered: `${leading}${t(source)}${trailing}` };
+}
+
+/**
+ * 翻译页面中的静态文本与属性
+ * @param {HTMLElement} root - 根元素（默认整个页面）
+ */
+export function translatePage(root = document.body) {
+    if (!root) return;
+    
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => (['SCRIPT', 'STYLE'].includes(node.parentNode.nodeName) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        const record = translateValue(node.nodeValue, translatedTexts.get(node));
+        if (!record) continue;
+        translatedTexts.set(node, record);
+        if (node.nodeValue !== record.rendered) {
+            node.nodeValue = record.rendered;
+        }
+    }
+    
+    const selector = TRANSLATABLE_ATTRIBUTES.map(name => `[${name}]`).join(',');
+    root.querySelectorAll(selector).forEach(element => {
+        const records = translatedAttributes.get(element) || {};
+        TRANSLATABLE_ATTRIBUTES.forEach(name => {
+            const value = element.getAttribute(name);
+            if (!value) return;
+            const record = translateValue(value, records[name]);
+            if (!record) return;
+            records[name] = record;
+            if (value !== record.rendered) {
+                element.setAttribute(name, record.rendered);
+            }
+        });
+        translatedAttributes.set(element, records);
+    });
+}
+
+/**
+ * 将当前语言应用到页面（语言属性、标题、静态文本与切换按钮）
+ */
+function applyLocale() {
+    const locale = getCurrentLocale();
+    document.documentElement.lang = locale;
+    
+    if (originalTitle === null) {
+        originalTitle = document.title;
+    }
+    document.title = t(originalTitle);
+    
+    translatePage();
+    
+    // 按钮显示切换后的语言
+    const toggleBtn = document.getElementById('languageToggle');
+    if (toggleBtn) {
+        toggleBtn.textContent = locale === Locale.ZH_CN ? 'EN' : '中';
+    }
+}
+
+/**
+ * 初始化多语言（应用保存的语言并绑定切换按钮）
+ */
+export function initI18n() {
+    applyLocale();
+    
+    const toggleBtn = document.getElementById('languageToggle');
+    if (toggleBtn) {
+        toggleBtn.addEventListener('click', () => {
+            toggleLocale();
+            
+            // 添加点击动画
+            toggleBtn.style.transform = 'scale(0.9)';
+            setTimeout(() => {
+                toggleBtn.style.transform = '';
+            }, 300);
+        });
+    }
+    
+    console.log('I18n initialized. Current locale:', getCurrentLocale());
+}
+
+export default {
+    Locale,
+    getCurrentLocale,
+    setLocale,
+    toggleLocale,
+    addLocaleListener,
+    t,
+    formatLocaleNumber,
+    formatDateTime,
+    translatePage,
+    initI18n
+};
\ No newline at end of file
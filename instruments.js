@@ -0,0 +1,349 @@
+// 交易品种注册表模块
+
+import * as config from './config.js';
+import { RoundingMode, decimal } from './decimal.js';
+import { t } from './i18n.js';
+
+const INSTRUMENTS_KEY = 'contract-calculator-instruments';
+
+// 内置永续合约品种（离线数据，仅供参考，以交易所官网为准）
+// 数量单位：U本位为币数，币本位为张数
+// multiplier：U本位为每张合约对应的币数，币本位为每张合约面值（USD）
+// stepSize / minQuantity 以张为单位，tickSize 为最小价格变动，minNotional 以计价币种计
+export const DEFAULT_INSTRUMENTS = [
+    { symbol: 'BTCUSDT', contractType: 'linear', baseCurrency: 'BTC', quoteCurrency: 'USDT', multiplier: 1, tickSize: 0.1, stepSize: 0.001, minQuantity: 0.001, minNotional: 100, maxLeverage: 125 },
+    { symbol: 'ETHUSDT', contractType: 'linear', baseCurrency: 'ETH', quoteCurrency: 'USDT', multiplier: 1, tickSize: 0.01, stepSize: 0.001, minQuantity: 0.001, minNotional: 20, maxLeverage: 125 },
+    { symbol: 'SOLUSDT', contractType: 'linear', baseCurrency: 'SOL', quoteCurrency: 'USDT', multiplier: 1, tickSize: 0.01, stepSize: 1, minQuantity: 1, minNotional: 5, maxLeverage: 100 },
+    { symbol: 'BTCUSDC', contractType: 'linear', baseCurrency: 'BTC', quoteCurrency: 'USDC', multiplier: 1, tickSize: 0.1, stepSize: 0.001, minQuantity: 0.001, minNotional: 5, maxLeverage: 125 },
+    { symbol: 'BTC-USDT-SWAP', contractType: 'linear', baseCurrency: 'BTC', quoteCurrency: 'USDT', multiplier: 0.01, tickSize: 0.1, stepSize: 1, minQuantity: 1, minNotional: 0, maxLeverage: 100 },
+    { symbol: 'BTCUSD_PERP', contractType: 'inverse', baseCurrency: 'BTC', quoteCurrency: 'USD', multiplier: 100, tickSize: 0.1, stepSize: 1, minQuantity: 1, minNotional: 0, maxLeverage: 125 },
+    { symbol: 'ETHUSD_PERP', contractType: 'inverse', baseCurrency: 'ETH', quoteCurrency: 'USD', multiplier: 10, tickSize: 0.01, stepSize: 1, minQuantity: 1, minNotional: 0, maxLeverage: 100 }
+];
+
+// 数值字段及其中文名称
+const NUMERIC_FIELDS = {
+    multiplier: '合约乘数',
+    tickSize: '最小价格变动',
+    stepSize: '数量步长',
+    minQuantity: '最小下单数量',
+    minNotional: '最小名义价值',
+    maxLeverage: '最大杠杆'
+};
+
+/**
+ * 复制品种列表，避免外部修改内部数据
+ * @param {Array} instruments - 品种列表
+ * @returns {Array}
+ */
+function cloneInstruments(instruments) {
+    return instruments.map(instrument => ({ ...instrument }));
+}
+
+/**
+ * 获取全部品种（用户编辑过则使用保存的列表，全部删除后为空列表，内置品种由 resetInstruments 恢复）
+ * @returns {Array}
+ */
+export function getInstruments() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(INSTRUMENTS_KEY) || 'null');
+        if (Array.isArray(saved)) {
+            return saved;
+        }
+    } catch (error) {
+        console.error('Error loading instruments:', error);
+    }
+    return cloneInstruments(DEFAULT_INSTRUMENTS);
+}
+
+/**
+ * 保存品种列表
+ * @param {Array} instruments - 品种列表
+ */
+function writeInstruments(instruments) {
+    localStorage.setItem(INSTRUMENTS_KEY, JSON.stringify(instruments));
+}
+
+/**
+ * 根据代码查找品种
+ * @param {string} symbol - 品种代码
+ * @returns {Object|null}
+ */
+export function getInstrument(symbol) {
+    if (!symbol) return null;
+    return getInstruments().find(instrument => instrument.symbol === symbol) || null;
+}
+
+/**
+ * 获取当前选中的品种
+ * @returns {Object|null}
+ */
+export function getActiveInstrument() {
+    return getInstrument(config.getInstrumentSymbol());
+}
+
+/**
+ * 保存品种（同代码品种会被覆盖）
+ * @param {Object} instrument - 品种参数
+ * @returns {Object} 保存的品种
+ */
+export function saveInstrument(instrument) {
+    const symbol = String(instrument.symbol || '').trim().toUpperCase();
+    if (!symbol) {
+        throw new Error(t('请输入品种代码'));
+    }
+    
+    const contractType = instrument.contractType === config.ContractType.INVERSE
+        ? config.ContractType.INVERSE
+        : config.ContractType.LINEAR;
+    const baseCurrency = String(instrument.baseCurrency || '').trim().toUpperCase();
+    const quoteCurrency = String(instrument.quoteCurrency || '').trim().toUpperCase();
+    if (!baseCurrency || !quoteCurrency) {
+        throw new Error(t('请输入基础币种和计价币种'));
+    }
+    
+    const saved = { symbol, contractType, baseCurrency, quoteCurrency };
+    Object.keys(NUMERIC_FIELDS).forEach(field => {
+        const value = parseFloat(instrument[field]);
+        const allowZero = field === 'minQuantity' || field === 'minNotional';
+        if (isNaN(value) || value < 0 || (!allowZero && value === 0)) {
+            const label = t(NUMERIC_FIELDS[field]);
+            throw new Error(allowZero ? t('{label}必须大于等于0', { label }) : t('{label}必须大于0', { label }));
+        }
+        saved[field] = value;
+    });
+    
+    const instruments = getInstruments();
+    const index = instruments.findIndex(item => item.symbol === symbol);
+    if (index >= 0) {
+        instruments[index] = saved;
+    } else {
+        instruments.push(saved);
+    }
+    writeInstruments(instruments);
+    return saved;
+}
+
+/**
+ * 删除品种
+ * @param {string} symbol - 品种代码
+ */
+export function removeInstrument(symbol) {
+    writeInstruments(getInstruments().filter(instrument => instrument.symbol !== symbol));
+}
+
+/**
+ * 恢复内置品种列表
+ */
+export function resetInstruments() {
+    localStorage.removeItem(INSTRUMENTS_KEY);
+}
+
+// 取整方式对应的舍入方式
+const STEP_ROUNDING = {
+    down: RoundingMode.FLOOR,
+    up: RoundingMode.CEIL,
+    nearest: RoundingMode.HALF_UP
+};
+
+/**
+ * 按步长取整
+ * @param {number} value - 数值
+ * @param {number} step - 步长
+ * @param {string} mode - 取整方式：down / up / nearest
+ * @returns {number}
+ */
+function roundToStep(value, step, mode) {
+    // 先保留8位小数消除上游计算误差，避免 2.9999999999 个步长被向下取整为 2
+    const units = decimal(value).div(step).round(8).round(0, STEP_ROUNDING[mode] || RoundingMode.HALF_UP);
+    return units.times(step).toNumber();
+}
+
+/**
+ * 获取数量的最小变动单位（以计算器数量单位计）
+ * @param {Object} instrument - 品种
+ * @returns {number}
+ */
+export function getQuantityStep(instrument) {
+    return instrument.contractType === config.ContractType.INVERSE
+        ? instrument.stepSize
+        : decimal(instrument.stepSize).times(instrument.multiplier).toNumber();
+}
+
+/**
+ * 获取最小下单数量（以计算器数量单位计）
+ * @param {Object} instrument - 品种
+ * @returns {number}
+ */
+export function getMinQuantity(instrument) {
+    return instrument.contractType === config.ContractType.INVERSE
+        ? instrument.minQuantity
+        : decimal(instrument.minQuantity).times(instrument.multiplier).toNumber();
+}
+
+/**
+ * 将数量向下取整到有效下单数量（不超过计算结果）
+ * @param {number} quantity - 数量
+ * @param {Object} instrument - 品种
+ * @returns {number}
+ */
+export function roundQuantity(quantity, instrument) {
+    return roundToStep(quantity, getQuantityStep(instrument), 'down');
+}
+
+/**
+ * 将价格取整到最小价格变动
+ * @param {number} price - 价格
+ * @param {Object} instrument - 品种
+ * @param {string} mode - 取整方式：down / up / nearest（默认）
+ * @returns {number}
+ */
+export function roundPrice(price, instrument, mode = 'nearest') {
+    return roundToStep(price, instrument.tickSize, mode);
+}
+
+/**
+ * 计算订单名义价值（以计价币种计）
+ * @param {number} quantity - 数量
+ * @param {number} price - 价格
+ * @param {Object} instrument - 品种
+ * @returns {number}
+ */
+export function getNotional(quantity, price, instrument) {
+    return instrument.contractType === config.ContractType.INVERSE
+        ? decimal(quantity).times(instrument.multiplier).toNumber()
+        : decimal(quantity).times(price).toNumber();
+}
+
+/**
+ * 检查订单能否在交易所下单
+ * @param {number} quantity - 数量
+ * @param {number} price - 价格（可选）
+ * @param {number} leverage - 杠杆倍数（可选）
+ * @param {Object} instrument - 品种
+ * @returns {Array} 问题描述列表，为空表示可以下单
+ */
+export function checkOrder(quantity, price, leverage, instrument) {
+    const issues = [];
+    const step = getQuantityStep(instrument);
+    const minQuantity = getMinQuantity(instrument);
+    
+    if (quantity !== null && quantity !== undefined) {
+        if (decimal(roundToStep(quantity, step, 'nearest')).minus(quantity).abs().gt(decimal(step).times('1e-6'))) {
+            issues.push(t('数量不是步长 {step} 的整数倍', { step }));
+        }
+        if (quantity < minQuantity) {
+            issues.push(t('数量低于最小下单量 {minQuantity}', { minQuantity }));
+        }
+    }
+    
+    if (price !== null && price !== undefined) {
+        if (decimal(roundPrice(price, instrument)).minus(price).abs().gt(decimal(instrument.tickSize).times('1e-6'))) {
+            issues.push(t('价格不是最小变动价位 {tickSize} 的整数倍', { tickSize: instrument.tickSize }));
+        }
+        if (quantity !== null && quantity !== undefined && instrument.minNotional > 0) {
+            const notional = getNotional(quantity, price, instrument);
+            if (notional < instrument.minNotional) {
+                issues.push(t('名义价值低于最小值 {minNotional} {currency}', { minNotional: instrument.minNotional, currency: instrument.quoteCurrency }));
+            }
+        }
+    }
+    
+    if (leverage !== null && leverage !== undefined && parseFloat(leverage) > instrument.maxLeverage) {
+        issues.push(t('杠杆超过最大 {maxLeverage} 倍', { maxLeverage: instrument.maxLeverage }));
+    }
+    
+    return issues;
+}
+
+/**
+ * 将计算结果调整为可下单的数量与价格，并检查是否满足下单限制
+ * @param {number} quantity - 计算得到的数量
+ * @param {number} price - 下单价格（可选）
+ * @param {number} leverage - 杠杆倍数（可选）
+ * @param {Object} instrument - 品种（默认当前选中品种）
+ * @returns {Object|null} {quantity, price, issues}，未选择品种时返回 null
+ */
+export function normalizeOrder(quantity, price = null, leverage = null, instrument = getActiveInstrument()) {
+    if (!instrument) return null;
+    
+    const orderQuantity = quantity === null ? null : roundQuantity(quantity, instrument);
+    const orderPrice = price === null ? null : roundPrice(price, instrument);
+    
+    return {
+        quantity: orderQuantity,
+        price: orderPrice,
+        issues: checkOrder(orderQuantity, orderPrice, leverage, instrument)
+    };
+}
+
+/**
+ * 按当前品种调整价格显示（未选择品种时原样返回）
+ * @param {number} price - 价格
+ * @param {string} mode - 取整方式，默认按交易方向保守取整（做多向上、做空向下）
+ * @returns {number}
+ */
+export function adjustPrice(price, mode = null) {
+    const instrument = getActiveInstrument();
+    if (!instrument || !isFinite(price) || price <= 0) return price;
+    return roundPrice(price, instrument, mode || (config.isLong() ? 'up' : 'down'));
+}
+
+/**
+ * 按当前品种将数量向下取整（未选择品种时原样返回）
+ * @param {number} quantity - 数量
+ * @returns {number}
+ */
+export function adjustQuantity(quantity) {
+    const instrument = getActiveInstrument();
+    if (!instrument || !isFinite(quantity)) return quantity;
+    return roundQuantity(quantity, instrument);
+}
+
+/**
+ * 按当前品种检查订单（未选择品种时返回空列表）
+ * @param {number} quantity - 数量
+ * @param {number} price - 价格（可选）
+ * @param {number} leverage - 杠杆倍数（可选）
+ * @returns {Array}
+ */
+export function checkActiveOrder(quantity, price = null, leverage = null) {
+    const instrument = getActiveInstrument();
+    return instrument ? checkOrder(quantity, price, leverage, instrument) : [];
+}
+
+/**
+ * 显示下单限制提示
+ * @param {string} elementId - 提示元素ID
+ * @param {Array} issues - 问题描述列表
+ */
+export function showOrderIssues(elementId, issues) {
+    const element = document.getElementById(elementId);
+    if (!element) return;
+    
+    const instrument = getActiveInstrument();
+    element.textContent = issues.length > 0 && instrument
+        ? t('{symbol} 无法下单：{issues}', { symbol: instrument.symbol, issues: issues.join(t('；')) })
+        : '';
+    element.classList.toggle('hidden', issues.length === 0);
+}
+
+export default {
+    DEFAULT_INSTRUMENTS,
+    getInstruments,
+    getInstrument,
+    getActiveInstrument,
+    saveInstrument,
+    removeInstrument,
+    resetInstruments,
+    getQuantityStep,
+    getMinQuantity,
+    roundQuantity,
+    roundPrice,
+    getNotional,
+    checkOrder,
+    normalizeOrder,
+    adjustPrice,
+    adjustQuantity,
+    checkActiveOrder,
+    showOrderIssues
+};
\ No newline at end of file
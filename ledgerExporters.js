@@ -0,0 +1,382 @@
+// 账本导出模块（可扩展的导出格式注册表）
+
+import * as validator from './validator.js';
+import * as config from './config.js';
+import * as ledgerStorage from './ledgerStorage.js';
+import { decimal } from './decimal.js';
+import { t, formatDateTime } from './i18n.js';
+
+// 结构化 JSON 导出的格式标识（导入时据此识别）
+export const LEDGER_EXPORT_FORMAT = 'contract-calculator-ledger';
+
+// 记录表的列（中文原文，导出时按当前语言翻译；本工具导出的CSV可按同名列导入）
+const RECORD_COLUMNS = ['序号', '操作', '类型', '数量', '价格', '手续费', '实际成本', '总成本', '已实现盈亏', '时间', '备注'];
+
+// 表格中需要标注币种的金额列
+const CURRENCY_COLUMNS = ['手续费', '总成本', '已实现盈亏'];
+
+// 已注册的导出格式（按注册顺序显示）
+const exporters = [];
+
+/**
+ * 注册导出格式（同ID的格式会被替换）
+ * @param {Object} exporter - {id, name, extension, mimeType, binary, build}
+ *                            build(data) 返回文本，binary 为 true 时返回 Promise<Blob>
+ * @returns {Object} 注册的导出格式
+ */
+export function registerExporter(exporter) {
+    if (!exporter || !exporter.id || !exporter.name || typeof exporter.build !== 'function') {
+        throw new Error(t('导出格式必须包含 id、name 和 build'));
+    }
+    
+    const entry = {
+        extension: 'txt',
+        mimeType: 'text/plain',
+        binary: false,
+        ...exporter
+    };
+    const index = exporters.findIndex(item => item.id === entry.id);
+    if (index >= 0) {
+        exporters[index] = entry;
+    } else {
+        exporters.push(entry);
+    }
+    return entry;
+}
+
+/**
+ * 获取全部导出格式
+ * @returns {Array}
+ */
+export function getExporters() {
+    return [...exporters];
+}
+
+/**
+ * 根据ID获取导出格式
+ * @param {string} id - 格式ID
+ * @returns {Object|null}
+ */
+export function getExporter(id) {
+    return exporters.find(exporter => exporter.id === id) || null;
+}
+
+/**
+ * 生成导出文件名（账本名称 + 导出时间）
+ * @param {Object} data - 导出数据
+ * @param {Object} exporter - 导出格式
+ * @returns {string}
+ */
+export function getExportFileName(data, exporter) {
+    const time = new Date(data.exportedAt);
+    const pad = value => String(value).padStart(2, '0');
+    const stamp = `${time.getFullYear()}${pad(time.getMonth() + 1)}${pad(time.getDate())}-${pad(time.getHours())}${pad(time.getMinutes())}`;
+    const name = data.ledger.name.replace(/[\\/:*?"<>|\s]+/g, '_');
+    return `${name}-${stamp}.${exporter.extension}`;
+}
+
+/**
+ * 按指定格式生成导出内容
+ * @param {string} id - 格式ID
+ * @param {Object} data - 导出数据（见 averagePriceCalculator.getLedgerExportData）
+ * @returns {Promise<Object>} {exporter, content, fileName}，content 为文本或 Blob
+ */
+export function exportLedger(id, data) {
+    const exporter = getExporter(id);
+    if (!exporter) {
+        return Promise.reject(new Error(t('不支持的导出格式“{id}”', { id })));
+    }
+    
+    return Promise.resolve()
+        .then(() => exporter.build(data))
+        .then(content => ({
+            exporter: exporter,
+            content: content,
+            fileName: getExportFileName(data, exporter)
+        }));
+}
+
+/**
+ * 格式化可能为空的数值
+ * @param {number|null} value - 数值
+ * @param {string} outputType - 输出类型（默认金额）
+ * @returns {string}
+ */
+function formatOptional(value, outputType = config.OutputType.AMOUNT) {
+    return value === null || value === undefined ? '-' : validator.formatNumber(value, 4, outputType);
+}
+
+/**
+ * 按当前语言格式化时间
+ * @param {number|null} timestamp - 毫秒时间戳
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+    return timestamp ? formatDateTime(timestamp) : '';
+}
+
+/**
+ * 生成Markdown格式的数据
+ * @param {Object} data - 导出数据
+ * @returns {string}
+ */
+function buildMarkdown(data) {
+    const { ledger, rows, summary, currency } = data;
+    if (!summary) {
+        return `# ${t('开仓记录')} - ${ledger.name}\n\n${t('暂无开仓记录')}`;
+    }
+    
+    let markdown = `# ${t('开仓记录')} - ${ledger.name}\n\n`;
+    if (ledger.symbol) {
+        markdown += `**${t('交易品种')}**: ${ledger.symbol}\n\n`;
+    }
+    markdown += `**${t('交易方向')}**: ${ledger.directionLabel}\n\n`;
+    markdown += `**${t('合约类型')}**: ${data.contractTypeLabel}\n\n`;
+    markdown += `**${t('Maker手续费率')}**: ${decimal(ledger.makerFeeRate).times(100).toFixed(4)}%\n\n`;
+    markdown += `**${t('Taker手续费率')}**: ${decimal(ledger.takerFeeRate).times(100).toFixed(4)}%\n\n`;
+    markdown += `## ${t('开仓明细')}\n\n`;
+    const header = ['序号', '操作', '类型', '数量', '价格', '手续费', '实际成本', '总成本', '已实现盈亏', '备注'];
+    markdown += `| ${header.map(column => t(column)).join(' | ')} |\n`;
+    markdown += '|------|------|------|------|------|--------|----------|--------|------------|------|\n';
+    
+    rows.forEach(row => {
+        const note = row.note.replace(/\|/g, '\\|');
+        markdown += `| ${row.index} | ${row.actionLabel} | ${row.orderTypeLabel} | ${validator.formatQuantity(row.quantity, 4)} | ${validator.formatPrice(row.price, 4)} | ${validator.formatNumber(row.fee, 4)} | ${validator.formatPrice(row.actualCost, 4)} | ${validator.formatNumber(row.totalCost, 4)} | ${formatOptional(row.realizedPnl)} | ${note} |\n`;
+    });
+    
+    markdown += `\n## ${t('汇总信息')}\n\n`;
+    markdown += `- **${t('开仓均价')}**: ${validator.formatPrice(summary.averagePrice, 4)}\n`;
+    markdown += `- **${t('累计开仓数量')}**: ${validator.formatQuantity(summary.totalQuantity, 4)}\n`;
+    markdown += `- **${t('剩余持仓数量')}**: ${validator.formatQuantity(summary.remainingQuantity, 4)}\n`;
+    markdown += `- **${t('持仓成本')}**: ${validator.formatNumber(summary.totalCost, 4)} ${currency}\n`;
+    markdown += `- **${t('已实现盈亏')}**: ${validator.formatNumber(summary.realizedPnl, 4)} ${currency}\n`;
+    markdown += `- **${t('保本价')}**: ${formatOptional(summary.breakEvenPrice, config.OutputType.PRICE)}\n`;
+    markdown += `\n---\n\n`;
+    markdown += `*${t('导出时间')}: ${formatTime(data.exportedAt)}*\n`;
+    
+    return markdown;
+}
+
+/**
+ * 转义CSV单元格（包含逗号、引号或换行时加引号）
+ * @param {*} value - 单元格的值
+ * @returns {string}
+ */
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 生成CSV格式的数据（只包含表头与记录，便于表格软件直接打开）
+ * @param {Object} data - 导出数据
+ * @returns {string}
+ */
+function buildCSV(data) {
+    const lines = [RECORD_COLUMNS.map(column => csvCell(t(column))).join(',')];
+    
+    data.rows.forEach(row => {
+        lines.push([
+            row.index,
+            row.action,
+            row.orderType,
+            row.quantity,
+            row.price,
+            // 只写出手动记录的手续费，按费率计算的留空，重新导入时按账本费率计算
+            row.feeRecorded ? row.fee : '',
+            row.actualCost,
+            row.totalCost,
+            row.realizedPnl === null ? '' : row.realizedPnl,
+            formatTime(row.timestamp),
+            row.note
+        ].map(csvCell).join(','));
+    });
+    
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 生成结构化JSON（可通过导入功能还原记录）
+ * @param {Object} data - 导出数据
+ * @returns {string}
+ */
+function buildJSON(data) {
+    return JSON.stringify({
+        format: LEDGER_EXPORT_FORMAT,
+        version: ledgerStorage.SCHEMA_VERSION,
+        exportedAt: new Date(data.exportedAt).toISOString(),
+        contractType: data.contractType,
+        currency: data.currency,
+        ledger: {
+            name: data.ledger.name,
+            symbol: data.ledger.symbol,
+            direction: data.ledger.direction,
+            makerFeeRate: data.ledger.makerFeeRate,
+            takerFeeRate: data.ledger.takerFeeRate,
+            contractType: data.ledger.contractType,
+            contractFaceValue: data.ledger.contractFaceValue,
+            positions: data.entries
+        },
+        summary: data.summary
+    }, null, 2);
+}
+
+/**
+ * 生成 SpreadsheetML 行
+ * @param {Array} cells - 单元格的值（数字按数值类型写入）
+ * @param {string} styleId - 样式ID（可选）
+ * @returns {string}
+ */
+function spreadsheetRow(cells, styleId = null) {
+    const style = styleId ? ` ss:StyleID="${styleId}"` : '';
+    const content = cells.map(value => {
+        const isNumber = typeof value === 'number' && isFinite(value);
+        return `<Cell${style}><Data ss:Type="${isNumber ? 'Number' : 'String'}">${validator.escapeHtml(value)}</Data></Cell>`;
+    }).join('');
+    return `<Row>${content}</Row>`;
+}
+
+/**
+ * 生成 Excel 可打开的 SpreadsheetML 工作簿（记录表与汇总表）
+ * @param {Object} data - 导出数据
+ * @returns {string}
+ */
+function buildSpreadsheet(data) {
+    const { ledger, rows, summary, currency } = data;
+    const recordRows = [
+        spreadsheetRow(RECORD_COLUMNS.map(column => (CURRENCY_COLUMNS.includes(column) ? `${t(column)} (${currency})` : t(column))), 'header'),
+        ...rows.map(row => spreadsheetRow([
+            row.index,
+            row.actionLabel,
+            row.orderTypeLabel,
+            row.quantity,
+            row.price,
+            row.fee,
+            row.actualCost,
+            row.totalCost,
+            row.realizedPnl === null ? '' : row.realizedPnl,
+            formatTime(row.timestamp),
+            row.note
+        ]))
+    ];
+    
+    const summaryRows = [
+        spreadsheetRow([t('项目'), t('数值')], 'header'),
+        spreadsheetRow([t('账本'), ledger.name]),
+        spreadsheetRow([t('交易品种'), ledger.symbol || '-']),
+        spreadsheetRow([t('交易方向'), ledger.directionLabel]),
+        spreadsheetRow([t('合约类型'), data.contractTypeLabel]),
+        spreadsheetRow([`${t('Maker手续费率')} (%)`, decimal(ledger.makerFeeRate).times(100).toNumber()]),
+        spreadsheetRow([`${t('Taker手续费率')} (%)`, decimal(ledger.takerFeeRate).times(100).toNumber()])
+    ];
+    if (summary) {
+        summaryRows.push(
+            spreadsheetRow([t('开仓均价'), summary.averagePrice]),
+            spreadsheetRow([t('累计开仓数量'), summary.totalQuantity]),
+            spreadsheetRow([t('剩余持仓数量'), summary.remainingQuantity]),
+            spreadsheetRow([`${t('持仓成本')} (${currency})`, summary.totalCost]),
+            spreadsheetRow([`${t('已实现盈亏')} (${currency})`, summary.realizedPnl]),
+            spreadsheetRow([t('保本价'), summary.breakEvenPrice === null ? '-' : summary.breakEvenPrice])
+        );
+    }
+    summaryRows.push(spreadsheetRow([t('导出时间'), formatTime(data.exportedAt)]));
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<?mso-application progid="Excel.Sheet"?>',
+        '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+        '<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>',
+        `<Worksheet ss:Name="${validator.escapeHtml(t('记录'))}"><Table>${recordRows.join('')}</Table></Worksheet>`,
+        `<Worksheet ss:Name="${validator.escapeHtml(t('汇总'))}"><Table>${summaryRows.join('')}</Table></Worksheet>`,
+        '</Workbook>'
+    ].join('\n');
+}
+
+/**
+ * 在画布上绘制持仓摘要卡片并生成PNG图片
+ * @param {Object} data - 导出数据
+ * @returns {Promise<Blob>}
+ */
+function buildImage(data) {
+    const { ledger, summary, currency } = data;
+    if (!summary) {
+        return Promise.reject(new Error(t('暂无开仓记录可导出')));
+    }
+    
+    const width = 640;
+    const height = 400;
+    const scale = 2;
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    const font = (size, weight = 'normal') => `${weight} ${size}px -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif`;
+    
+    // 背景
+    const gradient = ctx.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, '#eff6ff');
+    gradient.addColorStop(1, '#f5f3ff');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+    
+    // 标题与方向
+    ctx.fillStyle = '#111827';
+    ctx.font = font(26, '600');
+    ctx.fillText(ledger.name, 40, 60);
+    ctx.fillStyle = ledger.direction === 'short' ? '#dc2626' : '#16a34a';
+    ctx.font = font(16, '600');
+    ctx.fillText(`${ledger.symbol ? `${ledger.symbol} · ` : ''}${ledger.directionLabel}`, 40, 90);
+    
+    // 开仓均价
+    ctx.fillStyle = '#6b7280';
+    ctx.font = font(14);
+    ctx.fillText(t('开仓均价'), 40, 140);
+    ctx.fillStyle = '#2563eb';
+    ctx.font = font(40, '300');
+    ctx.fillText(validator.formatPrice(summary.averagePrice, 4), 40, 188);
+    
+    // 指标
+    const metrics = [
+        [t('剩余持仓'), validator.formatQuantity(summary.remainingQuantity, 4)],
+        [t('保本价'), formatOptional(summary.breakEvenPrice, config.OutputType.PRICE)],
+        [`${t('持仓成本')} (${currency})`, validator.formatNumber(summary.totalCost, 4)],
+        [`${t('已实现盈亏')} (${currency})`, validator.formatNumber(summary.realizedPnl, 4)]
+    ];
+    metrics.forEach(([label, value], index) => {
+        const x = 40 + (index % 2) * 290;
+        const y = 240 + Math.floor(index / 2) * 64;
+        ctx.fillStyle = '#6b7280';
+        ctx.font = font(13);
+        ctx.fillText(label, x, y);
+        ctx.fillStyle = index === 3 ? (summary.realizedPnl >= 0 ? '#16a34a' : '#dc2626') : '#111827';
+        ctx.font = font(20, '300');
+        ctx.fillText(value, x, y + 28);
+    });
+    
+    // 页脚
+    ctx.fillStyle = '#9ca3af';
+    ctx.font = font(12);
+    ctx.fillText(`${data.contractTypeLabel} · ${formatTime(data.exportedAt)}`, 40, height - 24);
+    
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(t('生成图片失败')))), 'image/png');
+    });
+}
+
+// 内置导出格式
+registerExporter({ id: 'markdown', name: 'Markdown', extension: 'md', mimeType: 'text/markdown', build: buildMarkdown });
+registerExporter({ id: 'csv', name: 'CSV', extension: 'csv', mimeType: 'text/csv', build: buildCSV });
+registerExporter({ id: 'json', name: 'JSON', extension: 'json', mimeType: 'application/json', build: buildJSON });
+registerExporter({ id: 'spreadsheet', name: 'Excel', extension: 'xls', mimeType: 'application/vnd.ms-excel', build: buildSpreadsheet });
+registerExporter({ id: 'image', name: '图片', extension: 'png', mimeType: 'image/png', binary: true, build: buildImage });
+
+export default {
+    LEDGER_EXPORT_FORMAT,
+    registerExporter,
+    getExporters,
+    getExporter,
+    getExportFileName,
+    exportLedger
+};
\ No newline at end of file
@@ -0,0 +1,396 @@
+// 成交记录导入模块
+
+import * as validator from './validator.js';
+import * as config from './config.js';
+import * as ledgerStorage from './ledgerStorage.js';
+import * as ledgerExporters from './ledgerExporters.js';
+import { t } from './i18n.js';
+
+// 可映射的字段及其中文名称
+export const IMPORT_FIELDS = {
+    action: '操作（开仓/减仓）',
+    side: '买卖方向',
+    quantity: '数量',
+    price: '价格',
+    orderType: '成交类型',
+    time: '时间',
+    fee: '手续费（整笔，可选）',
+    note: '备注（可选）'
+};
+
+// 内置列映射方案（交易所表头可能随版本变化，可在导入时修改）
+export const IMPORT_PRESETS = [
+    {
+        id: 'native',
+        name: '本工具导出',
+        columns: { action: '操作', side: '', quantity: '数量', price: '价格', orderType: '类型', time: '时间', fee: '手续费', note: '备注' }
+    },
+    {
+        id: 'binance',
+        name: 'Binance 合约成交历史',
+        columns: { action: '', side: 'Side', quantity: 'Quantity', price: 'Price', orderType: '', time: 'Date(UTC)', fee: '', note: '' }
+    },
+    {
+        id: 'okx',
+        name: 'OKX 成交明细',
+        columns: { action: '', side: 'Side', quantity: 'Filled Qty', price: 'Filled Price', orderType: 'Execution Type', time: 'Time', fee: '', note: '' }
+    },
+    {
+        id: 'bybit',
+        name: 'Bybit 成交记录',
+        columns: { action: '', side: 'Direction', quantity: 'Filled', price: 'Filled Price', orderType: 'Order Type', time: 'Transaction Time', fee: '', note: '' }
+    }
+];
+
+// 本工具存储格式（JSON）的字段映射
+const NATIVE_JSON_COLUMNS = { action: 'action', side: '', quantity: 'quantity', price: 'price', orderType: 'orderType', time: 'timestamp', fee: 'fee', note: 'note' };
+
+/**
+ * 根据ID查找列映射方案
+ * @param {string} id - 方案ID
+ * @returns {Object|null}
+ */
+export function getImportPreset(id) {
+    return IMPORT_PRESETS.find(preset => preset.id === id) || null;
+}
+
+/**
+ * 解析CSV文本（支持引号包裹与转义引号）
+ * @param {string} text - CSV文本
+ * @returns {Array} 二维数组
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (cell || row.length > 0) {
+        row.push(cell.trim());
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * 将CSV二维数组转换为对象列表
+ * 表头为第一行包含数量列和价格列的行，遇到空行结束（跳过本工具导出的说明与汇总）
+ * @param {Array} rows - 二维数组
+ * @param {Object} columns - 列映射
+ * @returns {Array} [{rowNumber, values}]
+ */
+function rowsToRecords(rows, columns) {
+    const headerIndex = rows.findIndex(row => row.includes(columns.quantity) && row.includes(columns.price));
+    if (headerIndex < 0) {
+        throw new Error(t('未找到包含“{quantity}”和“{price}”列的表头', { quantity: columns.quantity, price: columns.price }));
+    }
+    
+    const header = rows[headerIndex];
+    const records = [];
+    
+    for (let i = headerIndex + 1; i < rows.length; i++) {
+        const row = rows[i];
+        if (row.every(cell => cell === '')) break;
+        
+        const values = {};
+        header.forEach((name, index) => {
+            values[name] = row[index] !== undefined ? row[index] : '';
+        });
+        records.push({ rowNumber: i + 1, values: values });
+    }
+    return records;
+}
+
+/**
+ * 解析数字（去除千分位分隔符和单位后缀）
+ * @param {*} value - 原始值
+ * @returns {*} 无法解析时原样返回，交由验证报错
+ */
+function parseAmount(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value === undefined || value === null ? '' : value).replace(/,/g, '').trim();
+    const match = text.match(/^-?\d+(\.\d+)?([eE][-+]?\d+)?/);
+    return match ? match[0] : text;
+}
+
+/**
+ * 解析记录类型：优先使用操作列，其次根据买卖方向和账本交易方向判断
+ * @param {string} actionValue - 操作列的值
+ * @param {string} sideValue - 买卖方向列的值
+ * @param {boolean} isLong - 账本是否做多
+ * @returns {string|null} open / close，无法识别时返回 null
+ */
+function parseAction(actionValue, sideValue, isLong) {
+    const action = String(actionValue || '').trim().toLowerCase();
+    if (action) {
+        if (['open', '开仓', '加仓'].includes(action)) return 'open';
+        if (['close', '减仓', '平仓'].includes(action)) return 'close';
+        return null;
+    }
+    
+    const side = String(sideValue || '').trim().toLowerCase();
+    if (!side) return 'open';
+    
+    // 部分交易所的方向列直接标明开平仓，如 Open Long / 平空
+    if (side.includes('open') || side.includes('开')) return 'open';
+    if (side.includes('close') || side.includes('平')) return 'close';
+    
+    const isBuy = side === 'buy' || side === 'b' || side.includes('买');
+    const isSell = side === 'sell' || side === 's' || side.includes('卖');
+    if (!isBuy && !isSell) return null;
+    
+    // 做多时买入为开仓，做空时卖出为开仓
+    return isBuy === isLong ? 'open' : 'close';
+}
+
+/**
+ * 解析成交类型
+ * @param {string} value - 成交类型列的值
+ * @param {string} defaultOrderType - 缺省时使用的类型
+ * @returns {string|null}
+ */
+function parseOrderType(value, defaultOrderType) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return defaultOrderType;
+    if (['maker', 'm', 'limit', '限价', '挂单', 'post only'].includes(text) || text.includes('maker')) {
+        return config.OrderType.MAKER;
+    }
+    if (['taker', 't', 'market', '市价', '吃单'].includes(text) || text.includes('taker')) {
+        return config.OrderType.TAKER;
+    }
+    return null;
+}
+
+// 不带时区的日期时间（如 2024-01-02 03:04:05，时间部分可省略）
+const PLAIN_DATE_TIME_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?$/;
+
+/**
+ * 判断时间列是否为UTC时间（表头含 UTC，如 Binance 的 Date(UTC)）
+ * @param {string} column - 时间列的表头
+ * @returns {boolean}
+ */
+function isUtcTimeColumn(column) {
+    return /utc/i.test(String(column || ''));
+}
+
+/**
+ * 解析时间
+ * 不带时区的日期时间统一规范为 ISO 格式：UTC时间列按UTC解析，其余按本地时间解析（与本工具导出的时间一致）
+ * @param {*} value - 时间列的值（时间戳或日期字符串）
+ * @param {boolean} isUtc - 不带时区的时间是否为UTC时间
+ * @returns {number|null} 毫秒时间戳，缺省返回 null
+ */
+function parseTime(value, isUtc = false) {
+    if (value === undefined || value === null || value === '') return null;
+    if (validator.isValidNumber(value)) {
+        const number = parseFloat(value);
+        // 10位秒级时间戳转为毫秒
+        return number < 1e11 ? number * 1000 : number;
+    }
+    
+    const text = String(value).trim().replace(/\//g, '-');
+    const match = text.match(PLAIN_DATE_TIME_PATTERN);
+    if (match) {
+        const pad = part => String(part || '0').padStart(2, '0');
+        const [, year, month, day, hour, minute, second, fraction] = match;
+        const iso = `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${fraction || ''}${isUtc ? 'Z' : ''}`;
+        const time = Date.parse(iso);
+        return isNaN(time) ? NaN : time;
+    }
+    
+    const time = Date.parse(text);
+    return isNaN(time) ? NaN : time;
+}
+
+/**
+ * 验证并转换单条记录
+ * @param {Object} values - 列名到值的映射
+ * @param {Object} columns - 列映射
+ * @param {string} defaultOrderType - 缺省成交类型
+ * @param {boolean} isLong - 账本是否做多
+ * @returns {Object} 转换后的记录
+ */
+function convertRecord(values, columns, defaultOrderType, isLong) {
+    const read = field => (columns[field] ? values[columns[field]] : '');
+    const quantity = parseAmount(read('quantity'));
+    const price = parseAmount(read('price'));
+    
+    const validation = validator.validateRequiredFields({
+        '数量': quantity,
+        '价格': price
+    });
+    if (!validation.isValid) {
+        throw new Error(validation.message);
+    }
+    if (!validator.isPositive(quantity)) {
+        throw new Error(t('{label}必须大于0', { label: t('数量') }));
+    }
+    if (!validator.isPositive(price)) {
+        throw new Error(t('{label}必须大于0', { label: t('价格') }));
+    }
+    if (validator.isExtremeValue(quantity) || validator.isExtremeValue(price)) {
+        throw new Error(t('输入值超出合理范围'));
+    }
+    
+    const action = parseAction(read('action'), read('side'), isLong);
+    if (!action) {
+        throw new Error(t('无法识别操作类型“{value}”', { value: read('action') || read('side') }));
+    }
+    
+    const orderType = parseOrderType(read('orderType'), defaultOrderType);
+    if (!orderType) {
+        throw new Error(t('无法识别成交类型“{value}”', { value: read('orderType') }));
+    }
+    
+    const timestamp = parseTime(read('time'), isUtcTimeColumn(columns.time));
+    if (Number.isNaN(timestamp)) {
+        throw new Error(t('无法识别时间“{value}”', { value: read('time') }));
+    }
+    
+    // 手续费可选，为空时按账本费率计算
+    const feeValue = read('fee');
+    let fee = null;
+    if (feeValue !== undefined && feeValue !== null && String(feeValue).trim() !== '') {
+        fee = parseAmount(feeValue);
+        if (!validator.isValidNumber(fee)) {
+            throw new Error(t('无法识别手续费“{value}”', { value: feeValue }));
+        }
+        fee = parseFloat(fee);
+    }
+    
+    return {
+        action: action,
+        quantity: parseFloat(quantity),
+        price: parseFloat(price),
+        orderType: orderType,
+        timestamp: timestamp,
+        fee: fee,
+        note: String(read('note') || '').trim().slice(0, ledgerStorage.MAX_NOTE_LENGTH)
+    };
+}
+
+/**
+ * 读取导出文件中的账本设置（用于按原设置新建账本）
+ * @param {Object} ledger - 导出或存储的账本
+ * @param {string} contractType - 账本未保存合约类型时使用的类型（早期导出文件只在顶层记录合约类型，可选）
+ * @returns {Object} {name, symbol, direction, makerFeeRate, takerFeeRate, contractType, contractFaceValue}，无效的设置为 undefined（使用当前配置）
+ */
+function readSourceLedger(ledger, contractType = undefined) {
+    const readRate = value => (typeof value === 'number' && isFinite(value) ? value : undefined);
+    const type = ledger.contractType || contractType;
+    return {
+        name: String(ledger.name || '').trim() || t('导入的账本'),
+        symbol: typeof ledger.symbol === 'string' ? ledger.symbol : undefined,
+        direction: Object.values(config.Direction).includes(ledger.direction) ? ledger.direction : undefined,
+        makerFeeRate: readRate(ledger.makerFeeRate),
+        takerFeeRate: readRate(ledger.takerFeeRate),
+        contractType: Object.values(config.ContractType).includes(type) ? type : undefined,
+        contractFaceValue: readRate(ledger.contractFaceValue) > 0 ? ledger.contractFaceValue : undefined
+    };
+}
+
+/**
+ * 解析导入文件内容
+ * @param {string} text - 文件内容
+ * @param {string} format - csv / json
+ * @param {Object} columns - 列映射 {action, side, quantity, price, orderType, time, fee, note}
+ * @param {string} defaultOrderType - 未映射成交类型时使用的类型
+ * @param {string} direction - 导入目标账本的交易方向（默认全局交易方向）
+ * @returns {Object} {accepted: [{rowNumber, action, quantity, price, orderType, timestamp, fee, note}], rejected: [{rowNumber, reason, raw}], ledger}
+ *   本工具导出或存储的JSON包含账本设置，ledger 为应新建的账本设置（按其交易方向解析），其余格式为 null
+ */
+export function parseImport(text, format, columns, defaultOrderType = config.OrderType.MAKER, direction = config.getDirection()) {
+    if (!String(text || '').trim()) {
+        throw new Error(t('文件内容为空'));
+    }
+    
+    let records;
+    let mapping = columns;
+    let sourceLedger = null;
+    
+    if (format === 'json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(t('JSON 格式错误'));
+        }
+        
+        // 本工具导出的结构化JSON
+        if (data && data.format === ledgerExporters.LEDGER_EXPORT_FORMAT && data.ledger && Array.isArray(data.ledger.positions)) {
+            // 记录的数量与手续费按导出时的合约类型计算，新建的账本沿用导出时的合约类型
+            sourceLedger = readSourceLedger(data.ledger, data.contractType);
+            data = data.ledger.positions;
+            mapping = NATIVE_JSON_COLUMNS;
+        } else if (data && !Array.isArray(data) && (Array.isArray(data.positions) || Array.isArray(data.ledgers))) {
+            // 本工具的存储格式，先升级到当前版本，再取其中的当前账本
+            const migrated = ledgerStorage.migrateLedger(data);
+            const ledger = migrated.ledgers.find(item => item.id === migrated.activeLedgerId) || migrated.ledgers[0];
+            sourceLedger = ledger ? readSourceLedger(ledger) : null;
+            data = ledger ? ledger.positions : [];
+            mapping = NATIVE_JSON_COLUMNS;
+        }
+        if (!Array.isArray(data)) {
+            throw new Error(t('JSON 内容必须是记录数组'));
+        }
+        records = data.map((values, index) => ({ rowNumber: index + 1, values: values || {} }));
+    } else {
+        if (!mapping.quantity || !mapping.price) {
+            throw new Error(t('请映射数量列和价格列'));
+        }
+        records = rowsToRecords(parseCSV(text), mapping);
+    }
+    
+    const accepted = [];
+    const rejected = [];
+    const isLong = (sourceLedger && sourceLedger.direction ? sourceLedger.direction : direction) === config.Direction.LONG;
+    
+    records.forEach(record => {
+        try {
+            accepted.push({ rowNumber: record.rowNumber, ...convertRecord(record.values, mapping, defaultOrderType, isLong) });
+        } catch (error) {
+            rejected.push({ rowNumber: record.rowNumber, reason: error.message, raw: record.values });
+        }
+    });
+    
+    return { accepted, rejected, ledger: sourceLedger };
+}
+
+export default {
+    IMPORT_FIELDS,
+    IMPORT_PRESETS,
+    getImportPreset,
+    parseCSV,
+    parseImport
+};
\ No newline at end of file
@@ -0,0 +1,208 @@
+// 开仓记录本地存储模块
+
+import { t } from './i18n.js';
+
+const LEDGER_KEY = 'contract-calculator-ledger';
+
+// 当前存储结构版本，结构变更时递增并在 MIGRATIONS 中添加升级函数
+export const SCHEMA_VERSION = 4;
+
+// 记录备注最大长度（手动填写与导入共用）
+export const MAX_NOTE_LENGTH = 100;
+
+// 本地账本无法读取的原因
+export const LoadFailure = {
+    CORRUPT: 'corrupt',                         // 数据损坏（JSON 或结构错误）
+    UNSUPPORTED_VERSION: 'unsupportedVersion'   // 版本高于当前支持的版本（由更新版本的页面保存）
+};
+
+/**
+ * 本地账本无法读取
+ */
+export class LedgerLoadError extends Error {
+    /**
+     * @param {string} reason - 原因，见 LoadFailure
+     * @param {string} message - 错误消息
+     * @param {number|null} version - 存储的版本（版本过高时）
+     */
+    constructor(reason, message, version = null) {
+        super(message);
+        this.name = 'LedgerLoadError';
+        this.reason = reason;
+        this.version = version;
+    }
+}
+
+// 版本升级函数：MIGRATIONS[n] 将版本 n 的数据升级为版本 n + 1（版本1为首个保存到本地的结构）
+const MIGRATIONS = {
+    // 版本1 → 2：新增 action 字段区分开仓与减仓，旧记录均为开仓
+    1: data => ({
+        version: 2,
+        positions: (data.positions || []).map(record => ({ ...record, action: 'open' }))
+    }),
+    // 版本2 → 3：支持多个账本，原记录放入默认账本（旧版本未保存方向与费率，使用默认值）
+    2: data => {
+        const ledgerId = createRecordId();
+        return {
+            version: 3,
+            activeLedgerId: ledgerId,
+            ledgers: [{
+                id: ledgerId,
+                name: t('默认账本'),
+                symbol: '',
+                direction: 'long',
+                makerFeeRate: 0.0002,
+                takerFeeRate: 0.0005,
+                archived: false,
+                createdAt: Date.now(),
+                positions: data.positions || []
+            }]
+        };
+    },
+    // 版本3 → 4：账本保存各自的合约类型与面值（旧版本按未保存的全局设置计算，使用页面加载时的默认值）
+    3: data => ({
+        ...data,
+        version: 4,
+        ledgers: (data.ledgers || []).map(ledger => ({ ...ledger, contractType: 'linear', contractFaceValue: 100 }))
+    })
+};
+
+/**
+ * 生成记录ID（时间戳 + 随机数，快速连续添加也不会重复）
+ * @param {Array} existingIds - 已存在的ID（可选）
+ * @returns {string}
+ */
+export function createRecordId(existingIds = []) {
+    let id;
+    do {
+        id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+    } while (existingIds.includes(id));
+    return id;
+}
+
+/**
+ * 获取数据的存储版本
+ * @param {*} data - 存储的数据
+ * @returns {number|null} 没有版本号时返回 null
+ */
+function getVersion(data) {
+    if (data && !Array.isArray(data) && typeof data.version === 'number') {
+        return data.version;
+    }
+    return null;
+}
+
+/**
+ * 将数据逐级升级到当前版本
+ * @param {*} data - 存储的数据
+ * @returns {Object} {version, activeLedgerId, ledgers}
+ */
+export function migrateLedger(data) {
+    let current = data;
+    let version = getVersion(current);
+    
+    if (version === null) {
+        throw new Error(t('开仓记录缺少版本号，无法识别'));
+    }
+    if (version > SCHEMA_VERSION) {
+        throw new Error(t('开仓记录版本 {version} 高于当前支持的版本 {supported}', { version, supported: SCHEMA_VERSION }));
+    }
+    
+    while (version < SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(t('缺少开仓记录版本 {version} 的升级方法', { version }));
+        }
+        current = migrate(current);
+        version = getVersion(current);
+    }
+    
+    return current;
+}
+
+/**
+ * 读取全部账本
+ * @returns {Object} {version, activeLedgerId, ledgers}，无数据时返回空列表
+ * @throws {LedgerLoadError} 数据损坏或版本过高时抛出（此时不应写回，以免覆盖原数据）
+ */
+export function loadLedgers() {
+    const raw = readStoredLedgers();
+    if (!raw) {
+        return { version: SCHEMA_VERSION, activeLedgerId: null, ledgers: [] };
+    }
+    
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        throw new LedgerLoadError(LoadFailure.CORRUPT, t('本地保存的开仓记录已损坏，无法读取'));
+    }
+        
+    const version = getVersion(data);
+    if (version > SCHEMA_VERSION) {
+        throw new LedgerLoadError(
+            LoadFailure.UNSUPPORTED_VERSION,
+            t('开仓记录版本 {version} 高于当前支持的版本 {supported}', { version, supported: SCHEMA_VERSION }),
+            version
+        );
+    }
+        
+    let migrated;
+    try {
+        migrated = migrateLedger(data);
+    } catch (error) {
+        throw new LedgerLoadError(LoadFailure.CORRUPT, error.message);
+    }
+    if (!Array.isArray(migrated.ledgers) || !migrated.ledgers.every(ledger => ledger && typeof ledger.id === 'string')) {
+        throw new LedgerLoadError(LoadFailure.CORRUPT, t('本地保存的开仓记录已损坏，无法读取'));
+    }
+    
+    // 升级后立即写回，避免每次加载重复升级
+    if (version !== SCHEMA_VERSION) {
+        saveLedgers(migrated.activeLedgerId, migrated.ledgers);
+    }
+    return migrated;
+}
+
+/**
+ * 读取本地保存的原始账本数据（用于无法读取时下载备份）
+ * @returns {string|null}
+ */
+export function readStoredLedgers() {
+    try {
+        return localStorage.getItem(LEDGER_KEY);
+    } catch (error) {
+        console.error('Error reading ledger:', error);
+        return null;
+    }
+}
+
+/**
+ * 保存全部账本
+ * @param {string} activeLedgerId - 当前账本ID
+ * @param {Array} ledgers - 账本列表 [{id, name, symbol, direction, makerFeeRate, takerFeeRate, contractType, contractFaceValue, archived, createdAt, positions}]
+ *                          positions 为记录列表 [{id, action, quantity, price, orderType, timestamp, fee, note}]（fee 可为 null）
+ */
+export function saveLedgers(activeLedgerId, ledgers) {
+    try {
+        localStorage.setItem(LEDGER_KEY, JSON.stringify({
+            version: SCHEMA_VERSION,
+            activeLedgerId: activeLedgerId,
+            ledgers: ledgers
+        }));
+    } catch (error) {
+        console.error('Error saving ledger:', error);
+    }
+}
+
+export default {
+    SCHEMA_VERSION,
+    MAX_NOTE_LENGTH,
+    LoadFailure,
+    LedgerLoadError,
+    createRecordId,
+    migrateLedger,
+    loadLedgers,
+    readStoredLedgers,
+    saveLedgers
+};
\ No newline at end of file
@@ -0,0 +1,430 @@
+// 多账本管理模块（每个账本独立的交易方向、手续费率、合约类型与记录）
+
+import * as config from './config.js';
+import * as ledgerStorage from './ledgerStorage.js';
+import { decimal } from './decimal.js';
+import { t } from './i18n.js';
+
+// 账本名称最大长度
+export const MAX_LEDGER_NAME_LENGTH = 30;
+
+// 全部账本（按创建顺序）
+let ledgers = [];
+
+// 当前账本ID
+let activeLedgerId = null;
+
+// 本地存储不可用（如版本过高）时不写回，避免覆盖数据
+let persistenceEnabled = true;
+
+// 本地账本无法读取的原因 {reason, version}（见 ledgerStorage.LoadFailure），可以读取时为 null
+let loadFailure = null;
+
+// 撤销/重做历史的最大步数
+export const MAX_HISTORY_SIZE = 50;
+
+// 记录变更历史（仅保存在当前页面）[{ledgerId, label, before, after}]
+let undoStack = [];
+let redoStack = [];
+
+/**
+ * 保存全部账本到本地存储
+ */
+function persistLedgers() {
+    if (!persistenceEnabled) return;
+    ledgerStorage.saveLedgers(activeLedgerId, ledgers);
+}
+
+/**
+ * 按当前全局配置创建账本对象
+ * @param {string} name - 账本名称
+ * @param {Object} settings - 账本设置（可选）{symbol, direction, makerFeeRate, takerFeeRate, contractType, contractFaceValue}
+ * @returns {Object}
+ */
+function buildLedger(name, settings = {}) {
+    return {
+        id: ledgerStorage.createRecordId(ledgers.map(ledger => ledger.id)),
+        name: name,
+        symbol: settings.symbol !== undefined ? settings.symbol : config.getInstrumentSymbol(),
+        direction: settings.direction || config.getDirection(),
+        makerFeeRate: settings.makerFeeRate !== undefined ? settings.makerFeeRate : config.getMakerFeeRate(),
+        takerFeeRate: settings.takerFeeRate !== undefined ? settings.takerFeeRate : config.getTakerFeeRate(),
+        contractType: settings.contractType || config.getContractType(),
+        contractFaceValue: settings.contractFaceValue !== undefined ? settings.contractFaceValue : config.getContractFaceValue(),
+        archived: false,
+        createdAt: Date.now(),
+        positions: []
+    };
+}
+
+/**
+ * 验证账本名称
+ * @param {string} name - 账本名称
+ * @param {string} excludeId - 重名检查时忽略的账本ID（重命名时为自身）
+ * @returns {string} 去除首尾空格后的名称
+ */
+function validateLedgerName(name, excludeId = null) {
+    const ledgerName = String(name || '').trim();
+    if (!ledgerName) {
+        throw new Error(t('请输入账本名称'));
+    }
+    if (ledgerName.length > MAX_LEDGER_NAME_LENGTH) {
+        throw new Error(t('账本名称不能超过{max}个字符', { max: MAX_LEDGER_NAME_LENGTH }));
+    }
+    if (ledgers.some(ledger => ledger.id !== excludeId && ledger.name === ledgerName)) {
+        throw new Error(t('账本“{name}”已存在', { name: ledgerName }));
+    }
+    return ledgerName;
+}
+
+/**
+ * 查找账本，不存在时报错
+ * @param {string} id - 账本ID
+ * @returns {Object}
+ */
+function requireLedger(id) {
+    const ledger = ledgers.find(item => item.id === id);
+    if (!ledger) {
+        throw new Error(t('账本不存在'));
+    }
+    return ledger;
+}
+
+/**
+ * 从本地存储恢复账本，没有账本时按当前配置创建默认账本
+ * @returns {number} 账本数量
+ */
+export function restoreLedgers() {
+    let saved = null;
+    try {
+        saved = ledgerStorage.loadLedgers();
+        persistenceEnabled = true;
+        loadFailure = null;
+    } catch (error) {
+        if (!(error instanceof ledgerStorage.LedgerLoadError)) throw error;
+        console.error('Error loading ledger:', error);
+        persistenceEnabled = false;
+        loadFailure = { reason: error.reason, version: error.version };
+    }
+    
+    if (!saved) {
+        ledgers = [];
+    } else {
+        ledgers = saved.ledgers.map(ledger => ({
+            ...ledger,
+            symbol: ledger.symbol || '',
+            positions: Array.isArray(ledger.positions) ? ledger.positions : []
+        }));
+    }
+    
+    if (ledgers.length === 0) {
+        ledgers.push(buildLedger(t('默认账本')));
+    }
+    
+    const active = saved ? ledgers.find(ledger => ledger.id === saved.activeLedgerId && !ledger.archived) : null;
+    activeLedgerId = active ? active.id : (ledgers.find(ledger => !ledger.archived) || ledgers[0]).id;
+    return ledgers.length;
+}
+
+/**
+ * 获取本地账本无法读取的原因（此时新的修改不会保存，需备份后重置）
+ * @returns {Object|null} {reason, version}，可以读取时返回 null
+ */
+export function getLoadFailure() {
+    return loadFailure ? { ...loadFailure } : null;
+}
+
+/**
+ * 获取本地保存的原始账本数据，用于无法读取时下载备份
+ * @returns {string|null}
+ */
+export function getStoredLedgerBackup() {
+    return ledgerStorage.readStoredLedgers();
+}
+
+/**
+ * 放弃无法读取的本地数据：以当前页面的账本覆盖本地存储并恢复自动保存
+ */
+export function resetLedgerStorage() {
+    loadFailure = null;
+    persistenceEnabled = true;
+    persistLedgers();
+}
+
+/**
+ * 获取账本列表
+ * @param {boolean} includeArchived - 是否包含已归档账本
+ * @returns {Array}
+ */
+export function getLedgers(includeArchived = false) {
+    return ledgers.filter(ledger => includeArchived || !ledger.archived);
+}
+
+/**
+ * 根据ID获取账本
+ * @param {string} id - 账本ID
+ * @returns {Object|null}
+ */
+export function getLedger(id) {
+    return ledgers.find(ledger => ledger.id === id) || null;
+}
+
+/**
+ * 获取当前账本
+ * @returns {Object|null}
+ */
+export function getActiveLedger() {
+    return getLedger(activeLedgerId);
+}
+
+/**
+ * 切换当前账本
+ * @param {string} id - 账本ID
+ */
+export function switchLedger(id) {
+    activeLedgerId = requireLedger(id).id;
+    persistLedgers();
+}
+
+/**
+ * 新建账本并设为当前账本
+ * @param {string} name - 账本名称
+ * @param {Object} settings - 账本设置（可选，默认使用当前全局配置）
+ * @returns {Object} 新建的账本
+ */
+export function createLedger(name, settings = {}) {
+    const ledger = buildLedger(validateLedgerName(name), settings);
+    ledgers.push(ledger);
+    activeLedgerId = ledger.id;
+    persistLedgers();
+    return ledger;
+}
+
+/**
+ * 重命名账本
+ * @param {string} id - 账本ID
+ * @param {string} name - 新名称
+ */
+export function renameLedger(id, name) {
+    const ledger = requireLedger(id);
+    ledger.name = validateLedgerName(name, id);
+    persistLedgers();
+}
+
+/**
+ * 复制账本（包含设置与全部记录）并设为当前账本
+ * @param {string} id - 被复制的账本ID
+ * @param {string} name - 新账本名称
+ * @returns {Object} 新建的账本
+ */
+export function duplicateLedger(id, name) {
+    const source = requireLedger(id);
+    const ledger = buildLedger(validateLedgerName(name), source);
+    ledger.positions = source.positions.map(record => ({ ...record }));
+    
+    ledgers.push(ledger);
+    activeLedgerId = ledger.id;
+    persistLedgers();
+    return ledger;
+}
+
+/**
+ * 归档或恢复账本（归档后不在账本列表中显示，记录仍保留）
+ * @param {string} id - 账本ID
+ * @param {boolean} archived - 是否归档
+ */
+export function setLedgerArchived(id, archived) {
+    const ledger = requireLedger(id);
+    
+    if (archived && !ledger.archived && getLedgers().length <= 1) {
+        throw new Error(t('至少保留一个未归档的账本'));
+    }
+    ledger.archived = Boolean(archived);
+    
+    // 归档当前账本时切换到其他未归档账本
+    if (ledger.archived && ledger.id === activeLedgerId) {
+        activeLedgerId = getLedgers()[0].id;
+    }
+    persistLedgers();
+}
+
+/**
+ * 删除账本
+ * @param {string} id - 账本ID
+ */
+export function deleteLedger(id) {
+    const ledger = requireLedger(id);
+    
+    if (!ledger.archived && getLedgers().length <= 1) {
+        throw new Error(t('至少保留一个未归档的账本'));
+    }
+    ledgers = ledgers.filter(item => item.id !== id);
+    
+    if (activeLedgerId === id) {
+        activeLedgerId = getLedgers()[0].id;
+    }
+    
+    // 已删除账本的历史无法恢复
+    undoStack = undoStack.filter(change => change.ledgerId !== id);
+    redoStack = redoStack.filter(change => change.ledgerId !== id);
+    persistLedgers();
+}
+
+/**
+ * 更新账本设置
+ * @param {string} id - 账本ID
+ * @param {Object} settings - {direction, makerFeeRate, takerFeeRate, contractType, contractFaceValue}，费率为百分比形式（如0.02表示0.02%）
+ */
+export function updateLedgerSettings(id, settings) {
+    const ledger = requireLedger(id);
+    const next = { ...ledger };
+    
+    if (settings.direction !== undefined) {
+        if (settings.direction !== config.Direction.LONG && settings.direction !== config.Direction.SHORT) {
+            throw new Error(t('交易方向无效'));
+        }
+        next.direction = settings.direction;
+    }
+    if (settings.makerFeeRate !== undefined) {
+        const rate = parseFloat(settings.makerFeeRate);
+        if (isNaN(rate) || rate / 100 < config.MIN_MAKER_FEE_RATE) {
+            throw new Error(t('Maker手续费率不能低于{min}%', { min: config.MIN_MAKER_FEE_RATE * 100 }));
+        }
+        next.makerFeeRate = decimal(rate).div(100).toNumber();
+    }
+    if (settings.takerFeeRate !== undefined) {
+        const rate = parseFloat(settings.takerFeeRate);
+        if (isNaN(rate) || rate < 0) {
+            throw new Error(t('Taker手续费率不能为负数'));
+        }
+        next.takerFeeRate = decimal(rate).div(100).toNumber();
+    }
+    if (settings.contractType !== undefined) {
+        if (settings.contractType !== config.ContractType.LINEAR && settings.contractType !== config.ContractType.INVERSE) {
+            throw new Error(t('合约类型无效'));
+        }
+        next.contractType = settings.contractType;
+    }
+    if (settings.contractFaceValue !== undefined) {
+        const faceValue = parseFloat(settings.contractFaceValue);
+        if (isNaN(faceValue) || faceValue <= 0) {
+            throw new Error(t('合约面值必须大于0'));
+        }
+        next.contractFaceValue = faceValue;
+    }
+    
+    Object.assign(ledger, next);
+    persistLedgers();
+}
+
+/**
+ * 复制记录列表（只保留需要保存的字段）
+ * @param {Array} entries - 记录列表
+ * @returns {Array}
+ */
+function cloneEntries(entries) {
+    return entries.map(entry => ({
+        id: entry.id,
+        action: entry.action,
+        quantity: entry.quantity,
+        price: entry.price,
+        orderType: entry.orderType,
+        timestamp: entry.timestamp,
+        fee: entry.fee === undefined ? null : entry.fee,
+        note: entry.note || ''
+    }));
+}
+
+/**
+ * 替换账本的全部记录
+ * @param {string} id - 账本ID
+ * @param {Array} entries - 记录列表 [{id, action, quantity, price, orderType, timestamp, fee, note}]，fee 为空时按账本费率计算
+ * @param {string|null} label - 操作描述，用于撤销/重做；为 null 时不记入历史（如修复损坏数据）
+ */
+export function setLedgerEntries(id, entries, label = null) {
+    const ledger = requireLedger(id);
+    const before = cloneEntries(ledger.positions);
+    ledger.positions = cloneEntries(entries);
+    
+    if (label) {
+        undoStack.push({ ledgerId: id, label: label, before: before, after: cloneEntries(ledger.positions) });
+        if (undoStack.length > MAX_HISTORY_SIZE) {
+            undoStack.shift();
+        }
+        // 新的操作使重做历史失效
+        redoStack = [];
+    }
+    persistLedgers();
+}
+
+/**
+ * 将历史中的一步应用到账本，并切换到该账本
+ * @param {Object} change - 历史记录
+ * @param {Array} entries - 要恢复的记录列表
+ */
+function applyHistory(change, entries) {
+    const ledger = requireLedger(change.ledgerId);
+    ledger.positions = cloneEntries(entries);
+    activeLedgerId = ledger.id;
+    persistLedgers();
+}
+
+/**
+ * 撤销最近一次记录变更
+ * @returns {string|null} 被撤销的操作描述，无可撤销操作时返回 null
+ */
+export function undo() {
+    const change = undoStack.pop();
+    if (!change) return null;
+    
+    applyHistory(change, change.before);
+    redoStack.push(change);
+    return change.label;
+}
+
+/**
+ * 重做最近一次撤销的记录变更
+ * @returns {string|null} 被重做的操作描述，无可重做操作时返回 null
+ */
+export function redo() {
+    const change = redoStack.pop();
+    if (!change) return null;
+    
+    applyHistory(change, change.after);
+    undoStack.push(change);
+    return change.label;
+}
+
+/**
+ * 获取可撤销/重做的操作描述
+ * @returns {Object} {undo, redo}，无可用操作时为 null
+ */
+export function getHistoryState() {
+    return {
+        undo: undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+        redo: redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null
+    };
+}
+
+export default {
+    MAX_LEDGER_NAME_LENGTH,
+    MAX_HISTORY_SIZE,
+    restoreLedgers,
+    getLoadFailure,
+    getStoredLedgerBackup,
+    resetLedgerStorage,
+    getLedgers,
+    getLedger,
+    getActiveLedger,
+    switchLedger,
+    createLedger,
+    renameLedger,
+    duplicateLedger,
+    setLedgerArchived,
+    deleteLedger,
+    updateLedgerSettings,
+    setLedgerEntries,
+    undo,
+    redo,
+    getHistoryState
+};
\ No newline at end of file
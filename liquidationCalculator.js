@@ -2,6 +2,178 @@
 
 import * as validator from './validator.js';
 import * as config from './config.js';
+import * as instruments from './instruments.js';
+import { decimal, sum, max } from './decimal.js';
+import * as liveCalculation from './liveCalculation.js';
+import * as calculationHistory from './calculationHistory.js';
+import { t, addLocaleListener, formatLocaleNumber } from './i18n.js';
+
+// 保证金模式枚举
+export const MarginMode = {
+    ISOLATED: 'isolated', // 逐仓
+    CROSS: 'cross'        // 全仓
+};
+
+// 当前保证金模式
+let marginMode = MarginMode.ISOLATED;
+
+// 逐仓计算的字段规则（杠杆倍数与初始保证金二选一）
+const ISOLATED_FIELDS = {
+    leverage: { label: '杠杆倍数', input: 'liqLeverage', required: false, positive: true },
+    openPrice: { label: '开仓价格', input: 'liqOpenPrice', positive: true },
+    quantity: { label: '数量', input: 'liqQuantity', positive: true },
+    addMargin: { label: '增加保证金', input: 'liqAddMargin', required: false, nonNegative: true },
+    customInitialMargin: { label: '初始保证金', input: 'liqInitialMargin', required: false, nonNegative: true }
+};
+
+// 全仓计算的字段规则（持仓字段见 getCrossPositionFields）
+const CROSS_FIELDS = {
+    walletBalance: { label: '钱包余额', input: 'liqWalletBalance', nonNegative: true }
+};
+
+// 逐仓计算记录到计算历史的输入框 {输入框ID: 名称}
+const ISOLATED_HISTORY_FIELDS = {
+    liqLeverage: '杠杆倍数',
+    liqOpenPrice: '开仓价格',
+    liqQuantity: '数量',
+    liqInitialMargin: '初始保证金',
+    liqAddMargin: '增加保证金'
+};
+
+// 全仓计算记录到计算历史的输入框（持仓行单独记录）
+const CROSS_HISTORY_FIELDS = {
+    liqWalletBalance: '钱包余额'
+};
+
+/**
+ * 计算初始保证金
+ * @param {number} leverage - 杠杆倍数
+ * @param {number} openPrice - 开仓价格
+ * @param {number} quantity - 持仓数量
+ * @param {number} customInitialMargin - 自定义初始保证金（可选）
+ * @returns {Decimal}
+ */
+function calculateInitialMargin(leverage, openPrice, quantity, customInitialMargin = null) {
+    // 如果用户输入了自定义值则使用，否则根据杠杆计算
+    if (customInitialMargin !== null && customInitialMargin > 0) {
+        return decimal(customInitialMargin);
+    }
+    // 初始保证金 = 持仓价值 / 杠杆倍数
+    const positionValue = config.getPositionValueDecimal(quantity, openPrice);
+    return positionValue.div(leverage);
+}
+
+/**
+ * 计算用于匹配维持保证金档位的名义价值（以计价货币计）
+ * 币本位合约的名义价值为 张数 × 面值，不随价格变化
+ * @param {number} quantity - 持仓数量（币本位为张数）
+ * @param {number} price - 价格
+ * @returns {Decimal}
+ */
+function getTierNotional(quantity, price) {
+    return decimal(quantity).times(config.isInverse() ? config.getContractFaceValue() : price);
+}
+
+/**
+ * 计算维持保证金（以结算币种计）
+ * @param {number} quantity - 持仓数量（币本位为张数）
+ * @param {number} price - 价格
+ * @param {Object} tier - 维持保证金档位
+ * @returns {Decimal}
+ */
+function calculateMaintenanceMargin(quantity, price, tier) {
+    const margin = getTierNotional(quantity, price).times(tier.maintenanceMarginRate).minus(tier.maintenanceAmount);
+    return max(config.isInverse() ? margin.div(price) : margin, 0);
+}
+
+/**
+ * 计算未实现盈亏（以结算币种计）
+ * @param {boolean} isLongPosition - 是否为多头持仓
+ * @param {number} quantity - 持仓数量（币本位为张数）
+ * @param {number} entryPrice - 开仓价格
+ * @param {number} markPrice - 标记价格
+ * @returns {Decimal}
+ */
+function calculateUnrealizedPnl(isLongPosition, quantity, entryPrice, markPrice) {
+    const entryValue = config.getPositionValueDecimal(quantity, entryPrice);
+    const markValue = config.getPositionValueDecimal(quantity, markPrice);
+    // 币本位合约的持仓价值随价格上涨而减少，盈亏方向与U本位相反
+    const longPnl = config.isInverse() ? entryValue.minus(markValue) : markValue.minus(entryValue);
+    return isLongPosition ? longPnl : longPnl.neg();
+}
+
+/**
+ * 根据可承担亏损的保证金和维持保证金档位求解强平价格
+ * 当 保证金 + 未实现盈亏 = 数量 × 强平价 × 维持保证金率 - 速算额 时触发强平
+ * @param {boolean} isLongPosition - 是否为多头持仓
+ * @param {number} quantity - 持仓数量
+ * @param {number} openPrice - 开仓价格
+ * @param {number|Decimal} margin - 可承担亏损的保证金
+ * @param {Object} tier - 维持保证金档位
+ * @returns {Decimal|null} 强平价格（可能不大于0），不会被强平时返回 null
+ */
+function solveLiquidationPrice(isLongPosition, quantity, openPrice, margin, tier) {
+    const mmr = tier.maintenanceMarginRate;
+    let numerator;
+    let denominator;
+    
+    if (config.isInverse()) {
+        // 币本位：保证金与盈亏以币计，名义价值 = 张数 × 面值
+        const faceNotional = decimal(quantity).times(config.getContractFaceValue());
+        const openNotional = faceNotional.div(openPrice);
+        if (isLongPosition) {
+            // 做多强平价格 = (名义价值 × (1 + 维持保证金率) - 速算额) / (保证金 + 名义价值 / 开仓价)
+            numerator = faceNotional.times(decimal(1).plus(mmr)).minus(tier.maintenanceAmount);
+            denominator = openNotional.plus(margin);
+        } else {
+            // 做空强平价格 = (名义价值 × (1 - 维持保证金率) + 速算额) / (名义价值 / 开仓价 - 保证金)
+            // 分母不大于0时（保证金不低于持仓价值）不会被强平
+            numerator = faceNotional.times(decimal(1).minus(mmr)).plus(tier.maintenanceAmount);
+            denominator = openNotional.minus(margin);
+            if (!denominator.isPositive()) return null;
+        }
+    } else {
+        const openValue = decimal(quantity).times(openPrice);
+        if (isLongPosition) {
+            // 做多强平价格 = (数量 × 开仓价 - 保证金 - 速算额) / (数量 × (1 - 维持保证金率))
+            numerator = openValue.minus(margin).minus(tier.maintenanceAmount);
+            denominator = decimal(quantity).times(decimal(1).minus(mmr));
+        } else {
+            // 做空强平价格 = (数量 × 开仓价 + 保证金 + 速算额) / (数量 × (1 + 维持保证金率))
+            numerator = openValue.plus(margin).plus(tier.maintenanceAmount);
+            denominator = decimal(quantity).times(decimal(1).plus(mmr));
+        }
+    }
+    
+    return denominator.isZero() ? null : numerator.div(denominator);
+}
+
+/**
+ * 求解强平价格并确定强平时所处的维持保证金档位
+ * 从开仓名义价值所在档位开始，若强平价的名义价值落在其他档位，则改用该档位重新求解，直到档位不再变化
+ * @param {boolean} isLongPosition - 是否为多头持仓
+ * @param {number} quantity - 持仓数量
+ * @param {number} openPrice - 开仓价格
+ * @param {number|Decimal} margin - 可承担亏损的保证金
+ * @returns {Object} {liquidationPrice, tier}
+ */
+function solveLiquidationTier(isLongPosition, quantity, openPrice, margin) {
+    let tier = config.getMaintenanceTier(getTierNotional(quantity, openPrice).toNumber());
+    let liquidationPrice = solveLiquidationPrice(isLongPosition, quantity, openPrice, margin, tier);
+    
+    // 档位的维持保证金随名义价值连续变化，每次换档都朝同一方向移动，最多遍历全部档位
+    for (let i = 0; i < config.getMaintenanceTiers().length; i++) {
+        if (liquidationPrice === null || !liquidationPrice.isPositive()) break;
+        
+        const nextTier = config.getMaintenanceTier(getTierNotional(quantity, liquidationPrice).toNumber());
+        if (nextTier.level === tier.level) break;
+        
+        tier = nextTier;
+        liquidationPrice = solveLiquidationPrice(isLongPosition, quantity, openPrice, margin, tier);
+    }
+    
+    return { liquidationPrice, tier };
+}
 
 /**
  * 计算做多强平价格
@@ -13,27 +185,19 @@ import * as config from './config.js';
  * @returns {Object}
  */
 function calculateLongLiquidationPrice(leverage, openPrice, quantity, addMargin, customInitialMargin = null) {
-    // 初始保证金：如果用户输入了自定义值则使用，否则根据杠杆计算
-    let initialMargin;
-    if (customInitialMargin !== null && customInitialMargin > 0) {
-        initialMargin = customInitialMargin;
-    } else {
-        // 初始保证金 = 持仓价值 / 杠杆倍数
-        const positionValue = quantity * openPrice;
-        initialMargin = positionValue / leverage;
-    }
+    const initialMargin = calculateInitialMargin(leverage, openPrice, quantity, customInitialMargin);
     
     // 总保证金 = 初始保证金 + 增加保证金
-    const totalMargin = initialMargin + addMargin;
+    const totalMargin = initialMargin.plus(addMargin);
     
-    // 做多强平价格 = 开仓价格 - (总保证金 / 数量)
-    // 当价格跌到这个点时，亏损额 = 总保证金，触发强平
-    const liquidationPrice = openPrice - (totalMargin / quantity);
+    // 按强平价名义价值所在的维持保证金档位求解
+    const { liquidationPrice, tier } = solveLiquidationTier(true, quantity, openPrice, totalMargin);
     
     return {
         liquidationPrice: liquidationPrice,
         initialMargin: initialMargin,
-        totalMargin: totalMargin
+        totalMargin: totalMargin,
+        tier: tier
     };
 }
 
@@ -47,27 +211,19 @@ function calculateLongLiquidationPrice(leverage, openPrice, quantity, addMargin,
  * @returns {Object}
  */
 function calculateShortLiquidationPrice(leverage, openPrice, quantity, addMargin, customInitialMargin = null) {
-    // 初始保证金：如果用户输入了自定义值则使用，否则根据杠杆计算
-    let initialMargin;
-    if (customInitialMargin !== null && customInitialMargin > 0) {
-        initialMargin = customInitialMargin;
-    } else {
-        // 初始保证金 = 持仓价值 / 杠杆倍数
-        const positionValue = quantity * openPrice;
-        initialMargin = positionValue / leverage;
-    }
+    const initialMargin = calculateInitialMargin(leverage, openPrice, quantity, customInitialMargin);
     
     // 总保证金 = 初始保证金 + 增加保证金
-    const totalMargin = initialMargin + addMargin;
+    const totalMargin = initialMargin.plus(addMargin);
     
-    // 做空强平价格 = 开仓价格 + (总保证金 / 数量)
-    // 当价格涨到这个点时，亏损额 = 总保证金，触发强平
-    const liquidationPrice = openPrice + (totalMargin / quantity);
+    // 按强平价名义价值所在的维持保证金档位求解
+    const { liquidationPrice, tier } = solveLiquidationTier(false, quantity, openPrice, totalMargin);
     
     return {
         liquidationPrice: liquidationPrice,
         initialMargin: initialMargin,
-        totalMargin: totalMargin
+        totalMargin: totalMargin,
+        tier: tier
     };
 }
 
@@ -78,101 +234,607 @@ function calculateShortLiquidationPrice(leverage, openPrice, quantity, addMargin
  * @param {number} quantity - 持仓数量
  * @param {number} addMargin - 增加的保证金
  * @param {number} customInitialMargin - 自定义初始保证金（可选）
- * @returns {Object} {liquidationPrice, initialMargin, totalMargin}
+ * @returns {Object} {liquidationPrice, initialMargin, totalMargin, maintenanceMargin, tierLevel, ...}
  */
 export function calculateLiquidation(leverage, openPrice, quantity, addMargin, customInitialMargin = null) {
-    // 验证输入
-    const validation = validator.validateRequiredFields({
-        '开仓价格': openPrice,
-        '数量': quantity
-    });
-    
-    if (!validation.isValid) {
-        throw new Error(validation.message);
-    }
+    // 验证全部输入，一次返回所有错误
+    const validation = validator.validateSchema(ISOLATED_FIELDS, { leverage, openPrice, quantity, addMargin, customInitialMargin });
+    const values = validation.values;
     
-    // 如果没有自定义初始保证金，则需要验证杠杆倍数
-    if (customInitialMargin === null || customInitialMargin <= 0) {
-        if (!validator.isValidNumber(leverage) || !validator.isPositive(leverage)) {
-            throw new Error('请输入杠杆倍数或初始保证金');
+    // 初始保证金为空或为0时按杠杆倍数计算，此时必须输入杠杆倍数
+    if (values.customInitialMargin !== undefined && !(values.customInitialMargin > 0)) {
+        if (values.leverage === null) {
+            ['leverage', 'customInitialMargin'].forEach(field => {
+                validation.errors.push(validator.createSchemaError(ISOLATED_FIELDS, field, validator.ErrorCode.MISSING_ALTERNATIVE, t('请输入杠杆倍数或初始保证金')));
+            });
         }
+    
         // 验证杠杆范围
-        if (leverage < 1 || leverage > 125) {
+        if (values.leverage && (values.leverage < 1 || values.leverage > 125)) {
             console.warn('杠杆倍数超出常规范围(1-125)');
         }
     }
+    validator.throwIfInvalid(validation.errors);
     
-    // 验证正数
-    if (!validator.isPositive(openPrice)) {
-        throw new Error('开仓价格必须大于0');
-    }
-    if (!validator.isPositive(quantity)) {
-        throw new Error('数量必须大于0');
-    }
-    if (!validator.isNonNegative(addMargin)) {
-        throw new Error('增加保证金不能为负数');
-    }
-    if (customInitialMargin !== null && !validator.isNonNegative(customInitialMargin)) {
-        throw new Error('初始保证金不能为负数');
-    }
-    
-    // 检查极端值
-    if (validator.isExtremeValue(openPrice) || 
-        validator.isExtremeValue(quantity) ||
-        validator.isExtremeValue(addMargin) ||
-        (customInitialMargin !== null && validator.isExtremeValue(customInitialMargin))) {
-        throw new Error('输入值超出合理范围');
-    }
+    const leverageValue = values.leverage || 0;
+    const addMarginValue = values.addMargin || 0;
+    const initialMarginValue = values.customInitialMargin > 0 ? values.customInitialMargin : null;
     
     // 根据交易方向计算
     let result;
     if (config.isLong()) {
         result = calculateLongLiquidationPrice(
-            parseFloat(leverage) || 0, 
-            parseFloat(openPrice), 
-            parseFloat(quantity),
-            parseFloat(addMargin),
-            customInitialMargin !== null ? parseFloat(customInitialMargin) : null
+            leverageValue,
+            values.openPrice,
+            values.quantity,
+            addMarginValue,
+            initialMarginValue
         );
     } else {
         result = calculateShortLiquidationPrice(
-            parseFloat(leverage) || 0, 
-            parseFloat(openPrice), 
-            parseFloat(quantity),
-            parseFloat(addMargin),
-            customInitialMargin !== null ? parseFloat(customInitialMargin) : null
+            leverageValue,
+            values.openPrice,
+            values.quantity,
+            addMarginValue,
+            initialMarginValue
         );
     }
     
     // 验证结果
-    if (!validator.isValidNumber(result.liquidationPrice) || result.liquidationPrice <= 0) {
-        throw new Error('计算结果无效，请检查输入参数');
+    if (result.liquidationPrice === null || !result.liquidationPrice.isPositive()) {
+        throw new Error(t('计算结果无效，请检查输入参数'));
     }
     
+    // 强平时的维持保证金 = 强平价名义价值 × 维持保证金率 - 速算额
+    const maintenanceMargin = calculateMaintenanceMargin(values.quantity, result.liquidationPrice, result.tier);
+    
     return {
-        liquidationPrice: result.liquidationPrice,
-        initialMargin: result.initialMargin,
-        totalMargin: result.totalMargin,
+        liquidationPrice: result.liquidationPrice.toNumber(),
+        initialMargin: result.initialMargin.toNumber(),
+        totalMargin: result.totalMargin.toNumber(),
+        maintenanceMargin: maintenanceMargin.toNumber(),
+        maintenanceMarginRate: result.tier.maintenanceMarginRate,
+        maintenanceAmount: result.tier.maintenanceAmount,
+        tierLevel: result.tier.level,
+        tierMinNotional: result.tier.minNotional,
+        tierMaxNotional: result.tier.maxNotional,
         isWarning: leverage < 1 || leverage > 125
     };
 }
 
+/**
+ * 获取全仓持仓的字段规则
+ * @param {number} index - 持仓序号（从0开始）
+ * @returns {Object}
+ */
+function getCrossPositionFields(index) {
+    const position = t('第{index}个持仓', { index: index + 1 });
+    return {
+        side: { label: t('{position}的方向', { position }), options: [config.Direction.LONG, config.Direction.SHORT] },
+        size: { label: t('{position}的数量', { position }), positive: true },
+        entryPrice: { label: t('{position}的开仓价格', { position }), positive: true },
+        markPrice: { label: t('{position}的标记价格', { position }), positive: true }
+    };
+}
+
+/**
+ * 计算全仓模式下的账户风险和各持仓强平价格
+ * 账户维持保证金按标记价格名义价值所在档位计算，持仓强平价按强平价名义价值所在档位求解，币本位合约要求所有持仓使用同一保证金币种；求解某一持仓的强平价时，其他持仓按当前标记价格计算未实现盈亏和维持保证金
+ * @param {number} walletBalance - 钱包余额
+ * @param {Array} positions - 持仓列表 [{symbol, side, size, entryPrice, markPrice}]
+ * @returns {Object} {walletBalance, unrealizedPnl, marginBalance, maintenanceMargin, marginRatio, isLiquidated, positions}
+ */
+export function calculateCrossLiquidation(walletBalance, positions) {
+    // 验证钱包余额和全部持仓，一次返回所有错误
+    const validation = validator.validateSchema(CROSS_FIELDS, { walletBalance });
+    const errors = validation.errors;
+    const positionValues = [];
+    
+    if (!Array.isArray(positions) || positions.length === 0) {
+        errors.push(validator.createFieldError('positions', validator.ErrorCode.REQUIRED, t('请至少添加一个持仓')));
+    } else {
+        // 持仓字段错误使用 positions.序号.字段 的路径，便于界面定位到对应行
+        positions.forEach((position, index) => {
+            const positionValidation = validator.validateSchema(getCrossPositionFields(index), position);
+            positionValues.push(positionValidation.values);
+            errors.push(...positionValidation.errors.map(error => ({ ...error, field: `positions.${index}.${error.field}` })));
+        });
+    }
+    validator.throwIfInvalid(errors);
+    
+    // 计算每个持仓的未实现盈亏和维持保证金
+    const details = positions.map((position, index) => {
+        const { size, entryPrice, markPrice } = positionValues[index];
+        const isLongPosition = position.side === config.Direction.LONG;
+        
+        const notional = getTierNotional(size, markPrice);
+        const tier = config.getMaintenanceTier(notional.toNumber());
+        const unrealizedPnl = calculateUnrealizedPnl(isLongPosition, size, entryPrice, markPrice);
+        const maintenanceMargin = calculateMaintenanceMargin(size, markPrice, tier);
+        
+        return {
+            symbol: (position.symbol || '').trim() || `#${index + 1}`,
+            side: position.side,
+            size: size,
+            entryPrice: entryPrice,
+            markPrice: markPrice,
+            notional: notional,
+            unrealizedPnl: unrealizedPnl,
+            maintenanceMargin: maintenanceMargin,
+            maintenanceMarginRate: tier.maintenanceMarginRate,
+            tierLevel: tier.level,
+            tier: tier
+        };
+    });
+    
+    const wallet = validation.values.walletBalance;
+    const totalUnrealizedPnl = sum(details.map(p => p.unrealizedPnl));
+    const totalMaintenanceMargin = sum(details.map(p => p.maintenanceMargin));
+    
+    // 保证金余额 = 钱包余额 + 全部未实现盈亏
+    const marginBalance = totalUnrealizedPnl.plus(wallet);
+    
+    // 保证金率 = 维持保证金合计 / 保证金余额，达到100%时触发强平
+    const marginRatio = marginBalance.isPositive() ? totalMaintenanceMargin.div(marginBalance).toNumber() : Infinity;
+    
+    const results = details.map(detail => {
+        // 其他持仓提供（或占用）的保证金 = 钱包余额 + 其他持仓未实现盈亏 - 其他持仓维持保证金
+        const otherMargin = totalUnrealizedPnl.minus(detail.unrealizedPnl)
+            .minus(totalMaintenanceMargin.minus(detail.maintenanceMargin))
+            .plus(wallet);
+        
+        // 本持仓自身的盈亏从开仓价开始计算，维持保证金按强平价所在档位计算
+        const { liquidationPrice: price } = solveLiquidationTier(
+            detail.side === config.Direction.LONG,
+            detail.size,
+            detail.entryPrice,
+            otherMargin
+        );
+        
+        const { tier, ...rest } = detail;
+        return {
+            ...rest,
+            notional: detail.notional.toNumber(),
+            unrealizedPnl: detail.unrealizedPnl.toNumber(),
+            maintenanceMargin: detail.maintenanceMargin.toNumber(),
+            // 强平价小于等于0表示该持仓在其他条件不变时不会被强平
+            liquidationPrice: price !== null && price.isPositive() ? price.toNumber() : null
+        };
+    });
+    
+    return {
+        walletBalance: wallet,
+        unrealizedPnl: totalUnrealizedPnl.toNumber(),
+        marginBalance: marginBalance.toNumber(),
+        maintenanceMargin: totalMaintenanceMargin.toNumber(),
+        marginRatio: marginRatio,
+        isLiquidated: marginRatio >= 1,
+        positions: results
+    };
+}
+
+/**
+ * 按交易品种保守取整强平价格：做多向上、做空向下，使显示的强平价不晚于实际强平价
+ * @param {number} price - 强平价格
+ * @param {string} side - 持仓方向
+ * @returns {number}
+ */
+function adjustLiquidationPrice(price, side) {
+    return instruments.adjustPrice(price, side === config.Direction.LONG ? 'up' : 'down');
+}
+
+/**
+ * 格式化档位名义价值区间（按当前语言显示千分位）
+ * @param {number} minNotional - 档位下限
+ * @param {number} maxNotional - 档位上限
+ * @returns {string}
+ */
+function formatTierRange(minNotional, maxNotional) {
+    const lower = formatLocaleNumber(minNotional);
+    const upper = isFinite(maxNotional) ? formatLocaleNumber(maxNotional) : '∞';
+    return `${lower} - ${upper}`;
+}
+
+/**
+ * 渲染维持保证金档位编辑表格
+ * @param {Array} tiers - 档位列表
+ */
+function renderTierTable(tiers) {
+    const tbody = document.getElementById('liqTierTableBody');
+    if (!tbody) return;
+    
+    tbody.innerHTML = tiers.map((tier, index) => `
+        <tr class="border-t border-gray-200">
+            <td class="py-2 pr-2 text-gray-500">${index + 1}</td>
+            <td class="py-2 pr-2">
+                <input type="text" data-numeric step="0.01" min="0" data-field="maxNotional"
+                       class="w-full px-2 py-1 border border-gray-200 rounded-lg bg-white focus:outline-none focus:border-red-500"
+                       value="${isFinite(tier.maxNotional) ? tier.maxNotional : ''}"
+                       placeholder="∞">
+            </td>
+            <td class="py-2 pr-2">
+                <input type="text" data-numeric="percent" step="0.0001" min="0" max="100" data-field="maintenanceMarginRate"
+                       class="w-full px-2 py-1 border border-gray-200 rounded-lg bg-white focus:outline-none focus:border-red-500"
+                       value="${decimal(tier.maintenanceMarginRate).times(100).toNumber()}">
+            </td>
+            <td class="py-2 pr-2">
+                <input type="text" data-numeric step="0.01" min="0" data-field="maintenanceAmount"
+                       class="w-full px-2 py-1 border border-gray-200 rounded-lg bg-white focus:outline-none focus:border-red-500"
+                       value="${tier.maintenanceAmount}">
+            </td>
+            <td class="py-2 text-right">
+                <button class="delete-tier text-red-400 hover:text-red-600 text-xl transition-colors" data-index="${index}">×</button>
+            </td>
+        </tr>
+    `).join('');
+    
+    // 绑定删除按钮事件
+    tbody.querySelectorAll('.delete-tier').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const rows = readTierTable();
+            if (rows.length <= 1) {
+                validator.showError('liqTierError', t('至少需要保留一个档位'));
+                return;
+            }
+            rows.splice(parseInt(e.target.dataset.index), 1);
+            renderTierTable(rows);
+        });
+    });
+}
+
+/**
+ * 读取档位编辑表格中的数据（维持保证金率转换为小数）
+ * @returns {Array}
+ */
+function readTierTable() {
+    const tbody = document.getElementById('liqTierTableBody');
+    if (!tbody) return [];
+    
+    return Array.from(tbody.querySelectorAll('tr')).map(row => {
+        const maxNotional = row.querySelector('[data-field="maxNotional"]').value;
+        const rate = validator.parseNumberInput(row.querySelector('[data-field="maintenanceMarginRate"]').value, { percent: true });
+        const amount = row.querySelector('[data-field="maintenanceAmount"]').value;
+        
+        return {
+            maxNotional: maxNotional === '' ? Infinity : validator.parseNumberInput(maxNotional),
+            maintenanceMarginRate: validator.isValidNumber(rate) ? decimal(rate).div(100).toNumber() : NaN,
+            maintenanceAmount: amount === '' ? 0 : validator.parseNumberInput(amount)
+        };
+    });
+}
+
+/**
+ * 初始化维持保证金档位编辑器
+ */
+function initTierEditor() {
+    const addBtn = document.getElementById('addLiqTier');
+    const saveBtn = document.getElementById('saveLiqTiers');
+    const resetBtn = document.getElementById('resetLiqTiers');
+    
+    if (!addBtn || !saveBtn || !resetBtn) return;
+    
+    renderTierTable(config.getMaintenanceTiers());
+    
+    // 在最后一档之前插入新档位
+    addBtn.addEventListener('click', () => {
+        validator.hideError('liqTierError');
+        const rows = readTierTable();
+        const last = rows[rows.length - 1];
+        const prevMax = rows.length > 1 ? rows[rows.length - 2].maxNotional : 0;
+        rows.splice(rows.length - 1, 0, {
+            maxNotional: prevMax > 0 ? prevMax * 2 : 50000,
+            maintenanceMarginRate: last.maintenanceMarginRate,
+            maintenanceAmount: last.maintenanceAmount
+        });
+        renderTierTable(rows);
+    });
+    
+    saveBtn.addEventListener('click', () => {
+        validator.hideError('liqTierError');
+        if (!config.setMaintenanceTiers(readTierTable())) {
+            validator.showError('liqTierError', t('档位无效：名义价值上限需递增，维持保证金率需在0-100%之间，速算额不能为负数'));
+            return;
+        }
+        renderTierTable(config.getMaintenanceTiers());
+    });
+    
+    resetBtn.addEventListener('click', () => {
+        validator.hideError('liqTierError');
+        config.setMaintenanceTiers(config.DEFAULT_MAINTENANCE_TIERS);
+        renderTierTable(config.getMaintenanceTiers());
+    });
+}
+
+/**
+ * 切换保证金模式并更新界面
+ * @param {string} mode - 保证金模式
+ */
+function setMarginMode(mode) {
+    marginMode = mode;
+    
+    const isolatedBtn = document.getElementById('liqModeIsolated');
+    const crossBtn = document.getElementById('liqModeCross');
+    const isolatedPanel = document.getElementById('liqIsolatedPanel');
+    const crossPanel = document.getElementById('liqCrossPanel');
+    
+    if (!isolatedBtn || !crossBtn || !isolatedPanel || !crossPanel) return;
+    
+    const activeClass = 'px-8 py-3 rounded-full font-medium text-sm transition-all bg-red-500 text-white';
+    const inactiveClass = 'px-8 py-3 rounded-full font-medium text-sm transition-all bg-white text-gray-700 border border-gray-200';
+    const isCross = mode === MarginMode.CROSS;
+    
+    isolatedBtn.className = isCross ? inactiveClass : activeClass;
+    crossBtn.className = isCross ? activeClass : inactiveClass;
+    isolatedPanel.classList.toggle('hidden', isCross);
+    crossPanel.classList.toggle('hidden', !isCross);
+    
+    // 切换模式时隐藏另一模式的结果和错误，实时计算时按新模式的输入重新计算
+    document.getElementById('liquidationResult').classList.add('hidden');
+    document.getElementById('liqCrossResult').classList.add('hidden');
+    validator.hideError('liquidationError');
+    if (config.isLiveCalculation()) {
+        recalculateLiquidation({ live: true });
+    }
+}
+
+/**
+ * 渲染全仓持仓输入行
+ * @param {Array} rows - 持仓列表 [{symbol, side, size, entryPrice, markPrice}]
+ */
+function renderCrossPositionRows(rows) {
+    const tbody = document.getElementById('liqCrossPositionBody');
+    if (!tbody) return;
+    
+    const inputClass = 'w-full px-2 py-1 border border-gray-200 rounded-lg bg-white focus:outline-none focus:border-red-500';
+    
+    tbody.innerHTML = rows.map((row, index) => `
+        <tr class="border-t border-gray-200">
+            <td class="py-2 pr-2">
+                <input type="text" data-field="symbol" class="${inputClass}" value="${validator.escapeHtml(row.symbol)}" placeholder="BTCUSDT">
+            </td>
+            <td class="py-2 pr-2">
+                <select data-field="side" class="${inputClass}">
+                    <option value="${config.Direction.LONG}" ${row.side === config.Direction.LONG ? 'selected' : ''}>${t('做多')}</option>
+                    <option value="${config.Direction.SHORT}" ${row.side === config.Direction.SHORT ? 'selected' : ''}>${t('做空')}</option>
+                </select>
+            </td>
+            <td class="py-2 pr-2">
+                <input type="text" data-numeric step="0.0001" min="0" data-field="size" class="${inputClass}" value="${validator.escapeHtml(row.size)}" placeholder="0.0000">
+            </td>
+            <td class="py-2 pr-2">
+                <input type="text" data-numeric step="0.0001" min="0" data-field="entryPrice" class="${inputClass}" value="${validator.escapeHtml(row.entryPrice)}" placeholder="0.0000">
+            </td>
+            <td class="py-2 pr-2">
+                <input type="text" data-numeric step="0.0001" min="0" data-field="markPrice" class="${inputClass}" value="${validator.escapeHtml(row.markPrice)}" placeholder="0.0000">
+            </td>
+            <td class="py-2 text-right">
+                <button class="delete-cross-position text-red-400 hover:text-red-600 text-xl transition-colors" data-index="${index}">×</button>
+            </td>
+        </tr>
+    `).join('');
+    
+    // 绑定删除按钮事件
+    tbody.querySelectorAll('.delete-cross-position').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const current = readCrossPositionRows();
+            current.splice(parseInt(e.target.dataset.index), 1);
+            renderCrossPositionRows(current.length > 0 ? current : [{ side: config.getDirection() }]);
+            if (config.isLiveCalculation()) {
+                recalculateLiquidation({ live: true });
+            }
+        });
+    });
+}
+
+/**
+ * 读取全仓持仓输入行
+ * @returns {Array}
+ */
+function readCrossPositionRows() {
+    const tbody = document.getElementById('liqCrossPositionBody');
+    if (!tbody) return [];
+    
+    return Array.from(tbody.querySelectorAll('tr')).map(row => ({
+        symbol: row.querySelector('[data-field="symbol"]').value,
+        side: row.querySelector('[data-field="side"]').value,
+        size: row.querySelector('[data-field="size"]').value,
+        entryPrice: row.querySelector('[data-field="entryPrice"]').value,
+        markPrice: row.querySelector('[data-field="markPrice"]').value
+    }));
+}
+
+/**
+ * 根据字段错误查找全仓持仓行中的输入框（字段路径为 positions.序号.字段）
+ * @param {Object} fieldError - 字段错误
+ * @returns {HTMLElement|null}
+ */
+function findCrossPositionInput(fieldError) {
+    const match = fieldError.field.match(/^positions\.(\d+)\.(\w+)$/);
+    const tbody = document.getElementById('liqCrossPositionBody');
+    if (!match || !tbody) return null;
+    
+    const row = tbody.querySelectorAll('tr')[parseInt(match[1])];
+    return row ? row.querySelector(`[data-field="${match[2]}"]`) : null;
+}
+
+/**
+ * 显示逐仓计算结果
+ * @returns {Object} 计算结果
+ */
+function showIsolatedResult() {
+    const resultDiv = document.getElementById('liquidationResult');
+    
+    // 获取输入值
+    const leverage = document.getElementById('liqLeverage').value;
+    const openPrice = document.getElementById('liqOpenPrice').value;
+    const quantity = document.getElementById('liqQuantity').value;
+    const initialMargin = document.getElementById('liqInitialMargin').value;
+    const addMargin = document.getElementById('liqAddMargin').value || 0;
+    
+    // 计算强平价格
+    // 初始保证金为空或为0时由函数按杠杆倍数计算
+    const result = calculateLiquidation(leverage, openPrice, quantity, addMargin, initialMargin || null);
+    
+    // 显示结果
+    const liqPriceEl = document.getElementById('liqPrice');
+    const liqInitMarginEl = document.getElementById('liqInitMargin');
+    const liqTotalMarginEl = document.getElementById('liqTotalMargin');
+    
+    // 按交易品种保守取整
+    liqPriceEl.textContent = validator.formatPrice(adjustLiquidationPrice(result.liquidationPrice, config.getDirection()), 4);
+    liqInitMarginEl.textContent = validator.formatNumber(result.initialMargin, 4);
+    liqTotalMarginEl.textContent = validator.formatNumber(result.totalMargin, 4);
+    
+    // 显示维持保证金档位信息
+    document.getElementById('liqTierLevel').textContent =
+        `${t('第{level}档', { level: result.tierLevel })} (${formatTierRange(result.tierMinNotional, result.tierMaxNotional)})`;
+    document.getElementById('liqMaintenanceRate').textContent = validator.formatPercentage(result.maintenanceMarginRate, 2);
+    document.getElementById('liqMaintenanceMargin').textContent = validator.formatNumber(result.maintenanceMargin, 4);
+    instruments.showOrderIssues('liqOrderNotice',
+        instruments.checkActiveOrder(validator.parseNumberInput(quantity), validator.parseNumberInput(openPrice), validator.parseNumberInput(leverage)));
+    
+    // 显示结果区域
+    resultDiv.classList.remove('hidden');
+    resultDiv.classList.add('fade-in');
+    return result;
+}
+
+/**
+ * 显示全仓计算结果
+ * @returns {Object} 计算结果
+ */
+function showCrossResult() {
+    const resultDiv = document.getElementById('liqCrossResult');
+    const walletBalance = document.getElementById('liqWalletBalance').value;
+    
+    const result = calculateCrossLiquidation(walletBalance, readCrossPositionRows());
+    
+    document.getElementById('liqCrossMarginBalance').textContent = validator.formatNumber(result.marginBalance, 4);
+    document.getElementById('liqCrossUnrealizedPnl').textContent = validator.formatNumber(result.unrealizedPnl, 4);
+    document.getElementById('liqCrossMaintenanceMargin').textContent = validator.formatNumber(result.maintenanceMargin, 4);
+    
+    // 保证金率越高越危险，达到100%触发强平
+    const ratioEl = document.getElementById('liqCrossMarginRatio');
+    ratioEl.className = `text-3xl font-light ${result.marginRatio >= 0.8 ? 'text-red-600' : 'text-green-600'}`;
+    ratioEl.textContent = result.isLiquidated ? t('≥ 100%（已触发强平）') : validator.formatPercentage(result.marginRatio, 2);
+    
+    document.getElementById('liqCrossPositionResultBody').innerHTML = result.positions.map(position => `
+        <tr class="border-t border-gray-200">
+            <td class="py-2 pr-2">${validator.escapeHtml(position.symbol)}</td>
+            <td class="py-2 pr-2 ${position.side === config.Direction.LONG ? 'text-green-600' : 'text-red-600'}">${position.side === config.Direction.LONG ? t('做多') : t('做空')}</td>
+            <td class="py-2 pr-2 ${position.unrealizedPnl >= 0 ? 'text-green-600' : 'text-red-600'}">${validator.formatNumber(position.unrealizedPnl, 4)}</td>
+            <td class="py-2 pr-2">${validator.formatNumber(position.maintenanceMargin, 4)}</td>
+            <td class="py-2 text-red-600">${position.liquidationPrice === null ? t('无') : validator.formatPrice(adjustLiquidationPrice(position.liquidationPrice, position.side), 4)}</td>
+        </tr>
+    `).join('');
+    
+    resultDiv.classList.remove('hidden');
+    resultDiv.classList.add('fade-in');
+    return result;
+}
+
+/**
+ * 将成功的计算记录到计算历史
+ * @param {Object} result - 当前保证金模式的计算结果
+ * @param {boolean} live - 是否由实时计算触发
+ */
+function recordLiquidationHistory(result, live) {
+    if (marginMode === MarginMode.CROSS) {
+        const rows = readCrossPositionRows();
+        const form = calculationHistory.readFormFields(CROSS_HISTORY_FIELDS);
+        calculationHistory.recordCalculation({
+            calculator: calculationHistory.HistoryCalculator.LIQUIDATION,
+            type: MarginMode.CROSS,
+            title: '全仓',
+            form: { fields: form.fields, rows },
+            inputs: [
+                ...form.inputs,
+                ...rows.map((row, index) => ({
+                    label: '持仓{index}',
+                    params: { index: index + 1 },
+                    value: `${row.symbol || '-'} ${row.side === config.Direction.SHORT ? t('做空') : t('做多')} ${row.size} @ ${row.entryPrice} / ${row.markPrice}`
+                }))
+            ],
+            results: [
+                { label: '账户保证金率', value: result.isLiquidated ? t('≥ 100%（已触发强平）') : validator.formatPercentage(result.marginRatio, 2) },
+                { label: '保证金余额', value: validator.formatNumber(result.marginBalance, 4) }
+            ]
+        }, { live });
+        return;
+    }
+    
+    const form = calculationHistory.readFormFields(ISOLATED_HISTORY_FIELDS);
+    calculationHistory.recordCalculation({
+        calculator: calculationHistory.HistoryCalculator.LIQUIDATION,
+        type: MarginMode.ISOLATED,
+        title: '逐仓',
+        form: { fields: form.fields },
+        inputs: form.inputs,
+        results: [
+            { label: '强平价格', value: validator.formatPrice(adjustLiquidationPrice(result.liquidationPrice, config.getDirection()), 4) },
+            { label: '初始保证金', value: validator.formatNumber(result.initialMargin, 4) }
+        ]
+    }, { live });
+}
+
+/**
+ * 按当前保证金模式与输入重新计算强平价格
+ * @param {Object} options - {live} 是否由实时计算触发，见 liveCalculation.showCalculationError
+ */
+export function recalculateLiquidation({ live = false } = {}) {
+    const activeResultDiv = document.getElementById(marginMode === MarginMode.CROSS ? 'liqCrossResult' : 'liquidationResult');
+    if (!activeResultDiv) return;
+    
+    try {
+        // 隐藏错误提示
+        validator.hideError('liquidationError');
+        
+        const result = marginMode === MarginMode.CROSS ? showCrossResult() : showIsolatedResult();
+        recordLiquidationHistory(result, live);
+        liveCalculation.markResultCurrent(activeResultDiv);
+        
+    } catch (error) {
+        // 显示错误并标记出错的输入框
+        liveCalculation.showCalculationError('liquidationError', error, activeResultDiv, { resolveInput: findCrossPositionInput, live });
+    }
+}
+
 /**
  * 初始化强平价格计算器UI
  */
 export function initLiquidationCalculator() {
     const calculateBtn = document.getElementById('calculateLiquidation');
     const resultDiv = document.getElementById('liquidationResult');
-    const errorP = document.getElementById('liquidationError');
+    const crossResultDiv = document.getElementById('liqCrossResult');
     const leverageInput = document.getElementById('liqLeverage');
     const leverageWarning = document.getElementById('leverageWarning');
+    const errorP = document.getElementById('liquidationError');
     
     if (!calculateBtn) return;
     
+    initTierEditor();
+    
+    // 保证金模式切换
+    const isolatedBtn = document.getElementById('liqModeIsolated');
+    const crossBtn = document.getElementById('liqModeCross');
+    if (isolatedBtn && crossBtn) {
+        isolatedBtn.addEventListener('click', () => setMarginMode(MarginMode.ISOLATED));
+        crossBtn.addEventListener('click', () => setMarginMode(MarginMode.CROSS));
+    }
+    
+    // 全仓持仓列表，默认一行
+    renderCrossPositionRows([{ side: config.getDirection() }]);
+    const addCrossPositionBtn = document.getElementById('addCrossPosition');
+    if (addCrossPositionBtn) {
+        addCrossPositionBtn.addEventListener('click', () => {
+            renderCrossPositionRows([...readCrossPositionRows(), { side: config.getDirection() }]);
+        });
+    }
+    
     // 监听杠杆倍数输入，显示警告
     if (leverageInput) {
         leverageInput.addEventListener('input', () => {
-            const leverage = parseFloat(leverageInput.value);
+            const leverage = validator.parseNumberInput(leverageInput.value);
             if (validator.isValidNumber(leverage) && (leverage < 1 || leverage > 125)) {
                 leverageWarning.classList.remove('hidden');
             } else {
@@ -181,53 +843,44 @@ export function initLiquidationCalculator() {
         });
     }
     
-    calculateBtn.addEventListener('click', () => {
-        try {
-            // 获取输入值
-            const leverage = document.getElementById('liqLeverage').value;
-            const openPrice = document.getElementById('liqOpenPrice').value;
-            const quantity = document.getElementById('liqQuantity').value;
-            const initialMargin = document.getElementById('liqInitialMargin').value;
-            const addMargin = document.getElementById('liqAddMargin').value || 0;
-            
-            // 隐藏错误提示
-            validator.hideError('liquidationError');
-            
-            // 计算强平价格
-            // 如果用户输入了初始保证金，则使用自定义值；否则传null让函数自动计算
-            const customInitialMargin = initialMargin && parseFloat(initialMargin) > 0 ? parseFloat(initialMargin) : null;
-            const result = calculateLiquidation(leverage, openPrice, quantity, addMargin, customInitialMargin);
-            
-            // 显示结果
-            const liqPriceEl = document.getElementById('liqPrice');
-            const liqInitMarginEl = document.getElementById('liqInitMargin');
-            const liqTotalMarginEl = document.getElementById('liqTotalMargin');
-            
-            liqPriceEl.textContent = validator.formatNumber(result.liquidationPrice, 4);
-            liqInitMarginEl.textContent = validator.formatNumber(result.initialMargin, 4);
-            liqTotalMarginEl.textContent = validator.formatNumber(result.totalMargin, 4);
-            
-            // 显示结果区域
-            resultDiv.classList.remove('hidden');
-            resultDiv.classList.add('fade-in');
-            
-        } catch (error) {
-            // 显示错误
-            validator.showError('liquidationError', error.message);
-            resultDiv.classList.add('hidden');
+    calculateBtn.addEventListener('click', () => recalculateLiquidation());
+        
+    // 恢复计算历史：填写记录的输入与持仓行，切换到记录的保证金模式后重新计算
+    calculationHistory.registerHistoryRestorer(calculationHistory.HistoryCalculator.LIQUIDATION, (form, entry) => {
+        calculationHistory.fillFormFields(form.fields);
+        if (entry.type === MarginMode.CROSS) {
+            renderCrossPositionRows(form.rows && form.rows.length > 0 ? form.rows : [{ side: config.getDirection() }]);
         }
+        setMarginMode(entry.type === MarginMode.CROSS ? MarginMode.CROSS : MarginMode.ISOLATED);
+        recalculateLiquidation();
     });
     
+    // 修改输入后实时重新计算（维持保证金档位保存后通过配置变更重新计算）
+    liveCalculation.bindLiveCalculation(document.getElementById('liquidationCalculator'), recalculateLiquidation);
+    
     // 监听配置变更，自动重新计算
     config.addConfigListener((key, value) => {
-        // 如果已经有结果显示，则自动重新计算
-        if (!resultDiv.classList.contains('hidden')) {
-            calculateBtn.click();
+        // 如果已经有结果显示（实时计算时包括出错），则自动重新计算
+        const errorVisible = config.isLiveCalculation() && !errorP.classList.contains('hidden');
+        if (errorVisible || !resultDiv.classList.contains('hidden') || !crossResultDiv.classList.contains('hidden')) {
+            recalculateLiquidation({ live: config.isLiveCalculation() });
+        }
+    });
+    
+    // 切换语言后重新渲染持仓行的方向选项，并重新计算以更新档位说明与错误消息
+    addLocaleListener(() => {
+        renderCrossPositionRows(readCrossPositionRows());
+        const errorVisible = !errorP.classList.contains('hidden');
+        if (errorVisible || !resultDiv.classList.contains('hidden') || !crossResultDiv.classList.contains('hidden')) {
+            recalculateLiquidation({ live: config.isLiveCalculation() });
         }
     });
 }
 
 export default {
+    MarginMode,
     calculateLiquidation,
+    calculateCrossLiquidation,
+    recalculateLiquidation,
     initLiquidationCalculator
 };
\ No newline at end of file
@@ -0,0 +1,107 @@
+// 实时计算模块（修改输入后延迟自动重新计算，可在全局配置中切换为手动计算）
+
+import * as config from './config.js';
+import * as validator from './validator.js';
+
+// 停止输入后延迟重新计算的时间（毫秒）
+export const LIVE_CALCULATION_DELAY = 300;
+
+// 实时计算失败时保留的上次结果样式（表示结果与当前输入不一致）
+const STALE_RESULT_CLASS = 'result-stale';
+
+// 表示输入尚未填完的错误代码（尚未得出结果时实时计算不提示）
+const INCOMPLETE_ERROR_CODES = [validator.ErrorCode.REQUIRED, validator.ErrorCode.MISSING_ALTERNATIVE];
+
+/**
+ * 创建防抖函数（连续调用时只在最后一次调用后延迟执行）
+ * @param {Function} fn - 要执行的函数
+ * @param {number} delay - 延迟时间（毫秒）
+ * @returns {Function}
+ */
+export function debounce(fn, delay) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            fn(...args);
+        }, delay);
+    };
+}
+
+/**
+ * 绑定实时计算：区域内的输入框和下拉框变化后延迟重新计算（手动计算时不触发）
+ * 使用事件委托，动态生成的输入行同样生效
+ * @param {HTMLElement} container - 计算器区域
+ * @param {Function} recompute - 重新计算函数，调用时传入 {live: true}
+ * @returns {Function} 防抖后的实时计算函数
+ */
+export function bindLiveCalculation(container, recompute) {
+    const schedule = debounce(() => {
+        if (config.isLiveCalculation()) {
+            recompute({ live: true });
+        }
+    }, LIVE_CALCULATION_DELAY);
+    
+    if (container) {
+        container.addEventListener('input', schedule);
+        container.addEventListener('change', schedule);
+    }
+    return schedule;
+}
+
+/**
+ * 计算成功后清除结果的过期标记
+ * @param {HTMLElement} resultDiv - 结果区域
+ */
+export function markResultCurrent(resultDiv) {
+    resultDiv.classList.remove(STALE_RESULT_CLASS);
+}
+
+/**
+ * 去掉未填写类的字段错误
+ * @param {Error} error - 计算错误
+ * @returns {Error|null} 没有其他错误时返回 null
+ */
+function omitIncompleteErrors(error) {
+    if (!(error instanceof validator.ValidationError)) return error;
+    
+    const errors = error.errors.filter(fieldError => !INCOMPLETE_ERROR_CODES.includes(fieldError.code));
+    return errors.length > 0 ? new validator.ValidationError(errors) : null;
+}
+
+/**
+ * 显示计算错误并处理上次的结果
+ * 手动计算时隐藏结果；实时计算时保留上次结果并标记为过期，
+ * 由输入触发且尚未得出结果时不提示未填写的字段（避免刚输入第一项就提示其余各项）
+ * @param {string} errorId - 错误提示元素的ID
+ * @param {Error} error - 计算错误
+ * @param {HTMLElement} resultDiv - 结果区域
+ * @param {Object} options - {resolveInput, live}
+ * @param {Function} options.resolveInput - 根据字段错误查找输入框（可选），见 validator.showValidationError
+ * @param {boolean} options.live - 是否由实时计算触发
+ */
+export function showCalculationError(errorId, error, resultDiv, { resolveInput = null, live = false } = {}) {
+    if (!config.isLiveCalculation()) {
+        validator.showValidationError(errorId, error, resolveInput);
+        resultDiv.classList.add('hidden');
+        return;
+    }
+    
+    const hasResult = !resultDiv.classList.contains('hidden');
+    const shownError = live && !hasResult ? omitIncompleteErrors(error) : error;
+    if (shownError) {
+        validator.showValidationError(errorId, shownError, resolveInput);
+    } else {
+        validator.hideError(errorId);
+    }
+    resultDiv.classList.add(STALE_RESULT_CLASS);
+}
+
+export default {
+    LIVE_CALCULATION_DELAY,
+    debounce,
+    bindLiveCalculation,
+    markResultCurrent,
+    showCalculationError
+};
\ No newline at end of file
@@ -5,7 +5,9 @@ import { initProfitCalculator } from './profitCalculator.js';
 import { initLiquidationCalculator } from './liquidationCalculator.js';
 import { initPositionCalculator } from './positionCalculator.js';
 import { initAveragePriceCalculator } from './averagePriceCalculator.js';
+import { initCalculationHistory } from './calculationHistory.js';
 import { initThemeManager } from './themeManager.js';
+import { initI18n, t } from './i18n.js';
 import * as config from './config.js';
 
 /**
@@ -18,6 +20,9 @@ function initApp() {
         // 初始化主题管理器（优先初始化，避免闪烁）
         initThemeManager();
         
+        // 初始化多语言（在渲染动态内容之前翻译页面文本）
+        initI18n();
+        
         // 初始化全局配置
         console.log('Config:', config.getAllConfig());
         
@@ -30,6 +35,9 @@ function initApp() {
         initPositionCalculator();
         initAveragePriceCalculator();
         
+        // 初始化计算历史（计算器注册恢复函数之后）
+        initCalculationHistory();
+        
         console.log('Contract Calculator initialized successfully! 🎉');
         
         // 显示欢迎信息
@@ -37,7 +45,7 @@ function initApp() {
         
     } catch (error) {
         console.error('Error initializing app:', error);
-        showErrorMessage('应用初始化失败，请刷新页面重试');
+        showErrorMessage(t('应用初始化失败，请刷新页面重试'));
     }
 }
 
@@ -45,13 +53,13 @@ function initApp() {
  * 显示欢迎信息
  */
 function showWelcomeMessage() {
-    console.log('%c欢迎使用合约计算器！', 'color: #3b82f6; font-size: 16px; font-weight: bold;');
-    console.log('%c功能说明：', 'color: #10b981; font-weight: bold;');
-    console.log('1. 收益额计算 - 计算持仓的实际收益和收益率');
-    console.log('2. 强平价格计算 - 评估风险，计算强制平仓价格');
-    console.log('3. 仓位计算 - 根据风险承受能力计算合理开仓数量');
-    console.log('4. 开仓均价计算 - 多次开仓的加权平均成本');
-    console.log('%c提示：切换交易方向和调整手续费率会自动更新所有计算结果', 'color: #f59e0b; font-style: italic;');
+    console.log(`%c${t('欢迎使用合约计算器！')}`, 'color: #3b82f6; font-size: 16px; font-weight: bold;');
+    console.log(`%c${t('功能说明：')}`, 'color: #10b981; font-weight: bold;');
+    console.log(t('1. 收益额计算 - 计算持仓的实际收益和收益率'));
+    console.log(t('2. 强平价格计算 - 评估风险，计算强制平仓价格'));
+    console.log(t('3. 仓位计算 - 根据风险承受能力计算合理开仓数量'));
+    console.log(t('4. 开仓均价计算 - 多次开仓的加权平均成本'));
+    console.log(`%c${t('提示：切换交易方向和调整手续费率会自动更新所有计算结果')}`, 'color: #f59e0b; font-style: italic;');
 }
 
 /**
@@ -77,8 +85,8 @@ function setupConfigListeners() {
         
         // 可以在这里添加全局的配置变更处理逻辑
         if (key === 'direction') {
-            const directionText = value === config.Direction.LONG ? '做多 📈' : '做空 📉';
-            console.log(`交易方向已切换为: ${directionText}`);
+            const directionText = value === config.Direction.LONG ? `${t('做多')} 📈` : `${t('做空')} 📉`;
+            console.log(t('交易方向已切换为: {direction}', { direction: directionText }));
         }
     });
 }
@@ -2,6 +2,95 @@
 
 import * as validator from './validator.js';
 import * as config from './config.js';
+import * as instruments from './instruments.js';
+import { decimal } from './decimal.js';
+import * as liveCalculation from './liveCalculation.js';
+import * as calculationHistory from './calculationHistory.js';
+import { t, addLocaleListener } from './i18n.js';
+
+// 仓位计算模式
+export const SizingMode = {
+    STOP: 'stop',   // 按止损幅度/百分比
+    RISK: 'risk'    // 按账户风险
+};
+
+// 当前计算模式
+let sizingMode = SizingMode.STOP;
+
+// 止损幅度模式的字段规则
+const STOP_FIELDS = {
+    plannedLoss: { label: '计划亏损金额', input: 'posPlannedLoss', positive: true },
+    stopLossAmount: { label: '止损幅度', input: 'posStopLossAmount', required: false, positive: true },
+    stopLossPercent: {
+        label: '止损百分比',
+        input: 'posStopLossPercent',
+        required: false,
+        positive: true,
+        max: 100,
+        percent: true,
+        messages: { [validator.ErrorCode.OUT_OF_RANGE]: '止损百分比不能超过100%' }
+    }
+};
+
+// 账户风险模式的字段规则
+const RISK_FIELDS = {
+    balance: { label: '账户余额', input: 'posBalance', positive: true },
+    riskPercent: {
+        label: '风险比例',
+        input: 'posRiskPercent',
+        required: false,
+        positive: true,
+        max: 100,
+        percent: true,
+        messages: {
+            [validator.ErrorCode.NOT_POSITIVE]: '风险比例必须在0-100%之间',
+            [validator.ErrorCode.OUT_OF_RANGE]: '风险比例必须在0-100%之间'
+        }
+    },
+    fixedRisk: { label: '固定风险金额', input: 'posFixedRisk', required: false, positive: true },
+    entryPrice: { label: '开仓价格', input: 'posEntryPrice', positive: true },
+    stopPrice: { label: '止损价格', input: 'posStopPrice', positive: true },
+    leverage: { label: '杠杆倍数', input: 'posLeverage', positive: true },
+    entryOrderType: { label: '开仓订单类型', input: 'posEntryOrderType', options: Object.values(config.OrderType) }
+};
+
+// 各模式记录到计算历史的输入框 {输入框ID: 名称}
+const HISTORY_FIELDS = {
+    [SizingMode.STOP]: {
+        posPlannedLoss: '计划亏损金额',
+        posStopLossAmount: '止损幅度',
+        posStopLossPercent: '止损百分比'
+    },
+    [SizingMode.RISK]: {
+        posBalance: '账户余额',
+        posRiskPercent: '风险比例',
+        posFixedRisk: '固定风险金额',
+        posEntryPrice: '开仓价格',
+        posStopPrice: '止损价格',
+        posLeverage: '杠杆倍数',
+        posEntryOrderType: '开仓方式'
+    }
+};
+
+// 各模式记录到计算历史的结果 {结果元素ID: 名称}
+const HISTORY_RESULTS = {
+    [SizingMode.STOP]: {
+        posQuantity: '开仓数量',
+        posValue: '开仓价值'
+    },
+    [SizingMode.RISK]: {
+        posRiskQuantity: '开仓数量',
+        posRiskValue: '开仓价值',
+        posRiskMargin: '所需保证金',
+        posRiskLoss: '止损亏损（含手续费）'
+    }
+};
+
+// 各模式的名称
+const SIZING_MODE_LABELS = {
+    [SizingMode.STOP]: '止损幅度',
+    [SizingMode.RISK]: '账户风险'
+};
 
 /**
  * 通过止损幅度计算开仓数量
@@ -12,7 +101,7 @@ import * as config from './config.js';
  */
 function calculatePositionByAmount(plannedLoss, stopLossAmount) {
     // 开仓数量 = 计划亏损金额(R) / 止损幅度(ΔP)
-    const quantity = plannedLoss / stopLossAmount;
+    const quantity = decimal(plannedLoss).div(stopLossAmount).toNumber();
     
     return {
         quantity: quantity,
@@ -30,10 +119,10 @@ function calculatePositionByAmount(plannedLoss, stopLossAmount) {
  */
 function calculatePositionByPercent(plannedLoss, stopLossPercent) {
     // 将百分比转换为小数
-    const percentDecimal = stopLossPercent / 100;
+    const percentDecimal = decimal(stopLossPercent).div(100);
     
     // 开仓价值 = 计划亏损金额(R) / 止损百分比
-    const positionValue = plannedLoss / percentDecimal;
+    const positionValue = decimal(plannedLoss).div(percentDecimal).toNumber();
     
     return {
         positionValue: positionValue,
@@ -50,61 +139,257 @@ function calculatePositionByPercent(plannedLoss, stopLossPercent) {
  * @returns {Object}
  */
 export function calculatePosition(plannedLoss, stopLossAmount = null, stopLossPercent = null) {
-    // 验证计划亏损金额
-    const validation = validator.validateRequiredFields({
-        '计划亏损金额': plannedLoss
-    });
-    
-    if (!validation.isValid) {
-        throw new Error(validation.message);
-    }
-    
-    // 验证正数
-    if (!validator.isPositive(plannedLoss)) {
-        throw new Error('计划亏损金额必须大于0');
-    }
+    // 验证全部输入，一次返回所有错误
+    const validation = validator.validateSchema(STOP_FIELDS, { plannedLoss, stopLossAmount, stopLossPercent });
+    validator.requireOneOf(STOP_FIELDS, validation, ['stopLossAmount', 'stopLossPercent'], t('请输入止损幅度或止损百分比'));
+    validator.throwIfInvalid(validation.errors);
     
-    // 检查极端值
-    if (validator.isExtremeValue(plannedLoss)) {
-        throw new Error('计划亏损金额超出合理范围');
-    }
+    const values = validation.values;
     
     // 确定使用哪种计算方式
     let result;
     
-    if (stopLossAmount !== null && validator.isValidNumber(stopLossAmount)) {
+    if (values.stopLossAmount !== null) {
         // 方式1：通过止损幅度计算数量
-        const amount = parseFloat(stopLossAmount);
-        
-        if (!validator.isPositive(amount)) {
-            throw new Error('止损幅度必须大于0');
-        }
-        
-        if (validator.isExtremeValue(amount)) {
-            throw new Error('止损幅度超出合理范围');
-        }
-        
-        result = calculatePositionByAmount(parseFloat(plannedLoss), amount);
+        result = calculatePositionByAmount(values.plannedLoss, values.stopLossAmount);
         
-    } else if (stopLossPercent !== null && validator.isValidNumber(stopLossPercent)) {
+    } else {
         // 方式2：通过止损百分比计算价值
-        const percent = parseFloat(stopLossPercent);
-        
-        if (!validator.isPositive(percent)) {
-            throw new Error('止损百分比必须大于0');
+        result = calculatePositionByPercent(values.plannedLoss, values.stopLossPercent);
+    }
+    
+    // 按交易品种将数量向下取整到有效下单数量
+    if (result.calculationType === 'amount') {
+        result.quantity = instruments.adjustQuantity(result.quantity);
+        result.orderIssues = instruments.checkActiveOrder(result.quantity);
+    } else {
+        result.orderIssues = [];
+    }
+    
+    return result;
+}
+
+/**
+ * 按账户风险计算仓位（根据当前交易方向）
+ * 单位亏损 = |开仓价值 - 止损价值| + 开仓手续费 + 止损手续费（止损按市价成交）
+ * 开仓数量 = 风险金额 / 单位亏损
+ * @param {number} balance - 账户余额
+ * @param {number} riskPercent - 风险比例 (%)（与固定风险金额二选一）
+ * @param {number} fixedRisk - 固定风险金额 (R)（可选，优先使用）
+ * @param {number} entryPrice - 开仓价格
+ * @param {number} stopPrice - 止损价格
+ * @param {number} leverage - 杠杆倍数
+ * @param {string} entryOrderType - 开仓订单类型（默认Maker）
+ * @returns {Object} {riskAmount, quantity, positionValue, requiredMargin, openFee, stopFee, lossAtStop, stopDistancePercent, marginExceedsBalance, orderIssues, calculationType}
+ */
+export function calculateRiskPosition(balance, riskPercent, fixedRisk, entryPrice, stopPrice, leverage, entryOrderType = config.OrderType.MAKER) {
+    const validation = validator.validateSchema(RISK_FIELDS, { balance, riskPercent, fixedRisk, entryPrice, stopPrice, leverage, entryOrderType });
+    validator.requireOneOf(RISK_FIELDS, validation, ['riskPercent', 'fixedRisk'], t('请输入风险比例或固定风险金额'));
+    
+    const values = validation.values;
+    const balanceValue = values.balance;
+    const entry = values.entryPrice;
+    const stop = values.stopPrice;
+    
+    // 止损价必须位于亏损方向
+    if (entry !== undefined && stop !== undefined) {
+        if (config.isLong() && stop >= entry) {
+            validation.errors.push(validator.createSchemaError(RISK_FIELDS, 'stopPrice', validator.ErrorCode.CONFLICT, t('做多时止损价格必须低于开仓价格')));
         }
-        
-        if (percent > 100) {
-            throw new Error('止损百分比不能超过100%');
+        if (!config.isLong() && stop <= entry) {
+            validation.errors.push(validator.createSchemaError(RISK_FIELDS, 'stopPrice', validator.ErrorCode.CONFLICT, t('做空时止损价格必须高于开仓价格')));
         }
+    }
+    validator.throwIfInvalid(validation.errors);
+    
+    // 确定风险金额：固定金额优先，否则按余额比例
+    const riskAmount = values.fixedRisk !== null
+        ? values.fixedRisk
+        : decimal(balanceValue).times(values.riskPercent).div(100).toNumber();
+    
+    // 单位数量的亏损（U本位与币本位通用：价格亏损即两端价值之差）
+    const entryValue = config.getPositionValueDecimal(1, entry);
+    const stopValue = config.getPositionValueDecimal(1, stop);
+    const openFeePerUnit = entryValue.times(config.getFeeRate(values.entryOrderType));
+    const stopFeePerUnit = stopValue.times(config.getFeeRate(config.OrderType.TAKER));
+    const lossPerUnit = entryValue.minus(stopValue).abs().plus(openFeePerUnit).plus(stopFeePerUnit);
+    
+    if (!lossPerUnit.isPositive()) {
+        throw new Error(t('止损亏损必须大于0，请检查价格与手续费率'));
+    }
+    
+    // 按交易品种将数量向下取整，实际亏损不超过风险金额
+    const quantity = instruments.adjustQuantity(decimal(riskAmount).div(lossPerUnit).toNumber());
+    const positionValue = entryValue.times(quantity);
+    const requiredMargin = positionValue.div(values.leverage);
+    
+    return {
+        riskAmount: riskAmount,
+        quantity: quantity,
+        positionValue: positionValue.toNumber(),
+        requiredMargin: requiredMargin.toNumber(),
+        openFee: openFeePerUnit.times(quantity).toNumber(),
+        stopFee: stopFeePerUnit.times(quantity).toNumber(),
+        lossAtStop: lossPerUnit.times(quantity).toNumber(),
+        stopDistancePercent: decimal(entry).minus(stop).abs().div(entry).toNumber(),
+        marginExceedsBalance: requiredMargin.gt(balanceValue),
+        orderIssues: [
+            ...instruments.checkActiveOrder(quantity, entry, values.leverage),
+            ...instruments.checkActiveOrder(null, stop).map(issue => t('止损{issue}', { issue }))
+        ],
+        calculationType: 'risk' // 标记计算类型
+    };
+}
+
+/**
+ * 切换仓位计算模式
+ * @param {string} mode - SizingMode
+ */
+function setSizingMode(mode) {
+    sizingMode = mode;
+    
+    const stopBtn = document.getElementById('posModeStop');
+    const riskBtn = document.getElementById('posModeRisk');
+    const stopPanel = document.getElementById('posStopPanel');
+    const riskPanel = document.getElementById('posRiskPanel');
+    
+    if (!stopBtn || !riskBtn || !stopPanel || !riskPanel) return;
+    
+    const activeClass = 'px-8 py-3 rounded-full font-medium text-sm transition-all bg-purple-500 text-white';
+    const inactiveClass = 'px-8 py-3 rounded-full font-medium text-sm transition-all bg-white text-gray-700 border border-gray-200';
+    const isRisk = mode === SizingMode.RISK;
+    
+    stopBtn.className = isRisk ? inactiveClass : activeClass;
+    riskBtn.className = isRisk ? activeClass : inactiveClass;
+    stopPanel.classList.toggle('hidden', isRisk);
+    riskPanel.classList.toggle('hidden', !isRisk);
+    
+    // 切换模式时隐藏另一模式的结果和错误，实时计算时按新模式的输入重新计算
+    document.getElementById('positionResult').classList.add('hidden');
+    document.getElementById('posRiskResult').classList.add('hidden');
+    validator.hideError('positionError');
+    if (config.isLiveCalculation()) {
+        recalculatePosition({ live: true });
+    }
+}
+
+/**
+ * 计算并显示止损幅度模式的结果
+ */
+function showStopResult() {
+    // 获取输入值
+    const plannedLoss = document.getElementById('posPlannedLoss').value;
+    const stopLossAmount = document.getElementById('posStopLossAmount').value;
+    const stopLossPercent = document.getElementById('posStopLossPercent').value;
+    
+    // 计算仓位
+    const result = calculatePosition(
+        plannedLoss,
+        stopLossAmount || null,
+        stopLossPercent || null
+    );
+    
+    // 显示结果
+    const posQuantityEl = document.getElementById('posQuantity');
+    const posValueEl = document.getElementById('posValue');
+    
+    if (!posQuantityEl || !posValueEl) {
+        throw new Error(t('结果显示元素未找到'));
+    }
+    
+    if (result.calculationType === 'amount') {
+        // 通过止损幅度计算的结果：显示数量
+        posQuantityEl.textContent = validator.formatQuantity(result.quantity, 4);
+        posValueEl.textContent = '-';
+    
+    } else if (result.calculationType === 'percent') {
+        // 通过止损百分比计算的结果：显示价值
+        posQuantityEl.textContent = '-';
+        posValueEl.textContent = validator.formatNumber(result.positionValue, 2) + ' USDT';
+    }
+    instruments.showOrderIssues('posOrderNotice', result.orderIssues);
+    
+    // 显示结果区域
+    const resultDiv = document.getElementById('positionResult');
+    resultDiv.classList.remove('hidden');
+    resultDiv.classList.add('fade-in');
+}
+
+/**
+ * 计算并显示账户风险模式的结果
+ */
+function showRiskResult() {
+    const riskPercent = document.getElementById('posRiskPercent').value;
+    const fixedRisk = document.getElementById('posFixedRisk').value;
+    
+    const result = calculateRiskPosition(
+        document.getElementById('posBalance').value,
+        riskPercent || null,
+        fixedRisk || null,
+        document.getElementById('posEntryPrice').value,
+        document.getElementById('posStopPrice').value,
+        document.getElementById('posLeverage').value,
+        document.getElementById('posEntryOrderType').value
+    );
+    
+    const currency = config.getSettlementCurrency();
+    document.getElementById('posRiskQuantity').textContent = validator.formatQuantity(result.quantity, 4);
+    document.getElementById('posRiskValue').textContent = `${validator.formatNumber(result.positionValue, 2)} ${currency}`;
+    document.getElementById('posRiskMargin').textContent = `${validator.formatNumber(result.requiredMargin, 2)} ${currency}`;
+    document.getElementById('posRiskLoss').textContent = `${validator.formatNumber(result.lossAtStop, 2)} ${currency}`;
+    document.getElementById('posRiskFee').textContent = `${validator.formatNumber(decimal(result.openFee).plus(result.stopFee), 4)} ${currency}`;
+    document.getElementById('posRiskDistance').textContent = validator.formatPercentage(result.stopDistancePercent, 2);
+    document.getElementById('posMarginWarning').classList.toggle('hidden', !result.marginExceedsBalance);
+    instruments.showOrderIssues('posRiskOrderNotice', result.orderIssues);
+    
+    const resultDiv = document.getElementById('posRiskResult');
+    resultDiv.classList.remove('hidden');
+    resultDiv.classList.add('fade-in');
+}
+
+/**
+ * 将当前模式成功的计算记录到计算历史（结果取自已显示的结果）
+ * @param {boolean} live - 是否由实时计算触发
+ */
+function recordPositionHistory(live) {
+    const form = calculationHistory.readFormFields(HISTORY_FIELDS[sizingMode]);
+    calculationHistory.recordCalculation({
+        calculator: calculationHistory.HistoryCalculator.POSITION,
+        type: sizingMode,
+        title: SIZING_MODE_LABELS[sizingMode],
+        form: { fields: form.fields },
+        inputs: form.inputs,
+        results: Object.entries(HISTORY_RESULTS[sizingMode]).map(([id, label]) => ({
+            label,
+            value: document.getElementById(id).textContent
+        }))
+    }, { live });
+}
+
+/**
+ * 按当前模式与输入重新计算仓位
+ * @param {Object} options - {live} 是否由实时计算触发，见 liveCalculation.showCalculationError
+ */
+export function recalculatePosition({ live = false } = {}) {
+    const activeResultDiv = document.getElementById(sizingMode === SizingMode.RISK ? 'posRiskResult' : 'positionResult');
+    if (!activeResultDiv) return;
+    
+    try {
+        // 隐藏错误提示
+        validator.hideError('positionError');
         
-        result = calculatePositionByPercent(parseFloat(plannedLoss), percent);
+        if (sizingMode === SizingMode.RISK) {
+            showRiskResult();
+        } else {
+            showStopResult();
+        }
+        recordPositionHistory(live);
+        liveCalculation.markResultCurrent(activeResultDiv);
         
-    } else {
-        throw new Error('请输入止损幅度或止损百分比');
+    } catch (error) {
+        // 显示错误并标记出错的输入框
+        liveCalculation.showCalculationError('positionError', error, activeResultDiv, { live });
     }
-    
-    return result;
 }
 
 /**
@@ -113,6 +398,7 @@ export function calculatePosition(plannedLoss, stopLossAmount = null, stopLossPe
 export function initPositionCalculator() {
     const calculateBtn = document.getElementById('calculatePosition');
     const resultDiv = document.getElementById('positionResult');
+    const riskResultDiv = document.getElementById('posRiskResult');
     const errorP = document.getElementById('positionError');
     
     // 输入模式切换
@@ -139,63 +425,64 @@ export function initPositionCalculator() {
         });
     }
     
-    calculateBtn.addEventListener('click', () => {
-        try {
-            // 获取输入值
-            const plannedLoss = document.getElementById('posPlannedLoss').value;
-            const stopLossAmount = document.getElementById('posStopLossAmount').value;
-            const stopLossPercent = document.getElementById('posStopLossPercent').value;
-            
-            // 隐藏错误提示
-            validator.hideError('positionError');
-            
-            // 计算仓位
-            const result = calculatePosition(
-                plannedLoss,
-                stopLossAmount || null,
-                stopLossPercent || null
-            );
-            
-            // 显示结果
-            const posQuantityEl = document.getElementById('posQuantity');
-            const posValueEl = document.getElementById('posValue');
-            
-            if (!posQuantityEl || !posValueEl) {
-                throw new Error('结果显示元素未找到');
+    // 计算模式切换
+    const stopModeBtn = document.getElementById('posModeStop');
+    const riskModeBtn = document.getElementById('posModeRisk');
+    if (stopModeBtn && riskModeBtn) {
+        stopModeBtn.addEventListener('click', () => setSizingMode(SizingMode.STOP));
+        riskModeBtn.addEventListener('click', () => setSizingMode(SizingMode.RISK));
+    }
+    
+    // 风险比例与固定风险金额二选一
+    const riskPercentInput = document.getElementById('posRiskPercent');
+    const fixedRiskInput = document.getElementById('posFixedRisk');
+    if (riskPercentInput && fixedRiskInput) {
+        riskPercentInput.addEventListener('input', () => {
+            if (riskPercentInput.value) {
+                fixedRiskInput.value = '';
             }
-            
-            if (result.calculationType === 'amount') {
-                // 通过止损幅度计算的结果：显示数量
-                posQuantityEl.textContent = validator.formatNumber(result.quantity, 4);
-                posValueEl.textContent = '-';
-                
-            } else if (result.calculationType === 'percent') {
-                // 通过止损百分比计算的结果：显示价值
-                posQuantityEl.textContent = '-';
-                posValueEl.textContent = validator.formatNumber(result.positionValue, 2) + ' USDT';
+        });
+        fixedRiskInput.addEventListener('input', () => {
+            if (fixedRiskInput.value) {
+                riskPercentInput.value = '';
             }
-            
-            // 显示结果区域
-            resultDiv.classList.remove('hidden');
-            resultDiv.classList.add('fade-in');
-            
-        } catch (error) {
-            // 显示错误
-            validator.showError('positionError', error.message);
-            resultDiv.classList.add('hidden');
-        }
+        });
+    }
+    
+    calculateBtn.addEventListener('click', () => recalculatePosition());
+        
+    // 恢复计算历史：填写记录的输入，切换到记录的计算模式后重新计算
+    calculationHistory.registerHistoryRestorer(calculationHistory.HistoryCalculator.POSITION, (form, entry) => {
+        calculationHistory.fillFormFields(form.fields);
+        setSizingMode(entry.type === SizingMode.RISK ? SizingMode.RISK : SizingMode.STOP);
+        recalculatePosition();
     });
     
+    // 修改输入后实时重新计算
+    liveCalculation.bindLiveCalculation(document.getElementById('positionCalculator'), recalculatePosition);
+    
     // 监听配置变更，自动重新计算
     config.addConfigListener((key, value) => {
-        // 如果已经有结果显示，则自动重新计算
-        if (!resultDiv.classList.contains('hidden')) {
-            calculateBtn.click();
+        // 如果已经有结果显示（实时计算时包括出错），则自动重新计算
+        const errorVisible = config.isLiveCalculation() && !errorP.classList.contains('hidden');
+        if (errorVisible || !resultDiv.classList.contains('hidden') || !riskResultDiv.classList.contains('hidden')) {
+            recalculatePosition({ live: config.isLiveCalculation() });
+        }
+    });
+    
+    // 切换语言后重新计算，更新结果中的提示与错误消息
+    addLocaleListener(() => {
+        const errorVisible = !errorP.classList.contains('hidden');
+        if (errorVisible || !resultDiv.classList.contains('hidden') || !riskResultDiv.classList.contains('hidden')) {
+            recalculatePosition({ live: config.isLiveCalculation() });
         }
     });
 }
 
 export default {
+    SizingMode,
     calculatePosition,
+    calculateRiskPosition,
+    recalculatePosition,
     initPositionCalculator
-};
+};
\ No newline at end of file
@@ -2,27 +2,171 @@
 
 import * as validator from './validator.js';
 import * as config from './config.js';
+import * as instruments from './instruments.js';
+import { decimal, sum, max } from './decimal.js';
+import * as liveCalculation from './liveCalculation.js';
+import * as calculationHistory from './calculationHistory.js';
+import { t, addLocaleListener } from './i18n.js';
+
+// 默认订单类型：限价开仓、市价平仓
+export const DEFAULT_ORDER_TYPES = {
+    open: config.OrderType.MAKER,
+    close: config.OrderType.TAKER
+};
+
+// 收益计算的字段规则
+const PROFIT_FIELDS = {
+    leverage: { label: '杠杆倍数', input: 'profitLeverage', positive: true },
+    openPrice: { label: '开仓价格', input: 'profitOpenPrice', positive: true },
+    closePrice: { label: '平仓价格', input: 'profitClosePrice', positive: true },
+    quantity: { label: '开仓数量', input: 'profitQuantity', positive: true },
+    targetRoePercent: { label: '目标ROE', input: 'profitTargetRoe', required: false, positive: true, percent: true }
+};
+
+// 开仓价格和数量的字段规则（目标价求解与分批止盈共用）
+const ENTRY_FIELDS = {
+    openPrice: PROFIT_FIELDS.openPrice,
+    quantity: PROFIT_FIELDS.quantity
+};
+
+// 目标价求解的字段规则（目标收益与目标ROE二选一）
+const TARGET_FIELDS = {
+    profit: { label: '目标收益', input: 'profitSolverTarget', required: false },
+    roePercent: { label: '目标ROE', input: 'profitSolverTarget', required: false, percent: true }
+};
+
+// 按目标ROE求解时杠杆倍数的规则
+const TARGET_LEVERAGE_FIELD = {
+    label: '杠杆倍数',
+    input: 'profitLeverage',
+    positive: true,
+    messages: {
+        [validator.ErrorCode.REQUIRED]: '按目标ROE求解时请输入杠杆倍数',
+        [validator.ErrorCode.NOT_POSITIVE]: '按目标ROE求解时杠杆倍数必须大于0'
+    }
+};
+
+// 分批止盈的字段规则（档位字段见 getLadderLevelFields）
+const LADDER_FIELDS = {
+    leverage: PROFIT_FIELDS.leverage,
+    stopLossPrice: { label: '止损价格', input: 'profitLadderStopLoss', required: false, positive: true }
+};
+
+// 计算历史中的计算类型
+const HistoryType = {
+    PROFIT: 'profit',            // 收益额
+    TARGET_PRICE: 'targetPrice', // 目标价格求解
+    LADDER: 'ladder'             // 分批止盈
+};
+
+// 各计算记录到计算历史的输入框 {输入框ID: 名称}
+const PROFIT_HISTORY_FIELDS = {
+    profitLeverage: '杠杆倍数',
+    profitOpenPrice: '开仓价格',
+    profitClosePrice: '平仓价格',
+    profitQuantity: '开仓数量',
+    profitOpenOrderType: '开仓方式',
+    profitCloseOrderType: '平仓方式',
+    profitTargetRoe: '目标ROE',
+    profitFundingRate: '资金费率',
+    profitFundingInterval: '结算间隔',
+    profitHoldingHours: '持仓时长',
+    profitFundingSettlements: '结算次数'
+};
+const TARGET_HISTORY_FIELDS = {
+    profitLeverage: '杠杆倍数',
+    profitOpenPrice: '开仓价格',
+    profitQuantity: '开仓数量',
+    profitOpenOrderType: '开仓方式',
+    profitCloseOrderType: '平仓方式',
+    profitSolverType: '目标类型',
+    profitSolverTarget: '目标值'
+};
+const LADDER_HISTORY_FIELDS = {
+    profitLeverage: '杠杆倍数',
+    profitOpenPrice: '开仓价格',
+    profitQuantity: '开仓数量',
+    profitOpenOrderType: '开仓方式',
+    profitCloseOrderType: '平仓方式',
+    profitLadderStopLoss: '止损价格'
+};
+
+// 资金费率输入框（多个费率共用一个输入框）
+const FUNDING_RATE_INPUT = 'profitFundingRate';
+
+// 允许的最大资金费结算次数
+const MAX_FUNDING_SETTLEMENTS = 100000;
+
+// 资金费的字段规则（费率列表单独验证）
+const FUNDING_FIELDS = {
+    intervalHours: { label: '资金费结算间隔', input: 'profitFundingInterval', required: false, positive: true },
+    holdingHours: { label: '持仓时长', input: 'profitHoldingHours', required: false, nonNegative: true },
+    settlements: {
+        label: '结算次数',
+        input: 'profitFundingSettlements',
+        required: false,
+        nonNegative: true,
+        integer: true,
+        max: MAX_FUNDING_SETTLEMENTS,
+        messages: {
+            [validator.ErrorCode.NEGATIVE]: '结算次数必须是非负整数',
+            [validator.ErrorCode.NOT_INTEGER]: '结算次数必须是非负整数',
+            [validator.ErrorCode.OUT_OF_RANGE]: '结算次数超出合理范围'
+        }
+    }
+};
 
 /**
  * 计算开仓手续费
  * @param {number} position - 持仓数量
  * @param {number} openPrice - 开仓价格
- * @returns {number}
+ * @param {string} orderType - 开仓订单类型
+ * @returns {Decimal}
  */
-function calculateOpenFee(position, openPrice) {
-    const makerRate = config.getMakerFeeRate();
-    return position * openPrice * makerRate;
+function calculateOpenFee(position, openPrice, orderType = DEFAULT_ORDER_TYPES.open) {
+    const feeRate = config.getFeeRate(orderType);
+    return config.getPositionValueDecimal(position, openPrice).times(feeRate);
 }
 
 /**
  * 计算平仓手续费
  * @param {number} position - 持仓数量
  * @param {number} closePrice - 平仓价格
- * @returns {number}
+ * @param {string} orderType - 平仓订单类型
+ * @returns {Decimal}
  */
-function calculateCloseFee(position, closePrice) {
-    const takerRate = config.getTakerFeeRate();
-    return position * closePrice * takerRate;
+function calculateCloseFee(position, closePrice, orderType = DEFAULT_ORDER_TYPES.close) {
+    const feeRate = config.getFeeRate(orderType);
+    return config.getPositionValueDecimal(position, closePrice).times(feeRate);
+}
+
+/**
+ * 合并并验证开平仓订单类型
+ * @param {Object} orderTypes - 订单类型 {open, close}
+ * @returns {Object}
+ */
+function resolveOrderTypes(orderTypes) {
+    const resolved = { ...DEFAULT_ORDER_TYPES, ...(orderTypes || {}) };
+    if (!config.isValidOrderType(resolved.open) || !config.isValidOrderType(resolved.close)) {
+        throw new Error(t('订单类型无效'));
+    }
+    return resolved;
+}
+
+/**
+ * 计算做多价格差收益
+ * U本位：数量 × (平仓价 - 开仓价)
+ * 币本位：张数 × 面值 × (1/开仓价 - 1/平仓价)
+ * @param {number} position - 持仓数量（币本位为张数）
+ * @param {number} openPrice - 开仓价格
+ * @param {number} currentPrice - 当前价格
+ * @returns {Decimal}
+ */
+function calculateLongGrossProfit(position, openPrice, currentPrice) {
+    if (config.isInverse()) {
+        return config.getPositionValueDecimal(position, openPrice).minus(config.getPositionValueDecimal(position, currentPrice));
+    }
+    return decimal(currentPrice).minus(openPrice).times(position);
 }
 
 /**
@@ -30,31 +174,31 @@ function calculateCloseFee(position, closePrice) {
  * @param {number} position - 持仓数量
  * @param {number} openPrice - 开仓价格
  * @param {number} currentPrice - 当前价格
+ * @param {Object} orderTypes - 开平仓订单类型 {open, close}
  * @returns {Object} {profit, profitRate, totalFee}
  */
-function calculateLongProfit(position, openPrice, currentPrice) {
+function calculateLongProfit(position, openPrice, currentPrice, orderTypes = DEFAULT_ORDER_TYPES) {
     // 价格差收益
-    const priceDiff = currentPrice - openPrice;
-    const grossProfit = position * priceDiff;
+    const grossProfit = calculateLongGrossProfit(position, openPrice, currentPrice);
     
     // 计算手续费
-    const openFee = calculateOpenFee(position, openPrice);
-    const closeFee = calculateCloseFee(position, currentPrice);
-    const totalFee = openFee + closeFee;
+    const openFee = calculateOpenFee(position, openPrice, orderTypes.open);
+    const closeFee = calculateCloseFee(position, currentPrice, orderTypes.close);
+    const totalFee = openFee.plus(closeFee);
     
     // 净收益
-    const netProfit = grossProfit - totalFee;
+    const netProfit = grossProfit.minus(totalFee);
     
     // 收益率（相对于开仓成本）
-    const cost = position * openPrice;
-    const profitRate = cost > 0 ? netProfit / cost : 0;
+    const cost = config.getPositionValueDecimal(position, openPrice);
+    const profitRate = cost.isPositive() ? netProfit.div(cost).toNumber() : 0;
     
     return {
-        profit: netProfit,
+        profit: netProfit.toNumber(),
         profitRate: profitRate,
-        totalFee: totalFee,
-        openFee: openFee,
-        closeFee: closeFee
+        totalFee: totalFee.toNumber(),
+        openFee: openFee.toNumber(),
+        closeFee: closeFee.toNumber()
     };
 }
 
@@ -63,82 +207,903 @@ function calculateLongProfit(position, openPrice, currentPrice) {
  * @param {number} position - 持仓数量
  * @param {number} openPrice - 开仓价格
  * @param {number} currentPrice - 当前价格
+ * @param {Object} orderTypes - 开平仓订单类型 {open, close}
  * @returns {Object} {profit, profitRate, totalFee}
  */
-function calculateShortProfit(position, openPrice, currentPrice) {
-    // 价格差收益（做空时价格下跌为盈利）
-    const priceDiff = openPrice - currentPrice;
-    const grossProfit = position * priceDiff;
+function calculateShortProfit(position, openPrice, currentPrice, orderTypes = DEFAULT_ORDER_TYPES) {
+    // 价格差收益（做空时价格下跌为盈利，与做多互为相反数）
+    const grossProfit = calculateLongGrossProfit(position, openPrice, currentPrice).neg();
     
     // 计算手续费
-    const openFee = calculateOpenFee(position, openPrice);
-    const closeFee = calculateCloseFee(position, currentPrice);
-    const totalFee = openFee + closeFee;
+    const openFee = calculateOpenFee(position, openPrice, orderTypes.open);
+    const closeFee = calculateCloseFee(position, currentPrice, orderTypes.close);
+    const totalFee = openFee.plus(closeFee);
     
     // 净收益
-    const netProfit = grossProfit - totalFee;
+    const netProfit = grossProfit.minus(totalFee);
     
     // 收益率（相对于开仓成本）
-    const cost = position * openPrice;
-    const profitRate = cost > 0 ? netProfit / cost : 0;
+    const cost = config.getPositionValueDecimal(position, openPrice);
+    const profitRate = cost.isPositive() ? netProfit.div(cost).toNumber() : 0;
     
     return {
-        profit: netProfit,
+        profit: netProfit.toNumber(),
         profitRate: profitRate,
-        totalFee: totalFee,
-        openFee: openFee,
-        closeFee: closeFee
+        totalFee: totalFee.toNumber(),
+        openFee: openFee.toNumber(),
+        closeFee: closeFee.toNumber()
     };
 }
 
+// 支持的资金费结算间隔（小时）
+export const FUNDING_INTERVALS = [1, 4, 8];
+
 /**
- * 计算收益（根据当前交易方向）
- * @param {number} leverage - 杠杆倍数
+ * 验证资金费参数并确定每次结算的费率
+ * @param {Object} funding - 资金费参数 {rates: 百分比数组, intervalHours, holdingHours, settlements}
+ * @returns {Object} {errors, settlementRates, intervalHours}
+ */
+function validateFundingInputs(funding) {
+    const validation = validator.validateSchema(FUNDING_FIELDS, funding);
+    const errors = validation.errors;
+    const values = validation.values;
+    const rateError = (code, message) => errors.push(validator.createFieldError('rates', code, message, FUNDING_RATE_INPUT));
+    
+    const rates = (funding.rates || []).map(rate => validator.parseNumberInput(rate, { percent: true }));
+    if (rates.length === 0 || rates.some(rate => !validator.isValidNumber(rate) || validator.isExtremeValue(rate))) {
+        rateError(validator.ErrorCode.INVALID_NUMBER, t('资金费率必须是有效数字'));
+    } else if (rates.some(rate => Math.abs(rate) >= 100)) {
+        rateError(validator.ErrorCode.OUT_OF_RANGE, t('资金费率超出合理范围'));
+    }
+    
+    const intervalHours = values.intervalHours || 8;
+    if (values.intervalHours !== undefined && !FUNDING_INTERVALS.includes(intervalHours)) {
+        errors.push(validator.createSchemaError(FUNDING_FIELDS, 'intervalHours', validator.ErrorCode.INVALID_OPTION, t('资金费结算间隔只能是1、4或8小时')));
+    }
+    
+    // 确定结算次数：多个费率时逐次结算；单一费率时按结算次数或持仓时长计算
+    let settlementRates = rates;
+    if (rates.length <= 1) {
+        validator.requireOneOf(FUNDING_FIELDS, validation, ['holdingHours', 'settlements'], t('请输入持仓时长或结算次数'));
+        
+        let settlements = 0;
+        if (values.settlements !== null && values.settlements !== undefined) {
+            settlements = values.settlements;
+        } else if (values.holdingHours !== null && values.holdingHours !== undefined) {
+            settlements = Math.floor(values.holdingHours / intervalHours);
+            if (settlements > MAX_FUNDING_SETTLEMENTS) {
+                errors.push(validator.createSchemaError(FUNDING_FIELDS, 'holdingHours', validator.ErrorCode.OUT_OF_RANGE, t('结算次数超出合理范围')));
+            }
+        }
+        settlementRates = errors.length === 0 ? new Array(settlements).fill(rates[0]) : [];
+    }
+    
+    return { errors, settlementRates, intervalHours };
+}
+
+/**
+ * 计算持仓期间的资金费（根据当前交易方向）
+ * 每次结算的资金费 = 持仓价值（按开仓价） × 资金费率；资金费率为正时多头支付、空头收取
+ * @param {number} position - 持仓数量（币本位为张数）
+ * @param {number} openPrice - 开仓价格
+ * @param {Object} funding - 已验证的资金费参数 {settlementRates, intervalHours}
+ * @returns {Object} {fundingFee, settlements, intervalHours} fundingFee 为正表示收取，为负表示支付
+ */
+function calculateFundingFee(position, openPrice, funding) {
+    const positionValue = config.getPositionValueDecimal(position, openPrice);
+    const totalRate = sum(funding.settlementRates).div(100);
+    
+    // 多头支付正费率，空头收取正费率
+    const paidByLong = positionValue.times(totalRate);
+    const fundingFee = config.isLong() ? paidByLong.neg() : paidByLong;
+    
+    return {
+        fundingFee: fundingFee.toNumber(),
+        settlements: funding.settlementRates.length,
+        intervalHours: funding.intervalHours
+    };
+}
+
+/**
+ * 求解达到目标净收益（含开平仓手续费）所需的平仓价格（根据当前交易方向）
+ * @param {number} position - 持仓数量（币本位为张数）
+ * @param {number} openPrice - 开仓价格
+ * @param {number|Decimal} targetProfit - 目标净收益（负数表示亏损）
+ * @param {Object} orderTypes - 开平仓订单类型 {open, close}
+ * @returns {number|null} 平仓价格，无法达到时返回null
+ */
+function solveClosePrice(position, openPrice, targetProfit, orderTypes = DEFAULT_ORDER_TYPES) {
+    const closeRate = config.getFeeRate(orderTypes.close);
+    const openFee = calculateOpenFee(position, openPrice, orderTypes.open);
+    let numerator;
+    let denominator;
+    
+    if (config.isInverse()) {
+        // 币本位：净收益 = ±(张数 × 面值 × (1/开仓价 - 1/平仓价)) - 开仓手续费 - 张数 × 面值 / 平仓价 × 平仓费率
+        const faceNotional = decimal(position).times(config.getContractFaceValue());
+        const openNotional = faceNotional.div(openPrice);
+        if (config.isLong()) {
+            numerator = faceNotional.times(decimal(1).plus(closeRate));
+            denominator = openNotional.minus(openFee).minus(targetProfit);
+        } else {
+            numerator = faceNotional.times(decimal(1).minus(closeRate));
+            denominator = openNotional.plus(openFee).plus(targetProfit);
+        }
+    } else {
+        // U本位：净收益 = ±(数量 × (平仓价 - 开仓价)) - 开仓手续费 - 数量 × 平仓价 × 平仓费率
+        const openValue = decimal(position).times(openPrice);
+        if (config.isLong()) {
+            numerator = openValue.plus(openFee).plus(targetProfit);
+            denominator = decimal(position).times(decimal(1).minus(closeRate));
+        } else {
+            numerator = openValue.minus(openFee).minus(targetProfit);
+            denominator = decimal(position).times(decimal(1).plus(closeRate));
+        }
+    }
+    
+    if (denominator.isZero()) return null;
+    const price = numerator.div(denominator);
+    return price.isPositive() ? price.toNumber() : null;
+}
+
+/**
+ * 验证开仓价格和数量
  * @param {number} openPrice - 开仓价格
- * @param {number} closePrice - 平仓价格
  * @param {number} quantity - 开仓数量
- * @returns {Object} {profit, profitRate, makerFee, takerFee}
- */
-export function calculateProfit(leverage, openPrice, closePrice, quantity) {
-    // 验证输入
-    const validation = validator.validateRequiredFields({
-        '杠杆倍数': leverage,
-        '开仓价格': openPrice,
-        '平仓价格': closePrice,
-        '开仓数量': quantity
-    });
+ * @returns {Object} validateSchema 的返回值
+ */
+function validateEntryInputs(openPrice, quantity) {
+    return validator.validateSchema(ENTRY_FIELDS, { openPrice, quantity });
+}
+
+/**
+ * 计算含开平仓手续费的保本平仓价格（根据当前交易方向）
+ * @param {number} openPrice - 开仓价格
+ * @param {number} quantity - 开仓数量
+ * @param {Object} orderTypes - 开平仓订单类型 {open, close}（可选）
+ * @returns {number}
+ */
+export function calculateBreakEvenPrice(openPrice, quantity, orderTypes = null) {
+    const { errors, values } = validateEntryInputs(openPrice, quantity);
+    validator.throwIfInvalid(errors);
     
-    if (!validation.isValid) {
-        throw new Error(validation.message);
+    const price = solveClosePrice(values.quantity, values.openPrice, 0, resolveOrderTypes(orderTypes));
+    if (price === null) {
+        throw new Error(t('计算结果无效，请检查手续费率'));
     }
+    return price;
+}
+
+/**
+ * 求解达到目标净收益或目标ROE所需的平仓价格（根据当前交易方向，含手续费）
+ * @param {number} openPrice - 开仓价格
+ * @param {number} quantity - 开仓数量
+ * @param {Object} target - 目标 {profit} 或 {roePercent, leverage}
+ * @param {Object} orderTypes - 开平仓订单类型 {open, close}（可选）
+ * @returns {Object} {closePrice, priceMove, targetProfit, breakEvenPrice}
+ */
+export function calculateTargetClosePrice(openPrice, quantity, target, orderTypes = null) {
+    const targetValues = target || {};
+    
+    // 目标收益优先；仅按目标ROE求解时需要杠杆倍数
+    const byRoe = validator.isEmpty(targetValues.profit) && !validator.isEmpty(targetValues.roePercent);
+    const schema = { ...ENTRY_FIELDS, ...TARGET_FIELDS };
+    if (byRoe) {
+        schema.leverage = TARGET_LEVERAGE_FIELD;
+    }
+    
+    const validation = validator.validateSchema(schema, {
+        openPrice,
+        quantity,
+        profit: targetValues.profit,
+        roePercent: byRoe ? targetValues.roePercent : null,
+        leverage: targetValues.leverage
+    });
+    validator.requireOneOf(schema, validation, ['profit', 'roePercent'], t('请输入目标收益或目标ROE'));
+    validator.throwIfInvalid(validation.errors);
+    
+    const values = validation.values;
+    const legs = resolveOrderTypes(orderTypes);
+    const openPriceValue = values.openPrice;
+    const quantityValue = values.quantity;
+    let targetProfit;
     
-    // 验证正数
-    if (!validator.isPositive(leverage)) {
-        throw new Error('杠杆倍数必须大于0');
+    if (byRoe) {
+        // 目标收益 = 初始保证金 × 目标ROE
+        const initialMargin = config.getPositionValueDecimal(quantityValue, openPriceValue).div(values.leverage);
+        targetProfit = initialMargin.times(values.roePercent).div(100).toNumber();
+    } else {
+        targetProfit = values.profit;
     }
-    if (!validator.isPositive(openPrice)) {
-        throw new Error('开仓价格必须大于0');
+    
+    const closePrice = solveClosePrice(quantityValue, openPriceValue, targetProfit, legs);
+    if (closePrice === null) {
+        throw new Error(t('目标无法达到，请调整目标值'));
     }
-    if (!validator.isPositive(closePrice)) {
-        throw new Error('平仓价格必须大于0');
+    
+    return {
+        closePrice: closePrice,
+        priceMove: decimal(closePrice).minus(openPriceValue).div(openPriceValue).toNumber(),
+        targetProfit: targetProfit,
+        breakEvenPrice: solveClosePrice(quantityValue, openPriceValue, 0, legs)
+    };
+}
+
+/**
+ * 获取止盈档位的字段规则（平仓比例与平仓数量二选一）
+ * @param {number} index - 档位序号（从0开始）
+ * @returns {Object}
+ */
+function getLadderLevelFields(index) {
+    const level = t('第{level}档', { level: index + 1 });
+    const percentMessage = t('{level}平仓比例必须在0-100%之间', { level });
+    
+    return {
+        price: { label: t('{level}止盈价格', { level }), positive: true },
+        percent: {
+            label: t('{level}平仓比例', { level }),
+            required: false,
+            positive: true,
+            max: 100,
+            percent: true,
+            messages: {
+                [validator.ErrorCode.NOT_POSITIVE]: percentMessage,
+                [validator.ErrorCode.OUT_OF_RANGE]: percentMessage
+            }
+        },
+        quantity: { label: t('{level}平仓数量', { level }), required: false, positive: true }
+    };
+}
+
+/**
+ * 计算分批止盈（根据当前交易方向）
+ * 开仓手续费按各档平仓数量分摊；止损单固定按市价（Taker）成交
+ * @param {number} leverage - 杠杆倍数
+ * @param {number} openPrice - 开仓价格
+ * @param {number} quantity - 开仓数量
+ * @param {Array} levels - 止盈档位 [{price, percent} 或 {price, quantity}]
+ * @param {number} stopLossPrice - 剩余仓位止损价（可选）
+ * @param {Object} orderTypes - 开平仓订单类型 {open, close}（可选，止盈档位使用平仓类型）
+ * @returns {Object} {levels, closedQuantity, remainingQuantity, blendedExitPrice, totalProfit, totalFee, initialMargin, roe}
+ */
+export function calculateTakeProfitLadder(leverage, openPrice, quantity, levels, stopLossPrice = null, orderTypes = null) {
+    const validation = validator.validateSchema({ ...ENTRY_FIELDS, ...LADDER_FIELDS }, { openPrice, quantity, leverage, stopLossPrice });
+    const errors = validation.errors;
+    const values = validation.values;
+    const levelValues = [];
+    
+    if (!Array.isArray(levels) || levels.length === 0) {
+        errors.push(validator.createFieldError('levels', validator.ErrorCode.REQUIRED, t('请至少添加一个止盈档位')));
+    } else {
+        // 档位字段错误使用 levels.序号.字段 的路径，便于界面定位到对应行
+        levels.forEach((level, index) => {
+            const levelSchema = getLadderLevelFields(index);
+            const levelValidation = validator.validateSchema(levelSchema, level);
+            levelValues.push(levelValidation.values);
+            validator.requireOneOf(levelSchema, levelValidation, ['percent', 'quantity'], t('请输入第{level}档的平仓比例或数量', { level: index + 1 }));
+            errors.push(...levelValidation.errors.map(error => ({ ...error, field: `levels.${index}.${error.field}` })));
+        });
     }
-    if (!validator.isPositive(quantity)) {
-        throw new Error('开仓数量必须大于0');
+    validator.throwIfInvalid(errors);
+    
+    const legs = resolveOrderTypes(orderTypes);
+    const openPriceValue = values.openPrice;
+    const quantityValue = values.quantity;
+    const totalOpenFee = calculateOpenFee(quantityValue, openPriceValue, legs.open);
+    const direction = config.isLong() ? 1 : -1;
+    
+    // 解析各档位的平仓数量
+    const exits = levelValues.map((level, index) => {
+        const price = level.price;
+        
+        // 按比例平仓时向下取整到有效下单数量
+        const exitQuantity = level.percent !== null
+            ? instruments.adjustQuantity(decimal(quantityValue).times(level.percent).div(100).toNumber())
+            : level.quantity;
+        
+        return {
+            label: t('第{level}档', { level: index + 1 }),
+            price: price,
+            quantity: exitQuantity,
+            orderType: legs.close,
+            orderIssues: instruments.checkActiveOrder(exitQuantity, price)
+        };
+    });
+    
+    const ladderQuantity = sum(exits.map(exit => exit.quantity));
+    // 允许微小的误差（按比例平仓的数量经过取整）
+    if (ladderQuantity.gt(decimal(quantityValue).times('1.000000001'))) {
+        throw new validator.ValidationError([
+            validator.createFieldError('levels', validator.ErrorCode.CONFLICT, t('止盈档位的平仓数量合计超过开仓数量'))
+        ]);
     }
     
-    // 检查极端值
-    if (validator.isExtremeValue(leverage) ||
-        validator.isExtremeValue(openPrice) || 
-        validator.isExtremeValue(closePrice) || 
-        validator.isExtremeValue(quantity)) {
-        throw new Error('输入值超出合理范围');
+    // 剩余仓位按止损价以市价平仓
+    let remainingQuantity = max(decimal(quantityValue).minus(ladderQuantity), 0).toNumber();
+    if (values.stopLossPrice !== null) {
+        if (decimal(remainingQuantity).gt(decimal(quantityValue).times('1e-9'))) {
+            exits.push({
+                label: t('止损'),
+                price: values.stopLossPrice,
+                quantity: remainingQuantity,
+                orderType: config.OrderType.TAKER,
+                orderIssues: instruments.checkActiveOrder(remainingQuantity, values.stopLossPrice)
+            });
+        }
+        remainingQuantity = 0;
     }
     
+    // 逐档计算已实现盈亏
+    let cumulativeProfit = decimal(0);
+    let totalFee = decimal(0);
+    const results = exits.map(exit => {
+        const grossProfit = calculateLongGrossProfit(exit.quantity, openPriceValue, exit.price).times(direction);
+        const openFee = totalOpenFee.times(exit.quantity).div(quantityValue);
+        const closeFee = calculateCloseFee(exit.quantity, exit.price, exit.orderType);
+        const profit = grossProfit.minus(openFee).minus(closeFee);
+        cumulativeProfit = cumulativeProfit.plus(profit);
+        totalFee = totalFee.plus(openFee).plus(closeFee);
+        
+        return {
+            ...exit,
+            grossProfit: grossProfit.toNumber(),
+            openFee: openFee.toNumber(),
+            closeFee: closeFee.toNumber(),
+            fee: openFee.plus(closeFee).toNumber(),
+            profit: profit.toNumber(),
+            cumulativeProfit: cumulativeProfit.toNumber()
+        };
+    });
+    
+    // 加权平均平仓价（币本位使用调和平均）
+    const closedQuantity = sum(results.map(r => r.quantity));
+    const blendedExitPrice = config.isInverse()
+        ? closedQuantity.div(sum(results.map(r => decimal(r.quantity).div(r.price))))
+        : sum(results.map(r => decimal(r.quantity).times(r.price))).div(closedQuantity);
+    
+    const initialMargin = config.getPositionValueDecimal(quantityValue, openPriceValue).div(values.leverage);
+    
+    return {
+        levels: results,
+        closedQuantity: closedQuantity.toNumber(),
+        remainingQuantity: remainingQuantity,
+        blendedExitPrice: blendedExitPrice.toNumber(),
+        totalProfit: cumulativeProfit.toNumber(),
+        totalFee: totalFee.toNumber(),
+        initialMargin: initialMargin.toNumber(),
+        roe: initialMargin.isPositive() ? cumulativeProfit.div(initialMargin).toNumber() : 0
+    };
+}
+
+/**
+ * 计算收益（根据当前交易方向）
+ * @param {number} leverage - 杠杆倍数
+ * @param {number} openPrice - 开仓价格
+ * @param {number} closePrice - 平仓价格
+ * @param {number} quantity - 开仓数量
+ * @param {number} targetRoePercent - 目标ROE百分比（可选，如10表示±10%）
+ * @param {Object} funding - 资金费参数（可选）{rates: 百分比数组, intervalHours, holdingHours, settlements}
+ * @param {Object} orderTypes - 开平仓订单类型 {open, close}（可选，默认限价开仓、市价平仓）
+ * @returns {Object} {profit, profitRate, roe, initialMargin, openFee, closeFee, fundingFee, ...}
+ */
+export function calculateProfit(leverage, openPrice, closePrice, quantity, targetRoePercent = null, funding = null, orderTypes = null) {
+    // 验证全部输入（含资金费参数），一次返回所有错误
+    const validation = validator.validateSchema(PROFIT_FIELDS, { leverage, openPrice, closePrice, quantity, targetRoePercent });
+    const fundingInputs = funding !== null ? validateFundingInputs(funding) : null;
+    validator.throwIfInvalid([...validation.errors, ...(fundingInputs ? fundingInputs.errors : [])]);
+    
+    const values = validation.values;
+    const legs = resolveOrderTypes(orderTypes);
+    const leverageValue = values.leverage;
+    const openPriceValue = values.openPrice;
+    const closePriceValue = values.closePrice;
+    const quantityValue = values.quantity;
+    
     // 根据交易方向计算
+    let result;
     if (config.isLong()) {
-        return calculateLongProfit(quantity, openPrice, closePrice);
+        result = calculateLongProfit(quantityValue, openPriceValue, closePriceValue, legs);
     } else {
-        return calculateShortProfit(quantity, openPrice, closePrice);
+        result = calculateShortProfit(quantityValue, openPriceValue, closePriceValue, legs);
+    }
+    
+    // 资金费单独列示，并计入净收益
+    result.profitBeforeFunding = result.profit;
+    result.fundingFee = 0;
+    result.fundingSettlements = 0;
+    if (fundingInputs !== null) {
+        const fundingResult = calculateFundingFee(quantityValue, openPriceValue, fundingInputs);
+        result.fundingFee = fundingResult.fundingFee;
+        result.fundingSettlements = fundingResult.settlements;
+        result.fundingIntervalHours = fundingResult.intervalHours;
+        const profit = decimal(result.profit).plus(fundingResult.fundingFee);
+        result.profit = profit.toNumber();
+        
+        const cost = config.getPositionValueDecimal(quantityValue, openPriceValue);
+        result.profitRate = cost.isPositive() ? profit.div(cost).toNumber() : 0;
+    }
+    
+    // 初始保证金 = 持仓价值 / 杠杆倍数
+    const initialMargin = config.getPositionValueDecimal(quantityValue, openPriceValue).div(leverageValue);
+    
+    // ROE（相对于保证金，与交易所显示一致）；profitRate 保持为相对于持仓价值的收益率
+    result.initialMargin = initialMargin.toNumber();
+    result.roe = initialMargin.isPositive() ? decimal(result.profit).div(initialMargin).toNumber() : 0;
+    result.notionalReturn = result.profitRate;
+    
+    // 含手续费和资金费的保本平仓价
+    result.openOrderType = legs.open;
+    result.closeOrderType = legs.close;
+    result.breakEvenPrice = solveClosePrice(quantityValue, openPriceValue, decimal(result.fundingFee).neg(), legs);
+    
+    // 达到 ±目标ROE 所需的平仓价格及价格变动幅度
+    if (values.targetRoePercent !== null) {
+        // 资金费与平仓价无关，从目标收益中扣除
+        const targetProfit = initialMargin.times(values.targetRoePercent).div(100);
+        const gainPrice = solveClosePrice(quantityValue, openPriceValue, targetProfit.minus(result.fundingFee), legs);
+        const lossPrice = solveClosePrice(quantityValue, openPriceValue, targetProfit.neg().minus(result.fundingFee), legs);
+        const priceMove = price => decimal(price).minus(openPriceValue).div(openPriceValue).toNumber();
+        
+        result.targetRoe = decimal(values.targetRoePercent).div(100).toNumber();
+        result.targetGainPrice = gainPrice;
+        result.targetGainMove = gainPrice !== null ? priceMove(gainPrice) : null;
+        result.targetLossPrice = lossPrice;
+        result.targetLossMove = lossPrice !== null ? priceMove(lossPrice) : null;
+    }
+    
+    return result;
+}
+
+/**
+ * 读取资金费输入，未填写资金费率时返回null
+ * @returns {Object|null}
+ */
+function readFundingInputs() {
+    const ratesText = document.getElementById('profitFundingRate').value.trim();
+    if (!ratesText) {
+        return null;
+    }
+    
+    return {
+        // 支持逗号、空格或换行分隔的多个费率
+        rates: ratesText.split(/[\s,，、;；]+/).filter(Boolean),
+        intervalHours: document.getElementById('profitFundingInterval').value,
+        holdingHours: document.getElementById('profitHoldingHours').value,
+        settlements: document.getElementById('profitFundingSettlements').value
+    };
+}
+
+/**
+ * 读取开平仓订单类型选择
+ * @returns {Object} {open, close}
+ */
+function readOrderTypeInputs() {
+    return {
+        open: document.getElementById('profitOpenOrderType').value,
+        close: document.getElementById('profitCloseOrderType').value
+    };
+}
+
+/**
+ * 获取订单类型显示名称
+ * @param {string} orderType - 订单类型
+ * @returns {string}
+ */
+function getOrderTypeLabel(orderType) {
+    return orderType === config.OrderType.TAKER ? 'Taker' : 'Maker';
+}
+
+/**
+ * 按当前输入重新求解目标平仓价
+ * @param {Object} options - {live} 是否由实时计算触发，见 liveCalculation.showCalculationError
+ */
+export function recalculateTargetPrice({ live = false } = {}) {
+    const resultDiv = document.getElementById('profitSolverResult');
+    const targetTypeSelect = document.getElementById('profitSolverType');
+    const targetInput = document.getElementById('profitSolverTarget');
+    
+    if (!resultDiv) return;
+    
+    try {
+        validator.hideError('profitSolverError');
+        
+        const leverage = document.getElementById('profitLeverage').value;
+        const openPrice = document.getElementById('profitOpenPrice').value;
+        const quantity = document.getElementById('profitQuantity').value;
+        const targetValue = targetInput.value;
+        
+        const target = targetTypeSelect.value === 'roe'
+            ? { roePercent: targetValue, leverage: leverage }
+            : { profit: targetValue };
+        const result = calculateTargetClosePrice(openPrice, quantity, target, readOrderTypeInputs());
+        
+        document.getElementById('profitSolverBreakEven').textContent = validator.formatPrice(instruments.adjustPrice(result.breakEvenPrice), 4);
+        document.getElementById('profitSolverPrice').textContent = validator.formatPrice(instruments.adjustPrice(result.closePrice), 4);
+        document.getElementById('profitSolverMove').textContent =
+            `${result.priceMove >= 0 ? '+' : ''}${validator.formatPercentage(result.priceMove, 2)}`;
+        
+        const form = calculationHistory.readFormFields(TARGET_HISTORY_FIELDS);
+        calculationHistory.recordCalculation({
+            calculator: calculationHistory.HistoryCalculator.PROFIT,
+            type: HistoryType.TARGET_PRICE,
+            title: '目标价格求解',
+            form: { fields: form.fields },
+            inputs: form.inputs,
+            results: [
+                { label: '目标平仓价', value: validator.formatPrice(instruments.adjustPrice(result.closePrice), 4) },
+                { label: '保本平仓价', value: validator.formatPrice(instruments.adjustPrice(result.breakEvenPrice), 4) }
+            ]
+        }, { live });
+        
+        liveCalculation.markResultCurrent(resultDiv);
+        resultDiv.classList.remove('hidden');
+        resultDiv.classList.add('fade-in');
+        
+    } catch (error) {
+        liveCalculation.showCalculationError('profitSolverError', error, resultDiv, { live });
+    }
+}
+
+/**
+ * 根据目标类型更新目标值输入框的提示与单位
+ */
+function updateSolverTargetInput() {
+    const targetTypeSelect = document.getElementById('profitSolverType');
+    const targetInput = document.getElementById('profitSolverTarget');
+    if (!targetTypeSelect || !targetInput) return;
+    
+    targetInput.placeholder = targetTypeSelect.value === 'roe' ? '50' : '100';
+    // 目标ROE以百分比为单位（影响百分号的解析）
+    targetInput.dataset.numeric = targetTypeSelect.value === 'roe' ? 'percent' : '';
+}
+
+/**
+ * 初始化目标价格求解器UI
+ */
+function initTargetPriceSolver() {
+    const solveBtn = document.getElementById('solveTargetPrice');
+    const resultDiv = document.getElementById('profitSolverResult');
+    const targetTypeSelect = document.getElementById('profitSolverType');
+    const errorP = document.getElementById('profitSolverError');
+    
+    if (!solveBtn || !resultDiv) return;
+    
+    // 根据目标类型更新提示
+    targetTypeSelect.addEventListener('change', updateSolverTargetInput);
+    
+    solveBtn.addEventListener('click', () => recalculateTargetPrice());
+            
+    // 监听配置变更，自动重新求解（实时计算时出错也重新求解）
+    config.addConfigListener(() => {
+        if (!resultDiv.classList.contains('hidden') || (config.isLiveCalculation() && !errorP.classList.contains('hidden'))) {
+            recalculateTargetPrice({ live: config.isLiveCalculation() });
+        }
+    });
+    
+    // 切换语言后重新求解，更新错误消息
+    addLocaleListener(() => {
+        if (!resultDiv.classList.contains('hidden') || !errorP.classList.contains('hidden')) {
+            recalculateTargetPrice({ live: config.isLiveCalculation() });
+        }
+    });
+}
+
+/**
+ * 渲染止盈档位输入行
+ * @param {Array} rows - 档位列表 [{price, mode, value}]
+ */
+function renderLadderRows(rows) {
+    const tbody = document.getElementById('profitLadderBody');
+    if (!tbody) return;
+    
+    const inputClass = 'w-full px-2 py-1 border border-gray-200 rounded-lg bg-white focus:outline-none focus:border-green-500';
+    
+    tbody.innerHTML = rows.map((row, index) => `
+        <tr class="border-t border-gray-200">
+            <td class="py-2 pr-2 text-gray-500">${index + 1}</td>
+            <td class="py-2 pr-2">
+                <input type="text" data-numeric step="0.0001" min="0" data-field="price" class="${inputClass}" value="${validator.escapeHtml(row.price)}" placeholder="0.0000">
+            </td>
+            <td class="py-2 pr-2">
+                <select data-field="mode" class="${inputClass}">
+                    <option value="percent" ${row.mode !== 'quantity' ? 'selected' : ''}>${t('比例 (%)')}</option>
+                    <option value="quantity" ${row.mode === 'quantity' ? 'selected' : ''}>${t('数量')}</option>
+                </select>
+            </td>
+            <td class="py-2 pr-2">
+                <input type="text" data-numeric="${row.mode !== 'quantity' ? 'percent' : ''}" step="0.0001" min="0" data-field="value" class="${inputClass}" value="${validator.escapeHtml(row.value)}" placeholder="50">
+            </td>
+            <td class="py-2 text-right">
+                <button class="delete-ladder-level text-red-400 hover:text-red-600 text-xl transition-colors" data-index="${index}">×</button>
+            </td>
+        </tr>
+    `).join('');
+    
+    // 切换比例/数量时更新输入框的单位（影响百分号的解析）
+    tbody.querySelectorAll('[data-field="mode"]').forEach(select => {
+        select.addEventListener('change', () => {
+            const valueInput = select.closest('tr').querySelector('[data-field="value"]');
+            valueInput.dataset.numeric = select.value === 'percent' ? 'percent' : '';
+        });
+    });
+    
+    // 绑定删除按钮事件
+    tbody.querySelectorAll('.delete-ladder-level').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const current = readLadderRows();
+            current.splice(parseInt(e.target.dataset.index), 1);
+            renderLadderRows(current.length > 0 ? current : [{}]);
+            if (config.isLiveCalculation()) {
+                recalculateTakeProfitLadder({ live: true });
+            }
+        });
+    });
+}
+
+/**
+ * 读取止盈档位输入行
+ * @returns {Array}
+ */
+function readLadderRows() {
+    const tbody = document.getElementById('profitLadderBody');
+    if (!tbody) return [];
+    
+    return Array.from(tbody.querySelectorAll('tr')).map(row => ({
+        price: row.querySelector('[data-field="price"]').value,
+        mode: row.querySelector('[data-field="mode"]').value,
+        value: row.querySelector('[data-field="value"]').value
+    }));
+}
+
+/**
+ * 根据字段错误查找止盈档位行中的输入框（字段路径为 levels.序号.字段）
+ * @param {Object} fieldError - 字段错误
+ * @returns {HTMLElement|null}
+ */
+function findLadderInput(fieldError) {
+    const match = fieldError.field.match(/^levels\.(\d+)\.(\w+)$/);
+    const tbody = document.getElementById('profitLadderBody');
+    if (!match || !tbody) return null;
+    
+    const row = tbody.querySelectorAll('tr')[parseInt(match[1])];
+    // 平仓比例与平仓数量共用一个输入框
+    const inputField = match[2] === 'price' ? 'price' : 'value';
+    return row ? row.querySelector(`[data-field="${inputField}"]`) : null;
+}
+
+/**
+ * 按当前输入重新计算分批止盈
+ * @param {Object} options - {live} 是否由实时计算触发，见 liveCalculation.showCalculationError
+ */
+export function recalculateTakeProfitLadder({ live = false } = {}) {
+    const resultDiv = document.getElementById('profitLadderResult');
+    if (!resultDiv) return;
+    
+    try {
+        validator.hideError('profitLadderError');
+        
+        const levels = readLadderRows().map(row => ({
+            price: row.price,
+            percent: row.mode === 'percent' ? row.value : '',
+            quantity: row.mode === 'quantity' ? row.value : ''
+        }));
+        const stopLossPrice = document.getElementById('profitLadderStopLoss').value;
+        
+        const result = calculateTakeProfitLadder(
+            document.getElementById('profitLeverage').value,
+            document.getElementById('profitOpenPrice').value,
+            document.getElementById('profitQuantity').value,
+            levels,
+            stopLossPrice || null,
+            readOrderTypeInputs()
+        );
+        
+        document.getElementById('profitLadderResultBody').innerHTML = result.levels.map(level => `
+            <tr class="border-t border-gray-200">
+                <td class="py-2 pr-2">${level.label}</td>
+                <td class="py-2 pr-2">${validator.formatPrice(level.price, 4)}</td>
+                <td class="py-2 pr-2">${validator.formatQuantity(level.quantity, 4)}</td>
+                <td class="py-2 pr-2">${validator.formatNumber(level.fee, 4)}</td>
+                <td class="py-2 pr-2 ${level.profit >= 0 ? 'text-green-600' : 'text-red-600'}">${validator.formatNumber(level.profit, 4)}</td>
+                <td class="py-2 ${level.cumulativeProfit >= 0 ? 'text-green-600' : 'text-red-600'}">${validator.formatNumber(level.cumulativeProfit, 4)}</td>
+            </tr>
+        `).join('');
+        
+        const profitClass = result.totalProfit >= 0 ? 'text-green-600' : 'text-red-600';
+        const totalEl = document.getElementById('profitLadderTotal');
+        totalEl.className = `text-2xl font-light ${profitClass}`;
+        totalEl.textContent = validator.formatNumber(result.totalProfit, 4);
+        document.getElementById('profitLadderRoe').textContent = validator.formatPercentage(result.roe, 2);
+        document.getElementById('profitLadderBlended').textContent = validator.formatPrice(result.blendedExitPrice, 4);
+        document.getElementById('profitLadderFee').textContent = validator.formatNumber(result.totalFee, 4);
+        document.getElementById('profitLadderRemaining').textContent = validator.formatQuantity(result.remainingQuantity, 4);
+        instruments.showOrderIssues('profitLadderOrderNotice', result.levels.flatMap(
+            level => level.orderIssues.map(issue => t('{label}：{issue}', { label: level.label, issue }))
+        ));
+        
+        const rows = readLadderRows();
+        const form = calculationHistory.readFormFields(LADDER_HISTORY_FIELDS);
+        calculationHistory.recordCalculation({
+            calculator: calculationHistory.HistoryCalculator.PROFIT,
+            type: HistoryType.LADDER,
+            title: '分批止盈',
+            form: { fields: form.fields, rows },
+            inputs: [
+                ...form.inputs,
+                ...rows.map((row, index) => ({
+                    label: '第{level}档',
+                    params: { level: index + 1 },
+                    value: `${row.price} / ${row.value}${row.mode === 'percent' && !row.value.endsWith('%') ? '%' : ''}`
+                }))
+            ],
+            results: [
+                { label: '合计已实现盈亏', value: validator.formatNumber(result.totalProfit, 4) },
+                { label: '收益率 (ROE)', value: validator.formatPercentage(result.roe, 2) },
+                { label: '加权平均平仓价', value: validator.formatPrice(result.blendedExitPrice, 4) }
+            ]
+        }, { live });
+        
+        liveCalculation.markResultCurrent(resultDiv);
+        resultDiv.classList.remove('hidden');
+        resultDiv.classList.add('fade-in');
+        
+    } catch (error) {
+        liveCalculation.showCalculationError('profitLadderError', error, resultDiv, { resolveInput: findLadderInput, live });
+    }
+}
+
+/**
+ * 初始化分批止盈UI
+ */
+function initTakeProfitLadder() {
+    const calculateBtn = document.getElementById('calculateLadder');
+    const addLevelBtn = document.getElementById('addLadderLevel');
+    const resultDiv = document.getElementById('profitLadderResult');
+    const errorP = document.getElementById('profitLadderError');
+    
+    if (!calculateBtn || !resultDiv) return;
+    
+    renderLadderRows([{}]);
+    
+    if (addLevelBtn) {
+        addLevelBtn.addEventListener('click', () => {
+            renderLadderRows([...readLadderRows(), {}]);
+        });
+    }
+    
+    calculateBtn.addEventListener('click', () => recalculateTakeProfitLadder());
+            
+    // 监听配置变更，自动重新计算（实时计算时出错也重新计算）
+    config.addConfigListener(() => {
+        if (!resultDiv.classList.contains('hidden') || (config.isLiveCalculation() && !errorP.classList.contains('hidden'))) {
+            recalculateTakeProfitLadder({ live: config.isLiveCalculation() });
+        }
+    });
+    
+    // 切换语言后重新渲染档位行的选项，并重新计算以更新档位名称与错误消息
+    addLocaleListener(() => {
+        renderLadderRows(readLadderRows());
+        if (!resultDiv.classList.contains('hidden') || !errorP.classList.contains('hidden')) {
+            recalculateTakeProfitLadder({ live: config.isLiveCalculation() });
+        }
+    });
+}
+
+/**
+ * 按当前输入重新计算收益
+ * @param {Object} options - {live} 是否由实时计算触发，见 liveCalculation.showCalculationError
+ */
+export function recalculateProfit({ live = false } = {}) {
+    const resultDiv = document.getElementById('profitResult');
+    if (!resultDiv) return;
+    
+    try {
+        // 获取输入值
+        const leverage = document.getElementById('profitLeverage').value;
+        const openPrice = document.getElementById('profitOpenPrice').value;
+        const closePrice = document.getElementById('profitClosePrice').value;
+        const quantity = document.getElementById('profitQuantity').value;
+        const targetRoe = document.getElementById('profitTargetRoe').value;
+        
+        // 隐藏错误提示
+        validator.hideError('profitError');
+        
+        // 计算收益
+        const result = calculateProfit(
+            leverage, openPrice, closePrice, quantity,
+            targetRoe || null,
+            readFundingInputs(),
+            readOrderTypeInputs()
+        );
+        
+        // 显示结果
+        const profitAmountEl = document.getElementById('profitAmount');
+        const profitRateEl = document.getElementById('profitRate');
+        const profitMakerFeeEl = document.getElementById('profitMakerFee');
+        const profitTakerFeeEl = document.getElementById('profitTakerFee');
+        
+        // 设置收益额颜色
+        const profitClass = result.profit >= 0 ? 'text-green-600' : 'text-red-600';
+        profitAmountEl.className = `font-semibold ${profitClass}`;
+        profitAmountEl.textContent = validator.formatNumber(result.profit, 4);
+        
+        // 设置收益率颜色
+        profitRateEl.className = `font-semibold ${profitClass}`;
+        profitRateEl.textContent = validator.formatPercentage(result.roe, 2);
+        
+        const notionalRateEl = document.getElementById('profitNotionalRate');
+        notionalRateEl.className = `text-base font-light ${profitClass}`;
+        notionalRateEl.textContent = validator.formatPercentage(result.notionalReturn, 2);
+        document.getElementById('profitInitialMargin').textContent = validator.formatNumber(result.initialMargin, 4);
+        
+        // 显示目标ROE所需平仓价
+        const targetDiv = document.getElementById('profitTargetResult');
+        if (result.targetRoe !== undefined) {
+            const targetLabel = validator.formatPercentage(result.targetRoe, 2);
+            const formatTarget = (price, move) => price === null
+                ? t('无法达到')
+                : `${validator.formatPrice(instruments.adjustPrice(price), 4)} (${move >= 0 ? '+' : ''}${validator.formatPercentage(move, 2)})`;
+            
+            document.getElementById('profitTargetGainLabel').textContent = t('{target} ROE 平仓价', { target: `+${targetLabel}` });
+            document.getElementById('profitTargetLossLabel').textContent = t('{target} ROE 平仓价', { target: `-${targetLabel}` });
+            document.getElementById('profitTargetGainPrice').textContent = formatTarget(result.targetGainPrice, result.targetGainMove);
+            document.getElementById('profitTargetLossPrice').textContent = formatTarget(result.targetLossPrice, result.targetLossMove);
+            targetDiv.classList.remove('hidden');
+        } else {
+            targetDiv.classList.add('hidden');
+        }
+        
+        // 显示手续费
+        profitMakerFeeEl.textContent = validator.formatNumber(result.openFee, 4);
+        profitTakerFeeEl.textContent = validator.formatNumber(result.closeFee, 4);
+        document.getElementById('profitOpenFeeType').textContent = getOrderTypeLabel(result.openOrderType);
+        document.getElementById('profitCloseFeeType').textContent = getOrderTypeLabel(result.closeOrderType);
+        document.getElementById('profitBreakEven').textContent =
+            result.breakEvenPrice === null ? '-' : validator.formatPrice(instruments.adjustPrice(result.breakEvenPrice), 4);
+        
+        // 检查开平仓订单能否按交易品种下单
+        instruments.showOrderIssues('profitOrderNotice', [
+            ...instruments.checkActiveOrder(validator.parseNumberInput(quantity), validator.parseNumberInput(openPrice), validator.parseNumberInput(leverage)),
+            ...instruments.checkActiveOrder(null, validator.parseNumberInput(closePrice)).map(issue => t('平仓{issue}', { issue }))
+        ]);
+        
+        // 显示资金费（正数为收取，负数为支付）
+        const fundingEl = document.getElementById('profitFundingFee');
+        if (result.fundingSettlements > 0) {
+            const fundingLabel = result.fundingFee >= 0 ? t('收取') : t('支付');
+            fundingEl.className = `text-base font-light ${result.fundingFee >= 0 ? 'text-green-600' : 'text-red-600'}`;
+            fundingEl.textContent = t('{amount}（{direction}，{count}次）', {
+                amount: validator.formatNumber(result.fundingFee, 4),
+                direction: fundingLabel,
+                count: result.fundingSettlements
+            });
+        } else {
+            fundingEl.className = 'text-base font-light text-gray-700';
+            fundingEl.textContent = validator.formatNumber(0, 4);
+        }
+        
+        const form = calculationHistory.readFormFields(PROFIT_HISTORY_FIELDS);
+        calculationHistory.recordCalculation({
+            calculator: calculationHistory.HistoryCalculator.PROFIT,
+            type: HistoryType.PROFIT,
+            title: '收益额',
+            form: { fields: form.fields },
+            inputs: form.inputs,
+            results: [
+                { label: '收益额', value: validator.formatNumber(result.profit, 4) },
+                { label: '收益率 (ROE)', value: validator.formatPercentage(result.roe, 2) },
+                { label: '保本平仓价', value: document.getElementById('profitBreakEven').textContent }
+            ]
+        }, { live });
+        
+        // 显示结果区域
+        liveCalculation.markResultCurrent(resultDiv);
+        resultDiv.classList.remove('hidden');
+        resultDiv.classList.add('fade-in');
+        
+    } catch (error) {
+        // 显示错误并标记出错的输入框
+        liveCalculation.showCalculationError('profitError', error, resultDiv, { live });
     }
 }
 
@@ -152,60 +1117,85 @@ export function initProfitCalculator() {
     
     if (!calculateBtn) return;
     
-    calculateBtn.addEventListener('click', () => {
-        try {
-            // 获取输入值
-            const leverage = document.getElementById('profitLeverage').value;
-            const openPrice = document.getElementById('profitOpenPrice').value;
-            const closePrice = document.getElementById('profitClosePrice').value;
-            const quantity = document.getElementById('profitQuantity').value;
-            
-            // 隐藏错误提示
-            validator.hideError('profitError');
-            
-            // 计算收益
-            const result = calculateProfit(leverage, openPrice, closePrice, quantity);
-            
-            // 显示结果
-            const profitAmountEl = document.getElementById('profitAmount');
-            const profitRateEl = document.getElementById('profitRate');
-            const profitMakerFeeEl = document.getElementById('profitMakerFee');
-            const profitTakerFeeEl = document.getElementById('profitTakerFee');
-            
-            // 设置收益额颜色
-            const profitClass = result.profit >= 0 ? 'text-green-600' : 'text-red-600';
-            profitAmountEl.className = `font-semibold ${profitClass}`;
-            profitAmountEl.textContent = validator.formatNumber(result.profit, 4);
-            
-            // 设置收益率颜色
-            profitRateEl.className = `font-semibold ${profitClass}`;
-            profitRateEl.textContent = validator.formatPercentage(result.profitRate, 2);
-            
-            // 显示手续费
-            profitMakerFeeEl.textContent = validator.formatNumber(result.openFee, 4);
-            profitTakerFeeEl.textContent = validator.formatNumber(result.closeFee, 4);
-            
-            // 显示结果区域
-            resultDiv.classList.remove('hidden');
-            resultDiv.classList.add('fade-in');
+    initTargetPriceSolver();
+    initTakeProfitLadder();
+    
+    // 持仓时长与结算次数二选一
+    const holdingHoursInput = document.getElementById('profitHoldingHours');
+    const settlementsInput = document.getElementById('profitFundingSettlements');
+    if (holdingHoursInput && settlementsInput) {
+        holdingHoursInput.addEventListener('input', () => {
+            if (holdingHoursInput.value) {
+                settlementsInput.value = '';
+            }
+        });
+        settlementsInput.addEventListener('input', () => {
+            if (settlementsInput.value) {
+                holdingHoursInput.value = '';
+            }
+        });
+    }
+    
+    // 手动计算时切换订单类型后自动重新计算（实时计算时由输入监听处理）
+    ['profitOpenOrderType', 'profitCloseOrderType'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', () => {
+                if (!config.isLiveCalculation() && !resultDiv.classList.contains('hidden')) {
+                    recalculateProfit();
+                }
+            });
+        }
+    });
+    
+    calculateBtn.addEventListener('click', () => recalculateProfit());
             
-        } catch (error) {
-            // 显示错误
-            validator.showError('profitError', error.message);
-            resultDiv.classList.add('hidden');
+    // 恢复计算历史：填写记录的输入后重新计算对应的结果
+    calculationHistory.registerHistoryRestorer(calculationHistory.HistoryCalculator.PROFIT, (form, entry) => {
+        calculationHistory.fillFormFields(form.fields);
+        if (entry.type === HistoryType.TARGET_PRICE) {
+            updateSolverTargetInput();
+            recalculateTargetPrice();
+        } else if (entry.type === HistoryType.LADDER) {
+            renderLadderRows(form.rows && form.rows.length > 0 ? form.rows : [{}]);
+            recalculateTakeProfitLadder();
+        } else {
+            recalculateProfit();
         }
     });
     
+    // 修改输入后实时重新计算（目标价格求解与分批止盈共用上方的输入）
+    liveCalculation.bindLiveCalculation(document.getElementById('profitCalculator'), (options) => {
+        recalculateProfit(options);
+        recalculateTargetPrice(options);
+        recalculateTakeProfitLadder(options);
+    });
+    
     // 监听配置变更，自动重新计算
     config.addConfigListener((key, value) => {
-        // 如果已经有结果显示，则自动重新计算
-        if (!resultDiv.classList.contains('hidden')) {
-            calculateBtn.click();
+        // 如果已经有结果显示（实时计算时包括出错），则自动重新计算
+        if (!resultDiv.classList.contains('hidden') || (config.isLiveCalculation() && !errorP.classList.contains('hidden'))) {
+            recalculateProfit({ live: config.isLiveCalculation() });
+        }
+    });
+    
+    // 切换语言后重新计算，更新结果中的说明与错误消息
+    addLocaleListener(() => {
+        if (!resultDiv.classList.contains('hidden') || !errorP.classList.contains('hidden')) {
+            recalculateProfit({ live: config.isLiveCalculation() });
         }
     });
 }
 
 export default {
+    DEFAULT_ORDER_TYPES,
+    FUNDING_INTERVALS,
     calculateProfit,
+    calculateBreakEvenPrice,
+    calculateTargetClosePrice,
+    calculateTakeProfitLadder,
+    recalculateProfit,
+    recalculateTargetPrice,
+    recalculateTakeProfitLadder,
     initProfitCalculator
 };
\ No newline at end of file
@@ -0,0 +1,642 @@
+// 消息目录模块（中文原文 → 英文译文，{name} 为占位符，译文中需保留）
+
+export const EN_US_MESSAGES = {
+    // 页面标题与头部
+    '合约计算器 - 专业的加密货币合约交易工具': 'Contract Calculator - Professional Crypto Futures Trading Tool',
+    '专业的合约计算器，支持收益计算、强平价格计算、开仓均价计算和仓位计算': 'Professional futures calculator for profit, liquidation price, average entry price and position size',
+    '切换主题': 'Toggle theme',
+    '切换语言': 'Switch language',
+    '合约计算器': 'Contract Calculator',
+    '专业的加密货币合约交易计算工具': 'Professional crypto futures trading calculator',
+    
+    // 全局配置
+    '全局配置': 'Global Settings',
+    '交易方向': 'Direction',
+    '做多': 'Long',
+    '做空': 'Short',
+    'Maker 手续费率 (%)': 'Maker fee rate (%)',
+    '手续费率过高': 'Fee rate is unusually high',
+    'Taker 手续费率 (%)': 'Taker fee rate (%)',
+    '费率方案': 'Fee schedule',
+    '手动输入': 'Manual input',
+    'VIP 等级': 'VIP tier',
+    '平台币抵扣': 'Exchange token discount',
+    '不支持': 'Not supported',
+    '自定义方案名称': 'Custom schedule name',
+    '保存当前费率': 'Save current rates',
+    '删除方案': 'Delete schedule',
+    '内置费率为离线数据，仅供参考；Maker费率可为负数（返佣）': 'Built-in rates are offline data for reference only; the Maker rate may be negative (rebate)',
+    '合约类型': 'Contract type',
+    'U本位': 'USDT-margined',
+    '币本位': 'Coin-margined',
+    '币本位下数量按张数计，保证金与盈亏以币计': 'For coin-margined contracts, quantity is in contracts and margin and PnL are in coin',
+    '合约面值 (USD/张)': 'Contract face value (USD/contract)',
+    '保证金币种': 'Margin currency',
+    '交易品种': 'Instrument',
+    '不指定': 'None',
+    '不指定品种时不对数量和价格取整': 'Quantity and price are not rounded when no instrument is selected',
+    '编辑品种参数': 'Edit instrument parameters',
+    '品种代码': 'Symbol',
+    '基础币种': 'Base currency',
+    '计价币种': 'Quote currency',
+    '合约乘数': 'Contract multiplier',
+    '最小价格变动': 'Tick size',
+    '数量步长 (张)': 'Quantity step (contracts)',
+    '最小下单数量 (张)': 'Minimum order quantity (contracts)',
+    '最小名义价值': 'Minimum notional',
+    '最大杠杆': 'Maximum leverage',
+    '合约乘数：U本位为每张合约对应的币数，币本位为每张合约面值 (USD)；内置品种参数为离线数据，仅供参考': 'Contract multiplier: coins per contract for USDT-margined, face value per contract (USD) for coin-margined; built-in instrument parameters are offline data for reference only',
+    '保存品种': 'Save instrument',
+    '删除品种': 'Delete instrument',
+    '恢复默认': 'Restore defaults',
+    '数值舍入': 'Rounding',
+    '价格': 'Price',
+    '数量': 'Quantity',
+    '金额': 'Amount',
+    '百分比': 'Percentage',
+    '计算过程使用十进制精确运算，仅在显示结果时按所选方式舍入': 'Calculations use exact decimal arithmetic; results are rounded with the selected mode only when displayed',
+    '计算方式': 'Calculation',
+    '实时计算': 'Live',
+    '手动计算': 'Manual',
+    '实时计算：修改输入后自动更新结果，出错时保留上次结果；手动计算：点击计算按钮后更新结果': 'Live: results update as you type and the last result is kept while inputs are invalid; Manual: results update when you click the calculate button',
+    
+    // 计算器标签页
+    '收益额计算': 'Profit',
+    '强平价格计算': 'Liquidation Price',
+    '开仓均价计算': 'Average Entry Price',
+    '仓位计算': 'Position Size',
+    
+    // 收益额计算
+    '杠杆倍数': 'Leverage',
+    '开仓价格 (USDT)': 'Entry price (USDT)',
+    '平仓价格 (USDT)': 'Exit price (USDT)',
+    '开仓数量': 'Position quantity',
+    '开仓方式': 'Entry order type',
+    '限价 (Maker)': 'Limit (Maker)',
+    '市价 (Taker)': 'Market (Taker)',
+    '平仓方式': 'Exit order type',
+    '市价/止损 (Taker)': 'Market/Stop (Taker)',
+    '目标 ROE (%)': 'Target ROE (%)',
+    '计算达到 ±目标ROE 所需的平仓价格，留空则不计算': 'Calculates the exit prices needed to reach ±target ROE; leave empty to skip',
+    '资金费（可选）': 'Funding (optional)',
+    '资金费率 (%)': 'Funding rate (%)',
+    '0.01 或 0.01, -0.005, 0.02': '0.01 or 0.01, -0.005, 0.02',
+    '单一费率按结算次数累计；多个费率（逗号分隔）逐次结算，忽略持仓时长': 'A single rate is applied per settlement; multiple comma-separated rates are settled one by one and the holding time is ignored',
+    '结算间隔': 'Settlement interval',
+    '1 小时': '1 hour',
+    '4 小时': '4 hours',
+    '8 小时': '8 hours',
+    '持仓时长 (小时)': 'Holding time (hours)',
+    '或 结算次数': 'or settlements',
+    '计算收益': 'Calculate profit',
+    '收益额': 'Profit',
+    '收益率 (ROE)': 'Return (ROE)',
+    '收益率 (持仓价值)': 'Return (on position value)',
+    '初始保证金 (': 'Initial margin (',
+    '开仓手续费 (': 'Entry fee (',
+    '平仓手续费 (': 'Exit fee (',
+    '资金费': 'Funding',
+    '保本平仓价': 'Break-even exit price',
+    '+10.00% ROE 平仓价': '+10.00% ROE exit price',
+    '-10.00% ROE 平仓价': '-10.00% ROE exit price',
+    '目标价格求解': 'Target Price Solver',
+    '使用上方的杠杆倍数、开仓价格和开仓数量，求解含手续费的保本价和目标平仓价': 'Uses the leverage, entry price and quantity above to solve for the fee-inclusive break-even and target exit prices',
+    '目标类型': 'Target type',
+    '目标净收益': 'Target net profit',
+    '目标值': 'Target value',
+    '求解平仓价': 'Solve exit price',
+    '目标平仓价': 'Target exit price',
+    '价格变动': 'Price change',
+    '分批止盈': 'Take-Profit Ladder',
+    '使用上方的杠杆倍数、开仓价格、开仓数量和平仓方式；剩余仓位可按止损价以市价平仓': 'Uses the leverage, entry price, quantity and exit order type above; the remaining position can be closed at market at the stop price',
+    '档位': 'Level',
+    '止盈价格': 'Take-profit price',
+    '比例/数量': 'Ratio/Quantity',
+    '添加止盈档位': 'Add take-profit level',
+    '剩余仓位止损价（可选）': 'Stop price for the remaining position (optional)',
+    '计算分批止盈': 'Calculate ladder',
+    '手续费': 'Fee',
+    '已实现盈亏': 'Realized PnL',
+    '累计盈亏': 'Cumulative PnL',
+    '合计已实现盈亏': 'Total realized PnL',
+    '加权平均平仓价': 'Weighted average exit price',
+    '手续费合计': 'Total fees',
+    '剩余未平仓数量': 'Remaining open quantity',
+    '计算公式': 'Formulas',
+    '做多收益：': 'Long profit:',
+    '收益 = 数量 × (平仓价 - 开仓价) - 手续费': 'Profit = Quantity × (Exit price - Entry price) - Fees',
+    '做空收益：': 'Short profit:',
+    '收益 = 数量 × (开仓价 - 平仓价) - 手续费': 'Profit = Quantity × (Entry price - Exit price) - Fees',
+    '资金费：': 'Funding:',
+    '资金费 = 持仓价值 × Σ资金费率ᵢ': 'Funding = Position value × Σ Funding rateᵢ',
+    '（费率为正时多头支付、空头收取，计入净收益）': '(Longs pay and shorts receive when the rate is positive; included in net profit)',
+    '手续费计算：': 'Fees:',
+    '开仓手续费 = 数量 × 开仓价 × 开仓费率': 'Entry fee = Quantity × Entry price × Entry fee rate',
+    '平仓手续费 = 数量 × 平仓价 × 平仓费率': 'Exit fee = Quantity × Exit price × Exit fee rate',
+    '（限价单按Maker费率，市价单按Taker费率）': '(Limit orders use the Maker rate, market orders use the Taker rate)',
+    '保证金与收益率：': 'Margin and return:',
+    '初始保证金 = 持仓价值 / 杠杆倍数': 'Initial margin = Position value / Leverage',
+    'ROE = 收益 / 初始保证金': 'ROE = Profit / Initial margin',
+    '持仓价值收益率 = 收益 / 持仓价值': 'Return on position value = Profit / Position value',
+    '目标平仓价（U本位）：': 'Target exit price (USDT-margined):',
+    '做多：平仓价 = (数量 × 开仓价 + 开仓手续费 + 目标收益) / (数量 × (1 - 平仓费率))': 'Long: Exit price = (Quantity × Entry price + Entry fee + Target profit) / (Quantity × (1 - Exit fee rate))',
+    '做空：平仓价 = (数量 × 开仓价 - 开仓手续费 - 目标收益) / (数量 × (1 + 平仓费率))': 'Short: Exit price = (Quantity × Entry price - Entry fee - Target profit) / (Quantity × (1 + Exit fee rate))',
+    '（目标收益为0时即为保本价）': '(A target profit of 0 gives the break-even price)',
+    '币本位合约：': 'Coin-margined contracts:',
+    '做多收益 = 张数 × 面值 × (1/开仓价 - 1/平仓价) - 手续费': 'Long profit = Contracts × Face value × (1/Entry price - 1/Exit price) - Fees',
+    '手续费 = 张数 × 面值 / 成交价 × 费率': 'Fee = Contracts × Face value / Fill price × Fee rate',
+    
+    // 强平价格计算
+    '逐仓': 'Isolated',
+    '全仓': 'Cross',
+    '杠杆倍数超出常规范围': 'Leverage is outside the usual range',
+    '留空则自动计算': 'Leave empty to calculate automatically',
+    '留空时根据杠杆自动计算': 'Calculated from leverage when left empty',
+    '增加保证金 (': 'Added margin (',
+    '钱包余额 (': 'Wallet balance (',
+    '当前持仓': 'Open positions',
+    '交易对': 'Pair',
+    '方向': 'Side',
+    '开仓价格': 'Entry price',
+    '标记价格': 'Mark price',
+    '添加持仓': 'Add position',
+    '维持保证金档位': 'Maintenance margin tiers',
+    '名义价值上限 (USDT)': 'Notional cap (USDT)',
+    '维持保证金率 (%)': 'Maintenance margin rate (%)',
+    '速算额 (USDT)': 'Maintenance amount (USDT)',
+    '按强平价名义价值匹配档位，最后一档上限视为无穷大': 'Tiers are matched by the notional at the liquidation price; the last tier has no upper limit',
+    '添加档位': 'Add tier',
+    '保存档位': 'Save tiers',
+    '计算强平价格': 'Calculate liquidation price',
+    '强平价格': 'Liquidation price',
+    '总保证金 (': 'Total margin (',
+    '维持保证金率': 'Maintenance margin rate',
+    '维持保证金 (': 'Maintenance margin (',
+    '账户保证金率': 'Account margin ratio',
+    '保证金余额 (': 'Margin balance (',
+    '未实现盈亏 (': 'Unrealized PnL (',
+    '维持保证金合计 (': 'Total maintenance margin (',
+    '未实现盈亏': 'Unrealized PnL',
+    '维持保证金': 'Maintenance margin',
+    '初始保证金：': 'Initial margin:',
+    '（或手动输入初始保证金）': '(or enter the initial margin manually)',
+    '总保证金：': 'Total margin:',
+    '总保证金 = 初始保证金 + 增加保证金': 'Total margin = Initial margin + Added margin',
+    '维持保证金：': 'Maintenance margin:',
+    '维持保证金 = 数量 × 强平价 × 维持保证金率 - 速算额': 'Maintenance margin = Quantity × Liquidation price × Maintenance margin rate - Maintenance amount',
+    '（维持保证金率与速算额按开仓名义价值所在档位确定）': '(The maintenance margin rate and amount come from the tier of the entry notional)',
+    '做多强平价：': 'Long liquidation price:',
+    '强平价 = (数量 × 开仓价 - 总保证金 - 速算额) / (数量 × (1 - 维持保证金率))': 'Liquidation price = (Quantity × Entry price - Total margin - Maintenance amount) / (Quantity × (1 - Maintenance margin rate))',
+    '做空强平价：': 'Short liquidation price:',
+    '强平价 = (数量 × 开仓价 + 总保证金 + 速算额) / (数量 × (1 + 维持保证金率))': 'Liquidation price = (Quantity × Entry price + Total margin + Maintenance amount) / (Quantity × (1 + Maintenance margin rate))',
+    '全仓保证金率：': 'Cross margin ratio:',
+    '保证金率 = 维持保证金合计 / (钱包余额 + 未实现盈亏合计)': 'Margin ratio = Total maintenance margin / (Wallet balance + Total unrealized PnL)',
+    '（单个持仓强平价以"钱包余额 + 其他持仓未实现盈亏 - 其他持仓维持保证金"作为总保证金）': '(Each position\'s liquidation price uses "Wallet balance + other positions\' unrealized PnL - other positions\' maintenance margin" as its total margin)',
+    '币本位强平价：': 'Coin-margined liquidation price:',
+    '做多：强平价 = (张数 × 面值 × (1 + 维持保证金率) - 速算额) / (总保证金 + 张数 × 面值 / 开仓价)': 'Long: Liquidation price = (Contracts × Face value × (1 + Maintenance margin rate) - Maintenance amount) / (Total margin + Contracts × Face value / Entry price)',
+    '做空：强平价 = (张数 × 面值 × (1 - 维持保证金率) + 速算额) / (张数 × 面值 / 开仓价 - 总保证金)': 'Short: Liquidation price = (Contracts × Face value × (1 - Maintenance margin rate) + Maintenance amount) / (Contracts × Face value / Entry price - Total margin)',
+    
+    // 开仓均价计算
+    '账本': 'Ledger',
+    '显示已归档': 'Show archived',
+    'Maker费率 (%)': 'Maker rate (%)',
+    'Taker费率 (%)': 'Taker rate (%)',
+    '账本名称': 'Ledger name',
+    '如 BTCUSDT 做多': 'e.g. BTCUSDT long',
+    '新建': 'New',
+    '重命名': 'Rename',
+    '复制': 'Duplicate',
+    '归档': 'Archive',
+    '删除': 'Delete',
+    '每个账本使用独立的交易方向、手续费率与合约类型': 'Each ledger has its own direction, fee rates and contract type',
+    '成交方式': 'Order type',
+    '实际手续费 (': 'Actual fee (',
+    '选填，默认按费率': 'Optional, defaults to the fee rate',
+    '添加开仓记录': 'Add open record',
+    '添加减仓记录': 'Add reduce record',
+    '导入记录': 'Import records',
+    '快捷键 Ctrl+Z 撤销，Ctrl+Shift+Z 重做': 'Shortcuts: Ctrl+Z to undo, Ctrl+Shift+Z to redo',
+    '撤销': 'Undo',
+    '重做': 'Redo',
+    '清空': 'Clear',
+    '暂无开仓记录': 'No position records yet',
+    '开仓均价': 'Average entry price',
+    '累计开仓': 'Total opened',
+    '剩余持仓': 'Remaining position',
+    '持仓成本': 'Position cost',
+    '已实现盈亏 (': 'Realized PnL (',
+    '保本价（含已实现盈亏）': 'Break-even price (incl. realized PnL)',
+    '加仓求解': 'Add-Position Solver',
+    '目标均价': 'Target average price',
+    '按预算': 'By budget',
+    '分批计划': 'Scaled plan',
+    '加仓价格': 'Add price',
+    '保证金预算 (': 'Margin budget (',
+    '起始价格': 'Start price',
+    '结束价格': 'End price',
+    '档数': 'Levels',
+    '总保证金预算 (': 'Total margin budget (',
+    '资金分配': 'Allocation',
+    '等额': 'Equal',
+    '线性递增': 'Linear increase',
+    '逐档翻倍': 'Double each level',
+    '按当前账本与“成交方式”计算，预算包含开仓手续费，数量按交易品种步长向下取整': 'Calculated from the current ledger and "Order type"; the budget includes entry fees and quantities are rounded down to the instrument step',
+    '计算': 'Calculate',
+    '加仓数量': 'Add quantity',
+    '加仓价值 (': 'Add value (',
+    '手续费 (': 'Fee (',
+    '加仓后均价': 'Average price after adding',
+    '加仓后保本价': 'Break-even price after adding',
+    '累计数量': 'Cumulative quantity',
+    '成交后均价': 'Average price after fill',
+    '成交后保本价': 'Break-even price after fill',
+    '合计加仓数量': 'Total add quantity',
+    '合计保证金 / 手续费 (': 'Total margin / fees (',
+    '全部成交后均价': 'Average price after all fills',
+    '账本概览': 'Ledger Overview',
+    '记录': 'Records',
+    '保本价': 'Break-even price',
+    '已实现盈亏合计': 'Total realized PnL',
+    '加权平均价格：': 'Weighted average price:',
+    '均价 = Σ(数量ᵢ × 价格ᵢ) / Σ(数量ᵢ)': 'Average = Σ(Quantityᵢ × Priceᵢ) / Σ(Quantityᵢ)',
+    '含手续费成本：': 'Fee-inclusive cost:',
+    '做多实际成本 = 价格 + 单位手续费': 'Long effective cost = Price + Fee per unit',
+    '做空实际成本 = 价格 - 单位手续费': 'Short effective cost = Price - Fee per unit',
+    '（手续费 = 成交价值 × 费率，限价单按Maker费率，市价单按Taker费率；填写实际手续费时按整笔金额分摊）': '(Fee = Fill value × Fee rate, using the Maker rate for limit orders and the Taker rate for market orders; an actual fee is spread over the whole fill)',
+    '总成本：': 'Total cost:',
+    '总成本 = Σ(数量ᵢ × 实际成本ᵢ)': 'Total cost = Σ(Quantityᵢ × Effective costᵢ)',
+    '币本位调和均价：': 'Coin-margined harmonic average:',
+    '均价 = Σ(张数ᵢ × 面值) / Σ(张数ᵢ × 面值 / 实际成本ᵢ)': 'Average = Σ(Contractsᵢ × Face value) / Σ(Contractsᵢ × Face value / Effective costᵢ)',
+    '（做多实际成本 = 价格 / (1 - 费率)，做空实际成本 = 价格 / (1 + 费率)）': '(Long effective cost = Price / (1 - Fee rate), short effective cost = Price / (1 + Fee rate))',
+    '减仓已实现盈亏：': 'Realized PnL on reduce:',
+    '做多 = 减仓数量 × (减仓价 - 开仓均价) - 分摊开仓手续费 - 减仓手续费': 'Long = Reduce quantity × (Reduce price - Average entry price) - Allocated entry fees - Reduce fee',
+    '做空 = 减仓数量 × (开仓均价 - 减仓价) - 分摊开仓手续费 - 减仓手续费': 'Short = Reduce quantity × (Average entry price - Reduce price) - Allocated entry fees - Reduce fee',
+    '（减仓按比例结转持仓成本，剩余持仓均价不变；保本价按市价平仓剩余持仓计算）': '(Reducing releases position cost proportionally and keeps the average price of the remaining position; the break-even price assumes the rest is closed at market)',
+    '达到目标均价的加仓数量：': 'Quantity to reach the target average:',
+    '数量 = (持仓成本 - 持仓数量 × 目标均价) / (目标均价 - 加仓实际成本)': 'Quantity = (Position cost - Position quantity × Target average) / (Target average - Effective add cost)',
+    '按预算加仓数量 = 预算 / (加仓价 × (1 / 杠杆 + 费率))': 'Quantity by budget = Budget / (Add price × (1 / Leverage + Fee rate))',
+    '（币本位将价格换算为单张价值 面值 / 价格 后代入）': '(For coin-margined contracts, the price is replaced by the per-contract value Face value / Price)',
+    
+    // 仓位计算
+    '止损幅度': 'Stop distance',
+    '账户风险': 'Account risk',
+    '计划亏损金额 (R)': 'Planned loss (R)',
+    '可承受的最大亏损额': 'Maximum acceptable loss',
+    '止损设置（二选一）': 'Stop loss (choose one)',
+    '止损幅度 (ΔP)': 'Stop distance (ΔP)',
+    '价格波动金额（如1000 USDT）': 'Price move (e.g. 1000 USDT)',
+    '或': 'or',
+    '止损百分比 (%)': 'Stop percentage (%)',
+    '止损百分比（如2.4%）': 'Stop percentage (e.g. 2.4%)',
+    '账户余额 (': 'Account balance (',
+    '风险比例 (%)': 'Risk ratio (%)',
+    '或固定风险金额 (R)': 'or fixed risk amount (R)',
+    '止损价格': 'Stop price',
+    '交易方向与手续费率取自全局配置，止损按市价 (Taker) 成交': 'Direction and fee rates come from the global settings; the stop fills at market (Taker)',
+    '计算建议仓位': 'Calculate position size',
+    '开仓价值 (USDT)': 'Position value (USDT)',
+    '开仓价值': 'Position value',
+    '所需保证金': 'Required margin',
+    '止损亏损（含手续费）': 'Stop loss (incl. fees)',
+    '开仓+止损手续费': 'Entry + stop fees',
+    '止损距离': 'Stop distance',
+    '所需保证金超过账户余额，请提高杠杆或降低风险': 'Required margin exceeds the account balance; increase leverage or lower the risk',
+    '通过止损幅度计算数量：': 'Quantity from stop distance:',
+    '开仓数量 = 计划亏损金额(R) / 止损幅度(ΔP)': 'Quantity = Planned loss (R) / Stop distance (ΔP)',
+    '止损幅度：': 'Stop distance:',
+    '止损幅度(ΔP) = |入场价格 - 止损价格|': 'Stop distance (ΔP) = |Entry price - Stop price|',
+    '通过止损百分比计算价值：': 'Value from stop percentage:',
+    '开仓价值 = 计划亏损金额(R) / 止损百分比': 'Position value = Planned loss (R) / Stop percentage',
+    '按账户风险计算数量：': 'Quantity from account risk:',
+    '风险金额 = 账户余额 × 风险比例（或固定金额R）': 'Risk amount = Account balance × Risk ratio (or fixed amount R)',
+    '单位亏损 = |开仓价格 - 止损价格| + 开仓价格 × 开仓费率 + 止损价格 × Taker费率': 'Loss per unit = |Entry price - Stop price| + Entry price × Entry fee rate + Stop price × Taker rate',
+    '开仓数量 = 风险金额 / 单位亏损': 'Quantity = Risk amount / Loss per unit',
+    '所需保证金 = 开仓数量 × 开仓价格 / 杠杆倍数': 'Required margin = Quantity × Entry price / Leverage',
+    
+    // 导出与导入弹窗
+    '导出数据 -': 'Export -',
+    '导出的数据将显示在这里...': 'Exported data will appear here...',
+    '导出图片预览': 'Exported image preview',
+    '下载文件': 'Download file',
+    '复制到剪贴板': 'Copy to clipboard',
+    '关闭': 'Close',
+    '导入成交记录': 'Import Fills',
+    '文件 (CSV / JSON)': 'File (CSV / JSON)',
+    '列映射方案': 'Column mapping',
+    '缺省成交类型': 'Default order type',
+    '操作列': 'Action column',
+    '操作': 'Action',
+    '买卖方向列': 'Side column',
+    '数量列': 'Quantity column',
+    '价格列': 'Price column',
+    '成交类型列': 'Order type column',
+    '类型': 'Type',
+    '时间列': 'Time column',
+    '时间': 'Time',
+    '手续费列': 'Fee column',
+    '留空按费率计算': 'Leave empty to use the fee rate',
+    '备注列': 'Note column',
+    '备注': 'Note',
+    '填写文件表头中的列名，留空表示不使用该列。未映射操作列时按买卖方向和当前交易方向判断开仓/减仓；JSON 文件的列名即字段名，本工具导出的 JSON 会自动识别': 'Enter column names from the file header; leave a field empty to ignore that column. Without an action column, open/reduce is inferred from the side and the current direction. For JSON files the column names are field names; JSON exported by this tool is recognised automatically',
+    '解析并预览': 'Parse and preview',
+    '行': 'Row',
+    '拒绝原因': 'Rejection reason',
+    '导入已接受的记录': 'Import accepted records',
+    
+    // 开仓均价计算脚本
+    '请先选择账本': 'Please select a ledger first',
+    '添加{action}记录': 'Add {action} record',
+    '没有可导入的记录': 'No records to import',
+    '导入 {count} 条记录': 'Import {count} records',
+    '删除记录': 'Delete record',
+    '记录不存在': 'Record not found',
+    '时间无效': 'Invalid time',
+    '备注不能超过{max}个字符': 'Note cannot exceed {max} characters',
+    '修改记录': 'Edit record',
+    '调整记录顺序': 'Reorder records',
+    '清空记录': 'Clear records',
+    '减仓数量超过当前持仓数量': 'Reduce quantity exceeds the current position',
+    '账本不存在': 'Ledger not found',
+    '当前账本没有持仓，无法计算目标均价': 'The current ledger has no position; cannot solve for a target average',
+    '目标均价必须介于当前均价 {average} 与加仓成本 {cost} 之间': 'Target average must be between the current average {average} and the add cost {cost}',
+    '按交易品种步长取整后加仓数量为0': 'Add quantity is 0 after rounding to the instrument step',
+    '预算不足以加仓最小数量': 'Budget is not enough for the minimum quantity',
+    '部分档位预算不足以加仓最小数量，请增加预算或减少档数': 'Some levels cannot afford the minimum quantity; increase the budget or reduce the levels',
+    '手续费（实际）': 'Fee (actual)',
+    '含手续费': 'incl. fees',
+    '上移': 'Move up',
+    '编辑': 'Edit',
+    '下移': 'Move down',
+    '编辑{action}记录（{orderType}）': 'Edit {action} record ({orderType})',
+    '实际手续费（留空按费率）': 'Actual fee (leave empty to use the rate)',
+    '取消': 'Cancel',
+    '保存': 'Save',
+    '撤销：{label}': 'Undo: {label}',
+    '没有可撤销的操作': 'Nothing to undo',
+    '重做：{label}': 'Redo: {label}',
+    '没有可重做的操作': 'Nothing to redo',
+    '已重做：{label}': 'Redone: {label}',
+    '已撤销：{label}': 'Undone: {label}',
+    '已清空记录，可撤销恢复': 'Records cleared; undo to restore',
+    '（已归档）': ' (archived)',
+    '取消归档': 'Unarchive',
+    '需卖出数量': 'Quantity to sell',
+    '需买入数量': 'Quantity to buy',
+    '{label}：{issue}': '{label}: {issue}',
+    '第{level}档': 'Level {level}',
+    '{name} 副本': '{name} copy',
+    '确定删除账本“{name}”及其全部记录吗？': 'Delete ledger "{name}" and all its records?',
+    '减仓': 'Reduce',
+    '开仓': 'Open',
+    '币本位（面值 {faceValue} USD，保证金 {currency}）': 'Coin-margined (face value {faceValue} USD, margin {currency})',
+    '暂无开仓记录可导出': 'No position records to export',
+    '当前浏览器不支持复制图片，请下载后分享': 'This browser cannot copy images; please download and share instead',
+    '已复制!': 'Copied!',
+    '复制失败：{message}': 'Copy failed: {message}',
+    '导出 {name}': 'Export {name}',
+    '可导入 {accepted} 条，已拒绝 {rejected} 条': '{accepted} importable, {rejected} rejected',
+    '可导入 {accepted} 条，已拒绝 {rejected} 条，将按文件中的设置新建账本“{name}”': '{accepted} importable, {rejected} rejected; a new ledger "{name}" will be created with the settings from the file',
+    '请选择要导入的文件': 'Please choose a file to import',
+    '读取文件失败：{message}': 'Failed to read file: {message}',
+    '订单类型': 'Order type',
+    '预算': 'Budget',
+    '资金分配方式': 'Allocation',
+    '档数必须是2到20之间的整数': 'Levels must be an integer between 2 and 20',
+    '资金分配方式无效': 'Invalid allocation',
+    
+    // 数值运算与舍入
+    '无效的数值“{value}”': 'Invalid number "{value}"',
+    '除数不能为0': 'Divisor cannot be 0',
+    '无法识别的数值': 'Unrecognised number',
+    '四舍五入': 'Round half up',
+    '银行家舍入（五成双）': 'Banker\'s rounding (half even)',
+    '五舍六入': 'Round half down',
+    '远离零进位': 'Round away from zero',
+    '截断（趋向零）': 'Truncate (toward zero)',
+    '向上取整': 'Ceiling',
+    '向下取整': 'Floor',
+    
+    // 手续费方案
+    '请输入方案名称': 'Please enter a schedule name',
+    '手续费率必须是有效数字': 'Fee rate must be a valid number',
+    'Binance U本位': 'Binance USDT-M',
+    'OKX 永续': 'OKX Perpetual',
+    'Bybit 永续': 'Bybit Perpetual',
+    '做市商 Lv1': 'Market Maker Lv1',
+    'Bitget U本位': 'Bitget USDT-M',
+    '交易所': 'Exchanges',
+    '自定义方案': 'Custom schedules',
+    '{token} 抵扣 {rate}%': '{token} discount {rate}%',
+    
+    // 多语言
+    '不支持的语言“{locale}”': 'Unsupported language "{locale}"',
+    
+    // 交易品种
+    '请输入品种代码': 'Please enter a symbol',
+    '请输入基础币种和计价币种': 'Please enter the base and quote currencies',
+    '{label}必须大于等于0': '{label} must be at least 0',
+    '{label}必须大于0': '{label} must be greater than 0',
+    '数量不是步长 {step} 的整数倍': 'Quantity is not a multiple of the step {step}',
+    '数量低于最小下单量 {minQuantity}': 'Quantity is below the minimum order size {minQuantity}',
+    '价格不是最小变动价位 {tickSize} 的整数倍': 'Price is not a multiple of the tick size {tickSize}',
+    '名义价值低于最小值 {minNotional} {currency}': 'Notional is below the minimum {minNotional} {currency}',
+    '杠杆超过最大 {maxLeverage} 倍': 'Leverage exceeds the maximum {maxLeverage}x',
+    '{symbol} 无法下单：{issues}': 'Cannot place order on {symbol}: {issues}',
+    '；': '; ',
+    '数量步长': 'Quantity step',
+    '最小下单数量': 'Minimum order quantity',
+    '乘数 {value}': 'Multiplier {value}',
+    '价格步长 {value}': 'Tick {value}',
+    '数量步长 {value}': 'Step {value}',
+    '最小数量 {value}': 'Min quantity {value}',
+    '最小名义价值 {value} {currency}': 'Min notional {value} {currency}',
+    '最大 {value}x': 'Max {value}x',
+    
+    // 账本导出
+    '导出格式必须包含 id、name 和 build': 'Export format must include id, name and build',
+    '不支持的导出格式“{id}”': 'Unsupported export format "{id}"',
+    '开仓记录': 'Position Records',
+    'Maker手续费率': 'Maker fee rate',
+    'Taker手续费率': 'Taker fee rate',
+    '开仓明细': 'Records',
+    '汇总信息': 'Summary',
+    '累计开仓数量': 'Total opened quantity',
+    '剩余持仓数量': 'Remaining quantity',
+    '导出时间': 'Exported at',
+    '项目': 'Item',
+    '数值': 'Value',
+    '汇总': 'Summary',
+    '生成图片失败': 'Failed to generate image',
+    '图片': 'Image',
+    '序号': 'No.',
+    '实际成本': 'Effective cost',
+    '总成本': 'Total cost',
+    
+    // 账本导入
+    '未找到包含“{quantity}”和“{price}”列的表头': 'No header row with "{quantity}" and "{price}" columns was found',
+    '输入值超出合理范围': 'Value is out of range',
+    '无法识别操作类型“{value}”': 'Unrecognised action "{value}"',
+    '无法识别成交类型“{value}”': 'Unrecognised order type "{value}"',
+    '无法识别时间“{value}”': 'Unrecognised time "{value}"',
+    '无法识别手续费“{value}”': 'Unrecognised fee "{value}"',
+    '文件内容为空': 'The file is empty',
+    'JSON 格式错误': 'Invalid JSON',
+    'JSON 内容必须是记录数组': 'JSON content must be an array of records',
+    '导入的账本': 'Imported ledger',
+    '请映射数量列和价格列': 'Please map the quantity and price columns',
+    '本工具导出': 'Exported by this tool',
+    'Binance 合约成交历史': 'Binance futures trade history',
+    'OKX 成交明细': 'OKX trade details',
+    'Bybit 成交记录': 'Bybit trade records',
+    
+    // 账本管理
+    '默认账本': 'Default ledger',
+    '开仓记录版本 {version} 高于当前支持的版本 {supported}': 'Ledger data version {version} is newer than the supported version {supported}',
+    '缺少开仓记录版本 {version} 的升级方法': 'No migration for ledger data version {version}',
+    '开仓记录缺少版本号，无法识别': 'Ledger data has no version number and cannot be read',
+    '请输入账本名称': 'Please enter a ledger name',
+    '账本名称不能超过{max}个字符': 'Ledger name cannot exceed {max} characters',
+    '账本“{name}”已存在': 'Ledger "{name}" already exists',
+    '至少保留一个未归档的账本': 'At least one unarchived ledger must remain',
+    '交易方向无效': 'Invalid direction',
+    'Maker手续费率不能低于{min}%': 'Maker fee rate cannot be lower than {min}%',
+    'Taker手续费率不能为负数': 'Taker fee rate cannot be negative',
+    '合约类型无效': 'Invalid contract type',
+    '合约面值必须大于0': 'Contract face value must be greater than 0',
+    '下载备份': 'Download backup',
+    '重置并恢复保存': 'Reset and resume saving',
+    '本地保存的开仓记录已损坏，无法读取': 'The locally saved records are corrupted and cannot be read',
+    '本地保存的开仓记录已损坏，无法读取。本页的修改不会保存，请下载备份后重置。': 'The locally saved records are corrupted and cannot be read. Changes on this page will not be saved; download a backup and then reset.',
+    '本地保存的开仓记录版本 {version} 高于当前支持的版本 {supported}，可能由更新版本的页面保存。为避免覆盖，本页的修改不会保存；请使用更新版本打开，或下载备份后重置。': 'The locally saved records use version {version}, newer than the supported version {supported}, and were probably saved by a newer page. To avoid overwriting them, changes on this page will not be saved; open a newer version, or download a backup and then reset.',
+    '没有可备份的开仓记录': 'There are no saved records to back up',
+    '重置后本地无法读取的开仓记录将被当前页面的账本覆盖，建议先下载备份。确定重置吗？': 'Resetting overwrites the unreadable saved records with the ledgers on this page. Downloading a backup first is recommended. Reset now?',
+    '以下账本的记录无法回放（记录无效或减仓超过持仓）：{names}。建议先下载备份，再修复或清空这些账本。': 'The records of these ledgers cannot be replayed (invalid records or reductions larger than the position): {names}. Download a backup first, then repair or clear these ledgers.',
+    '修复账本': 'Repair ledgers',
+    '清空账本': 'Clear ledger',
+    '清空损坏的账本': 'Clear damaged ledgers',
+    '修复将移除无效记录与超过持仓的减仓记录，可撤销。确定修复吗？': 'Repairing removes invalid records and reductions larger than the position. This can be undone. Repair now?',
+    '将清空无法回放的账本中的全部记录，可撤销。确定清空吗？': 'All records in the ledgers that cannot be replayed will be removed. This can be undone. Clear now?',
+    
+    // 强平价格计算脚本
+    '请输入杠杆倍数或初始保证金': 'Please enter the leverage or initial margin',
+    '计算结果无效，请检查输入参数': 'Invalid result; please check the inputs',
+    '第{index}个持仓': 'Position {index}',
+    '{position}的方向': '{position} side',
+    '{position}的数量': '{position} quantity',
+    '{position}的开仓价格': '{position} entry price',
+    '{position}的标记价格': '{position} mark price',
+    '请至少添加一个持仓': 'Please add at least one position',
+    '至少需要保留一个档位': 'At least one tier is required',
+    '档位无效：名义价值上限需递增，维持保证金率需在0-100%之间，速算额不能为负数': 'Invalid tiers: notional caps must increase, maintenance margin rates must be between 0-100% and maintenance amounts cannot be negative',
+    '≥ 100%（已触发强平）': '≥ 100% (liquidated)',
+    '无': 'None',
+    '增加保证金': 'Added margin',
+    '初始保证金': 'Initial margin',
+    '钱包余额': 'Wallet balance',
+    
+    // 主入口
+    '应用初始化失败，请刷新页面重试': 'Failed to initialise the app; please refresh the page',
+    '欢迎使用合约计算器！': 'Welcome to Contract Calculator!',
+    '功能说明：': 'Features:',
+    '1. 收益额计算 - 计算持仓的实际收益和收益率': '1. Profit - actual profit and return of a position',
+    '2. 强平价格计算 - 评估风险，计算强制平仓价格': '2. Liquidation price - assess risk and find the liquidation price',
+    '3. 仓位计算 - 根据风险承受能力计算合理开仓数量': '3. Position size - size positions by risk tolerance',
+    '4. 开仓均价计算 - 多次开仓的加权平均成本': '4. Average entry price - weighted average cost across fills',
+    '提示：切换交易方向和调整手续费率会自动更新所有计算结果': 'Tip: changing the direction or fee rates updates all results automatically',
+    '交易方向已切换为: {direction}': 'Direction switched to: {direction}',
+    
+    // 仓位计算脚本
+    '请输入止损幅度或止损百分比': 'Please enter a stop distance or stop percentage',
+    '请输入风险比例或固定风险金额': 'Please enter a risk ratio or fixed risk amount',
+    '做多时止损价格必须低于开仓价格': 'For longs the stop price must be below the entry price',
+    '做空时止损价格必须高于开仓价格': 'For shorts the stop price must be above the entry price',
+    '止损亏损必须大于0，请检查价格与手续费率': 'Stop loss must be greater than 0; please check the prices and fee rates',
+    '止损{issue}': 'Stop: {issue}',
+    '结果显示元素未找到': 'Result element not found',
+    '计划亏损金额': 'Planned loss',
+    '止损百分比': 'Stop percentage',
+    '账户余额': 'Account balance',
+    '风险比例': 'Risk ratio',
+    '固定风险金额': 'Fixed risk amount',
+    '开仓订单类型': 'Entry order type',
+    '止损百分比不能超过100%': 'Stop percentage cannot exceed 100%',
+    '风险比例必须在0-100%之间': 'Risk ratio must be between 0-100%',
+    
+    // 收益额计算脚本
+    '订单类型无效': 'Invalid order type',
+    '资金费率必须是有效数字': 'Funding rate must be a valid number',
+    '资金费率超出合理范围': 'Funding rate is out of range',
+    '资金费结算间隔只能是1、4或8小时': 'Funding interval must be 1, 4 or 8 hours',
+    '请输入持仓时长或结算次数': 'Please enter the holding time or number of settlements',
+    '结算次数超出合理范围': 'Number of settlements is out of range',
+    '计算结果无效，请检查手续费率': 'Invalid result; please check the fee rates',
+    '请输入目标收益或目标ROE': 'Please enter a target profit or target ROE',
+    '目标无法达到，请调整目标值': 'Target cannot be reached; please adjust it',
+    '{level}平仓比例必须在0-100%之间': '{level} close ratio must be between 0-100%',
+    '{level}止盈价格': '{level} take-profit price',
+    '{level}平仓比例': '{level} close ratio',
+    '{level}平仓数量': '{level} close quantity',
+    '请至少添加一个止盈档位': 'Please add at least one take-profit level',
+    '请输入第{level}档的平仓比例或数量': 'Please enter a close ratio or quantity for level {level}',
+    '止盈档位的平仓数量合计超过开仓数量': 'Total take-profit quantity exceeds the position quantity',
+    '止损': 'Stop',
+    '比例 (%)': 'Ratio (%)',
+    '无法达到': 'Unreachable',
+    '{target} ROE 平仓价': '{target} ROE exit price',
+    '平仓{issue}': 'Exit: {issue}',
+    '收取': 'received',
+    '支付': 'paid',
+    '{amount}（{direction}，{count}次）': '{amount} ({direction}, {count} settlements)',
+    '平仓价格': 'Exit price',
+    '目标ROE': 'Target ROE',
+    '目标收益': 'Target profit',
+    '资金费结算间隔': 'Funding interval',
+    '持仓时长': 'Holding time',
+    '结算次数': 'Settlements',
+    '按目标ROE求解时请输入杠杆倍数': 'Please enter the leverage to solve by target ROE',
+    '按目标ROE求解时杠杆倍数必须大于0': 'Leverage must be greater than 0 to solve by target ROE',
+    '结算次数必须是非负整数': 'Settlements must be a non-negative integer',
+    
+    // 字段校验
+    '请输入{label}': 'Please enter {label}',
+    '{label}必须是有效数字': '{label} must be a valid number',
+    '{label}无效': 'Invalid {label}',
+    '{label}超出合理范围': '{label} is out of range',
+    '{label}不能为负数': '{label} cannot be negative',
+    '{label}必须是整数': '{label} must be an integer',
+    '{label}必须在{min}-{max}之间': '{label} must be between {min}-{max}',
+    '{label}不能超过{max}': '{label} cannot exceed {max}',
+    '{label}不能小于{min}': '{label} cannot be less than {min}',
+    
+    // 计算历史
+    '计算历史': 'Calculation history',
+    '搜索输入、结果或计算器': 'Search inputs, results or calculators',
+    '全部计算器': 'All calculators',
+    '成功计算后自动记录，置顶的记录不会被清空': 'Successful calculations are recorded automatically; pinned entries are kept when clearing',
+    '导出 JSON': 'Export JSON',
+    '导出 CSV': 'Export CSV',
+    '暂无计算历史，成功计算后会自动记录': 'No calculation history yet. Successful calculations are recorded automatically',
+    '没有匹配的计算历史': 'No matching calculation history',
+    '计算历史记录不存在': 'Calculation history entry does not exist',
+    '无法恢复{calculator}的记录': 'Cannot restore {calculator} entries',
+    '确定要清空未置顶的计算历史吗？': 'Clear all unpinned calculation history?',
+    '{direction} · Maker {maker} · Taker {taker}': '{direction} · Maker {maker} · Taker {taker}',
+    '恢复': 'Restore',
+    '置顶': 'Pin',
+    '取消置顶': 'Unpin',
+    '是': 'Yes',
+    '计算器': 'Calculator',
+    '计算类型': 'Calculation',
+    'Maker费率': 'Maker fee rate',
+    'Taker费率': 'Taker fee rate',
+    '输入': 'Inputs',
+    '结果': 'Results',
+    '资金费率': 'Funding rate',
+    '保证金余额': 'Margin balance',
+    '持仓{index}': 'Position {index}',
+    '记录所用的账本“{name}”已不存在': 'The ledger “{name}” used by this entry no longer exists'
+};
+
+export default {
+    EN_US_MESSAGES
+};
\ No newline at end of file
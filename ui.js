@@ -2,6 +2,19 @@
 
 import * as config from './config.js';
 import * as validator from './validator.js';
+import * as feeSchedules from './feeSchedules.js';
+import * as instruments from './instruments.js';
+import { decimal, ROUNDING_MODE_LABELS } from './decimal.js';
+import { t, addLocaleListener, formatLocaleNumber } from './i18n.js';
+
+// 数值输入框（data-numeric 为 percent 时表示以百分比为单位）
+const NUMERIC_INPUT_SELECTOR = 'input[data-numeric]';
+
+// 普通数字（输入时不需要显示解析预览）
+const PLAIN_NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)$/;
+
+// 数值输入框 → 解析预览元素
+const numericPreviews = new WeakMap();
 
 /**
  * 初始化交易方向切换
@@ -65,6 +78,38 @@ function updateDirectionUI() {
     }
 }
 
+/**
+ * 更新手续费率过高警告
+ * @param {HTMLElement} warning - 警告元素
+ * @param {number} rate - 手续费率（百分比形式）
+ */
+function updateFeeWarning(warning, rate) {
+    if (!warning) return;
+    
+    if (config.isFeeRateTooHigh(rate / 100)) {
+        warning.classList.remove('hidden');
+    } else {
+        warning.classList.add('hidden');
+    }
+}
+
+/**
+ * 应用手续费率到输入框和全局配置
+ * @param {number} makerRate - Maker费率（百分比形式）
+ * @param {number} takerRate - Taker费率（百分比形式）
+ */
+function applyFeeRates(makerRate, takerRate) {
+    const makerInput = document.getElementById('makerFee');
+    const takerInput = document.getElementById('takerFee');
+    
+    makerInput.value = makerRate.toFixed(4);
+    takerInput.value = takerRate.toFixed(4);
+    config.setMakerFeeRate(makerRate);
+    config.setTakerFeeRate(takerRate);
+    updateFeeWarning(document.getElementById('makerFeeWarning'), makerRate);
+    updateFeeWarning(document.getElementById('takerFeeWarning'), takerRate);
+}
+
 /**
  * 初始化手续费率配置
  */
@@ -78,91 +123,583 @@ function initFeeRateConfig() {
     
     // Maker手续费率变更
     makerInput.addEventListener('input', () => {
-        const rate = parseFloat(makerInput.value);
+        const rate = validator.parseNumberInput(makerInput.value, { percent: true });
         
         if (validator.isValidNumber(rate)) {
             config.setMakerFeeRate(rate);
             
             // 检查是否过高
-            if (config.isFeeRateTooHigh(rate / 100)) {
-                makerWarning.classList.remove('hidden');
-            } else {
-                makerWarning.classList.add('hidden');
-            }
+            updateFeeWarning(makerWarning, rate);
         }
+        markFeePresetManual();
     });
     
     // Taker手续费率变更
     takerInput.addEventListener('input', () => {
-        const rate = parseFloat(takerInput.value);
+        const rate = validator.parseNumberInput(takerInput.value, { percent: true });
         
         if (validator.isValidNumber(rate)) {
             config.setTakerFeeRate(rate);
             
             // 检查是否过高
-            if (config.isFeeRateTooHigh(rate / 100)) {
-                takerWarning.classList.remove('hidden');
-            } else {
-                takerWarning.classList.add('hidden');
-            }
+            updateFeeWarning(takerWarning, rate);
         }
+        markFeePresetManual();
     });
     
-    // 限制输入范围
+    // 限制输入范围（Maker允许负费率返佣）
     [makerInput, takerInput].forEach(input => {
+        const minRate = input === makerInput ? config.MIN_MAKER_FEE_RATE * 100 : 0;
         input.addEventListener('blur', () => {
-            let value = parseFloat(input.value);
-            if (isNaN(value) || value < 0) {
+            let value = validator.parseNumberInput(input.value, { percent: true });
+            if (isNaN(value)) {
                 value = 0;
             }
+            if (value < minRate) {
+                value = minRate;
+            }
             if (value > 100) {
                 value = 100;
             }
             input.value = value.toFixed(4);
         });
     });
+    
+    initFeePresetPicker();
 }
 
 /**
- * 初始化输入框验证
+ * 手续费率在其他模块中变更时（如恢复计算历史）同步输入框，并将方案选择切换为手动输入
+ * @param {string} key - 'makerFeeRate' 或 'takerFeeRate'
+ * @param {number} rate - 手续费率（小数形式）
  */
-function initInputValidation() {
-    // 获取所有数字输入框
-    const numberInputs = document.querySelectorAll('input[type="number"]');
+function syncFeeInput(key, rate) {
+    const isMaker = key === 'makerFeeRate';
+    const input = document.getElementById(isMaker ? 'makerFee' : 'takerFee');
+    if (!input) return;
     
-    numberInputs.forEach(input => {
-        // 移除所有键盘输入限制，让浏览器原生处理
-        // type="number" 的输入框会自动处理数字和小数点输入
-        
-        // 失焦时格式化
-        input.addEventListener('blur', () => {
-            if (input.value && validator.isValidNumber(input.value)) {
-                const value = parseFloat(input.value);
-                const step = parseFloat(input.step) || 1;
-                const decimals = step < 1 ? step.toString().split('.')[1]?.length || 4 : 0;
-                input.value = value.toFixed(decimals);
+    // 输入框的值已与配置一致时（由输入框或手续费方案设置）不需要同步
+    const percentRate = decimal(rate).times(100).toNumber();
+    if (validator.parseNumberInput(input.value, { percent: true }) === percentRate) return;
+    
+    input.value = percentRate.toFixed(4);
+    updateFeeWarning(document.getElementById(isMaker ? 'makerFeeWarning' : 'takerFeeWarning'), percentRate);
+    markFeePresetManual();
+}
+
+/**
+ * 手动修改费率后，将方案选择切换为手动输入
+ */
+function markFeePresetManual() {
+    const exchangeSelect = document.getElementById('feePresetExchange');
+    if (exchangeSelect && exchangeSelect.value !== 'manual') {
+        exchangeSelect.value = 'manual';
+        updateFeePresetControls();
+    }
+}
+
+/**
+ * 渲染手续费方案下拉框（内置方案 + 自定义方案）
+ * @param {string} selectedId - 选中的方案ID
+ */
+function renderFeePresetOptions(selectedId = 'manual') {
+    const exchangeSelect = document.getElementById('feePresetExchange');
+    if (!exchangeSelect) return;
+    
+    const builtIn = feeSchedules.FEE_SCHEDULES
+        .map(schedule => `<option value="${schedule.id}">${t(schedule.name)}</option>`)
+        .join('');
+    const custom = feeSchedules.getCustomSchedules()
+        .map(schedule => `<option value="${validator.escapeHtml(schedule.id)}">${validator.escapeHtml(schedule.name)}</option>`)
+        .join('');
+    
+    exchangeSelect.innerHTML = `
+        <option value="manual">${t('手动输入')}</option>
+        <optgroup label="${t('交易所')}">${builtIn}</optgroup>
+        ${custom ? `<optgroup label="${t('自定义方案')}">${custom}</optgroup>` : ''}
+    `;
+    exchangeSelect.value = exchangeSelect.querySelector(`option[value="${selectedId}"]`) ? selectedId : 'manual';
+    updateFeePresetControls();
+}
+
+/**
+ * 根据选中的方案更新等级与平台币抵扣控件
+ */
+function updateFeePresetControls() {
+    const exchangeSelect = document.getElementById('feePresetExchange');
+    const tierSelect = document.getElementById('feePresetTier');
+    const discountCheckbox = document.getElementById('feePresetTokenDiscount');
+    const discountLabel = document.getElementById('feePresetTokenLabel');
+    const deleteBtn = document.getElementById('deleteFeePreset');
+    
+    if (!exchangeSelect || !tierSelect || !discountCheckbox) return;
+    
+    const schedule = feeSchedules.getFeeSchedule(exchangeSelect.value);
+    const previousTier = tierSelect.value;
+    
+    if (schedule) {
+        tierSelect.innerHTML = schedule.tiers
+            .map((tier, index) => `<option value="${index}">${t(tier.name)}</option>`)
+            .join('');
+        tierSelect.value = tierSelect.querySelector(`option[value="${previousTier}"]`) ? previousTier : '0';
+        tierSelect.disabled = false;
+    } else {
+        tierSelect.innerHTML = '<option value="0">-</option>';
+        tierSelect.disabled = true;
+    }
+    
+    // 平台币抵扣仅对支持的交易所有效
+    const tokenDiscount = schedule ? schedule.tokenDiscount : null;
+    discountCheckbox.disabled = !tokenDiscount;
+    if (!tokenDiscount) {
+        discountCheckbox.checked = false;
+    }
+    if (discountLabel) {
+        discountLabel.textContent = tokenDiscount
+            ? t('{token} 抵扣 {rate}%', { token: tokenDiscount.token, rate: (tokenDiscount.rate * 100).toFixed(0) })
+            : t('不支持');
+    }
+    
+    // 只能删除自定义方案
+    if (deleteBtn) {
+        deleteBtn.disabled = !exchangeSelect.value.startsWith(feeSchedules.CUSTOM_PREFIX);
+    }
+}
+
+/**
+ * 应用当前选中的手续费方案
+ */
+function applySelectedFeePreset() {
+    const exchangeSelect = document.getElementById('feePresetExchange');
+    const tierSelect = document.getElementById('feePresetTier');
+    const discountCheckbox = document.getElementById('feePresetTokenDiscount');
+    
+    if (exchangeSelect.value === 'manual') return;
+    
+    const rates = feeSchedules.resolveFeeRates(
+        exchangeSelect.value,
+        parseInt(tierSelect.value) || 0,
+        discountCheckbox.checked
+    );
+    if (rates) {
+        applyFeeRates(rates.maker, rates.taker);
+    }
+}
+
+/**
+ * 初始化手续费方案选择器
+ */
+function initFeePresetPicker() {
+    const exchangeSelect = document.getElementById('feePresetExchange');
+    const tierSelect = document.getElementById('feePresetTier');
+    const discountCheckbox = document.getElementById('feePresetTokenDiscount');
+    const nameInput = document.getElementById('feePresetName');
+    const saveBtn = document.getElementById('saveFeePreset');
+    const deleteBtn = document.getElementById('deleteFeePreset');
+    
+    if (!exchangeSelect || !tierSelect || !discountCheckbox) return;
+    
+    renderFeePresetOptions();
+    
+    exchangeSelect.addEventListener('change', () => {
+        updateFeePresetControls();
+        applySelectedFeePreset();
+    });
+    tierSelect.addEventListener('change', applySelectedFeePreset);
+    discountCheckbox.addEventListener('change', applySelectedFeePreset);
+    
+    // 将当前费率保存为自定义方案
+    if (saveBtn && nameInput) {
+        saveBtn.addEventListener('click', () => {
+            try {
+                validator.hideError('feePresetError');
+                const schedule = feeSchedules.saveCustomSchedule(
+                    nameInput.value,
+                    decimal(config.getMakerFeeRate()).times(100).toNumber(),
+                    decimal(config.getTakerFeeRate()).times(100).toNumber()
+                );
+                nameInput.value = '';
+                renderFeePresetOptions(schedule.id);
+            } catch (error) {
+                validator.showError('feePresetError', error.message);
             }
         });
-        
-        // 输入时进行基本验证（但不阻止输入）
-        input.addEventListener('input', () => {
-            // 移除非法字符（除了数字、小数点、负号）
-            let value = input.value;
-            // 只保留数字、小数点和负号
-            value = value.replace(/[^\d.-]/g, '');
-            // 确保只有一个小数点
-            const parts = value.split('.');
-            if (parts.length > 2) {
-                value = parts[0] + '.' + parts.slice(1).join('');
+    }
+    
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => {
+            if (!exchangeSelect.value.startsWith(feeSchedules.CUSTOM_PREFIX)) return;
+            feeSchedules.removeCustomSchedule(exchangeSelect.value);
+            renderFeePresetOptions();
+        });
+    }
+}
+
+/**
+ * 初始化合约类型配置
+ */
+function initContractTypeConfig() {
+    const linearBtn = document.getElementById('contractLinear');
+    const inverseBtn = document.getElementById('contractInverse');
+    const faceValueInput = document.getElementById('contractFaceValue');
+    const baseCurrencyInput = document.getElementById('baseCurrency');
+    
+    if (!linearBtn || !inverseBtn) return;
+    
+    linearBtn.addEventListener('click', () => {
+        config.setContractType(config.ContractType.LINEAR);
+        clearMismatchedInstrument();
+        updateContractTypeUI();
+    });
+    
+    inverseBtn.addEventListener('click', () => {
+        config.setContractType(config.ContractType.INVERSE);
+        clearMismatchedInstrument();
+        updateContractTypeUI();
+    });
+    
+    // 合约面值变更
+    if (faceValueInput) {
+        faceValueInput.addEventListener('input', () => {
+            const faceValue = validator.parseNumberInput(faceValueInput.value);
+            if (validator.isPositive(faceValue)) {
+                config.setContractFaceValue(faceValue);
             }
-            // 确保负号只在开头
-            if (value.indexOf('-') > 0) {
-                value = value.replace(/-/g, '');
+        });
+    }
+    
+    // 保证金币种变更
+    if (baseCurrencyInput) {
+        baseCurrencyInput.addEventListener('input', () => {
+            if (baseCurrencyInput.value.trim()) {
+                config.setBaseCurrency(baseCurrencyInput.value);
+                updateContractTypeUI();
             }
-            if (input.value !== value) {
-                input.value = value;
+        });
+    }
+}
+
+/**
+ * 更新合约类型UI
+ */
+function updateContractTypeUI() {
+    const linearBtn = document.getElementById('contractLinear');
+    const inverseBtn = document.getElementById('contractInverse');
+    const faceValueInput = document.getElementById('contractFaceValue');
+    const baseCurrencyInput = document.getElementById('baseCurrency');
+    const hint = document.getElementById('contractTypeHint');
+    
+    if (!linearBtn || !inverseBtn) return;
+    
+    const activeClass = 'px-6 py-3 rounded-full font-medium text-sm transition-all bg-blue-500 text-white';
+    const inactiveClass = 'px-6 py-3 rounded-full font-medium text-sm transition-all bg-white text-gray-700 border border-gray-200';
+    const inverse = config.isInverse();
+    
+    linearBtn.className = inverse ? inactiveClass : activeClass;
+    inverseBtn.className = inverse ? activeClass : inactiveClass;
+    
+    // 面值和保证金币种仅对币本位合约有效
+    if (faceValueInput) faceValueInput.disabled = !inverse;
+    if (baseCurrencyInput) baseCurrencyInput.disabled = !inverse;
+    if (hint) hint.classList.toggle('hidden', !inverse);
+    
+    // 更新保证金与盈亏的币种标签
+    document.querySelectorAll('.settle-currency').forEach(el => {
+        el.textContent = config.getSettlementCurrency();
+    });
+}
+
+/**
+ * 渲染交易品种下拉框
+ * @param {string} selectedSymbol - 选中的品种代码
+ */
+function renderInstrumentOptions(selectedSymbol = config.getInstrumentSymbol()) {
+    const select = document.getElementById('instrumentSelect');
+    if (!select) return;
+    
+    const options = instruments.getInstruments()
+        .map(instrument => `<option value="${validator.escapeHtml(instrument.symbol)}">${validator.escapeHtml(instrument.symbol)}</option>`)
+        .join('');
+    select.innerHTML = `<option value="">${t('不指定')}</option>${options}`;
+    select.value = instruments.getInstrument(selectedSymbol) ? selectedSymbol : '';
+}
+
+/**
+ * 选择交易品种，并同步合约类型、面值与币种
+ * @param {string} symbol - 品种代码，空字符串表示不指定
+ */
+function selectInstrument(symbol) {
+    const instrument = instruments.getInstrument(symbol);
+    
+    if (instrument) {
+        config.setContractType(instrument.contractType);
+        config.setBaseCurrency(instrument.baseCurrency);
+        if (instrument.contractType === config.ContractType.INVERSE) {
+            config.setContractFaceValue(instrument.multiplier);
+        } else {
+            config.setQuoteCurrency(instrument.quoteCurrency);
+        }
+        
+        const faceValueInput = document.getElementById('contractFaceValue');
+        const baseCurrencyInput = document.getElementById('baseCurrency');
+        if (faceValueInput) faceValueInput.value = config.getContractFaceValue();
+        if (baseCurrencyInput) baseCurrencyInput.value = config.getBaseCurrency();
+    } else {
+        config.setQuoteCurrency('USDT');
+    }
+    
+    // 最后设置品种，确保监听器重新计算时合约参数已同步
+    config.setInstrumentSymbol(instrument ? instrument.symbol : '');
+    renderInstrumentOptions(config.getInstrumentSymbol());
+    updateContractTypeUI();
+    updateInstrumentUI();
+}
+
+/**
+ * 手动切换合约类型后，若与当前品种不符则取消选择品种
+ */
+function clearMismatchedInstrument() {
+    const instrument = instruments.getActiveInstrument();
+    if (instrument && instrument.contractType !== config.getContractType()) {
+        selectInstrument('');
+    }
+}
+
+/**
+ * 合约设置在其他模块中变更时（如恢复计算历史）同步合约类型、面值、币种与品种控件
+ */
+function syncContractControls() {
+    const faceValueInput = document.getElementById('contractFaceValue');
+    const baseCurrencyInput = document.getElementById('baseCurrency');
+    
+    // 输入框的值已与配置一致时（由输入框设置）不改写，避免打断输入
+    if (faceValueInput && validator.parseNumberInput(faceValueInput.value) !== config.getContractFaceValue()) {
+        faceValueInput.value = config.getContractFaceValue();
+    }
+    if (baseCurrencyInput && baseCurrencyInput.value.trim().toUpperCase() !== config.getBaseCurrency()) {
+        baseCurrencyInput.value = config.getBaseCurrency();
+    }
+    updateContractTypeUI();
+    
+    // 仅在品种变化时刷新编辑表单，避免覆盖正在编辑的品种参数
+    const select = document.getElementById('instrumentSelect');
+    if (select && select.value !== config.getInstrumentSymbol()) {
+        renderInstrumentOptions(config.getInstrumentSymbol());
+        updateInstrumentUI();
+    }
+}
+
+/**
+ * 更新交易品种摘要与编辑表单
+ */
+function updateInstrumentUI() {
+    const summary = document.getElementById('instrumentSummary');
+    const instrument = instruments.getActiveInstrument();
+    
+    if (summary) {
+        summary.textContent = instrument
+            ? [
+                instrument.contractType === config.ContractType.INVERSE ? t('币本位') : t('U本位'),
+                t('乘数 {value}', { value: instrument.multiplier }),
+                t('价格步长 {value}', { value: instrument.tickSize }),
+                t('数量步长 {value}', { value: instruments.getQuantityStep(instrument) }),
+                t('最小数量 {value}', { value: instruments.getMinQuantity(instrument) }),
+                t('最小名义价值 {value} {currency}', { value: instrument.minNotional, currency: instrument.quoteCurrency }),
+                t('最大 {value}x', { value: instrument.maxLeverage })
+            ].join(' · ')
+            : t('不指定品种时不对数量和价格取整');
+    }
+    
+    // 编辑表单显示当前品种参数
+    const fields = {
+        instSymbol: 'symbol',
+        instContractType: 'contractType',
+        instBaseCurrency: 'baseCurrency',
+        instQuoteCurrency: 'quoteCurrency',
+        instMultiplier: 'multiplier',
+        instTickSize: 'tickSize',
+        instStepSize: 'stepSize',
+        instMinQuantity: 'minQuantity',
+        instMinNotional: 'minNotional',
+        instMaxLeverage: 'maxLeverage'
+    };
+    Object.entries(fields).forEach(([id, field]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        if (field === 'contractType') {
+            input.value = instrument ? instrument.contractType : config.ContractType.LINEAR;
+        } else {
+            input.value = instrument ? instrument[field] : '';
+        }
+    });
+    
+    const deleteBtn = document.getElementById('deleteInstrument');
+    if (deleteBtn) deleteBtn.disabled = !instrument;
+}
+
+/**
+ * 初始化交易品种配置
+ */
+function initInstrumentConfig() {
+    const select = document.getElementById('instrumentSelect');
+    const saveBtn = document.getElementById('saveInstrument');
+    const deleteBtn = document.getElementById('deleteInstrument');
+    const resetBtn = document.getElementById('resetInstruments');
+    
+    if (!select) return;
+    
+    renderInstrumentOptions();
+    updateInstrumentUI();
+    
+    select.addEventListener('change', () => {
+        validator.hideError('instrumentError');
+        selectInstrument(select.value);
+    });
+    
+    // 保存编辑后的品种参数并选中
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => {
+            try {
+                validator.hideError('instrumentError');
+                const saved = instruments.saveInstrument({
+                    symbol: document.getElementById('instSymbol').value,
+                    contractType: document.getElementById('instContractType').value,
+                    baseCurrency: document.getElementById('instBaseCurrency').value,
+                    quoteCurrency: document.getElementById('instQuoteCurrency').value,
+                    multiplier: validator.parseNumberInput(document.getElementById('instMultiplier').value),
+                    tickSize: validator.parseNumberInput(document.getElementById('instTickSize').value),
+                    stepSize: validator.parseNumberInput(document.getElementById('instStepSize').value),
+                    minQuantity: validator.parseNumberInput(document.getElementById('instMinQuantity').value),
+                    minNotional: validator.parseNumberInput(document.getElementById('instMinNotional').value),
+                    maxLeverage: validator.parseNumberInput(document.getElementById('instMaxLeverage').value)
+                });
+                selectInstrument(saved.symbol);
+            } catch (error) {
+                validator.showError('instrumentError', error.message);
             }
         });
+    }
+    
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => {
+            if (!config.getInstrumentSymbol()) return;
+            instruments.removeInstrument(config.getInstrumentSymbol());
+            selectInstrument('');
+        });
+    }
+    
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            instruments.resetInstruments();
+            selectInstrument(config.getInstrumentSymbol());
+        });
+    }
+}
+
+/**
+ * 初始化数值舍入配置（各输出类型分别选择舍入方式）
+ */
+function initRoundingConfig() {
+    const selects = {
+        [config.OutputType.PRICE]: document.getElementById('roundingPrice'),
+        [config.OutputType.QUANTITY]: document.getElementById('roundingQuantity'),
+        [config.OutputType.AMOUNT]: document.getElementById('roundingAmount'),
+        [config.OutputType.PERCENT]: document.getElementById('roundingPercent')
+    };
+    const options = Object.entries(ROUNDING_MODE_LABELS)
+        .map(([mode, label]) => `<option value="${mode}">${t(label)}</option>`)
+        .join('');
+    
+    Object.entries(selects).forEach(([outputType, select]) => {
+        if (!select) return;
+        
+        select.innerHTML = options;
+        select.value = config.getRoundingMode(outputType);
+        select.addEventListener('change', () => {
+            config.setRoundingMode(outputType, select.value);
+        });
+    });
+}
+
+/**
+ * 初始化计算方式配置（实时计算或手动计算）
+ */
+function initCalculationModeConfig() {
+    const select = document.getElementById('calculationMode');
+    if (!select) return;
+    
+    select.value = config.getCalculationMode();
+    select.addEventListener('change', () => {
+        config.setCalculationMode(select.value);
+    });
+}
+
+/**
+ * 读取数值输入框的解析选项
+ * @param {HTMLInputElement} input - 数值输入框
+ * @returns {Object} parseNumberInput 的选项
+ */
+function getNumericOptions(input) {
+    return { percent: input.dataset.numeric === 'percent' };
+}
+
+/**
+ * 更新数值输入框下方的解析预览（空值或普通数字时隐藏）
+ * @param {HTMLInputElement} input - 数值输入框
+ */
+function updateNumericPreview(input) {
+    let preview = numericPreviews.get(input);
+    const text = input.value.trim();
+    
+    if (!text || PLAIN_NUMBER_PATTERN.test(text)) {
+        if (preview) preview.classList.add('hidden');
+        return;
+    }
+    
+    if (!preview) {
+        preview = document.createElement('p');
+        preview.className = 'numeric-preview text-xs mt-1';
+        preview.setAttribute('aria-live', 'polite');
+        input.insertAdjacentElement('afterend', preview);
+        numericPreviews.set(input, preview);
+    }
+    
+    const options = getNumericOptions(input);
+    const value = validator.parseNumberInput(text, options);
+    const isValid = validator.isValidNumber(value);
+    preview.textContent = isValid
+        ? `= ${formatLocaleNumber(value, { maximumFractionDigits: 10 })}${options.percent ? '%' : ''}`
+        : t('无法识别的数值');
+    preview.classList.toggle('text-gray-500', isValid);
+    preview.classList.toggle('text-red-500', !isValid);
+    preview.classList.remove('hidden');
+}
+
+/**
+ * 初始化数值输入框：输入时预览解析结果，失焦时替换为解析后的数值
+ * 支持千分位、k/m/b 与 万/亿 后缀、百分号和四则运算，见 validator.parseNumberInput
+ * （使用事件委托，动态生成的输入行同样生效）
+ */
+function initInputValidation() {
+    document.addEventListener('input', (e) => {
+        if (e.target.matches && e.target.matches(NUMERIC_INPUT_SELECTOR)) {
+            updateNumericPreview(e.target);
+        }
+    });
+    
+    // 失焦时格式化：按 step 补足小数位，但不舍去输入的精度（step 为 any 时不补位）
+    document.addEventListener('focusout', (e) => {
+        const input = e.target;
+        if (!input.matches || !input.matches(NUMERIC_INPUT_SELECTOR)) return;
+        
+        const value = validator.parseNumberInput(input.value, getNumericOptions(input));
+        if (input.value.trim() && validator.isValidNumber(value)) {
+            const exact = decimal(value);
+            const step = input.step === 'any' ? NaN : parseFloat(input.step) || 1;
+            const decimals = step < 1 ? step.toString().split('.')[1]?.length || 4 : 0;
+            input.value = isNaN(step) ? exact.toString() : exact.toFixed(Math.max(decimals, exact.scale));
+        }
+        updateNumericPreview(input);
     });
 }
 
@@ -204,12 +741,36 @@ function initResponsiveLayout() {
 export function initUI() {
     initDirectionToggle();
     initFeeRateConfig();
+    initContractTypeConfig();
+    initInstrumentConfig();
+    initRoundingConfig();
+    initCalculationModeConfig();
     initInputValidation();
     initPageAnimations();
     initResponsiveLayout();
     
     // 初始化UI状态
     updateDirectionUI();
+    updateContractTypeUI();
+    
+    // 交易方向与手续费率在其他模块中变更时（如恢复计算历史）同步显示
+    config.addConfigListener((key, value) => {
+        if (key === 'direction') {
+            updateDirectionUI();
+        } else if (key === 'makerFeeRate' || key === 'takerFeeRate') {
+            syncFeeInput(key, value);
+        } else if (['contractType', 'contractFaceValue', 'baseCurrency', 'quoteCurrency', 'instrumentSymbol'].includes(key)) {
+            syncContractControls();
+        }
+    });
+    
+    // 切换语言后重新渲染动态生成的下拉框与品种摘要（静态文本由 i18n 模块翻译）
+    addLocaleListener(() => {
+        const exchangeSelect = document.getElementById('feePresetExchange');
+        renderFeePresetOptions(exchangeSelect ? exchangeSelect.value : 'manual');
+        renderInstrumentOptions();
+        updateInstrumentUI();
+    });
     
     console.log('UI initialized successfully');
 }
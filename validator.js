@@ -1,5 +1,69 @@
 // 数据验证工具模块
 
+import * as config from './config.js';
+import * as instruments from './instruments.js';
+import { Decimal, decimal } from './decimal.js';
+import { t } from './i18n.js';
+
+// 验证错误代码（稳定的错误标识，不随提示文字变化）
+export const ErrorCode = {
+    REQUIRED: 'required',                     // 未填写
+    INVALID_NUMBER: 'invalidNumber',          // 不是有效数字
+    EXTREME_VALUE: 'extremeValue',            // 超出合理范围
+    NOT_POSITIVE: 'notPositive',              // 必须大于0
+    NEGATIVE: 'negative',                     // 不能为负数
+    NOT_INTEGER: 'notInteger',                // 必须是整数
+    OUT_OF_RANGE: 'outOfRange',               // 超出允许范围
+    INVALID_OPTION: 'invalidOption',          // 不是可选的值
+    MISSING_ALTERNATIVE: 'missingAlternative', // 二选一的字段均未填写
+    CONFLICT: 'conflict'                      // 与其他字段的值矛盾
+};
+
+// 数值输入的数量级后缀（字母不区分大小写，可连用，如 1万亿）
+const MAGNITUDE_SUFFIXES = {
+    k: 1e3,     // 千
+    m: 1e6,     // 百万
+    b: 1e9,     // 十亿
+    '万': 1e4,
+    '亿': 1e8
+};
+
+// 全角字符与常用运算符号的替换表
+const INPUT_SYMBOLS = {
+    '．': '.',
+    '，': ',',
+    '＋': '+',
+    '－': '-',
+    '−': '-',
+    '×': '*',
+    '＊': '*',
+    '÷': '/',
+    '／': '/',
+    '（': '(',
+    '）': ')',
+    '％': '%'
+};
+
+// 数字字面量（整数部分可按每3位一组用逗号分隔，支持小数与科学计数法，指数最多3位）
+const NUMBER_LITERAL_PATTERN = /(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d*)?(?:e[+-]?\d{1,3})?|\.\d+(?:e[+-]?\d{1,3})?/iy;
+
+// 单个数字字面量与整个输入的最大长度（超出视为无法解析，避免每次输入都解析超长文本）
+const MAX_NUMBER_LITERAL_LENGTH = 60;
+const MAX_NUMBER_INPUT_LENGTH = 200;
+
+// 价格显示至少保留的有效数字（低价币自动增加小数位，如 0.00000123）与最多的小数位数
+const PRICE_SIGNIFICANT_DIGITS = 4;
+const MAX_PRICE_DECIMALS = 12;
+
+// 标记为无效的输入框样式
+const INVALID_INPUT_CLASS = 'field-invalid';
+
+// 输入框下方的错误说明样式
+const FIELD_MESSAGE_CLASS = 'field-error-message';
+
+// 各错误提示元素当前标记的输入框 {errorElementId: [input]}
+const markedInputs = new Map();
+
 /**
  * 验证是否为有效数字
  * @param {*} value - 待验证的值
@@ -60,6 +124,116 @@ export function isInRange(value, min, max) {
     return num >= min && num <= max;
 }
 
+/**
+ * 计算数值输入表达式（支持 + - * / 与括号，数字后可跟数量级后缀和百分号）
+ * @param {string} text - 规范化后的输入文本
+ * @param {boolean} percent - 字段是否以百分比为单位
+ * @returns {Decimal}
+ */
+function evaluateNumberExpression(text, percent) {
+    let position = 0;
+    
+    const peek = () => {
+        while (/\s/.test(text.charAt(position))) position++;
+        return text.charAt(position);
+    };
+    const fail = () => {
+        throw new Error(t('无效的数值“{value}”', { value: text }));
+    };
+    
+    const parseOperand = () => {
+        let value;
+        if (peek() === '(') {
+            position++;
+            value = parseSum();
+            if (peek() !== ')') fail();
+            position++;
+        } else {
+            NUMBER_LITERAL_PATTERN.lastIndex = position;
+            const match = NUMBER_LITERAL_PATTERN.exec(text);
+            if (!match || match[0].length > MAX_NUMBER_LITERAL_LENGTH) fail();
+            position += match[0].length;
+            value = decimal(match[0].replace(/,/g, ''));
+        }
+        
+        for (;;) {
+            const suffix = peek().toLowerCase();
+            if (MAGNITUDE_SUFFIXES[suffix]) {
+                value = value.times(MAGNITUDE_SUFFIXES[suffix]);
+            } else if (suffix === '%') {
+                // 百分比字段中百分号只是单位，其他字段中表示除以100
+                if (!percent) value = value.div(100);
+            } else {
+                return value;
+            }
+            position++;
+        }
+    };
+    
+    const parseUnary = () => {
+        const sign = peek();
+        if (sign === '+' || sign === '-') {
+            position++;
+            const value = parseUnary();
+            return sign === '-' ? value.neg() : value;
+        }
+        return parseOperand();
+    };
+    
+    const parseProduct = () => {
+        let value = parseUnary();
+        for (let operator = peek(); operator === '*' || operator === '/'; operator = peek()) {
+            position++;
+            const operand = parseUnary();
+            value = operator === '*' ? value.times(operand) : value.div(operand);
+        }
+        return value;
+    };
+    
+    const parseSum = () => {
+        let value = parseProduct();
+        for (let operator = peek(); operator === '+' || operator === '-'; operator = peek()) {
+            position++;
+            const operand = parseProduct();
+            value = operator === '+' ? value.plus(operand) : value.minus(operand);
+        }
+        return value;
+    };
+    
+    const result = parseSum();
+    if (peek() !== '') fail();
+    return result;
+}
+
+/**
+ * 解析数值输入，支持：
+ * - 千分位分隔符：65,000
+ * - 数量级后缀：1.5k、2m、1b、3万、1.2亿
+ * - 百分号：102% 即 1.02（百分比字段中百分号仅作为单位）
+ * - 四则运算与括号：64000*1.02、(100+50)/2
+ * 全角数字与符号按半角处理，计算使用十进制精确运算；过长的输入或过大的指数视为无法解析
+ * @param {*} value - 输入值（数字原样返回）
+ * @param {Object} options - 选项 {percent: 字段是否以百分比为单位}
+ * @returns {number} 无法解析时返回 NaN
+ */
+export function parseNumberInput(value, options = {}) {
+    if (typeof value === 'number') return value;
+    if (value instanceof Decimal) return value.toNumber();
+    if (isEmpty(value)) return NaN;
+    
+    const text = String(value)
+        .replace(/[０-９]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+        .replace(/[．，＋－−×＊÷／（）％]/g, char => INPUT_SYMBOLS[char])
+        .trim();
+    if (!text || text.length > MAX_NUMBER_INPUT_LENGTH) return NaN;
+    
+    try {
+        return evaluateNumberExpression(text, Boolean(options.percent)).toNumber();
+    } catch (error) {
+        return NaN;
+    }
+}
+
 /**
  * 显示错误提示
  * @param {string} elementId - 错误提示元素的ID
@@ -74,7 +248,7 @@ export function showError(elementId, message) {
 }
 
 /**
- * 隐藏错误提示
+ * 隐藏错误提示（同时清除对应的输入框标记）
  * @param {string} elementId - 错误提示元素的ID
  */
 export function hideError(elementId) {
@@ -82,10 +256,11 @@ export function hideError(elementId) {
     if (element) {
         element.classList.add('hidden');
     }
+    clearFieldErrors(elementId);
 }
 
 /**
- * 验证所有必填字段
+ * 验证所有必填字段（只返回第一个错误，需要收集全部错误时使用 validateSchema）
  * @param {Object} fields - 字段对象 {fieldName: value}
  * @returns {Object} {isValid: boolean, message: string}
  */
@@ -94,13 +269,13 @@ export function validateRequiredFields(fields) {
         if (isEmpty(value)) {
             return {
                 isValid: false,
-                message: `请输入${fieldName}`
+                message: t('请输入{label}', { label: t(fieldName) })
             };
         }
         if (!isValidNumber(value)) {
             return {
                 isValid: false,
-                message: `${fieldName}必须是有效数字`
+                message: t('{label}必须是有效数字', { label: t(fieldName) })
             };
         }
     }
@@ -108,25 +283,290 @@ export function validateRequiredFields(fields) {
 }
 
 /**
- * 格式化数字显示
- * @param {number} value - 数值
+ * 创建字段错误
+ * @param {string} field - 字段名（动态行使用路径，如 levels.0.price）
+ * @param {string} code - 错误代码，见 ErrorCode
+ * @param {string} message - 错误消息
+ * @param {string} inputId - 对应输入框的ID（可选）
+ * @returns {Object} {field, code, message, inputId}
+ */
+export function createFieldError(field, code, message, inputId = null) {
+    return { field, code, message, inputId };
+}
+
+/**
+ * 输入验证错误，包含全部字段错误
+ */
+export class ValidationError extends Error {
+    /**
+     * @param {Array} errors - 字段错误列表 [{field, code, message, inputId}]
+     */
+    constructor(errors) {
+        // 多个字段的错误可能相同（如二选一字段），消息去重后合并
+        super([...new Set(errors.map(error => error.message))].join(t('；')));
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * 按规则验证单个字段
+ * @param {string} field - 字段名
+ * @param {Object} rule - 字段规则，见 validateSchema
+ * @param {*} value - 字段值
+ * @returns {Object|null} 字段错误，通过验证返回 null
+ */
+function validateField(field, rule, value) {
+    // 规则中的名称与自定义消息为中文原文，按当前语言翻译
+    const label = t(rule.label);
+    const fail = (code, message) => createFieldError(
+        field,
+        code,
+        rule.messages && rule.messages[code] ? t(rule.messages[code]) : message,
+        rule.input || null
+    );
+    
+    if (isEmpty(value)) {
+        return rule.required === false ? null : fail(ErrorCode.REQUIRED, t('请输入{label}', { label }));
+    }
+    if (rule.options) {
+        return rule.options.includes(value) ? null : fail(ErrorCode.INVALID_OPTION, t('{label}无效', { label }));
+    }
+    
+    const number = parseNumberInput(value, { percent: rule.percent });
+    if (!isValidNumber(number)) {
+        return fail(ErrorCode.INVALID_NUMBER, t('{label}必须是有效数字', { label }));
+    }
+    if (isExtremeValue(number)) {
+        return fail(ErrorCode.EXTREME_VALUE, t('{label}超出合理范围', { label }));
+    }
+    if (rule.positive && number <= 0) {
+        return fail(ErrorCode.NOT_POSITIVE, t('{label}必须大于0', { label }));
+    }
+    if (rule.nonNegative && number < 0) {
+        return fail(ErrorCode.NEGATIVE, t('{label}不能为负数', { label }));
+    }
+    if (rule.integer && !Number.isInteger(number)) {
+        return fail(ErrorCode.NOT_INTEGER, t('{label}必须是整数', { label }));
+    }
+    
+    const belowMin = rule.min !== undefined && number < rule.min;
+    const aboveMax = rule.max !== undefined && number > rule.max;
+    if (belowMin || aboveMax) {
+        let message;
+        if (rule.min !== undefined && rule.max !== undefined) {
+            message = t('{label}必须在{min}-{max}之间', { label, min: rule.min, max: rule.max });
+        } else {
+            message = aboveMax ? t('{label}不能超过{max}', { label, max: rule.max }) : t('{label}不能小于{min}', { label, min: rule.min });
+        }
+        return fail(ErrorCode.OUT_OF_RANGE, message);
+    }
+    return null;
+}
+
+/**
+ * 按声明式规则验证全部字段，收集所有错误而不是只返回第一个
+ * 字段规则：{label, input, required, positive, nonNegative, integer, min, max, percent, options, messages}
+ * - label: 字段名称（中文原文，显示时按当前语言翻译），用于错误消息
+ * - input: 对应输入框的ID（可选，用于标记输入框）
+ * - required: 是否必填（默认 true，选填字段为空时值为 null）
+ * - percent: 是否以百分比为单位（输入中的百分号仅作为单位，不再除以100）
+ * - options: 可选值列表（设置后按选项验证，不按数字验证）
+ * - messages: 按错误代码自定义错误消息（中文原文，可选）
+ * @param {Object} schema - 字段规则 {field: rule}
+ * @param {Object} values - 字段值 {field: value}
+ * @returns {Object} {isValid, errors, values} values 仅包含通过验证的字段（数字字段已按 parseNumberInput 解析）
+ */
+export function validateSchema(schema, values) {
+    const errors = [];
+    const parsed = {};
+    
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = values[field];
+        const error = validateField(field, rule, value);
+        if (error) {
+            errors.push(error);
+        } else if (isEmpty(value)) {
+            parsed[field] = null;
+        } else {
+            parsed[field] = rule.options ? value : parseNumberInput(value, { percent: rule.percent });
+        }
+    });
+    
+    return { isValid: errors.length === 0, errors, values: parsed };
+}
+
+/**
+ * 按字段规则创建字段错误（用于跨字段检查，输入框ID取自规则）
+ * @param {Object} schema - 字段规则
+ * @param {string} field - 字段名
+ * @param {string} code - 错误代码
+ * @param {string} message - 错误消息
+ * @returns {Object}
+ */
+export function createSchemaError(schema, field, code, message) {
+    return createFieldError(field, code, message, schema[field].input || null);
+}
+
+/**
+ * 检查多选一的选填字段：均未填写时为每个字段添加错误
+ * @param {Object} schema - 字段规则
+ * @param {Object} result - validateSchema 的返回值（会被修改）
+ * @param {Array} fields - 字段名列表
+ * @param {string} message - 错误消息
+ */
+export function requireOneOf(schema, result, fields, message) {
+    if (fields.every(field => result.values[field] === null)) {
+        fields.forEach(field => {
+            result.errors.push(createSchemaError(schema, field, ErrorCode.MISSING_ALTERNATIVE, message));
+        });
+        result.isValid = false;
+    }
+}
+
+/**
+ * 存在字段错误时抛出 ValidationError
+ * @param {Array} errors - 字段错误列表
+ */
+export function throwIfInvalid(errors) {
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+}
+
+/**
+ * 清除输入框的错误标记
+ * @param {HTMLElement} input - 输入框
+ */
+function unmarkInput(input) {
+    input.classList.remove(INVALID_INPUT_CLASS);
+    input.removeAttribute('aria-invalid');
+    const next = input.nextElementSibling;
+    if (next && next.classList.contains(FIELD_MESSAGE_CLASS)) {
+        next.remove();
+    }
+}
+
+/**
+ * 标记输入框为无效并在下方显示错误说明（修改输入后自动清除）
+ * @param {HTMLElement} input - 输入框
+ * @param {string} message - 错误消息
+ */
+function markInput(input, message) {
+    unmarkInput(input);
+    input.classList.add(INVALID_INPUT_CLASS);
+    input.setAttribute('aria-invalid', 'true');
+    
+    const messageEl = document.createElement('p');
+    messageEl.className = `${FIELD_MESSAGE_CLASS} text-xs text-red-500 mt-1`;
+    messageEl.textContent = message;
+    input.insertAdjacentElement('afterend', messageEl);
+    
+    const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+    input.addEventListener(eventName, () => unmarkInput(input), { once: true });
+}
+
+/**
+ * 清除错误提示元素对应的输入框标记
+ * @param {string} elementId - 错误提示元素的ID
+ */
+export function clearFieldErrors(elementId) {
+    (markedInputs.get(elementId) || []).forEach(unmarkInput);
+    markedInputs.delete(elementId);
+}
+
+/**
+ * 显示错误，验证错误同时标记所有出错的输入框
+ * @param {string} elementId - 错误提示元素的ID
+ * @param {Error} error - 错误（ValidationError 或普通错误）
+ * @param {Function} resolveInput - 根据字段错误查找输入框（可选，用于没有ID的动态行），未找到时按 inputId 查找
+ */
+export function showValidationError(elementId, error, resolveInput = null) {
+    clearFieldErrors(elementId);
+    showError(elementId, error.message);
+    if (!(error instanceof ValidationError)) return;
+    
+    const marked = [];
+    error.errors.forEach(fieldError => {
+        const input = (resolveInput && resolveInput(fieldError)) ||
+            (fieldError.inputId ? document.getElementById(fieldError.inputId) : null);
+        if (!input || marked.includes(input)) return;
+        markInput(input, fieldError.message);
+        marked.push(input);
+    });
+    markedInputs.set(elementId, marked);
+}
+
+/**
+ * 转换为十进制数（Decimal 保持原有精度）
+ * @param {*} value - 有效数值
+ * @returns {Decimal}
+ */
+function toDecimal(value) {
+    return value instanceof Decimal ? value : decimal(parseFloat(value));
+}
+
+/**
+ * 格式化数字显示（按输出类型的舍入方式）
+ * @param {number|Decimal} value - 数值
  * @param {number} decimals - 小数位数
+ * @param {string} outputType - 输出类型（默认金额），见 config.OutputType
+ * @returns {string}
+ */
+export function formatNumber(value, decimals = 4, outputType = config.OutputType.AMOUNT) {
+    if (!isValidNumber(value)) return '-';
+    return toDecimal(value).toFixed(decimals, config.getRoundingMode(outputType));
+}
+
+/**
+ * 获取价格显示的小数位数：不少于指定位数、当前品种价格步长的位数，并至少保留若干位有效数字
+ * @param {number|Decimal} value - 价格
+ * @param {number} decimals - 最少小数位数
+ * @returns {number}
+ */
+function getPriceDecimals(value, decimals) {
+    const instrument = instruments.getActiveInstrument();
+    let result = instrument ? Math.max(decimals, decimal(instrument.tickSize).scale) : decimals;
+    
+    const magnitude = Math.abs(toDecimal(value).toNumber());
+    if (magnitude > 0 && magnitude < 1) {
+        // 小数点后的前导零个数 + 有效数字位数
+        const leadingZeros = -Math.floor(Math.log10(magnitude)) - 1;
+        result = Math.max(result, leadingZeros + PRICE_SIGNIFICANT_DIGITS);
+    }
+    return Math.min(result, MAX_PRICE_DECIMALS);
+}
+
+/**
+ * 格式化价格显示（低价或步长更小的品种自动增加小数位）
+ * @param {number|Decimal} value - 价格
+ * @param {number} decimals - 最少小数位数
  * @returns {string}
  */
-export function formatNumber(value, decimals = 4) {
+export function formatPrice(value, decimals = 4) {
     if (!isValidNumber(value)) return '-';
-    return parseFloat(value).toFixed(decimals);
+    return formatNumber(value, getPriceDecimals(value, decimals), config.OutputType.PRICE);
+}
+
+/**
+ * 格式化数量显示
+ * @param {number|Decimal} value - 数量
+ * @param {number} decimals - 小数位数
+ * @returns {string}
+ */
+export function formatQuantity(value, decimals = 4) {
+    return formatNumber(value, decimals, config.OutputType.QUANTITY);
 }
 
 /**
  * 格式化百分比显示
- * @param {number} value - 数值（小数形式）
+ * @param {number|Decimal} value - 数值（小数形式）
  * @param {number} decimals - 小数位数
  * @returns {string}
  */
 export function formatPercentage(value, decimals = 2) {
     if (!isValidNumber(value)) return '-';
-    return (parseFloat(value) * 100).toFixed(decimals) + '%';
+    return toDecimal(value).times(100).toFixed(decimals, config.getRoundingMode(config.OutputType.PERCENT)) + '%';
 }
 
 /**
@@ -141,17 +581,44 @@ export function safeParseFloat(value, defaultValue = 0) {
     return isFinite(parsed) ? parsed : defaultValue;
 }
 
+/**
+ * 转义HTML特殊字符（用户输入或导入的文本写入 innerHTML 前使用）
+ * @param {*} text - 原始文本（null 和 undefined 视为空字符串）
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 export default {
+    ErrorCode,
+    ValidationError,
     isValidNumber,
     isPositive,
     isNonNegative,
     isEmpty,
     isExtremeValue,
     isInRange,
+    parseNumberInput,
     showError,
     hideError,
     validateRequiredFields,
+    createFieldError,
+    validateSchema,
+    createSchemaError,
+    requireOneOf,
+    throwIfInvalid,
+    clearFieldErrors,
+    showValidationError,
     formatNumber,
+    formatPrice,
+    formatQuantity,
     formatPercentage,
-    safeParseFloat
+    safeParseFloat,
+    escapeHtml
 };
\ No newline at end of file